@@ -9,6 +9,7 @@ const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const { createNotification } = require('./notificationController');
 const { canManageUsers } = require('../utils/adminRoleHelper');
+const { getExportFormat, exportFilename, streamRows } = require('../utils/reportExport');
 
 // @desc    Get pending approvals
 // @route   GET /api/admin/approvals
@@ -348,6 +349,22 @@ const deleteAdminSkill = asyncHandler(async (req, res, next) => {
   });
 });
 
+const TRANSACTION_EXPORT_COLUMNS = [
+  { key: 'transactionId', header: 'Transaction ID' },
+  { key: 'type', header: 'Type' },
+  { key: 'status', header: 'Status' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'platformFee', header: 'Platform Fee' },
+  { key: 'paymentMethod', header: 'Payment Method' },
+  { key: 'client.email', header: 'Client' },
+  { key: 'vendor.email', header: 'Vendor' },
+  { key: 'relatedOrder.orderNumber', header: 'Order' },
+  { key: 'relatedService.title', header: 'Service' },
+  { key: 'processedAt', header: 'Processed At' },
+  { key: 'createdAt', header: 'Created At' }
+];
+
 // @desc    Get all transactions
 // @route   GET /api/admin/transactions
 // @access  Private (Admin only)
@@ -388,6 +405,23 @@ const getAllTransactions = asyncHandler(async (req, res, next) => {
     if (maxAmount) query.amount.$lte = parseFloat(maxAmount);
   }
 
+  const format = getExportFormat(req);
+  if (format) {
+    return streamRows(res, {
+      format,
+      filename: exportFilename('transactions', format),
+      source: Transaction.find(query)
+        .populate('client', 'firstName lastName email')
+        .populate('vendor', 'firstName lastName email')
+        .populate('relatedOrder', 'orderNumber')
+        .populate('relatedService', 'title')
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .lean()
+        .cursor(),
+      ...(format !== 'jsonl') && { columns: TRANSACTION_EXPORT_COLUMNS }
+    });
+  }
+
   // Execute query with pagination
   const transactions = await Transaction.find(query)
     .populate('client', 'firstName lastName email')
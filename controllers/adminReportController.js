@@ -13,6 +13,28 @@ const VendorSkill = require('../models/VendorSkill');
 const AdminSkill = require('../models/AdminSkill');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const ReportTemplate = require('../models/ReportTemplate');
+const ReportSchedule = require('../models/ReportSchedule');
+const { getSettingsSection } = require('../utils/systemSettings');
+const {
+  compileCustomReport,
+  runCustomReport,
+  validateReportDefinition
+} = require('../utils/customReport');
+const { describeCatalog } = require('../utils/reportCatalog');
+const { parseFunnelOptions, buildHiringFunnel } = require('../utils/hiringFunnel');
+const { parseSlaOptions, buildWorkflowSlaReport } = require('../utils/workflowSla');
+const {
+  getExportFormat,
+  exportFilename,
+  streamRows,
+  sendReport
+} = require('../utils/reportExport');
+const {
+  seedDefaultReportTemplates,
+  pickTemplateFields,
+  findAccessibleTemplate
+} = require('../utils/reportTemplates');
 
 // @desc    Get user growth report
 // @route   GET /api/admin/reports/user-growth
@@ -97,15 +119,12 @@ const getUserGrowthReport = asyncHandler(async (req, res, next) => {
   const totalVendors = await User.countDocuments({ userType: 'vendor' });
   const totalClients = await User.countDocuments({ userType: 'client' });
   
-  res.status(200).json({
-    success: true,
-    data: {
-      growth: userGrowth,
-      totals: {
-        users: totalUsers,
-        vendors: totalVendors,
-        clients: totalClients
-      }
+  await sendReport(req, res, 'user-growth', {
+    growth: userGrowth,
+    totals: {
+      users: totalUsers,
+      vendors: totalVendors,
+      clients: totalClients
     }
   });
 });
@@ -151,6 +170,9 @@ const getRevenueReport = asyncHandler(async (req, res, next) => {
     }
   }
   
+  const { platformFeePercentage } = await getSettingsSection('fees');
+  const platformFeeRate = platformFeePercentage / 100;
+
   // Get revenue data
   const revenueData = await Order.aggregate([
     {
@@ -164,7 +186,7 @@ const getRevenueReport = asyncHandler(async (req, res, next) => {
         _id: groupBy,
         totalRevenue: { $sum: '$totalAmount' },
         orderCount: { $sum: 1 },
-        platformFees: { $sum: { $multiply: ['$totalAmount', 0.10] } }, // Assuming 10% platform fee
+        platformFees: { $sum: { $multiply: ['$totalAmount', platformFeeRate] } },
         date: { $first: '$createdAt' }
       }
     },
@@ -229,17 +251,14 @@ const getRevenueReport = asyncHandler(async (req, res, next) => {
   
   const totalOrders = await Order.countDocuments({ status: 'completed' });
   
-  res.status(200).json({
-    success: true,
-    data: {
-      timeline: revenueData,
-      byCategory: revenueByCategory,
-      totals: {
-        revenue: totalRevenue[0]?.total || 0,
-        orders: totalOrders,
-        platformFees: (totalRevenue[0]?.total || 0) * 0.10, // Assuming 10% platform fee
-        vendorEarnings: (totalRevenue[0]?.total || 0) * 0.90 // Assuming 90% to vendors
-      }
+  await sendReport(req, res, 'revenue', {
+    timeline: revenueData,
+    byCategory: revenueByCategory,
+    totals: {
+      revenue: totalRevenue[0]?.total || 0,
+      orders: totalOrders,
+      platformFees: (totalRevenue[0]?.total || 0) * platformFeeRate,
+      vendorEarnings: (totalRevenue[0]?.total || 0) * (1 - platformFeeRate)
     }
   });
 });
@@ -363,13 +382,10 @@ const getServicePerformanceReport = asyncHandler(async (req, res, next) => {
     { $sort: { date: 1 } }
   ]);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      topServices,
-      categoryDistribution,
-      serviceGrowth
-    }
+  await sendReport(req, res, 'service-performance', {
+    topServices,
+    categoryDistribution,
+    serviceGrowth
   });
 });
 
@@ -475,12 +491,9 @@ const getVendorPerformanceReport = asyncHandler(async (req, res, next) => {
     { $sort: { date: 1 } }
   ]);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      topVendors,
-      vendorGrowth
-    }
+  await sendReport(req, res, 'vendor-performance', {
+    topVendors,
+    vendorGrowth
   });
 });
 
@@ -606,19 +619,16 @@ const getClientActivityReport = asyncHandler(async (req, res, next) => {
   const totalClients = clientRetention.length;
   const retentionRate = totalClients > 0 ? (repeatClients / totalClients * 100).toFixed(1) : 0;
   
-  res.status(200).json({
-    success: true,
-    data: {
-      topClients,
-      clientGrowth,
-      retention: {
-        totalClients,
-        repeatClients,
-        retentionRate: parseFloat(retentionRate),
-        averageOrdersPerClient: totalClients > 0 
-          ? clientRetention.reduce((sum, client) => sum + client.orderCount, 0) / totalClients 
-          : 0
-      }
+  await sendReport(req, res, 'client-activity', {
+    topClients,
+    clientGrowth,
+    retention: {
+      totalClients,
+      repeatClients,
+      retentionRate: parseFloat(retentionRate),
+      averageOrdersPerClient: totalClients > 0 
+        ? clientRetention.reduce((sum, client) => sum + client.orderCount, 0) / totalClients 
+        : 0
     }
   });
 });
@@ -723,16 +733,13 @@ const getUserRegistrationReport = asyncHandler(async (req, res, next) => {
     }
   ]);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      timeline,
-      approvalStats: approvalStats.reduce((acc, stat) => {
-        acc[stat._id || 'pending'] = stat.count;
-        return acc;
-      }, {}),
-      totals: totals[0] || { users: 0, vendors: 0, clients: 0 }
-    }
+  await sendReport(req, res, 'user-registration', {
+    timeline,
+    approvalStats: approvalStats.reduce((acc, stat) => {
+      acc[stat._id || 'pending'] = stat.count;
+      return acc;
+    }, {}),
+    totals: totals[0] || { users: 0, vendors: 0, clients: 0 }
   });
 });
 
@@ -814,16 +821,13 @@ const getResourcesReport = asyncHandler(async (req, res, next) => {
     { $count: 'total' }
   ]);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      byVendor,
-      bySkill,
-      totalResources,
-      activeVendors,
-      uniqueSkills: uniqueSkills[0]?.total || 0,
-      monthlyGrowth: 15 // Placeholder - calculate actual growth
-    }
+  await sendReport(req, res, 'resources', {
+    byVendor,
+    bySkill,
+    totalResources,
+    activeVendors,
+    uniqueSkills: uniqueSkills[0]?.total || 0,
+    monthlyGrowth: 15 // Placeholder - calculate actual growth
   });
 });
 
@@ -891,16 +895,13 @@ const getRequirementsReport = asyncHandler(async (req, res, next) => {
   const openRequirements = await Requirement.countDocuments({ status: 'open' });
   const completedRequirements = await Requirement.countDocuments({ status: 'completed' });
   
-  res.status(200).json({
-    success: true,
-    data: {
-      byClient,
-      byStatus,
-      totalRequirements,
-      activeClients,
-      openRequirements,
-      completedRequirements
-    }
+  await sendReport(req, res, 'requirements', {
+    byClient,
+    byStatus,
+    totalRequirements,
+    activeClients,
+    openRequirements,
+    completedRequirements
   });
 });
 
@@ -991,19 +992,35 @@ const getApplicationsReport = asyncHandler(async (req, res, next) => {
   const approvedApplications = await Application.countDocuments({ status: 'approved' });
   const rejectedApplications = await Application.countDocuments({ status: 'rejected' });
   
-  res.status(200).json({
-    success: true,
-    data: {
-      byStatus,
-      timeline,
-      totalApplications,
-      pendingApplications,
-      approvedApplications,
-      rejectedApplications
-    }
+  await sendReport(req, res, 'applications', {
+    byStatus,
+    timeline,
+    totalApplications,
+    pendingApplications,
+    approvedApplications,
+    rejectedApplications
   });
 });
 
+// @desc    Get hiring funnel report (stage conversion, time in stage, rejection reasons)
+// @route   GET /api/admin/reports/hiring-funnel-reporting
+// @access  Private (Admin only)
+const getHiringFunnelReport = asyncHandler(async (req, res, next) => {
+  const options = parseFunnelOptions(req.query);
+  const funnel = await buildHiringFunnel(options);
+
+  await sendReport(req, res, 'hiring-funnel', funnel);
+});
+
+// @desc    Get workflow SLA report (escalations and breaches per workflow configuration)
+// @route   GET /api/admin/reports/workflow-sla-reporting
+// @access  Private (Admin only)
+const getWorkflowSlaReport = asyncHandler(async (req, res, next) => {
+  const report = await buildWorkflowSlaReport(parseSlaOptions(req.query));
+
+  await sendReport(req, res, 'workflow-sla', report);
+});
+
 // @desc    Get skills analytics report
 // @route   GET /api/admin/reports/skills
 // @access  Private (Admin only)
@@ -1058,16 +1075,13 @@ const getSkillsReport = asyncHandler(async (req, res, next) => {
   const skillsWithResources = topSkillsForResources.length;
   const skillShortages = Math.max(0, highDemandSkills - skillsWithResources);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      topSkillsForResources,
-      topSkillsForRequirements,
-      totalSkills,
-      highDemandSkills,
-      skillsWithResources,
-      skillShortages
-    }
+  await sendReport(req, res, 'skills', {
+    topSkillsForResources,
+    topSkillsForRequirements,
+    totalSkills,
+    highDemandSkills,
+    skillsWithResources,
+    skillShortages
   });
 });
 
@@ -1090,17 +1104,14 @@ const getFinancialReport = asyncHandler(async (req, res, next) => {
     }
   ]);
   
-  res.status(200).json({
-    success: true,
-    data: {
-      sowCount,
-      poCount,
-      invoiceCount,
-      invoiceStats: invoiceStats.reduce((acc, stat) => {
-        acc[stat._id || 'pending'] = stat.count;
-        return acc;
-      }, {})
-    }
+  await sendReport(req, res, 'financial', {
+    sowCount,
+    poCount,
+    invoiceCount,
+    invoiceStats: invoiceStats.reduce((acc, stat) => {
+      acc[stat._id || 'pending'] = stat.count;
+      return acc;
+    }, {})
   });
 });
 
@@ -1271,16 +1282,13 @@ const getMonthlyGrowthReport = asyncHandler(async (req, res, next) => {
     applications: applicationsTimeline.find(item => item.month === month)?.applications || 0
   }));
   
-  res.status(200).json({
-    success: true,
-    data: {
-      timeline: combinedTimeline,
-      overallGrowth: 25, // Placeholder - calculate actual growth
-      userGrowth: 20,
-      resourceGrowth: 30,
-      requirementGrowth: 15,
-      applicationGrowth: 40
-    }
+  await sendReport(req, res, 'monthly-growth', {
+    timeline: combinedTimeline,
+    overallGrowth: 25, // Placeholder - calculate actual growth
+    userGrowth: 20,
+    resourceGrowth: 30,
+    requirementGrowth: 15,
+    applicationGrowth: 40
   });
 });
 
@@ -1288,283 +1296,107 @@ const getMonthlyGrowthReport = asyncHandler(async (req, res, next) => {
 // @route   POST /api/admin/reports/custom-reporting
 // @access  Private (Admin only)
 const createCustomReport = asyncHandler(async (req, res, next) => {
-  const {
-    dataSource, // 'users', 'resources', 'requirements', 'applications', 'skills', 'financial'
-    timeRange, // 'week', 'month', 'quarter', 'year', 'custom'
-    startDate,
-    endDate,
-    filters, // { field: 'status', operator: 'equals', value: 'active' }
-    groupBy, // ['userType', 'status'] - fields to group by
-    aggregations, // [{ field: 'count', type: 'sum' }, { field: 'amount', type: 'average' }]
-    sortBy, // { field: 'createdAt', order: 'desc' }
-    limit,
-    includeFields, // ['name', 'email', 'status'] - fields to include
-    excludeFields // ['password', 'token'] - fields to exclude
-  } = req.body;
+  const { templateId } = req.body;
+  let definition = req.body;
 
-  // Validate data source
-  const validDataSources = ['users', 'resources', 'requirements', 'applications', 'skills', 'financial'];
-  if (!validDataSources.includes(dataSource)) {
-    return next(new ErrorResponse('Invalid data source', 400));
-  }
+  // Run a saved template; the time range may still be overridden per request
+  if (templateId) {
+    const template = await findAccessibleTemplate(templateId, req.user);
 
-  // Build date range
-  let dateRange = {};
-  if (timeRange === 'custom' && startDate && endDate) {
-    dateRange = {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate)
-    };
-  } else {
-    const now = new Date();
-    switch (timeRange) {
-      case 'week':
-        dateRange = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
-        break;
-      case 'month':
-        dateRange = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
-        break;
-      case 'quarter':
-        dateRange = { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) };
-        break;
-      case 'year':
-        dateRange = { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) };
-        break;
-      default:
-        dateRange = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+    if (!template) {
+      return next(new ErrorResponse(`Report template ${templateId} not found`, 404));
     }
-  }
 
-  // Build match stage
-  const matchStage = { createdAt: dateRange };
-  
-  // Apply custom filters
-  if (filters && Array.isArray(filters)) {
-    filters.forEach(filter => {
-      const { field, operator, value } = filter;
-      switch (operator) {
-        case 'equals':
-          matchStage[field] = value;
-          break;
-        case 'not_equals':
-          matchStage[field] = { $ne: value };
-          break;
-        case 'contains':
-          matchStage[field] = { $regex: value, $options: 'i' };
-          break;
-        case 'greater_than':
-          matchStage[field] = { $gt: value };
-          break;
-        case 'less_than':
-          matchStage[field] = { $lt: value };
-          break;
-        case 'in':
-          matchStage[field] = { $in: Array.isArray(value) ? value : [value] };
-          break;
-        case 'not_in':
-          matchStage[field] = { $nin: Array.isArray(value) ? value : [value] };
-          break;
+    definition = template.toDefinition();
+    ['timeRange', 'startDate', 'endDate'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        definition[key] = req.body[key];
       }
     });
   }
 
-  // Build aggregation pipeline
-  const pipeline = [{ $match: matchStage }];
+  // Exports stream straight from the aggregation cursor instead of loading every row
+  const format = getExportFormat(req);
+  if (format) {
+    const { Model, pipeline, columns } = compileCustomReport(definition);
 
-  // Build group stage if grouping is specified
-  if (groupBy && Array.isArray(groupBy) && groupBy.length > 0) {
-    const groupId = {};
-    groupBy.forEach(field => {
-      groupId[field] = `$${field}`;
+    return streamRows(res, {
+      format,
+      filename: exportFilename('custom-report', format),
+      source: Model.aggregate(pipeline).cursor(),
+      columns
     });
+  }
 
-    const groupStage = { _id: groupId };
-    
-    // Add aggregations
-    if (aggregations && Array.isArray(aggregations)) {
-      aggregations.forEach(agg => {
-        switch (agg.type) {
-          case 'count':
-            groupStage[agg.field || 'count'] = { $sum: 1 };
-            break;
-          case 'sum':
-            groupStage[agg.field] = { $sum: `$${agg.sourceField}` };
-            break;
-          case 'average':
-            groupStage[agg.field] = { $avg: `$${agg.sourceField}` };
-            break;
-          case 'min':
-            groupStage[agg.field] = { $min: `$${agg.sourceField}` };
-            break;
-          case 'max':
-            groupStage[agg.field] = { $max: `$${agg.sourceField}` };
-            break;
-        }
-      });
-    } else {
-      // Default count if no aggregations specified
-      groupStage.count = { $sum: 1 };
+  const { report, metadata } = await runCustomReport(definition);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      report,
+      metadata: templateId ? { ...metadata, templateId } : metadata
     }
+  });
+});
 
-    pipeline.push({ $group: groupStage });
-  }
+// @desc    Get fields, operators and aggregations available to custom reports
+// @route   GET /api/admin/reports/custom-reporting/catalog
+// @access  Private (Admin only)
+const getCustomReportCatalog = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: describeCatalog()
+  });
+});
 
-  // Build project stage for field selection
-  if (includeFields || excludeFields) {
-    const projectStage = {};
-    
-    if (includeFields && Array.isArray(includeFields)) {
-      includeFields.forEach(field => {
-        projectStage[field] = 1;
-      });
-    }
-    
-    if (excludeFields && Array.isArray(excludeFields)) {
-      excludeFields.forEach(field => {
-        projectStage[field] = 0;
-      });
-    }
-    
-    if (Object.keys(projectStage).length > 0) {
-      pipeline.push({ $project: projectStage });
-    }
-  }
+// @desc    Get available report templates
+// @route   GET /api/admin/reports/templates-reporting
+// @access  Private (Admin only)
+const getReportTemplates = asyncHandler(async (req, res, next) => {
+  await seedDefaultReportTemplates();
 
-  // Add sort stage
-  if (sortBy && sortBy.field) {
-    const sortOrder = sortBy.order === 'asc' ? 1 : -1;
-    pipeline.push({ $sort: { [sortBy.field]: sortOrder } });
-  }
+  const query = {
+    $or: [
+      { isPublic: true },
+      { createdBy: req.user.id }
+    ]
+  };
 
-  // Add limit stage
-  if (limit && limit > 0) {
-    pipeline.push({ $limit: limit });
+  if (req.query.dataSource) {
+    query.dataSource = req.query.dataSource;
   }
 
-  // Execute query based on data source
-  let result;
-  let totalCount;
-  
-  switch (dataSource) {
-    case 'users':
-      result = await User.aggregate(pipeline);
-      totalCount = await User.countDocuments(matchStage);
-      break;
-    case 'resources':
-      result = await Resource.aggregate(pipeline);
-      totalCount = await Resource.countDocuments(matchStage);
-      break;
-    case 'requirements':
-      result = await Requirement.aggregate(pipeline);
-      totalCount = await Requirement.countDocuments(matchStage);
-      break;
-    case 'applications':
-      result = await Application.aggregate(pipeline);
-      totalCount = await Application.countDocuments(matchStage);
-      break;
-    case 'skills':
-      result = await AdminSkill.aggregate(pipeline);
-      totalCount = await AdminSkill.countDocuments(matchStage);
-      break;
-    case 'financial':
-      // For financial, we might need to join multiple collections
-      result = await Invoice.aggregate(pipeline);
-      totalCount = await Invoice.countDocuments(matchStage);
-      break;
+  if (req.query.scope === 'mine') {
+    delete query.$or;
+    query.createdBy = req.user.id;
+  } else if (req.query.scope === 'shared') {
+    delete query.$or;
+    query.isPublic = true;
   }
 
+  const templates = await ReportTemplate.find(query)
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ systemKey: -1, name: 1 });
+
   res.status(200).json({
     success: true,
-    data: {
-      report: result,
-      metadata: {
-        dataSource,
-        timeRange,
-        totalCount,
-        filteredCount: result.length,
-        filters: filters || [],
-        groupBy: groupBy || [],
-        aggregations: aggregations || [],
-        sortBy: sortBy || null,
-        limit: limit || null
-      }
-    }
+    data: templates
   });
 });
 
-// @desc    Get available report templates
-// @route   GET /api/admin/reports/templates-reporting
+// @desc    Get report template
+// @route   GET /api/admin/reports/templates-reporting/:id
 // @access  Private (Admin only)
-const getReportTemplates = asyncHandler(async (req, res, next) => {
-  const templates = [
-    {
-      id: 'user-growth-by-type',
-      name: 'User Growth by Type',
-      description: 'Track user registration growth by user type over time',
-      dataSource: 'users',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['userType'],
-      defaultAggregations: [{ field: 'count', type: 'count' }],
-      defaultSortBy: { field: 'createdAt', order: 'desc' }
-    },
-    {
-      id: 'resource-availability',
-      name: 'Resource Availability Analysis',
-      description: 'Analyze resource availability and status distribution',
-      dataSource: 'resources',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['status', 'availability.status'],
-      defaultAggregations: [{ field: 'count', type: 'count' }],
-      defaultSortBy: { field: 'count', order: 'desc' }
-    },
-    {
-      id: 'requirement-status-trends',
-      name: 'Requirement Status Trends',
-      description: 'Monitor requirement status changes over time',
-      dataSource: 'requirements',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['status', 'priority'],
-      defaultAggregations: [{ field: 'count', type: 'count' }],
-      defaultSortBy: { field: 'createdAt', order: 'desc' }
-    },
-    {
-      id: 'application-conversion-rates',
-      name: 'Application Conversion Rates',
-      description: 'Track application status progression and conversion rates',
-      dataSource: 'applications',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['status'],
-      defaultAggregations: [{ field: 'count', type: 'count' }],
-      defaultSortBy: { field: 'count', order: 'desc' }
-    },
-    {
-      id: 'skill-demand-analysis',
-      name: 'Skill Demand Analysis',
-      description: 'Analyze most requested skills and their demand',
-      dataSource: 'requirements',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['skills'],
-      defaultAggregations: [{ field: 'count', type: 'count' }],
-      defaultSortBy: { field: 'count', order: 'desc' }
-    },
-    {
-      id: 'financial-summary',
-      name: 'Financial Summary Report',
-      description: 'Comprehensive financial overview with revenue and payment tracking',
-      dataSource: 'financial',
-      defaultTimeRange: 'month',
-      defaultGroupBy: ['paymentStatus'],
-      defaultAggregations: [
-        { field: 'count', type: 'count' },
-        { field: 'totalAmount', type: 'sum', sourceField: 'invoiceAmount.amount' }
-      ],
-      defaultSortBy: { field: 'totalAmount', order: 'desc' }
-    }
-  ];
+const getReportTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAccessibleTemplate(req.params.id, req.user);
+
+  if (!template) {
+    return next(new ErrorResponse(`Report template ${req.params.id} not found`, 404));
+  }
 
   res.status(200).json({
     success: true,
-    data: templates
+    data: template
   });
 });
 
@@ -1572,42 +1404,71 @@ const getReportTemplates = asyncHandler(async (req, res, next) => {
 // @route   POST /api/admin/reports/save-template-reporting
 // @access  Private (Admin only)
 const saveReportTemplate = asyncHandler(async (req, res, next) => {
-  const {
-    name,
-    description,
-    dataSource,
-    timeRange,
-    filters,
-    groupBy,
-    aggregations,
-    sortBy,
-    limit,
-    includeFields,
-    excludeFields,
-    isPublic = false
-  } = req.body;
+  const template = new ReportTemplate({
+    ...pickTemplateFields(req.body),
+    createdBy: req.user.id
+  });
+
+  validateReportDefinition(template.toDefinition());
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Update report template
+// @route   PUT /api/admin/reports/templates-reporting/:id
+// @access  Private (Template owner only)
+const updateReportTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAccessibleTemplate(req.params.id, req.user);
+
+  if (!template) {
+    return next(new ErrorResponse(`Report template ${req.params.id} not found`, 404));
+  }
+
+  if (!template.isOwnedBy(req.user)) {
+    return next(new ErrorResponse('Only the owner of a report template can change it', 403));
+  }
+
+  template.set(pickTemplateFields(req.body));
+  template.updatedBy = req.user.id;
+
+  validateReportDefinition(template.toDefinition());
+  await template.save();
 
-  // Here you would save to a ReportTemplate model
-  // For now, we'll return success
   res.status(200).json({
     success: true,
-    data: {
-      id: Date.now().toString(),
-      name,
-      description,
-      dataSource,
-      timeRange,
-      filters,
-      groupBy,
-      aggregations,
-      sortBy,
-      limit,
-      includeFields,
-      excludeFields,
-      isPublic,
-      createdBy: req.user.id,
-      createdAt: new Date()
-    }
+    data: template
+  });
+});
+
+// @desc    Delete report template
+// @route   DELETE /api/admin/reports/templates-reporting/:id
+// @access  Private (Template owner only)
+const deleteReportTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAccessibleTemplate(req.params.id, req.user);
+
+  if (!template) {
+    return next(new ErrorResponse(`Report template ${req.params.id} not found`, 404));
+  }
+
+  if (!template.isOwnedBy(req.user)) {
+    return next(new ErrorResponse('Only the owner of a report template can delete it', 403));
+  }
+
+  const scheduleCount = await ReportSchedule.countDocuments({ template: template._id });
+
+  if (scheduleCount > 0) {
+    return next(new ErrorResponse(`Report template is used by ${scheduleCount} schedule(s); delete them first`, 400));
+  }
+
+  await template.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
   });
 });
 
@@ -1621,10 +1482,16 @@ module.exports = {
   getResourcesReport,
   getRequirementsReport,
   getApplicationsReport,
+  getHiringFunnelReport,
+  getWorkflowSlaReport,
   getSkillsReport,
   getFinancialReport,
   getMonthlyGrowthReport,
   createCustomReport,
+  getCustomReportCatalog,
   getReportTemplates,
-  saveReportTemplate
+  getReportTemplate,
+  saveReportTemplate,
+  updateReportTemplate,
+  deleteReportTemplate
 };
\ No newline at end of file
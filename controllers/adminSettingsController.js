@@ -2,98 +2,162 @@ const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const fs = require('fs');
 const path = require('path');
+const SystemSettings = require('../models/SystemSettings');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailMessage = require('../models/EmailMessage');
+const { resendEmail } = require('../utils/emailQueue');
+const { scheduleMatchIndexRebuild } = require('../utils/matchIndex');
+const { canManageSystemSettings } = require('../utils/adminRoleHelper');
+const {
+  seedDefaultTemplates,
+  getEmailTemplate: getTemplateByKey,
+  validateTemplateContent,
+  renderEmailTemplate,
+  toVersionEntry
+} = require('../utils/emailTemplates');
+const { systemSettingsUpdateSchema } = require('../validation/settingsValidation');
+const {
+  getSettings,
+  getCurrentVersion,
+  updateSettings,
+  rollbackSettings
+} = require('../utils/systemSettings');
 
 // @desc    Get system settings
 // @route   GET /api/admin/settings
 // @access  Private (Admin only)
 const getSystemSettings = asyncHandler(async (req, res, next) => {
-  // In a real implementation, these would be stored in a database
-  // For this example, we'll return some default settings
-  const settings = {
-    general: {
-      siteName: 'Service Marketplace',
-      siteDescription: 'Find and book services from trusted professionals',
-      contactEmail: 'support@servicemarketplace.com',
-      supportPhone: '+1-800-123-4567'
-    },
-    fees: {
-      platformFeePercentage: 10,
-      transactionFeeFixed: 0.30,
-      minimumPayout: 50
-    },
-    approvals: {
-      requireVendorApproval: true,
-      requireServiceApproval: true,
-      autoApproveClients: true
-    },
-    email: {
-      sendWelcomeEmail: true,
-      sendOrderConfirmations: true,
-      sendReviewNotifications: true
-    },
-    security: {
-      passwordExpiryDays: 90,
-      maxLoginAttempts: 5,
-      requireEmailVerification: true,
-      requirePhoneVerification: false
-    }
-  };
+  const [settings, current] = await Promise.all([
+    getSettings(),
+    getCurrentVersion()
+  ]);
 
   res.status(200).json({
     success: true,
-    data: settings
+    data: settings,
+    version: current ? current.version : 0,
+    updatedAt: current ? current.createdAt : null
   });
 });
 
 // @desc    Update system settings
 // @route   PUT /api/admin/settings
-// @access  Private (Admin only)
+// @access  Private (Admin Owner only)
 const updateSystemSettings = asyncHandler(async (req, res, next) => {
-  // In a real implementation, these would be stored in a database
-  // For this example, we'll just return the updated settings
-  
-  const updatedSettings = req.body;
-  
-  // Validate settings (basic validation)
-  if (updatedSettings.fees) {
-    if (updatedSettings.fees.platformFeePercentage < 0 || updatedSettings.fees.platformFeePercentage > 100) {
-      return next(new ErrorResponse('Platform fee percentage must be between 0 and 100', 400));
-    }
+  if (!canManageSystemSettings(req.user)) {
+    return next(new ErrorResponse('Only admin owners can change system settings', 403));
+  }
+
+  const { error, value } = systemSettingsUpdateSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return next(new ErrorResponse(error.details.map(detail => detail.message).join(', '), 400));
+  }
+
+  const { changeNote, ...changes } = value;
+  const version = await updateSettings(changes, req.user.id, changeNote);
+
+  // Stored match scores depend on the weights and minimum score
+  if (version.changedSections.includes('matching')) {
+    scheduleMatchIndexRebuild();
   }
 
   res.status(200).json({
     success: true,
-    data: updatedSettings,
+    data: version.settings,
+    version: version.version,
+    changedSections: version.changedSections,
     message: 'Settings updated successfully'
   });
 });
 
+// @desc    Get system settings version history
+// @route   GET /api/admin/settings/history
+// @access  Private (Admin only)
+const getSettingsHistory = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const [versions, total] = await Promise.all([
+    SystemSettings.find()
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('changedBy', 'firstName lastName email'),
+    SystemSettings.countDocuments()
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get a single system settings version
+// @route   GET /api/admin/settings/history/:version
+// @access  Private (Admin only)
+const getSettingsVersion = asyncHandler(async (req, res, next) => {
+  const version = await SystemSettings.findOne({ version: parseInt(req.params.version) })
+    .populate('changedBy', 'firstName lastName email');
+
+  if (!version) {
+    return next(new ErrorResponse(`Settings version ${req.params.version} not found`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: version
+  });
+});
+
+// @desc    Roll system settings back to an earlier version
+// @route   POST /api/admin/settings/rollback/:version
+// @access  Private (Admin Owner only)
+const rollbackSystemSettings = asyncHandler(async (req, res, next) => {
+  if (!canManageSystemSettings(req.user)) {
+    return next(new ErrorResponse('Only admin owners can change system settings', 403));
+  }
+
+  const targetVersion = parseInt(req.params.version);
+
+  if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+    return next(new ErrorResponse('Version must be a positive integer', 400));
+  }
+
+  const version = await rollbackSettings(targetVersion, req.user.id, req.body.changeNote);
+
+  if (!version) {
+    return next(new ErrorResponse(`Settings version ${targetVersion} not found`, 404));
+  }
+
+  if (version.changedSections.includes('matching')) {
+    scheduleMatchIndexRebuild();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: version.settings,
+    version: version.version,
+    changedSections: version.changedSections,
+    message: `Settings rolled back to version ${targetVersion}`
+  });
+});
+
 // @desc    Get email templates
 // @route   GET /api/admin/settings/email-templates
 // @access  Private (Admin only)
 const getEmailTemplates = asyncHandler(async (req, res, next) => {
-  // In a real implementation, these would be stored in a database
-  // For this example, we'll return some default templates
-  const templates = [
-    {
-      id: 'welcome',
-      name: 'Welcome Email',
-      subject: 'Welcome to Service Marketplace',
-      body: 'Hello {{name}},\n\nWelcome to Service Marketplace! We\'re excited to have you join our community.\n\nBest regards,\nThe Service Marketplace Team'
-    },
-    {
-      id: 'order_confirmation',
-      name: 'Order Confirmation',
-      subject: 'Your Order Confirmation',
-      body: 'Hello {{name}},\n\nYour order #{{orderNumber}} has been confirmed.\n\nOrder Details:\nService: {{serviceName}}\nDate: {{date}}\nAmount: {{amount}}\n\nThank you for your business!\n\nBest regards,\nThe Service Marketplace Team'
-    },
-    {
-      id: 'password_reset',
-      name: 'Password Reset',
-      subject: 'Password Reset Request',
-      body: 'Hello {{name}},\n\nYou recently requested to reset your password. Please click the link below to reset it:\n\n{{resetLink}}\n\nIf you did not request this, please ignore this email.\n\nBest regards,\nThe Service Marketplace Team'
-    }
-  ];
+  await seedDefaultTemplates();
+
+  const templates = await EmailTemplate.find()
+    .select('-versions')
+    .sort({ name: 1 })
+    .populate('updatedBy', 'firstName lastName email');
 
   res.status(200).json({
     success: true,
@@ -101,34 +165,241 @@ const getEmailTemplates = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get single email template with its version history
+// @route   GET /api/admin/settings/email-templates/:id
+// @access  Private (Admin only)
+const getEmailTemplate = asyncHandler(async (req, res, next) => {
+  const template = await getTemplateByKey(req.params.id);
+
+  if (!template) {
+    return next(new ErrorResponse(`Email template ${req.params.id} not found`, 404));
+  }
+
+  await template.populate([
+    { path: 'updatedBy', select: 'firstName lastName email' },
+    { path: 'versions.updatedBy', select: 'firstName lastName email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
 // @desc    Update email template
 // @route   PUT /api/admin/settings/email-templates/:id
 // @access  Private (Admin only)
 const updateEmailTemplate = asyncHandler(async (req, res, next) => {
-  const { subject, body } = req.body;
-  const templateId = req.params.id;
-  
-  // In a real implementation, this would update the template in the database
-  // For this example, we'll just return the updated template
-  
-  if (!subject || !body) {
-    return next(new ErrorResponse('Subject and body are required', 400));
+  const { subject, htmlBody, textBody, requiredVariables, sampleData, name, description, isActive, changeNote } = req.body;
+
+  const template = await getTemplateByKey(req.params.id);
+
+  if (!template) {
+    return next(new ErrorResponse(`Email template ${req.params.id} not found`, 404));
   }
 
-  const updatedTemplate = {
-    id: templateId,
-    name: templateId.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
-    subject,
-    body
+  const content = {
+    subject: subject !== undefined ? subject : template.subject,
+    htmlBody: htmlBody !== undefined ? htmlBody : template.htmlBody,
+    textBody: textBody !== undefined ? textBody : template.textBody,
+    requiredVariables: requiredVariables !== undefined ? requiredVariables : template.requiredVariables
   };
 
+  if (!content.subject || (!content.htmlBody && !content.textBody)) {
+    return next(new ErrorResponse('Subject and an HTML or text body are required', 400));
+  }
+
+  try {
+    validateTemplateContent(content);
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  if (name !== undefined) template.name = name;
+  if (description !== undefined) template.description = description;
+  if (sampleData !== undefined) template.sampleData = sampleData;
+  if (isActive !== undefined) template.isActive = isActive;
+
+  const contentChanged = ['subject', 'htmlBody', 'textBody', 'requiredVariables'].some(field =>
+    JSON.stringify(content[field]) !== JSON.stringify(field === 'requiredVariables' ? [...template[field]] : template[field])
+  );
+
+  if (contentChanged) {
+    Object.assign(template, content);
+    template.version += 1;
+    template.versions.push(toVersionEntry(template, {
+      changeNote,
+      updatedBy: req.user.id
+    }));
+  }
+
+  template.updatedBy = req.user.id;
+  await template.save();
+
   res.status(200).json({
     success: true,
-    data: updatedTemplate,
+    data: template,
     message: 'Email template updated successfully'
   });
 });
 
+// @desc    Restore an earlier version of an email template
+// @route   POST /api/admin/settings/email-templates/:id/restore/:version
+// @access  Private (Admin only)
+const restoreEmailTemplateVersion = asyncHandler(async (req, res, next) => {
+  const template = await getTemplateByKey(req.params.id);
+
+  if (!template) {
+    return next(new ErrorResponse(`Email template ${req.params.id} not found`, 404));
+  }
+
+  const targetVersion = template.versions.find(entry => entry.version === parseInt(req.params.version));
+
+  if (!targetVersion) {
+    return next(new ErrorResponse(`Version ${req.params.version} of email template ${req.params.id} not found`, 404));
+  }
+
+  template.subject = targetVersion.subject;
+  template.htmlBody = targetVersion.htmlBody;
+  template.textBody = targetVersion.textBody;
+  template.requiredVariables = targetVersion.requiredVariables;
+  template.version += 1;
+  template.versions.push(toVersionEntry(template, {
+    changeNote: req.body.changeNote || `Restored version ${targetVersion.version}`,
+    updatedBy: req.user.id
+  }));
+  template.updatedBy = req.user.id;
+
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template,
+    message: `Email template restored to version ${targetVersion.version}`
+  });
+});
+
+// @desc    Preview email template
+// @route   POST /api/admin/settings/email-templates/:id/preview
+// @access  Private (Admin only)
+const previewEmailTemplate = asyncHandler(async (req, res, next) => {
+  const template = await getTemplateByKey(req.params.id);
+
+  if (!template) {
+    return next(new ErrorResponse(`Email template ${req.params.id} not found`, 404));
+  }
+
+  // Allow previewing unsaved edits by overriding the stored content
+  const { subject, htmlBody, textBody, requiredVariables, variables } = req.body;
+  const previewTemplate = {
+    subject: subject !== undefined ? subject : template.subject,
+    htmlBody: htmlBody !== undefined ? htmlBody : template.htmlBody,
+    textBody: textBody !== undefined ? textBody : template.textBody,
+    requiredVariables: requiredVariables !== undefined ? requiredVariables : template.requiredVariables
+  };
+
+  try {
+    const rendered = await renderEmailTemplate(previewTemplate, variables || template.sampleData || {});
+
+    res.status(200).json({
+      success: true,
+      data: rendered
+    });
+  } catch (error) {
+    if (error.name === 'TemplateError') {
+      return next(new ErrorResponse(error.message, 400));
+    }
+    throw error;
+  }
+});
+
+// @desc    Get outbound email queue
+// @route   GET /api/admin/settings/email-outbox
+// @access  Private (Admin only)
+const getEmailOutbox = asyncHandler(async (req, res, next) => {
+  const { status, to, template, page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (status) {
+    query.status = { $in: status.split(',') };
+  }
+  if (to) {
+    query.to = to.toLowerCase();
+  }
+  if (template) {
+    query.template = template;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [messages, total, statusCounts] = await Promise.all([
+    EmailMessage.find(query)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    EmailMessage.countDocuments(query),
+    EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: messages,
+    summary: statusCounts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {}),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+// @desc    Get outbound email
+// @route   GET /api/admin/settings/email-outbox/:id
+// @access  Private (Admin only)
+const getEmailOutboxMessage = asyncHandler(async (req, res, next) => {
+  const message = await EmailMessage.findById(req.params.id);
+
+  if (!message) {
+    return next(new ErrorResponse(`Email ${req.params.id} not found`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: message
+  });
+});
+
+// @desc    Resend a failed outbound email
+// @route   POST /api/admin/settings/email-outbox/:id/resend
+// @access  Private (Admin only)
+const resendEmailOutboxMessage = asyncHandler(async (req, res, next) => {
+  const message = await EmailMessage.findById(req.params.id);
+
+  if (!message) {
+    return next(new ErrorResponse(`Email ${req.params.id} not found`, 404));
+  }
+
+  if (!['failed', 'dead'].includes(message.status)) {
+    return next(new ErrorResponse(`Only failed emails can be resent; this email is ${message.status}`, 400));
+  }
+
+  await resendEmail(message, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: message._id,
+      to: message.to,
+      subject: message.subject,
+      status: message.status,
+      nextAttemptAt: message.nextAttemptAt
+    },
+    message: 'Email queued for delivery'
+  });
+});
+
 // @desc    Get system logs
 // @route   GET /api/admin/settings/logs
 // @access  Private (Admin only)
@@ -180,7 +451,16 @@ const getSystemLogs = asyncHandler(async (req, res, next) => {
 module.exports = {
   getSystemSettings,
   updateSystemSettings,
+  getSettingsHistory,
+  getSettingsVersion,
+  rollbackSystemSettings,
   getEmailTemplates,
+  getEmailTemplate,
   updateEmailTemplate,
+  restoreEmailTemplateVersion,
+  previewEmailTemplate,
+  getEmailOutbox,
+  getEmailOutboxMessage,
+  resendEmailOutboxMessage,
   getSystemLogs
 };
\ No newline at end of file
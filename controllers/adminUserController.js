@@ -7,6 +7,23 @@ const ErrorResponse = require('../utils/errorResponse');
 const { validationResult } = require('express-validator');
 const { createNotification } = require('./notificationController');
 const { canManageUsers } = require('../utils/adminRoleHelper');
+const { getExportFormat, exportFilename, streamRows } = require('../utils/reportExport');
+
+const USER_EXPORT_COLUMNS = [
+  { key: '_id', header: 'ID' },
+  { key: 'email', header: 'Email' },
+  { key: 'firstName', header: 'First Name' },
+  { key: 'lastName', header: 'Last Name' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'userType', header: 'User Type' },
+  { key: 'organizationRole', header: 'Organization Role' },
+  { key: 'companyName', header: 'Company' },
+  { key: 'approvalStatus', header: 'Approval Status' },
+  { key: 'isActive', header: 'Active' },
+  { key: 'isEmailVerified', header: 'Email Verified' },
+  { key: 'isRegistrationComplete', header: 'Registration Complete' },
+  { key: 'createdAt', header: 'Created At' }
+];
 
 // @desc    Get all users (with filtering)
 // @route   GET /api/admin/users/all
@@ -52,6 +69,20 @@ const getAllUsers = asyncHandler(async (req, res, next) => {
     ];
   }
 
+  const format = getExportFormat(req);
+  if (format) {
+    return streamRows(res, {
+      format,
+      filename: exportFilename('users', format),
+      source: User.find(query)
+        .select(USER_EXPORT_COLUMNS.map(column => column.key).join(' '))
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .lean()
+        .cursor(),
+      columns: USER_EXPORT_COLUMNS
+    });
+  }
+
   // Execute query with pagination
   const users = await User.find(query)
     .select('-password -emailVerificationToken -phoneVerificationCode -passwordResetToken')
@@ -1,9 +1,9 @@
+const mongoose = require('mongoose');
 const Application = require('../models/Application');
 const Requirement = require('../models/Requirement');
 const Resource = require('../models/Resource');
 const ApplicationHistory = require('../models/ApplicationHistory');
-const WorkflowConfiguration = require('../models/WorkflowConfiguration');
-const WorkflowInstance = require('../models/WorkflowInstance');
+const Interview = require('../models/Interview');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
@@ -15,6 +15,18 @@ const {
   getInactiveStatuses,
   getStatusCategory 
 } = require('../utils/applicationStatusMapping');
+const {
+  getApplicationRole,
+  findTransition,
+  getMissingFields,
+  getAllowedTransitions,
+  runTransitionEffects
+} = require('../utils/applicationTransitions');
+const { screenApplication, recordDuplicates } = require('../utils/duplicateDetection');
+const { startWorkflow, syncWorkflowWithStatus } = require('../utils/workflowEngine');
+
+// Largest batch the bulk status endpoint accepts
+const MAX_BULK_APPLICATIONS = 200;
 
 // @desc    Get all applications
 // @route   GET /api/applications
@@ -306,11 +318,34 @@ const getApplicationHistory = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Application not found', 404));
   }
 
+  const [requirement, resource] = await Promise.all([
+    Requirement.findById(application.populated('requirement') || application.requirement).select('createdBy'),
+    Resource.findById(application.populated('resource') || application.resource).select('createdBy')
+  ]);
+
+  if (!requirement || !resource) {
+    return next(new ErrorResponse('Associated requirement or resource not found', 404));
+  }
+
+  const applicationOwner = { createdBy: application.populated('createdBy') || application.createdBy };
+  const role = getApplicationRole(req.user, { application: applicationOwner, requirement, resource });
+
+  if (!role) {
+    return next(new ErrorResponse('Not authorized to view the history of this application', 403));
+  }
+
   const history = await ApplicationHistory.find({ application: req.params.id })
     .populate('createdBy', 'firstName lastName email')
     .populate('updatedBy', 'firstName lastName email')
     .sort({ createdAt: -1 });
 
+  // Interview rounds with their feedback; vendors only see the schedule
+  const interviews = await Interview.find({ application: req.params.id })
+    .select(role === 'vendor' ? '-feedback' : '')
+    .populate('panel', 'firstName lastName email')
+    .populate('feedback.panelist', 'firstName lastName email')
+    .sort({ round: 1, createdAt: 1 });
+
   // Add application details to the response
   const responseData = {
     application: {
@@ -321,7 +356,8 @@ const getApplicationHistory = asyncHandler(async (req, res, next) => {
       createdBy: application.createdBy,
       createdAt: application.createdAt
     },
-    history: history
+    history: history,
+    interviews
   };
 
   res.status(200).json(
@@ -357,6 +393,12 @@ const createApplication = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Application already exists for this resource and requirement', 400));
   }
 
+  // Check whether the same person was already submitted under another resource
+  const screening = await screenApplication(resource, requirement);
+  if (screening.blocked) {
+    return next(new ErrorResponse('This candidate appears to have already been submitted for this requirement under another resource', 409));
+  }
+
   // Create application with user ID from token
   const applicationData = {
     requirement: requirementId,
@@ -377,8 +419,24 @@ const createApplication = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('User must belong to an organization to create applications', 400));
   }
 
+  if (screening.flagged) {
+    applicationData.duplicateCheck = {
+      flagged: true,
+      score: screening.score,
+      duplicates: screening.duplicates
+    };
+  }
+
   const application = await Application.create(applicationData);
 
+  if (screening.flagged) {
+    try {
+      await recordDuplicates(resource, screening.matches, application._id);
+    } catch (duplicateError) {
+      console.error('Error recording duplicate candidates for application:', duplicateError);
+    }
+  }
+
   // Populate related fields for response
   const populatedApplication = await Application.findById(application._id)
     .populate('requirement', 'title status priority')
@@ -417,168 +475,113 @@ const createApplication = asyncHandler(async (req, res, next) => {
 
   // Start workflow if configured
   try {
-    await startWorkflowForApplication(application._id, req.user.userType);
+    await startWorkflow(application._id, {
+      applicationType: req.user.userType === 'client' ? 'client_applied' : 'vendor_applied',
+      actorId: req.user.id
+    });
   } catch (workflowError) {
     console.error('Error starting workflow for application:', workflowError);
     // Don't fail the application creation if workflow fails
   }
 
   res.status(201).json(
-    ApiResponse.success(populatedApplication, 'Application created successfully')
+    ApiResponse.success(
+      populatedApplication,
+      screening.flagged
+        ? 'Application created successfully and flagged for duplicate review'
+        : 'Application created successfully'
+    )
   );
 });
 
-// Helper function to start workflow for application
-const startWorkflowForApplication = async (applicationId, userType) => {
-  // Determine application type based on user type
-  const applicationType = userType === 'client' ? 'client_applied' : 'vendor_applied';
-  
-  // Find default workflow for this application type
-  const defaultWorkflow = await WorkflowConfiguration.findOne({
-    applicationTypes: { $in: [applicationType, 'both'] },
-    isActive: true,
-    isDefault: true
-  });
-
-  if (!defaultWorkflow) {
-    console.log(`No default workflow found for application type: ${applicationType}`);
-    return;
-  }
-
-  // Create workflow instance
-  const workflowInstance = await WorkflowInstance.create({
-    applicationId: applicationId,
-    workflowConfigurationId: defaultWorkflow._id,
-    currentStep: 1,
-    status: 'active',
-    steps: defaultWorkflow.steps.map(step => ({
-      stepId: step._id || `step_${step.order}`,
-      stepName: step.name,
-      order: step.order,
-      role: step.role,
-      action: step.action,
-      status: 'pending',
-      required: step.required,
-      autoAdvance: step.autoAdvance
-    }))
-  });
-
-  // Update application with workflow info
-  await Application.findByIdAndUpdate(applicationId, {
-    workflowInstanceId: workflowInstance._id,
-    workflowStatus: 'in_progress',
-    currentWorkflowStep: 1
-  });
-
-  console.log(`Workflow started for application ${applicationId}: ${defaultWorkflow.name}`);
-};
-
-// @desc    Update application status
-// @route   PUT /api/applications/:id/status
-// @access  Private
-const updateApplicationStatus = asyncHandler(async (req, res, next) => {
-  console.log('🔧 ApplicationController: updateApplicationStatus called with:', {
-    applicationId: req.params.id,
-    body: req.body,
-    user: { id: req.user.id, userType: req.user.userType, organizationRole: req.user.organizationRole }
-  });
-  const { 
-    status, 
-    notes, 
-    decisionReason, 
-    notifyCandidate, 
-    notifyClient, 
-    followUpRequired, 
-    followUpDate, 
-    followUpNotes 
-  } = req.body;
-
+// Check a requested status against the list of application statuses
+const validateRequestedStatus = (status) => {
   if (!status) {
-    return next(new ErrorResponse('Status is required', 400));
+    throw new ErrorResponse('Status is required', 400);
   }
 
   // Validate that the status is a valid application status
   const validStatuses = [...getActiveStatuses(), ...getInactiveStatuses()];
   if (!validStatuses.includes(status)) {
-    return next(new ErrorResponse(`Invalid status. Valid statuses are: ${validStatuses.join(', ')}`, 400));
+    throw new ErrorResponse(`Invalid status. Valid statuses are: ${validStatuses.join(', ')}`, 400);
   }
+};
+
+// Run the permission and transition checks for a status change without changing anything.
+// Throws an ErrorResponse when the change is not allowed.
+const planStatusChange = async (applicationId, body, user) => {
+  const { status } = body;
 
-  let application = await Application.findById(req.params.id).select('+organizationId');
+  const application = await Application.findById(applicationId).select('+organizationId');
 
   if (!application) {
-    return next(new ErrorResponse('Application not found', 404));
+    throw new ErrorResponse('Application not found', 404);
   }
 
   // Check authorization based on user role and current status
   const requirement = await Requirement.findById(application.requirement);
   const resource = await Resource.findById(application.resource);
-  
+
   if (!requirement) {
-    return next(new ErrorResponse('Associated requirement not found', 404));
+    throw new ErrorResponse('Associated requirement not found', 404);
   }
 
   if (!resource) {
-    return next(new ErrorResponse('Associated resource not found', 404));
+    throw new ErrorResponse('Associated resource not found', 404);
   }
 
-  const isRequirementOwner = requirement.createdBy.toString() === req.user.id;
-  const isResourceOwner = resource.createdBy.toString() === req.user.id;
-  const isAdmin = req.user.userType === 'admin' || req.user.organizationRole?.includes('admin');
-  const isClient = req.user.userType === 'client' || req.user.organizationRole?.includes('client');
-  const isVendor = req.user.userType === 'vendor' || req.user.organizationRole?.includes('vendor');
-
-  // Check if user has permission to update status based on current status and role
-  let hasPermission = false;
+  // Look the change up in the transition table
   const currentStatus = application.status;
+  const role = getApplicationRole(user, { application, requirement, resource });
+  const transition = findTransition(currentStatus, status, role);
 
-  // Admin can update any status
-  if (isAdmin) {
-    hasPermission = true;
-  }
-  // Client can update status in their process flow
-  else if (isClient && isRequirementOwner) {
-    // When status is 'applied', client can only reject (admin must shortlist first)
-    if (currentStatus === 'applied') {
-      hasPermission = status === 'rejected';
-    } else if (currentStatus === 'offer_created') {
-      // When offer is created, client can only remove offer (withdraw)
-      hasPermission = status === 'withdrawn';
-    } else {
-      // For other statuses, client can update to these statuses
-      const clientAllowedStatuses = ['shortlisted', 'interview', 'accepted', 'offer_created', 'rejected'];
-      hasPermission = clientAllowedStatuses.includes(status);
-    }
+  if (!transition) {
+    throw new ErrorResponse(`Not authorized to change this application from ${currentStatus} to ${status}. Check your role and the current application status.`, 403);
   }
-  // Vendor can only revoke (withdraw) at any point
-  else if (isVendor && (isResourceOwner || application.createdBy.toString() === req.user.id)) {
-    hasPermission = status === 'withdrawn';
+
+  if (transition.via) {
+    throw new ErrorResponse(`Use the ${transition.via} endpoints to ${transition.label.toLowerCase()}`, 400);
   }
 
-  if (!hasPermission) {
-    return next(
-      new ErrorResponse('Not authorized to update this application status. Check your role and the current application status.', 403)
-    );
+  const missingFields = getMissingFields(transition, body);
+  if (missingFields.length > 0) {
+    throw new ErrorResponse(missingFields.join(', '), 400);
   }
 
-  // Save previous status for history
-  const previousStatus = application.status;
+  return {
+    application,
+    requirement,
+    resource,
+    transition,
+    previousStatus: currentStatus,
+    finalStatus: transition.resultStatus || status
+  };
+};
 
-  // Special logic for admin approval - automatically set to shortlisted
-  let finalStatus = status;
-  if (isAdmin && status === 'accepted' && currentStatus === 'applied') {
-    finalStatus = 'shortlisted';
-  }
+// Apply a planned status change: update the application, record history,
+// send notifications, run transition effects and advance any workflow
+const applyStatusChange = async (plan, body, user) => {
+  const { requirement, resource, transition, previousStatus, finalStatus } = plan;
+  const {
+    notes,
+    decisionReason,
+    notifyCandidate,
+    notifyClient,
+    followUpRequired,
+    followUpDate,
+    followUpNotes
+  } = body;
 
   // Update application
   const updateData = { status: finalStatus };
   if (notes) {
     updateData.notes = notes;
   }
-  updateData.updatedBy = req.user.id;
+  updateData.updatedBy = user.id;
   updateData.updatedAt = Date.now();
 
-  application = await Application.findByIdAndUpdate(
-    req.params.id,
+  const application = await Application.findByIdAndUpdate(
+    plan.application._id,
     updateData,
     {
       new: true,
@@ -595,10 +598,10 @@ const updateApplicationStatus = asyncHandler(async (req, res, next) => {
   const historyData = {
     application: application._id,
     previousStatus,
-    status,
-    notes: notes || `Status changed from ${previousStatus} to ${status}`,
-    createdBy: req.user.id,
-    updatedBy: req.user.id
+    status: finalStatus,
+    notes: notes || `Status changed from ${previousStatus} to ${finalStatus}`,
+    createdBy: user.id,
+    updatedBy: user.id
   };
 
   // Add enhanced decision data if provided
@@ -647,9 +650,12 @@ const updateApplicationStatus = asyncHandler(async (req, res, next) => {
     // Don't fail the status update if history creation fails
   }
 
+  // createdBy is populated on the updated application
+  const applicantId = application.populated('createdBy') || application.createdBy;
+
   // Create notification for application creator
   await createNotification({
-    recipient: application.createdBy,
+    recipient: applicantId,
     type: 'application_status_change',
     title: 'Application Status Updated',
     message: `Your application for ${requirement.title} has been ${finalStatus}`,
@@ -658,9 +664,9 @@ const updateApplicationStatus = asyncHandler(async (req, res, next) => {
   });
 
   // Send notifications if requested
-  if (notifyCandidate && application.createdBy.toString() !== req.user.id) {
+  if (notifyCandidate && applicantId.toString() !== user.id) {
     await createNotification({
-      recipient: application.createdBy,
+      recipient: applicantId,
       type: 'application_status_change',
       title: 'Application Status Update',
       message: `Your application for ${requirement.title} has been ${finalStatus}${decisionReason?.notes ? `: ${decisionReason.notes}` : ''}`,
@@ -669,108 +675,135 @@ const updateApplicationStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (notifyClient && requirement.createdBy.toString() !== req.user.id) {
+  if (notifyClient && requirement.createdBy.toString() !== user.id) {
     await createNotification({
       recipient: requirement.createdBy,
       type: 'application_status_change',
       title: 'Application Status Update',
-      message: `Application for ${requirement.title} has been ${finalStatus} by ${req.user.firstName} ${req.user.lastName}`,
+      message: `Application for ${requirement.title} has been ${finalStatus} by ${user.firstName} ${user.lastName}`,
       relatedRequirement: requirement._id,
       actionUrl: `/applications/${application._id}`
     });
   }
 
+  await runTransitionEffects(transition, {
+    application,
+    requirement,
+    resource,
+    user,
+    status: finalStatus
+  });
+
   // Process workflow step if application has workflow
   if (application.workflowInstanceId) {
     try {
-      await processWorkflowStepForApplication(application._id, req.user, finalStatus, notes);
+      await syncWorkflowWithStatus(application._id, user, finalStatus, notes);
     } catch (workflowError) {
       console.error('Error processing workflow step:', workflowError);
       // Don't fail the status update if workflow processing fails
     }
   }
 
+  return application;
+};
+
+// @desc    Update application status
+// @route   PUT /api/applications/:id/status
+// @access  Private
+const updateApplicationStatus = asyncHandler(async (req, res, next) => {
+  console.log('🔧 ApplicationController: updateApplicationStatus called with:', {
+    applicationId: req.params.id,
+    body: req.body,
+    user: { id: req.user.id, userType: req.user.userType, organizationRole: req.user.organizationRole }
+  });
+
+  validateRequestedStatus(req.body.status);
+
+  const plan = await planStatusChange(req.params.id, req.body, req.user);
+  const application = await applyStatusChange(plan, req.body, req.user);
+
   // Get status category for response
-  const statusCategory = getStatusCategory(finalStatus);
+  const statusCategory = getStatusCategory(plan.finalStatus);
 
   res.status(200).json(
     ApiResponse.success({
       application,
       statusCategory,
-      previousStatus,
-      newStatus: finalStatus
+      previousStatus: plan.previousStatus,
+      newStatus: plan.finalStatus
     }, 'Application status updated successfully')
   );
 });
 
-// Helper function to process workflow step for application
-const processWorkflowStepForApplication = async (applicationId, user, action, comments) => {
-  const application = await Application.findById(applicationId).populate('workflowInstanceId');
-  
-  if (!application.workflowInstanceId) {
-    return;
-  }
+// @desc    Apply one status change to many applications
+// @route   PUT /api/applications/bulk/status
+// @access  Private
+const bulkUpdateApplicationStatus = asyncHandler(async (req, res, next) => {
+  const { applicationIds } = req.body;
+  // Dry runs report what would happen without changing anything
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
 
-  const workflowInstance = application.workflowInstanceId;
-  const currentStep = workflowInstance.steps.find(step => step.order === workflowInstance.currentStep);
-  
-  if (!currentStep) {
-    console.log(`No current step found for workflow instance ${workflowInstance._id}`);
-    return;
+  if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+    return next(new ErrorResponse('applicationIds must be a non-empty array', 400));
   }
 
-  // Check if user has permission for this step
-  if (!hasPermissionForWorkflowStep(user, currentStep)) {
-    console.log(`User ${user.id} does not have permission for step ${currentStep.stepName}`);
-    return;
+  const uniqueIds = [...new Set(applicationIds.map(String))];
+  if (uniqueIds.length > MAX_BULK_APPLICATIONS) {
+    return next(new ErrorResponse(`No more than ${MAX_BULK_APPLICATIONS} applications can be updated at once`, 400));
   }
 
-  // Update step status
-  currentStep.status = 'completed';
-  currentStep.completedAt = new Date();
-  currentStep.performedBy = user.id;
-  currentStep.actionTaken = action;
-  currentStep.comments = comments;
+  validateRequestedStatus(req.body.status);
 
-  // Update workflow instance
-  workflowInstance.currentStep = workflowInstance.currentStep + 1;
-  
-  // Check if workflow is completed
-  if (workflowInstance.currentStep > workflowInstance.steps.length) {
-    workflowInstance.status = 'completed';
-    workflowInstance.completedAt = new Date();
-    
-    // Update application workflow status
-    await Application.findByIdAndUpdate(applicationId, {
-      workflowStatus: 'completed',
-      currentWorkflowStep: workflowInstance.currentStep
-    });
+  // Items are handled one at a time so each gets the same checks and history as a single update
+  const results = [];
+  for (const id of uniqueIds) {
+    if (!mongoose.isObjectIdOrHexString(id)) {
+      results.push({ id, success: false, statusCode: 400, error: 'Invalid application id' });
+      continue;
+    }
+
+    try {
+      const plan = await planStatusChange(id, req.body, req.user);
+      if (!dryRun) {
+        await applyStatusChange(plan, req.body, req.user);
+      }
+      results.push({
+        id,
+        success: true,
+        action: plan.transition.label,
+        previousStatus: plan.previousStatus,
+        newStatus: plan.finalStatus
+      });
+    } catch (error) {
+      results.push({
+        id,
+        success: false,
+        statusCode: error.statusCode || 500,
+        error: error.statusCode ? error.message : 'Failed to update application status'
+      });
+      if (!error.statusCode) {
+        console.error(`Error updating status for application ${id}:`, error);
+      }
+    }
   }
 
-  await workflowInstance.save();
-  console.log(`Workflow step completed for application ${applicationId}: ${currentStep.stepName}`);
-};
+  const succeeded = results.filter(result => result.success).length;
 
-// Helper function to check permissions for workflow step
-const hasPermissionForWorkflowStep = (user, step) => {
-  // Use organizationRole if available, otherwise fall back to role/userType
-  const userRole = user.organizationRole || user.role || user.userType;
-  
-  switch (step.role) {
-    case 'super_admin':
-      return userRole === 'admin_owner' || userRole === 'superadmin';
-    case 'admin':
-      return ['admin_owner', 'admin_employee', 'superadmin', 'admin'].includes(userRole);
-    case 'hr_admin':
-      return ['admin_owner', 'admin_employee', 'superadmin', 'admin', 'hr_admin'].includes(userRole);
-    case 'client':
-      return ['client_owner', 'client_employee', 'client'].includes(userRole);
-    case 'vendor':
-      return ['vendor_owner', 'vendor_employee', 'vendor'].includes(userRole);
-    default:
-      return false;
-  }
-};
+  res.status(200).json(
+    ApiResponse.success({
+      dryRun,
+      status: req.body.status,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    }, dryRun
+      ? `${succeeded} of ${results.length} applications can be updated`
+      : `${succeeded} of ${results.length} applications updated successfully`)
+  );
+});
 
 // @desc    Update application details
 // @route   PUT /api/applications/:id
@@ -1190,6 +1223,38 @@ const getApplicationStatusMapping = asyncHandler(async (req, res, next) => {
   );
 });
 
+// @desc    Get the status changes the current user can make on an application
+// @route   GET /api/applications/:id/next-actions
+// @access  Private
+const getApplicationNextActions = asyncHandler(async (req, res, next) => {
+  const application = await Application.findById(req.params.id);
+
+  if (!application) {
+    return next(new ErrorResponse('Application not found', 404));
+  }
+
+  const [requirement, resource] = await Promise.all([
+    Requirement.findById(application.requirement).select('createdBy'),
+    Resource.findById(application.resource).select('createdBy')
+  ]);
+
+  if (!requirement || !resource) {
+    return next(new ErrorResponse('Associated requirement or resource not found', 404));
+  }
+
+  const role = getApplicationRole(req.user, { application, requirement, resource });
+  const statuses = Application.schema.path('status').enumValues;
+
+  res.status(200).json(
+    ApiResponse.success({
+      applicationId: application._id,
+      currentStatus: application.status,
+      role,
+      actions: getAllowedTransitions(application.status, role, statuses)
+    }, 'Application next actions retrieved successfully')
+  );
+});
+
 // @desc    Get vendor applications filtered by resource ID
 // @route   GET /api/applications/vendor/resource/:resourceId
 // @access  Private (Vendor only)
@@ -1274,6 +1339,7 @@ module.exports = {
   getApplicationHistory,
   createApplication,
   updateApplicationStatus,
+  bulkUpdateApplicationStatus,
   updateApplication,
   deleteApplication,
   getApplicationCountsForRequirements,
@@ -1281,5 +1347,6 @@ module.exports = {
   getVendorApplicationsByResource,
   getActiveApplicationsCountForResource,
   getActiveApplicationsCountForRequirement,
-  getApplicationStatusMapping
+  getApplicationStatusMapping,
+  getApplicationNextActions
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+const ApprovalMatrix = require('../models/ApprovalMatrix');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { DEFAULT_LEVELS, buildApprovalChain } = require('../utils/approvalMatrix');
+
+const ENTITY_TYPES = ['sow', 'po'];
+
+const CLIENT_ROLES = ['client_owner', 'client_account', 'client_employee'];
+
+const validateEntityType = (entityType) => {
+  if (!ENTITY_TYPES.includes(entityType)) {
+    throw new ErrorResponse(`Invalid document type. Valid types are: ${ENTITY_TYPES.join(', ')}`, 400);
+  }
+};
+
+const requireOwner = (user) => {
+  if (user.organizationRole !== 'client_owner') {
+    throw new ErrorResponse('Only client admins can manage approval matrices', 403);
+  }
+};
+
+// Named approvers and delegates must belong to the same organization
+const checkOrganizationUsers = async (userIds, organizationId) => {
+  const ids = [...new Set(userIds.map(id => String(id)))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const count = await User.countDocuments({ _id: { $in: ids }, organizationId, organizationRole: { $in: CLIENT_ROLES } });
+  if (count !== ids.length) {
+    throw new ErrorResponse('Approvers and delegates must be users in your organization', 400);
+  }
+};
+
+// @desc    Get the organization's SOW and PO approval matrices
+// @route   GET /api/client/settings/approval-matrix
+// @access  Private (Client only)
+const getApprovalMatrices = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  const matrices = await ApprovalMatrix.find({ organizationId: user.organizationId })
+    .populate('tiers.levels.approverIds', 'firstName lastName email organizationRole');
+
+  // Types without a matrix report the built-in single-level chain
+  const result = ENTITY_TYPES.reduce((byType, entityType) => {
+    const matrix = matrices.find(candidate => candidate.entityType === entityType);
+    byType[entityType] = matrix
+      ? { configured: true, matrix }
+      : { configured: false, matrix: { entityType, tiers: [{ upTo: null, levels: DEFAULT_LEVELS[entityType] }] } };
+    return byType;
+  }, {});
+
+  res.status(200).json(
+    ApiResponse.success(result, 'Approval matrices retrieved successfully')
+  );
+});
+
+// @desc    Create or replace an approval matrix
+// @route   PUT /api/client/settings/approval-matrix/:entityType
+// @access  Private (Client admin only)
+const updateApprovalMatrix = asyncHandler(async (req, res, next) => {
+  const { entityType } = req.params;
+  validateEntityType(entityType);
+
+  const user = await User.findById(req.user.id);
+  requireOwner(user);
+
+  const tiers = Array.isArray(req.body.tiers) ? req.body.tiers : [];
+  await checkOrganizationUsers(
+    tiers.flatMap(tier => (tier.levels || []).flatMap(level => level.approverIds || [])),
+    user.organizationId
+  );
+
+  // Documents already submitted keep the chain they were given
+  let matrix = await ApprovalMatrix.findOne({ organizationId: user.organizationId, entityType });
+  if (!matrix) {
+    matrix = new ApprovalMatrix({ organizationId: user.organizationId, entityType, createdBy: req.user.id });
+  }
+  matrix.set({ tiers, updatedBy: req.user.id });
+  await matrix.save();
+
+  await matrix.populate('tiers.levels.approverIds', 'firstName lastName email organizationRole');
+
+  res.status(200).json(
+    ApiResponse.success(matrix, 'Approval matrix saved successfully')
+  );
+});
+
+// @desc    Remove an approval matrix, returning to the single-level default
+// @route   DELETE /api/client/settings/approval-matrix/:entityType
+// @access  Private (Client admin only)
+const deleteApprovalMatrix = asyncHandler(async (req, res, next) => {
+  const { entityType } = req.params;
+  validateEntityType(entityType);
+
+  const user = await User.findById(req.user.id);
+  requireOwner(user);
+
+  const result = await ApprovalMatrix.deleteOne({ organizationId: user.organizationId, entityType });
+  if (result.deletedCount === 0) {
+    return next(new ErrorResponse('Approval matrix not found', 404));
+  }
+
+  res.status(200).json(
+    ApiResponse.success(null, 'Approval matrix removed successfully')
+  );
+});
+
+// @desc    Preview the approval chain for an amount
+// @route   GET /api/client/settings/approval-matrix/:entityType/preview?amount=
+// @access  Private (Client only)
+const previewApprovalChain = asyncHandler(async (req, res, next) => {
+  const { entityType } = req.params;
+  validateEntityType(entityType);
+
+  const amount = Number(req.query.amount);
+  if (req.query.amount === undefined || isNaN(amount) || amount < 0) {
+    return next(new ErrorResponse('amount must be a non-negative number', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+  const chain = await buildApprovalChain({ organizationId: user.organizationId, entityType, amount });
+
+  res.status(200).json(
+    ApiResponse.success({ entityType, amount, levels: chain }, 'Approval chain preview generated successfully')
+  );
+});
+
+// @desc    Get approval delegations in the organization
+// @route   GET /api/client/settings/approval-delegations
+// @access  Private (Client only)
+const getDelegations = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const { active } = req.query;
+
+  const query = { organizationId: user.organizationId };
+  if (user.organizationRole !== 'client_owner') {
+    query.$or = [{ delegatorId: user._id }, { delegateId: user._id }];
+  }
+  if (active === 'true') {
+    const now = new Date();
+    query.revokedAt = null;
+    query.endDate = { $gt: now };
+  }
+
+  const delegations = await ApprovalDelegation.find(query)
+    .populate('delegatorId delegateId revokedBy', 'firstName lastName email')
+    .sort({ startDate: -1 });
+
+  res.status(200).json(
+    ApiResponse.success(delegations, 'Approval delegations retrieved successfully')
+  );
+});
+
+// @desc    Delegate approvals while away
+// @route   POST /api/client/settings/approval-delegations
+// @access  Private (Client only; admins can delegate for anyone in the organization)
+const createDelegation = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const { delegatorId = req.user.id, delegateId, startDate = new Date(), endDate, entityTypes, reason } = req.body;
+
+  if (String(delegatorId) !== String(req.user.id) && user.organizationRole !== 'client_owner') {
+    return next(new ErrorResponse('Only client admins can delegate approvals for someone else', 403));
+  }
+
+  await checkOrganizationUsers([delegatorId, delegateId].filter(Boolean), user.organizationId);
+
+  const delegation = await ApprovalDelegation.create({
+    organizationId: user.organizationId,
+    delegatorId,
+    delegateId,
+    startDate,
+    endDate,
+    entityTypes,
+    reason,
+    createdBy: req.user.id
+  });
+
+  await delegation.populate('delegatorId delegateId', 'firstName lastName email');
+
+  res.status(201).json(
+    ApiResponse.success(delegation, 'Approval delegation created successfully')
+  );
+});
+
+// @desc    Revoke an approval delegation
+// @route   PUT /api/client/settings/approval-delegations/:id/revoke
+// @access  Private (Delegator or client admin)
+const revokeDelegation = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const delegation = await ApprovalDelegation.findOne({ _id: req.params.id, organizationId: user.organizationId });
+
+  if (!delegation) {
+    return next(new ErrorResponse('Approval delegation not found', 404));
+  }
+  if (delegation.delegatorId.toString() !== req.user.id && user.organizationRole !== 'client_owner') {
+    return next(new ErrorResponse('Only the delegator or a client admin can revoke this delegation', 403));
+  }
+  if (delegation.revokedAt) {
+    return next(new ErrorResponse('Approval delegation has already been revoked', 400));
+  }
+
+  delegation.revokedAt = new Date();
+  delegation.revokedBy = req.user.id;
+  await delegation.save();
+
+  res.status(200).json(
+    ApiResponse.success(delegation, 'Approval delegation revoked successfully')
+  );
+});
+
+module.exports = {
+  getApprovalMatrices,
+  updateApprovalMatrix,
+  deleteApprovalMatrix,
+  previewApprovalChain,
+  getDelegations,
+  createDelegation,
+  revokeDelegation
+};
@@ -2,6 +2,56 @@ const AuditLog = require('../models/AuditLog');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
+const { isAdmin } = require('../utils/adminRoleHelper');
+const {
+  EXPORT_FORMATS,
+  getExportFormat,
+  exportFilename,
+  streamRows
+} = require('../utils/reportExport');
+
+const AUDIT_LOG_EXPORT_COLUMNS = [
+  { key: 'performedAt', header: 'Date' },
+  { key: 'action', header: 'Action' },
+  { key: 'actionType', header: 'Action Type' },
+  { key: 'entityType', header: 'Entity Type' },
+  { key: 'entityId', header: 'Entity ID' },
+  { key: 'performedBy', header: 'Performed By' },
+  { key: 'organization', header: 'Organization' },
+  { key: 'ipAddress', header: 'IP Address' },
+  { key: 'comments', header: 'Comments' }
+];
+
+const toAuditLogExportRow = (log) => ({
+  performedAt: log.performedAt,
+  action: log.action,
+  actionType: log.actionType,
+  entityType: log.entityType,
+  entityId: log.entityId,
+  performedBy: `${log.performedBy.firstName} ${log.performedBy.lastName}`,
+  organization: log.performedBy.organizationId?.name || 'N/A',
+  ipAddress: log.ipAddress || 'N/A',
+  comments: log.comments || 'N/A'
+});
+
+// Build the audit log filter shared by the list and export endpoints
+const buildAuditLogQuery = ({ entityType, entityId, actionType, performedBy, organizationId, startDate, endDate }) => {
+  const query = {};
+
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (actionType) query.actionType = actionType;
+  if (performedBy) query['performedBy.userId'] = performedBy;
+  if (organizationId) query['performedBy.organizationId'] = organizationId;
+
+  if (startDate || endDate) {
+    query.performedAt = {};
+    if (startDate) query.performedAt.$gte = new Date(startDate);
+    if (endDate) query.performedAt.$lte = new Date(endDate);
+  }
+
+  return query;
+};
 
 // @desc    Create audit log entry
 // @route   POST /api/audit-logs
@@ -34,24 +84,30 @@ const getAuditLogs = asyncHandler(async (req, res, next) => {
   } = req.query;
 
   // Build query
-  const query = {};
-  
-  if (entityType) query.entityType = entityType;
-  if (entityId) query.entityId = entityId;
-  if (actionType) query.actionType = actionType;
-  if (performedBy) query['performedBy.userId'] = performedBy;
-  if (organizationId) query['performedBy.organizationId'] = organizationId;
-  
-  if (startDate || endDate) {
-    query.performedAt = {};
-    if (startDate) query.performedAt.$gte = new Date(startDate);
-    if (endDate) query.performedAt.$lte = new Date(endDate);
-  }
+  const query = buildAuditLogQuery({ entityType, entityId, actionType, performedBy, organizationId, startDate, endDate });
 
   // Build sort object
   const sort = {};
   sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
+  const format = getExportFormat(req);
+  if (format) {
+    return streamRows(res, {
+      format,
+      filename: exportFilename('audit-logs', format),
+      source: AuditLog.find(query)
+        .sort(sort)
+        .populate('performedBy.userId', 'firstName lastName email')
+        .populate('performedBy.organizationId', 'name')
+        .lean()
+        .cursor(),
+      ...(format !== 'jsonl') && {
+        columns: AUDIT_LOG_EXPORT_COLUMNS,
+        transform: toAuditLogExportRow
+      }
+    });
+  }
+
   // Execute query with pagination
   const skip = (page - 1) * limit;
   
@@ -254,64 +310,25 @@ const getUserAuditLogs = asyncHandler(async (req, res, next) => {
 const exportAuditLogs = asyncHandler(async (req, res, next) => {
   const { format = 'csv', ...queryParams } = req.query;
 
-  // Build query (same as getAuditLogs)
-  const query = {};
-  
-  if (queryParams.entityType) query.entityType = queryParams.entityType;
-  if (queryParams.entityId) query.entityId = queryParams.entityId;
-  if (queryParams.actionType) query.actionType = queryParams.actionType;
-  if (queryParams.performedBy) query['performedBy.userId'] = queryParams.performedBy;
-  if (queryParams.organizationId) query['performedBy.organizationId'] = queryParams.organizationId;
-  
-  if (queryParams.startDate || queryParams.endDate) {
-    query.performedAt = {};
-    if (queryParams.startDate) query.performedAt.$gte = new Date(queryParams.startDate);
-    if (queryParams.endDate) query.performedAt.$lte = new Date(queryParams.endDate);
-  }
-
-  const auditLogs = await AuditLog.find(query)
-    .sort({ performedAt: -1 })
-    .populate('performedBy.userId', 'firstName lastName email')
-    .populate('performedBy.organizationId', 'name');
-
-  let data, contentType, filename;
-
-  if (format === 'csv') {
-    // Convert to CSV
-    const csvHeaders = [
-      'Date', 'Action', 'Action Type', 'Entity Type', 'Entity ID', 
-      'Performed By', 'Organization', 'IP Address', 'Comments'
-    ];
-    
-    const csvData = auditLogs.map(log => [
-      log.performedAt.toISOString(),
-      log.action,
-      log.actionType,
-      log.entityType,
-      log.entityId,
-      `${log.performedBy.firstName} ${log.performedBy.lastName}`,
-      log.performedBy.organizationId?.name || 'N/A',
-      log.ipAddress || 'N/A',
-      log.comments || 'N/A'
-    ]);
-
-    data = [csvHeaders, ...csvData]
-      .map(row => row.map(field => `"${field}"`).join(','))
-      .join('\n');
-    
-    contentType = 'text/csv';
-    filename = `audit-logs-${new Date().toISOString().split('T')[0]}.csv`;
-  } else if (format === 'json') {
-    data = JSON.stringify(auditLogs, null, 2);
-    contentType = 'application/json';
-    filename = `audit-logs-${new Date().toISOString().split('T')[0]}.json`;
-  } else {
+  if (![...EXPORT_FORMATS, 'json'].includes(format)) {
     return next(new ErrorResponse('Unsupported export format', 400));
   }
 
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(data);
+  await streamRows(res, {
+    format,
+    filename: exportFilename('audit-logs', format),
+    source: AuditLog.find(buildAuditLogQuery(queryParams))
+      .sort({ performedAt: -1 })
+      .populate('performedBy.userId', 'firstName lastName email')
+      .populate('performedBy.organizationId', 'name')
+      .lean()
+      .cursor(),
+    // JSON formats keep the full entry; CSV and XLSX get the readable columns
+    ...(format === 'csv' || format === 'xlsx') && {
+      columns: AUDIT_LOG_EXPORT_COLUMNS,
+      transform: toAuditLogExportRow
+    }
+  });
 });
 
 // @desc    Get audit log statistics
@@ -389,6 +406,42 @@ const getAuditStatistics = asyncHandler(async (req, res, next) => {
   res.json(new ApiResponse(true, 'Audit statistics retrieved successfully', stats[0] || {}));
 });
 
+// @desc    Verify audit log hash chain
+// @route   GET /api/audit-logs/verify-chain
+// @access  Private
+const verifyAuditChain = asyncHandler(async (req, res, next) => {
+  const { organizationId } = req.query;
+
+  // Admins may verify every chain; other users only their own organization's
+  if (!organizationId) {
+    if (isAdmin(req.user)) {
+      const results = await AuditLog.verifyAllChains();
+      const brokenChains = results.filter(result => !result.valid);
+
+      return res.json(new ApiResponse(true, 'Audit chains verified', {
+        valid: brokenChains.length === 0,
+        organizationsChecked: results.length,
+        brokenChains,
+        results
+      }));
+    }
+
+    if (!req.user.organizationId) {
+      return next(new ErrorResponse('Organization ID is required', 400));
+    }
+  }
+
+  const targetOrganizationId = organizationId || req.user.organizationId.toString();
+
+  if (!isAdmin(req.user) && req.user.organizationId?.toString() !== targetOrganizationId) {
+    return next(new ErrorResponse('Not authorized to verify this organization\'s audit chain', 403));
+  }
+
+  const result = await AuditLog.verifyChain(targetOrganizationId);
+
+  res.json(new ApiResponse(true, 'Audit chain verified', result));
+});
+
 // @desc    Get single audit log
 // @route   GET /api/audit-logs/:id
 // @access  Private
@@ -413,5 +466,6 @@ module.exports = {
   getUserAuditLogs,
   exportAuditLogs,
   getAuditStatistics,
+  verifyAuditChain,
   getAuditLog
 }; 
\ No newline at end of file
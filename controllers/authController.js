@@ -2,7 +2,7 @@ const User = require('../models/User');
 const Organization = require('../models/Organization');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
-const sendEmail = require('../utils/sendEmail');
+const { sendTemplatedEmail } = require('../utils/emailTemplates');
 const { validationResult } = require('express-validator');
 const {
   validateRegistration,
@@ -11,6 +11,7 @@ const {
   validateResetPassword
 } = require('../validation/authValidation');
 const jwt = require('jsonwebtoken');
+const { getSettingsSection } = require('../utils/systemSettings');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -82,13 +83,12 @@ const register = asyncHandler(async (req, res, next) => {
   // Send verification email
   try {
     const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${emailToken}`;
-    
-    // Commenting out email sending for now
-    // await sendEmail({
-    //   email: user.email,
-    //   subject: 'Account Verification',
-    //   message: `Please verify your account by clicking: ${verificationUrl}`
-    // });
+
+    await sendTemplatedEmail({
+      to: user.email,
+      template: 'account_verification',
+      variables: { name: user.firstName, verificationUrl }
+    });
 
     sendTokenResponse(user, 201, res, 'User registered successfully. Please check your email for verification.');
   } catch (error) {
@@ -122,7 +122,7 @@ const login = asyncHandler(async (req, res, next) => {
     console.log('Looking up user:', email);
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password +organizationRole');
+    const user = await User.findOne({ email }).select('+password +organizationRole +loginAttempts +lockUntil');
     console.log('User lookup result:', user ? {
       id: user._id,
       email: user.email,
@@ -137,6 +137,14 @@ const login = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    // Check if account is locked after too many failed attempts
+    const { maxLoginAttempts, lockoutDurationMinutes } = await getSettingsSection('security');
+
+    if (user.lockUntil && user.lockUntil > Date.now()) {
+      console.log('User account is locked until:', user.lockUntil);
+      return next(new ErrorResponse('Account temporarily locked due to too many failed login attempts. Please try again later.', 429));
+    }
+
     // Check if password matches
     console.log('Checking password match...');
     const isMatch = await user.matchPassword(password);
@@ -144,9 +152,27 @@ const login = asyncHandler(async (req, res, next) => {
 
     if (!isMatch) {
       console.log('Password does not match');
+
+      const loginAttempts = (user.loginAttempts || 0) + 1;
+      const update = loginAttempts >= maxLoginAttempts
+        ? { loginAttempts: 0, lockUntil: new Date(Date.now() + lockoutDurationMinutes * 60 * 1000) }
+        : { loginAttempts };
+
+      await User.updateOne({ _id: user._id }, update);
+
+      if (update.lockUntil) {
+        console.log('Max login attempts reached, locking account until:', update.lockUntil);
+        return next(new ErrorResponse('Account temporarily locked due to too many failed login attempts. Please try again later.', 429));
+      }
+
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    // Reset failed login tracking
+    if (user.loginAttempts || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, { loginAttempts: 0, $unset: { lockUntil: 1 } });
+    }
+
     // Check if user is active
     console.log('User active status:', user.isActive);
     if (!user.isActive) {
@@ -228,27 +254,16 @@ const forgotPassword = asyncHandler(async (req, res, next) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
   const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
 
-  const message = `You are receiving this email because you have requested the reset of a password. Please click the link below to reset your password: \n\n ${resetUrl}`;
-
   try {
-    // Mock email sending for development
-    console.log('📧 Mock Email - Password Reset:');
-    console.log('  To:', user.email);
-    console.log('  Subject: Password reset token');
-    console.log('  Message:', message);
-    console.log('\n🔗 RESET LINK FOR TESTING:');
-    console.log('  ' + resetUrl);
-    console.log('\n📋 Copy the above link to test the password reset flow');
-    
-    // await sendEmail({
-    //   email: user.email,
-    //   subject: 'Password reset token',
-    //   message
-    // });
+    await sendTemplatedEmail({
+      to: user.email,
+      template: 'password_reset',
+      variables: { name: user.firstName, resetLink: resetUrl, expiresInMinutes: 10 }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Password reset link generated successfully. Check the server console for the reset link (for testing purposes).'
+      message: 'Password reset email sent'
     });
   } catch (error) {
     user.passwordResetToken = undefined;
@@ -351,18 +366,12 @@ const resendVerification = asyncHandler(async (req, res, next) => {
 
   try {
     const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${emailToken}`;
-    
-    // Mock email sending for development
-    console.log('📧 Mock Email - Account Verification:');
-    console.log('  To:', user.email);
-    console.log('  Subject: Account Verification');
-    console.log('  Message: Please verify your account by clicking:', verificationUrl);
-    
-    // await sendEmail({
-    //   email: user.email,
-    //   subject: 'Account Verification',
-    //   message: `Please verify your account by clicking: ${verificationUrl}`
-    // });
+
+    await sendTemplatedEmail({
+      to: user.email,
+      template: 'account_verification',
+      variables: { name: user.firstName, verificationUrl }
+    });
 
     res.status(200).json({
       success: true,
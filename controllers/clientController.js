@@ -12,6 +12,7 @@ const {
   validateClientStep4
 } = require('../validation/clientValidation');
 const ApiResponse = require('../models/ApiResponse');
+const { sendTemplatedEmail } = require('../utils/emailTemplates');
 
 
 
@@ -291,8 +292,16 @@ const sendOTP = asyncHandler(async (req, res, next) => {
   user.otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes
   await user.save();
 
-  // Send OTP via email (currently just logging)
-  console.log(`OTP for ${email}: ${otp}`);
+  // Send OTP via email
+  try {
+    await sendTemplatedEmail({
+      to: user.email,
+      template: 'email_otp',
+      variables: { name: user.firstName, otp, expiresInMinutes: 10 }
+    });
+  } catch (error) {
+    console.error(`Error sending OTP email to ${user.email}:`, error);
+  }
 
   res.status(200).json({
     success: true,
@@ -397,8 +406,16 @@ const saveStep = asyncHandler(async (req, res, next) => {
     user.otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes
     await user.save();
 
-    // Send OTP via email (currently just logging)
-    console.log(`OTP for ${email}: ${otp}`);
+    // Send OTP via email
+    try {
+      await sendTemplatedEmail({
+        to: user.email,
+        template: 'email_otp',
+        variables: { name: user.firstName, otp, expiresInMinutes: 10 }
+      });
+    } catch (error) {
+      console.error(`Error sending OTP email to ${user.email}:`, error);
+    }
 
     res.status(201).json({
       success: true,
@@ -686,8 +703,23 @@ const addOrganizationUser = asyncHandler(async (req, res, next) => {
     expiresAt: Date.now() + 10 * 60 * 1000 // 10 minutes
   });
 
-  // Send OTP via email (currently just logging)
-  console.log(`OTP for ${email}: ${otp}`);
+  // Send invitation with OTP via email
+  try {
+    await sendTemplatedEmail({
+      to: newUser.email,
+      template: 'employee_invite',
+      variables: {
+        name: `${firstName} ${lastName}`,
+        invitedBy: `${currentUser.firstName} ${currentUser.lastName}`,
+        organizationName: organization.name,
+        role: 'client employee',
+        otp,
+        expiresInMinutes: 10
+      }
+    });
+  } catch (error) {
+    console.error(`Error sending invitation email to ${newUser.email}:`, error);
+  }
 
   res.status(201).json(
     ApiResponse.success(
@@ -4,6 +4,7 @@ const Service = require('../models/Service');
 const Review = require('../models/Review');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { parseFunnelOptions, buildHiringFunnel } = require('../utils/hiringFunnel');
 
 // @desc    Get client dashboard overview
 // @route   GET /api/client/dashboard/overview
@@ -518,6 +519,28 @@ const getClientNotifications = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get hiring funnel analytics for the client's requirements
+// @route   GET /api/client/dashboard/hiring-funnel
+// @access  Private (Client only)
+const getHiringFunnel = asyncHandler(async (req, res, next) => {
+  const options = parseFunnelOptions(req.query);
+
+  // Always limited to the client's organization, or their own requirements without one
+  if (req.user.organizationId) {
+    options.clientOrganizationId = req.user.organizationId;
+  } else {
+    delete options.clientOrganizationId;
+    options.requirementOwnerId = req.user._id;
+  }
+
+  const funnel = await buildHiringFunnel(options);
+
+  res.status(200).json({
+    success: true,
+    data: funnel
+  });
+});
+
 module.exports = {
   getClientDashboardOverview,
   getRecentBookings,
@@ -528,5 +551,6 @@ module.exports = {
   getMyReviews,
   getPendingReviews,
   getRecommendations,
-  getClientNotifications
+  getClientNotifications,
+  getHiringFunnel
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+const Application = require('../models/Application');
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const ResourceDuplicate = require('../models/ResourceDuplicate');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { getInactiveStatuses } = require('../utils/applicationStatusMapping');
+const { changeApplicationStatus } = require('../utils/applicationTransitions');
+const { syncMatches } = require('../utils/matchIndex');
+const { repointDuplicates, checkResourceDuplicates } = require('../utils/duplicateDetection');
+
+const DUPLICATE_STATUSES = ['open', 'merged', 'dismissed'];
+
+const RESOURCE_FIELDS = 'name contact status organizationId createdBy mergedInto attachment.originalName';
+
+const populateDuplicate = (query) => query
+  .populate({
+    path: 'resourceA resourceB',
+    select: RESOURCE_FIELDS,
+    populate: [
+      { path: 'organizationId', select: 'name' },
+      { path: 'createdBy', select: 'firstName lastName email' }
+    ]
+  })
+  .populate('applications', 'requirement status createdAt')
+  .populate('resolvedBy', 'firstName lastName email');
+
+const loadOpenDuplicate = async (id) => {
+  const duplicate = await ResourceDuplicate.findById(id);
+  if (!duplicate) {
+    throw new ErrorResponse('Duplicate record not found', 404);
+  }
+  if (duplicate.status !== 'open') {
+    throw new ErrorResponse(`This duplicate has already been ${duplicate.status}`, 400);
+  }
+  return duplicate;
+};
+
+// @desc    Get the duplicate candidate review queue
+// @route   GET /api/admin/duplicates
+// @access  Private (Admin only)
+const getDuplicates = asyncHandler(async (req, res, next) => {
+  const { status = 'open', minScore, resourceId, page = 1, limit = 20 } = req.query;
+
+  if (!DUPLICATE_STATUSES.includes(status)) {
+    return next(new ErrorResponse(`Invalid status. Valid statuses are: ${DUPLICATE_STATUSES.join(', ')}`, 400));
+  }
+
+  const query = { status };
+  if (minScore) {
+    query.score = { $gte: Number(minScore) };
+  }
+  if (resourceId) {
+    query.$or = [{ resourceA: resourceId }, { resourceB: resourceId }];
+  }
+
+  const [duplicates, total] = await Promise.all([
+    populateDuplicate(ResourceDuplicate.find(query))
+      .sort({ score: -1, lastDetectedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    ResourceDuplicate.countDocuments(query)
+  ]);
+
+  res.status(200).json(
+    ApiResponse.success({
+      duplicates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Duplicates retrieved successfully')
+  );
+});
+
+// @desc    Get a duplicate candidate pair
+// @route   GET /api/admin/duplicates/:id
+// @access  Private (Admin only)
+const getDuplicate = asyncHandler(async (req, res, next) => {
+  const duplicate = await populateDuplicate(ResourceDuplicate.findById(req.params.id));
+
+  if (!duplicate) {
+    return next(new ErrorResponse('Duplicate record not found', 404));
+  }
+
+  res.status(200).json(
+    ApiResponse.success(duplicate, 'Duplicate retrieved successfully')
+  );
+});
+
+// @desc    Merge a duplicate pair: archive one resource into the other
+// @route   PUT /api/admin/duplicates/:id/merge
+// @access  Private (Admin only)
+const mergeDuplicate = asyncHandler(async (req, res, next) => {
+  const duplicate = await loadOpenDuplicate(req.params.id);
+  const { keepResourceId, notes } = req.body;
+
+  const ids = [duplicate.resourceA.toString(), duplicate.resourceB.toString()];
+  if (!ids.includes(String(keepResourceId))) {
+    return next(new ErrorResponse('keepResourceId must be one of the two resources in this pair', 400));
+  }
+  const removeResourceId = ids.find(id => id !== String(keepResourceId));
+
+  const [kept, removed] = await Promise.all([
+    Resource.findById(keepResourceId),
+    Resource.findById(removeResourceId)
+  ]);
+  if (!kept || !removed) {
+    return next(new ErrorResponse('One of the resources no longer exists; dismiss this record instead', 400));
+  }
+
+  removed.status = 'archived';
+  removed.mergedInto = kept._id;
+  await removed.save();
+
+  // Withdraw the archived resource's live applications where the kept resource has also applied
+  const keptRequirements = await Application.find({ resource: kept._id }).distinct('requirement');
+  const overlapping = await Application.find({
+    resource: removed._id,
+    requirement: { $in: keptRequirements },
+    status: { $nin: getInactiveStatuses() }
+  }).select('+organizationId');
+
+  let withdrawnApplications = 0;
+  for (const application of overlapping) {
+    const requirement = await Requirement.findById(application.requirement).select('title createdBy');
+    try {
+      await changeApplicationStatus({
+        application,
+        requirement,
+        resource: removed,
+        to: 'withdrawn',
+        role: 'admin',
+        actorId: req.user.id,
+        notes: `Withdrawn as a duplicate of ${kept.name}`
+      });
+      withdrawnApplications += 1;
+    } catch (error) {
+      console.error(`Error withdrawing duplicate application ${application._id}:`, error);
+    }
+  }
+
+  duplicate.set({
+    status: 'merged',
+    mergedInto: kept._id,
+    resolvedBy: req.user.id,
+    resolvedAt: new Date(),
+    resolutionNotes: notes
+  });
+  await duplicate.save();
+
+  // Other open pairs with the archived resource now concern the kept resource
+  await repointDuplicates(removed._id, kept._id);
+  await checkResourceDuplicates(kept._id);
+
+  await syncMatches({ resourceId: removed._id });
+
+  res.status(200).json(
+    ApiResponse.success({
+      duplicate: await populateDuplicate(ResourceDuplicate.findById(duplicate._id)),
+      withdrawnApplications
+    }, 'Duplicate merged successfully')
+  );
+});
+
+// @desc    Dismiss a duplicate pair as a false positive
+// @route   PUT /api/admin/duplicates/:id/dismiss
+// @access  Private (Admin only)
+const dismissDuplicate = asyncHandler(async (req, res, next) => {
+  const duplicate = await loadOpenDuplicate(req.params.id);
+
+  duplicate.set({
+    status: 'dismissed',
+    resolvedBy: req.user.id,
+    resolvedAt: new Date(),
+    resolutionNotes: req.body.notes
+  });
+  await duplicate.save();
+
+  // Applications flagged only because of this pair are no longer flagged
+  const otherResourceIds = [duplicate.resourceA, duplicate.resourceB];
+  await Application.updateMany(
+    { _id: { $in: duplicate.applications } },
+    { $pull: { 'duplicateCheck.duplicates': { resource: { $in: otherResourceIds } } } }
+  );
+  await Application.updateMany(
+    { _id: { $in: duplicate.applications }, 'duplicateCheck.duplicates': { $size: 0 } },
+    { $set: { 'duplicateCheck.flagged': false } }
+  );
+
+  res.status(200).json(
+    ApiResponse.success(await populateDuplicate(ResourceDuplicate.findById(duplicate._id)), 'Duplicate dismissed successfully')
+  );
+});
+
+module.exports = {
+  getDuplicates,
+  getDuplicate,
+  mergeDuplicate,
+  dismissDuplicate
+};
@@ -7,6 +7,7 @@ const User = require('../models/User');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { checkResourceDuplicates } = require('../utils/duplicateDetection');
 
 // Helper function to calculate file hash
 const calculateFileHash = async (filePath) => {
@@ -65,11 +66,18 @@ const uploadFile = asyncHandler(async (req, res, next) => {
     category: category || 'other',
     description: description || '',
     isPublic: isPublic === 'true',
-    tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+    tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+    hash: await calculateFileHash(req.file.path)
   };
 
   const file = await File.create(fileData);
 
+  // A resume shared with another resource is a strong duplicate signal; the check
+  // runs in the background (it never throws) so the upload does not wait on it
+  if (entityType === 'resource') {
+    checkResourceDuplicates(entityId);
+  }
+
   // Populate uploader info
   await file.populate('uploadedBy', 'firstName lastName email');
 
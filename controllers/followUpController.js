@@ -0,0 +1,146 @@
+const ApplicationHistory = require('../models/ApplicationHistory');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { buildFollowUpQuery, getFollowUpDueAt, getFollowUpState } = require('../utils/followUps');
+
+const FOLLOW_UP_STATUSES = ['open', 'done', 'all'];
+
+// Longest a follow-up can be snoozed in one go
+const MAX_SNOOZE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Follow-ups belong to the user who set them; admins can manage anyone's
+const loadFollowUp = async (historyId, user) => {
+  const entry = await ApplicationHistory.findById(historyId);
+  if (!entry || (!entry.followUpRequired && !entry.followUpDate)) {
+    throw new ErrorResponse('Follow-up not found', 404);
+  }
+  if (entry.createdBy.toString() !== user.id && user.userType !== 'admin') {
+    throw new ErrorResponse('Not authorized to manage this follow-up', 403);
+  }
+  return entry;
+};
+
+const toResponse = (entry, now) => ({
+  ...entry.toObject(),
+  followUpDueAt: getFollowUpDueAt(entry),
+  followUpState: getFollowUpState(entry, now)
+});
+
+const populateFollowUp = (query) => query.populate({
+  path: 'application',
+  select: 'status requirement resource',
+  populate: [
+    { path: 'requirement', select: 'title status' },
+    { path: 'resource', select: 'name' }
+  ]
+});
+
+// @desc    Get the current user's follow-ups across all applications
+// @route   GET /api/applications/follow-ups
+// @access  Private
+const getMyFollowUps = asyncHandler(async (req, res, next) => {
+  const { status = 'open', dueBefore, page = 1, limit = 20 } = req.query;
+
+  if (!FOLLOW_UP_STATUSES.includes(status)) {
+    return next(new ErrorResponse(`Invalid status. Valid statuses are: ${FOLLOW_UP_STATUSES.join(', ')}`, 400));
+  }
+
+  const query = buildFollowUpQuery(req.user.id, status);
+  if (dueBefore) {
+    const date = new Date(dueBefore);
+    if (isNaN(date.getTime())) {
+      return next(new ErrorResponse('dueBefore must be a valid date', 400));
+    }
+    // Snoozed follow-ups are due on their snooze date
+    query.$and = [{
+      $or: [
+        { followUpSnoozedUntil: null, followUpDate: { $lte: date } },
+        { followUpSnoozedUntil: { $lte: date } }
+      ]
+    }];
+  }
+
+  const [entries, total] = await Promise.all([
+    populateFollowUp(ApplicationHistory.find(query))
+      .sort({ followUpDate: 1, createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    ApplicationHistory.countDocuments(query)
+  ]);
+
+  const now = new Date();
+
+  res.status(200).json(
+    ApiResponse.success({
+      followUps: entries.map(entry => toResponse(entry, now)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }, 'Follow-ups retrieved successfully')
+  );
+});
+
+// @desc    Mark a follow-up as done
+// @route   PUT /api/applications/follow-ups/:historyId/done
+// @access  Private (Owner, Admin)
+const completeFollowUp = asyncHandler(async (req, res, next) => {
+  const entry = await loadFollowUp(req.params.historyId, req.user);
+
+  if (entry.followUpCompletedAt) {
+    return next(new ErrorResponse('This follow-up is already done', 400));
+  }
+
+  entry.followUpCompletedAt = new Date();
+  entry.followUpCompletedBy = req.user.id;
+  entry.followUpRemindAt = undefined;
+  entry.updatedBy = req.user.id;
+  await entry.save();
+
+  res.status(200).json(
+    ApiResponse.success(toResponse(await populateFollowUp(ApplicationHistory.findById(entry._id)), new Date()), 'Follow-up marked as done')
+  );
+});
+
+// @desc    Snooze a follow-up until a later date
+// @route   PUT /api/applications/follow-ups/:historyId/snooze
+// @access  Private (Owner, Admin)
+const snoozeFollowUp = asyncHandler(async (req, res, next) => {
+  const entry = await loadFollowUp(req.params.historyId, req.user);
+
+  if (entry.followUpCompletedAt) {
+    return next(new ErrorResponse('Cannot snooze a follow-up that is done', 400));
+  }
+
+  // Snooze to a date, or by a number of days (default one)
+  const { until, days } = req.body;
+  const snoozedUntil = until
+    ? new Date(until)
+    : new Date(Date.now() + (days !== undefined ? Number(days) : 1) * DAY_MS);
+
+  if (isNaN(snoozedUntil.getTime()) || snoozedUntil.getTime() <= Date.now()) {
+    return next(new ErrorResponse('Snooze date must be a valid date in the future', 400));
+  }
+  if (snoozedUntil.getTime() > Date.now() + MAX_SNOOZE_DAYS * DAY_MS) {
+    return next(new ErrorResponse(`A follow-up cannot be snoozed for more than ${MAX_SNOOZE_DAYS} days`, 400));
+  }
+
+  entry.followUpSnoozedUntil = snoozedUntil;
+  entry.followUpRemindAt = snoozedUntil;
+  entry.updatedBy = req.user.id;
+  await entry.save();
+
+  res.status(200).json(
+    ApiResponse.success(toResponse(await populateFollowUp(ApplicationHistory.findById(entry._id)), new Date()), 'Follow-up snoozed successfully')
+  );
+});
+
+module.exports = {
+  getMyFollowUps,
+  completeFollowUp,
+  snoozeFollowUp
+};
@@ -0,0 +1,312 @@
+const Interview = require('../models/Interview');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { loadApplicationContext, requireRole, recordHistory } = require('../utils/applicationContext');
+const { notifyInterviewEvent, formatSlot } = require('../utils/interviewEvents');
+
+const MAX_SLOTS = 10;
+const MAX_PANEL_SIZE = 10;
+
+const loadInterview = async (applicationId, interviewId) => {
+  const interview = await Interview.findOne({ _id: interviewId, application: applicationId });
+  if (!interview) {
+    throw new ErrorResponse('Interview not found', 404);
+  }
+  return interview;
+};
+
+const requireStatus = (interview, allowed, action) => {
+  if (!allowed.includes(interview.status)) {
+    throw new ErrorResponse(`Cannot ${action} an interview that is ${interview.status.replace(/_/g, ' ')}`, 400);
+  }
+};
+
+// Validate proposed slots: well-formed, in the future, start before end
+const parseSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw new ErrorResponse('At least one time slot is required', 400);
+  }
+  if (slots.length > MAX_SLOTS) {
+    throw new ErrorResponse(`No more than ${MAX_SLOTS} slots can be proposed`, 400);
+  }
+
+  const now = Date.now();
+  return slots.map((slot, index) => {
+    const start = new Date(slot && slot.start);
+    const end = new Date(slot && slot.end);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ErrorResponse(`Slot ${index + 1} must have a valid start and end`, 400);
+    }
+    if (start >= end) {
+      throw new ErrorResponse(`Slot ${index + 1} must start before it ends`, 400);
+    }
+    if (start.getTime() <= now) {
+      throw new ErrorResponse(`Slot ${index + 1} must be in the future`, 400);
+    }
+
+    return { start, end };
+  });
+};
+
+// Panel members must be active users of the client organization that owns the requirement
+const validatePanel = async (panel, requirement) => {
+  if (panel === undefined) {
+    return [requirement.createdBy];
+  }
+  if (!Array.isArray(panel) || panel.length === 0) {
+    throw new ErrorResponse('Panel must list at least one member', 400);
+  }
+  if (panel.length > MAX_PANEL_SIZE) {
+    throw new ErrorResponse(`Panel cannot have more than ${MAX_PANEL_SIZE} members`, 400);
+  }
+
+  const uniqueIds = [...new Set(panel.map(String))];
+  const members = await User.find({
+    _id: { $in: uniqueIds },
+    organizationId: requirement.organizationId,
+    isActive: { $ne: false }
+  }).select('_id');
+
+  if (members.length !== uniqueIds.length) {
+    throw new ErrorResponse('Panel members must be active users of the client organization', 400);
+  }
+
+  return members.map(member => member._id);
+};
+
+// Vendors see the schedule but not the client's feedback
+const toResponse = (interview, role) => {
+  const data = interview.toObject();
+  if (role === 'vendor') {
+    delete data.feedback;
+  }
+  return data;
+};
+
+const populateInterview = (query) => query
+  .populate('panel', 'firstName lastName email')
+  .populate('feedback.panelist', 'firstName lastName email');
+
+// @desc    Get interview rounds for an application
+// @route   GET /api/applications/:id/interviews
+// @access  Private
+const getApplicationInterviews = asyncHandler(async (req, res, next) => {
+  const { role } = await loadApplicationContext(req.params.id, req.user, 'interviews');
+
+  const interviews = await populateInterview(Interview.find({ application: req.params.id }))
+    .sort({ round: 1, createdAt: 1 });
+
+  res.status(200).json(
+    ApiResponse.success(interviews.map(interview => toResponse(interview, role)), 'Interviews retrieved successfully')
+  );
+});
+
+// @desc    Propose an interview round with time slots
+// @route   POST /api/applications/:id/interviews
+// @access  Private (Client owner, Admin)
+const createInterview = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'interviews');
+  const { application, requirement, role } = context;
+  requireRole(role, ['admin', 'client'], 'schedule interviews for this application');
+
+  if (application.status !== 'interview') {
+    return next(new ErrorResponse('Move the application to the interview stage before scheduling interviews', 400));
+  }
+
+  const { title, type, location, meetingUrl, notes, slots, panel } = req.body;
+  const proposedSlots = parseSlots(slots);
+  const panelIds = await validatePanel(panel, requirement);
+
+  const lastRound = await Interview.findOne({ application: application._id, status: { $ne: 'cancelled' } })
+    .sort({ round: -1 })
+    .select('round');
+  const round = lastRound ? lastRound.round + 1 : 1;
+
+  const interview = await Interview.create({
+    application: application._id,
+    requirement: requirement._id,
+    resource: application.resource,
+    round,
+    title: title || `Interview round ${round}`,
+    type,
+    location,
+    meetingUrl,
+    notes,
+    proposedSlots,
+    panel: panelIds,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  await recordHistory(application, req.user, `Round ${round} interview proposed with ${proposedSlots.length} time slot(s)`);
+  await notifyInterviewEvent(interview, 'proposed', { ...context, actor: req.user.id });
+
+  res.status(201).json(
+    ApiResponse.success(toResponse(await populateInterview(Interview.findById(interview._id)), role), 'Interview proposed successfully')
+  );
+});
+
+// @desc    Accept one of the proposed slots
+// @route   PUT /api/applications/:id/interviews/:interviewId/accept
+// @access  Private (Vendor owner, Admin)
+const acceptInterviewSlot = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'interviews');
+  const { application, role } = context;
+  requireRole(role, ['admin', 'vendor'], 'accept interview slots for this application');
+
+  const interview = await loadInterview(application._id, req.params.interviewId);
+  requireStatus(interview, ['proposed'], 'accept a slot for');
+
+  const slot = interview.proposedSlots.id(req.body.slotId);
+  if (!slot) {
+    return next(new ErrorResponse('Slot not found on this interview', 404));
+  }
+  if (slot.start.getTime() <= Date.now()) {
+    return next(new ErrorResponse('This slot has already passed', 400));
+  }
+
+  interview.scheduledSlot = { start: slot.start, end: slot.end };
+  interview.status = 'scheduled';
+  interview.calendarSequence += 1;
+  interview.updatedBy = req.user.id;
+  await interview.save();
+
+  await recordHistory(application, req.user, `Round ${interview.round} interview scheduled for ${formatSlot(slot)}`);
+  await notifyInterviewEvent(interview, 'scheduled', { ...context, actor: req.user.id });
+
+  res.status(200).json(
+    ApiResponse.success(toResponse(await populateInterview(Interview.findById(interview._id)), role), 'Interview slot accepted successfully')
+  );
+});
+
+// @desc    Reschedule an interview (client/admin propose new slots, vendor requests new times)
+// @route   PUT /api/applications/:id/interviews/:interviewId/reschedule
+// @access  Private
+const rescheduleInterview = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'interviews');
+  const { application, role } = context;
+
+  const interview = await loadInterview(application._id, req.params.interviewId);
+  requireStatus(interview, ['proposed', 'reschedule_requested', 'scheduled'], 'reschedule');
+
+  const { slots, reason } = req.body;
+  const previousSlot = interview.scheduledSlot && interview.scheduledSlot.start
+    ? { start: interview.scheduledSlot.start, end: interview.scheduledSlot.end }
+    : undefined;
+
+  let event;
+  if (role === 'vendor') {
+    if (!reason) {
+      return next(new ErrorResponse('A reason is required to request a new time', 400));
+    }
+    interview.status = 'reschedule_requested';
+    event = 'reschedule_requested';
+  } else {
+    interview.proposedSlots = parseSlots(slots);
+    interview.scheduledSlot = undefined;
+    interview.status = 'proposed';
+    if (previousSlot) {
+      interview.calendarSequence += 1;
+    }
+    event = 'rescheduled';
+  }
+
+  interview.reschedules.push({ previousSlot, reason, requestedBy: req.user.id });
+  interview.updatedBy = req.user.id;
+  await interview.save();
+
+  await recordHistory(
+    application,
+    req.user,
+    event === 'rescheduled'
+      ? `Round ${interview.round} interview rescheduled${reason ? `: ${reason}` : ''}`
+      : `New time requested for round ${interview.round} interview: ${reason}`
+  );
+  await notifyInterviewEvent(interview, event, { ...context, actor: req.user.id, reason, previousSlot });
+
+  res.status(200).json(
+    ApiResponse.success(toResponse(await populateInterview(Interview.findById(interview._id)), role), 'Interview rescheduled successfully')
+  );
+});
+
+// @desc    Cancel an interview
+// @route   PUT /api/applications/:id/interviews/:interviewId/cancel
+// @access  Private (Client owner, Admin)
+const cancelInterview = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'interviews');
+  const { application, role } = context;
+  requireRole(role, ['admin', 'client'], 'cancel interviews for this application');
+
+  const interview = await loadInterview(application._id, req.params.interviewId);
+  requireStatus(interview, ['proposed', 'reschedule_requested', 'scheduled'], 'cancel');
+
+  const { reason } = req.body;
+  if (!reason) {
+    return next(new ErrorResponse('A cancellation reason is required', 400));
+  }
+
+  if (interview.scheduledSlot && interview.scheduledSlot.start) {
+    interview.calendarSequence += 1;
+  }
+  interview.status = 'cancelled';
+  interview.cancellation = { reason, cancelledBy: req.user.id, cancelledAt: new Date() };
+  interview.updatedBy = req.user.id;
+  await interview.save();
+
+  await recordHistory(application, req.user, `Round ${interview.round} interview cancelled: ${reason}`);
+  await notifyInterviewEvent(interview, 'cancelled', { ...context, actor: req.user.id, reason });
+
+  res.status(200).json(
+    ApiResponse.success(toResponse(await populateInterview(Interview.findById(interview._id)), role), 'Interview cancelled successfully')
+  );
+});
+
+// @desc    Submit or update the current user's feedback on an interview
+// @route   POST /api/applications/:id/interviews/:interviewId/feedback
+// @access  Private (Panel members, Client owner, Admin)
+const submitInterviewFeedback = asyncHandler(async (req, res, next) => {
+  const { application, role } = await loadApplicationContext(req.params.id, req.user, 'interviews');
+  const interview = await loadInterview(application._id, req.params.interviewId);
+
+  if (role !== 'admin' && role !== 'client' && !interview.isPanelist(req.user.id)) {
+    return next(new ErrorResponse('Only panel members can submit feedback on this interview', 403));
+  }
+  requireStatus(interview, ['scheduled', 'completed'], 'submit feedback for');
+
+  if (interview.scheduledSlot.start.getTime() > Date.now()) {
+    return next(new ErrorResponse('Feedback can be submitted once the interview has started', 400));
+  }
+
+  const { rating, criteria, recommendation, strengths, concerns, notes } = req.body;
+  const entry = { panelist: req.user.id, rating, criteria, recommendation, strengths, concerns, notes, submittedAt: new Date() };
+
+  const existing = interview.feedback.find(feedback => feedback.panelist.toString() === req.user.id);
+  if (existing) {
+    existing.set(entry);
+  } else {
+    interview.feedback.push(entry);
+  }
+
+  interview.status = 'completed';
+  interview.updatedBy = req.user.id;
+  await interview.save();
+
+  // The history timeline is shared with the vendor, so the feedback itself stays on the interview
+  await recordHistory(application, req.user, `Round ${interview.round} interview feedback submitted`);
+
+  res.status(existing ? 200 : 201).json(
+    ApiResponse.success(toResponse(await populateInterview(Interview.findById(interview._id)), role), 'Interview feedback submitted successfully')
+  );
+});
+
+module.exports = {
+  getApplicationInterviews,
+  createInterview,
+  acceptInterviewSlot,
+  rescheduleInterview,
+  cancelInterview,
+  submitInterviewFeedback
+};
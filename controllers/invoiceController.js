@@ -5,6 +5,65 @@ const Organization = require('../models/Organization');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
+const { snapshotEntity, recordAuditEvent } = require('../utils/auditTrail');
+const { sanitizeBilling, matchInvoice, buildMatch, notifyMatchExceptions } = require('../utils/invoiceMatching');
+const { releaseTimesheets } = require('../utils/timesheets');
+const { getSettingsSection } = require('../utils/systemSettings');
+const { roundMoney } = require('../utils/sowPricing');
+
+// Add an amount (negative to give it back) to a PO's invoiced total in one atomic step.
+// While over-PO invoices are blocked, a charge only applies if it still fits the PO's total,
+// so two invoices cannot both take the last of it. Returns {po, previousState} with the
+// PO as now stored, or null when the PO is gone or the charge no longer fits.
+const adjustInvoicedAmount = async (po, amount) => {
+  const filter = { _id: po._id };
+  if (amount > 0) {
+    const { overAmountAction } = await getSettingsSection('invoiceMatching');
+    if (overAmountAction === 'block') {
+      filter['paymentTracking.totalInvoiced'] = { $lte: roundMoney(po.totalAmount.amount - amount) };
+    }
+  }
+
+  const previous = await PO.findOneAndUpdate(filter, [
+    { $set: { 'paymentTracking.totalInvoiced': { $add: ['$paymentTracking.totalInvoiced', amount] } } },
+    { $set: { 'paymentTracking.remainingAmount': { $subtract: ['$totalAmount.amount', '$paymentTracking.totalInvoiced'] } } }
+  ]);
+  if (!previous) {
+    return null;
+  }
+
+  const previousState = snapshotEntity(previous);
+  previous.paymentTracking.totalInvoiced += amount;
+  previous.paymentTracking.remainingAmount = previous.totalAmount.amount - previous.paymentTracking.totalInvoiced;
+
+  return { po: previous, previousState };
+};
+
+// Count an amount against a PO, or stop when it no longer fits
+const chargeInvoicedAmount = async (po, amount) => {
+  const change = await adjustInvoicedAmount(po, amount);
+  if (!change) {
+    throw new ErrorResponse(`PO ${po.poNumber} no longer has ${amount} left to invoice; reload and try again`, 409);
+  }
+  return change;
+};
+
+const recordInvoicedAmountChange = (req, change, invoice, relationship) => recordAuditEvent(req, {
+  entityType: 'po',
+  entity: change.po,
+  previousState: change.previousState,
+  action: 'po_invoiced_amount_updated',
+  actionType: 'update',
+  relatedEntities: [{ entityType: 'invoice', entityId: invoice._id, relationship }]
+});
+
+// Give back an invoice's amount to the PO it was billed against
+const releaseInvoicedAmount = async (req, invoice, relationship) => {
+  const change = await adjustInvoicedAmount({ _id: invoice.poId }, -invoice.invoiceAmount.amount);
+  if (change) {
+    await recordInvoicedAmountChange(req, change, invoice, relationship);
+  }
+};
 
 // @desc    Create new Invoice
 // @route   POST /api/invoice
@@ -38,33 +97,58 @@ const createInvoice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Access denied - PO does not belong to your organization', 403));
   }
 
-  // Validate invoice amount doesn't exceed PO remaining amount
-  const totalInvoiced = po.paymentTracking.totalInvoiced;
-  const poAmount = po.totalAmount.amount;
-  const newInvoiceAmount = invoiceAmount.amount;
-
-  if (totalInvoiced + newInvoiceAmount > poAmount) {
-    return next(new ErrorResponse('Invoice amount exceeds PO remaining amount', 400));
+  if (!invoiceAmount || typeof invoiceAmount.amount !== 'number') {
+    return next(new ErrorResponse('Invoice amount is required', 400));
   }
 
+  // Three-way match against the PO and approved timesheets
+  const billing = sanitizeBilling(req.body);
+  const match = buildMatch(await matchInvoice({
+    po,
+    invoiceDate: invoiceDate || new Date(),
+    amount: invoiceAmount.amount,
+    ...billing
+  }));
+
+  // Count the amount against the PO before creating the invoice, so a concurrent
+  // invoice cannot be matched against the same remaining amount
+  const charge = await chargeInvoicedAmount(po, invoiceAmount.amount);
+
   // Create invoice
-  const invoice = await Invoice.create({
-    poId,
-    vendorId: req.user.id,
-    clientId: po.clientId,
-    invoiceDate,
-    invoiceAmount,
-    workSummary,
-    clientOrganizationId: po.clientOrganizationId,
-    vendorOrganizationId: user.organizationId,
-    createdBy: req.user.id,
-    updatedBy: req.user.id
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      poId,
+      vendorId: req.user.id,
+      clientId: po.clientId,
+      invoiceDate,
+      invoiceAmount,
+      workSummary,
+      ...billing,
+      match,
+      clientOrganizationId: po.clientOrganizationId,
+      vendorOrganizationId: user.organizationId,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+  } catch (error) {
+    await adjustInvoicedAmount(po, -invoiceAmount.amount);
+    throw error;
+  }
+
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    action: 'invoice_created',
+    actionType: 'create',
+    relatedEntities: [{ entityType: 'po', entityId: po._id, relationship: 'billed_against' }]
   });
 
-  // Update PO payment tracking
-  po.paymentTracking.totalInvoiced += newInvoiceAmount;
-  po.paymentTracking.remainingAmount = poAmount - po.paymentTracking.totalInvoiced;
-  await po.save();
+  await recordInvoicedAmountChange(req, charge, invoice, 'invoice_created');
+
+  if (invoice.match.status === 'exception') {
+    await notifyMatchExceptions(invoice, po);
+  }
 
   // Populate details
   await invoice.populate([
@@ -108,6 +192,16 @@ const getInvoices = asyncHandler(async (req, res, next) => {
   if (clientId) query.clientId = clientId;
   if (poId) query.poId = poId;
 
+  // Draft invoices are only visible to the vendor
+  if (user.userType === 'client') {
+    if (paymentStatus === 'draft') {
+      return next(new ErrorResponse('Draft invoices are only visible to the vendor', 400));
+    }
+    if (!paymentStatus) {
+      query.paymentStatus = { $ne: 'draft' };
+    }
+  }
+
   const skip = (page - 1) * limit;
   const [invoices, total] = await Promise.all([
     Invoice.find(query)
@@ -162,6 +256,9 @@ const getInvoice = asyncHandler(async (req, res, next) => {
     if (invoice.clientOrganizationId.toString() !== user.organizationId.toString()) {
       return next(new ErrorResponse('Access denied', 403));
     }
+    if (invoice.paymentStatus === 'draft') {
+      return next(new ErrorResponse('Invoice not found', 404));
+    }
   } else if (user.userType === 'vendor') {
     if (invoice.vendorOrganizationId.toString() !== user.organizationId.toString()) {
       return next(new ErrorResponse('Access denied', 403));
@@ -194,24 +291,164 @@ const updateInvoice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Access denied', 403));
   }
 
-  // Only allow updates in pending status
-  if (invoice.paymentStatus !== 'pending') {
+  // Only allow updates in draft or pending status
+  if (!['draft', 'pending'].includes(invoice.paymentStatus)) {
     return next(new ErrorResponse('Invoice cannot be updated in current status', 400));
   }
 
+  const previousState = snapshotEntity(invoice);
+  const isDraft = invoice.paymentStatus === 'draft';
+
+  // Status, source and the match result are set by the system, not the vendor
+  const updates = { ...req.body, ...sanitizeBilling(req.body) };
+  delete updates.match;
+  delete updates.paymentStatus;
+  delete updates.source;
+
+  const po = await PO.findById(invoice.poId);
+  const previousAmount = invoice.invoiceAmount.amount;
+  const amount = updates.invoiceAmount && typeof updates.invoiceAmount.amount === 'number'
+    ? updates.invoiceAmount.amount
+    : previousAmount;
+
+  // Re-match with the updated terms; the invoice's current amount is already counted against the PO.
+  // Drafts are matched when they are submitted.
+  if (!isDraft) {
+    updates.match = buildMatch(await matchInvoice({
+      po,
+      invoiceId: invoice._id,
+      invoiceDate: updates.invoiceDate || invoice.invoiceDate,
+      amount,
+      servicePeriod: updates.servicePeriod || invoice.servicePeriod,
+      billedHours: updates.billedHours || invoice.billedHours,
+      previousAmount
+    }));
+  }
+
+  // Keep the PO's invoiced total in step with the new amount
+  const charge = !isDraft && amount !== previousAmount
+    ? await chargeInvoicedAmount(po, amount - previousAmount)
+    : null;
+
   // Update invoice
-  invoice = await Invoice.findByIdAndUpdate(
-    req.params.id,
-    { ...req.body, updatedBy: req.user.id },
-    { new: true, runValidators: true }
-  ).populate([
+  try {
+    invoice = await Invoice.findByIdAndUpdate(
+      req.params.id,
+      { ...updates, updatedBy: req.user.id },
+      { new: true, runValidators: true }
+    ).populate([
+      { path: 'vendorId', select: 'firstName lastName companyName email' },
+      { path: 'clientId', select: 'firstName lastName companyName email' },
+      { path: 'poId', select: 'poNumber totalAmount paymentTerms' }
+    ]);
+  } catch (error) {
+    if (charge) {
+      await adjustInvoicedAmount(po, previousAmount - amount);
+    }
+    throw error;
+  }
+
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    previousState,
+    action: 'invoice_updated',
+    actionType: 'update'
+  });
+
+  if (charge) {
+    await recordInvoicedAmountChange(req, charge, invoice, 'invoice_updated');
+  }
+
+  if (!isDraft && invoice.match.status === 'exception') {
+    await notifyMatchExceptions(invoice, po);
+  }
+
+  res.status(200).json(
+    ApiResponse.success(invoice, 'Invoice updated successfully')
+  );
+});
+
+// @desc    Submit a draft invoice to the client
+// @route   POST /api/invoice/:id/submit
+// @access  Private (Vendor only)
+const submitInvoice = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.userType !== 'vendor' || !['vendor_owner', 'vendor_account'].includes(user.organizationRole)) {
+    return next(new ErrorResponse('Insufficient permissions to submit invoices', 403));
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return next(new ErrorResponse('Invoice not found', 404));
+  }
+
+  // Check ownership
+  if (invoice.vendorOrganizationId.toString() !== user.organizationId.toString()) {
+    return next(new ErrorResponse('Access denied', 403));
+  }
+
+  if (invoice.paymentStatus !== 'draft') {
+    return next(new ErrorResponse('Only draft invoices can be submitted', 400));
+  }
+
+  const po = await PO.findById(invoice.poId);
+  if (!po || po.status !== 'active') {
+    return next(new ErrorResponse('Invoice can only be submitted against active POs', 400));
+  }
+
+  const previousState = snapshotEntity(invoice);
+
+  invoice.match = buildMatch(await matchInvoice({
+    po,
+    invoiceId: invoice._id,
+    invoiceDate: invoice.invoiceDate,
+    amount: invoice.invoiceAmount.amount,
+    servicePeriod: invoice.servicePeriod,
+    billedHours: invoice.billedHours
+  }));
+  invoice.paymentStatus = 'pending';
+  invoice.updatedBy = req.user.id;
+  // Count the amount against the PO first, so a concurrent invoice cannot take the same remaining amount
+  const charge = await chargeInvoicedAmount(po, invoice.invoiceAmount.amount);
+
+  // Timesheet roll-ups add hours to drafts; a version check keeps them from racing the submission
+  invoice.increment();
+  try {
+    await invoice.save();
+  } catch (error) {
+    await adjustInvoicedAmount(po, -invoice.invoiceAmount.amount);
+    if (error.name === 'VersionError') {
+      return next(new ErrorResponse('Timesheet hours were added to this invoice while it was being submitted; reload and try again', 409));
+    }
+    throw error;
+  }
+
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    previousState,
+    action: 'invoice_submitted',
+    actionType: 'status_change',
+    relatedEntities: [{ entityType: 'po', entityId: po._id, relationship: 'billed_against' }]
+  });
+
+  await recordInvoicedAmountChange(req, charge, invoice, 'invoice_submitted');
+
+  if (invoice.match.status === 'exception') {
+    await notifyMatchExceptions(invoice, po);
+  }
+
+  await invoice.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
     { path: 'poId', select: 'poNumber totalAmount paymentTerms' }
   ]);
 
   res.status(200).json(
-    ApiResponse.success(invoice, 'Invoice updated successfully')
+    ApiResponse.success(invoice, 'Invoice submitted successfully')
   );
 });
 
@@ -246,6 +483,12 @@ const approveInvoice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invoice is not in pending status', 400));
   }
 
+  if (status === 'approved' && invoice.match && invoice.match.status === 'exception') {
+    return next(new ErrorResponse('Invoice has matching exceptions; review them in the exception queue before approving', 400));
+  }
+
+  const previousState = snapshotEntity(invoice);
+
   // Update approval details
   if (status === 'approved') {
     invoice.paymentStatus = 'approved';
@@ -262,6 +505,21 @@ const approveInvoice = asyncHandler(async (req, res, next) => {
 
   await invoice.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    previousState,
+    action: status === 'approved' ? 'invoice_approved' : 'invoice_rejected',
+    actionType: status === 'approved' ? 'approval' : 'rejection',
+    comments: rejectionReason
+  });
+
+  // A rejected invoice no longer counts against the PO, and its timesheet hours can be billed again
+  if (status !== 'approved') {
+    await releaseInvoicedAmount(req, invoice, 'invoice_rejected');
+    await releaseTimesheets(invoice._id);
+  }
+
   await invoice.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -275,6 +533,129 @@ const approveInvoice = asyncHandler(async (req, res, next) => {
   );
 });
 
+// @desc    Get invoices in the matching exception queue
+// @route   GET /api/invoice/exceptions
+// @access  Private (Client finance only)
+const getInvoiceExceptions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!['client_owner', 'client_account'].includes(user.organizationRole)) {
+    return next(new ErrorResponse('Insufficient permissions to review invoice exceptions', 403));
+  }
+
+  // Reviewed exceptions can be listed with status=accepted or status=rejected
+  const { page = 1, limit = 10, status = 'exception', poId, vendorId } = req.query;
+  if (!['exception', 'accepted', 'rejected'].includes(status)) {
+    return next(new ErrorResponse('status must be exception, accepted or rejected', 400));
+  }
+
+  const query = { clientOrganizationId: user.organizationId, 'match.status': status };
+  if (poId) query.poId = poId;
+  if (vendorId) query.vendorId = vendorId;
+
+  const skip = (page - 1) * limit;
+  const [invoices, total] = await Promise.all([
+    Invoice.find(query)
+      .populate([
+        { path: 'vendorId', select: 'firstName lastName companyName email' },
+        { path: 'poId', select: 'poNumber totalAmount startDate endDate' },
+        { path: 'match.exceptions.resourceId', select: 'name' },
+        { path: 'match.reviewedBy', select: 'firstName lastName email' }
+      ])
+      .sort({ 'match.checkedAt': 1 })
+      .skip(skip)
+      .limit(limit),
+    Invoice.countDocuments(query)
+  ]);
+
+  res.status(200).json(
+    ApiResponse.success({
+      docs: invoices,
+      totalDocs: total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / limit)
+    }, 'Invoice exceptions retrieved successfully')
+  );
+});
+
+// @desc    Accept or reject an invoice's matching exceptions
+// @route   POST /api/invoice/:id/exceptions/review
+// @access  Private (Client finance only)
+const reviewInvoiceExceptions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!['client_owner', 'client_account'].includes(user.organizationRole)) {
+    return next(new ErrorResponse('Insufficient permissions to review invoice exceptions', 403));
+  }
+
+  const { decision, notes } = req.body;
+  if (!['accept', 'reject'].includes(decision)) {
+    return next(new ErrorResponse('decision must be accept or reject', 400));
+  }
+  if (decision === 'reject' && !notes) {
+    return next(new ErrorResponse('Notes are required when rejecting an invoice', 400));
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return next(new ErrorResponse('Invoice not found', 404));
+  }
+
+  // Check ownership
+  if (invoice.clientOrganizationId.toString() !== user.organizationId.toString()) {
+    return next(new ErrorResponse('Access denied', 403));
+  }
+
+  if (invoice.match.status !== 'exception' || invoice.paymentStatus !== 'pending') {
+    return next(new ErrorResponse('Invoice is not waiting for exception review', 400));
+  }
+
+  const previousState = snapshotEntity(invoice);
+
+  invoice.match.status = decision === 'accept' ? 'accepted' : 'rejected';
+  invoice.match.reviewedBy = req.user.id;
+  invoice.match.reviewedAt = new Date();
+  invoice.match.reviewNotes = notes;
+
+  // Accepted invoices go on to normal approval; rejected ones are sent back to the vendor
+  if (decision === 'reject') {
+    invoice.paymentStatus = 'rejected';
+    invoice.approvalDetails.rejectedBy = req.user.id;
+    invoice.approvalDetails.rejectedAt = new Date();
+    invoice.approvalDetails.rejectionReason = notes;
+  }
+
+  invoice.updatedBy = req.user.id;
+  await invoice.save();
+
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    previousState,
+    action: decision === 'accept' ? 'invoice_exceptions_accepted' : 'invoice_exceptions_rejected',
+    actionType: decision === 'accept' ? 'approval' : 'rejection',
+    comments: notes,
+    metadata: { exceptions: invoice.match.exceptions.map(exception => exception.type) }
+  });
+
+  if (decision === 'reject') {
+    await releaseInvoicedAmount(req, invoice, 'invoice_rejected');
+    await releaseTimesheets(invoice._id);
+  }
+
+  await invoice.populate([
+    { path: 'vendorId', select: 'firstName lastName companyName email' },
+    { path: 'poId', select: 'poNumber totalAmount paymentTerms' },
+    { path: 'match.reviewedBy', select: 'firstName lastName email' }
+  ]);
+
+  res.status(200).json(
+    ApiResponse.success(invoice, decision === 'accept' ? 'Invoice exceptions accepted' : 'Invoice rejected')
+  );
+});
+
 // @desc    Mark invoice as paid
 // @route   POST /api/invoice/:id/mark-paid
 // @access  Private (Client only)
@@ -306,6 +687,8 @@ const markAsPaid = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invoice must be approved before marking as paid', 400));
   }
 
+  const previousState = snapshotEntity(invoice);
+
   // Update payment details
   invoice.paymentStatus = 'paid';
   invoice.paymentDetails = {
@@ -319,15 +702,43 @@ const markAsPaid = asyncHandler(async (req, res, next) => {
   // Update PO payment tracking
   const po = await PO.findById(invoice.poId);
   if (po) {
+    const previousPOState = snapshotEntity(po);
+
     po.paymentTracking.totalPaid += (paidAmount || invoice.invoiceAmount.amount);
     po.paymentTracking.lastPaymentDate = new Date();
     await po.save();
+
+    await recordAuditEvent(req, {
+      entityType: 'payment',
+      entity: po,
+      previousState: previousPOState,
+      action: 'po_payment_recorded',
+      actionType: 'payment',
+      relatedEntities: [
+        { entityType: 'po', entityId: po._id, relationship: 'paid_against' },
+        { entityType: 'invoice', entityId: invoice._id, relationship: 'paid_invoice' }
+      ]
+    });
   }
 
   invoice.updatedBy = req.user.id;
 
   await invoice.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'payment',
+    entity: invoice,
+    previousState,
+    action: 'invoice_marked_paid',
+    actionType: 'payment',
+    comments: notes,
+    relatedEntities: [
+      { entityType: 'invoice', entityId: invoice._id, relationship: 'paid_invoice' },
+      { entityType: 'po', entityId: invoice.poId, relationship: 'billed_against' }
+    ],
+    metadata: { transactionId, paymentMethod }
+  });
+
   await invoice.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -370,6 +781,8 @@ const createCreditNote = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Credit note amount cannot exceed invoice amount', 400));
   }
 
+  const previousState = snapshotEntity(invoice);
+
   // Create credit note
   invoice.creditNote = {
     amount,
@@ -382,6 +795,19 @@ const createCreditNote = asyncHandler(async (req, res, next) => {
 
   await invoice.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'credit_note',
+    entity: invoice,
+    previousState,
+    action: 'invoice_credit_note_created',
+    actionType: 'credit_note',
+    comments: reason,
+    relatedEntities: [
+      { entityType: 'invoice', entityId: invoice._id, relationship: 'credited_invoice' },
+      { entityType: 'po', entityId: invoice.poId, relationship: 'billed_against' }
+    ]
+  });
+
   await invoice.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -415,21 +841,30 @@ const deleteInvoice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Access denied', 403));
   }
 
-  // Only allow deletion in pending status
-  if (invoice.paymentStatus !== 'pending') {
+  // Only allow deletion in draft or pending status
+  if (!['draft', 'pending'].includes(invoice.paymentStatus)) {
     return next(new ErrorResponse('Invoice cannot be deleted in current status', 400));
   }
 
-  // Update PO payment tracking
-  const po = await PO.findById(invoice.poId);
-  if (po) {
-    po.paymentTracking.totalInvoiced -= invoice.invoiceAmount.amount;
-    po.paymentTracking.remainingAmount = po.totalAmount.amount - po.paymentTracking.totalInvoiced;
-    await po.save();
+  // Update PO payment tracking; drafts were never counted
+  if (invoice.paymentStatus === 'pending') {
+    await releaseInvoicedAmount(req, invoice, 'invoice_deleted');
   }
+  await releaseTimesheets(invoice._id);
+
+  const previousState = snapshotEntity(invoice);
 
   await invoice.deleteOne();
 
+  await recordAuditEvent(req, {
+    entityType: 'invoice',
+    entity: invoice,
+    previousState,
+    action: 'invoice_deleted',
+    actionType: 'delete',
+    deleted: true
+  });
+
   res.status(200).json(
     ApiResponse.success(null, 'Invoice deleted successfully')
   );
@@ -440,7 +875,10 @@ module.exports = {
   getInvoices,
   getInvoice,
   updateInvoice,
+  submitInvoice,
   approveInvoice,
+  getInvoiceExceptions,
+  reviewInvoiceExceptions,
   markAsPaid,
   createCreditNote,
   deleteInvoice
@@ -0,0 +1,284 @@
+const Offer = require('../models/Offer');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const {
+  PRE_OFFER_STATUSES,
+  findTransition,
+  changeApplicationStatus
+} = require('../utils/applicationTransitions');
+const { loadApplicationContext, requireRole, recordHistory } = require('../utils/applicationContext');
+const { summarizeOffer, generateOfferPdf } = require('../utils/offerDocument');
+const { notifyOfferEvent } = require('../utils/offerEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an offer stays open when no expiry is given
+const DEFAULT_EXPIRY_DAYS = 7;
+
+const loadOffer = async (applicationId, offerId) => {
+  const offer = await Offer.findOne({ _id: offerId, application: applicationId });
+  if (!offer) {
+    throw new ErrorResponse('Offer not found', 404);
+  }
+  return offer;
+};
+
+// Open offers past their expiry wait for the expiry job but can no longer be acted on
+const requireOpen = (offer, action) => {
+  if (!offer.isOpen()) {
+    throw new ErrorResponse(`Cannot ${action} an offer that is ${offer.status}`, 400);
+  }
+  if (offer.expiresAt.getTime() <= Date.now()) {
+    throw new ErrorResponse(`Cannot ${action} an offer that has expired`, 400);
+  }
+};
+
+// Check the application status change an offer action leads to before the offer is
+// touched, so a refused change cannot leave the offer and the application out of step
+const requireApplicationTransition = (application, from, to, role, action) => {
+  if (!from.includes(application.status) || !findTransition(application.status, to, role)) {
+    throw new ErrorResponse(`Cannot ${action} while the application is ${application.status.replace(/_/g, ' ')}`, 400);
+  }
+};
+
+const copyRate = (rate) => (rate ? { amount: rate.amount, currency: rate.currency, type: rate.type } : {});
+
+// Validate offer terms, filling anything not given from the fallback terms
+const parseOfferTerms = (body, fallback) => {
+  const rate = { ...fallback.rate, ...(body.rate || {}) };
+  const amount = Number(rate.amount);
+  if (rate.amount === undefined || rate.amount === null || isNaN(amount) || amount < 0) {
+    throw new ErrorResponse('A valid rate amount is required', 400);
+  }
+  if (rate.type && !['hourly', 'fixed'].includes(rate.type)) {
+    throw new ErrorResponse('Rate type must be hourly or fixed', 400);
+  }
+
+  const startDate = new Date(body.startDate || fallback.startDate);
+  if (!(body.startDate || fallback.startDate) || isNaN(startDate.getTime())) {
+    throw new ErrorResponse('A valid start date is required', 400);
+  }
+
+  const durationWeeks = Number(body.durationWeeks !== undefined ? body.durationWeeks : fallback.durationWeeks);
+  if (!Number.isInteger(durationWeeks) || durationWeeks < 1) {
+    throw new ErrorResponse('Duration must be a whole number of weeks, at least one', 400);
+  }
+
+  const expiresAt = body.expiresAt
+    ? new Date(body.expiresAt)
+    : new Date(Date.now() + DEFAULT_EXPIRY_DAYS * DAY_MS);
+  if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+    throw new ErrorResponse('Offer expiry must be a valid date in the future', 400);
+  }
+
+  return {
+    rate: { amount, currency: rate.currency || 'USD', type: rate.type || 'hourly' },
+    startDate,
+    durationWeeks,
+    terms: body.terms !== undefined ? body.terms : fallback.terms,
+    expiresAt
+  };
+};
+
+const populateOffer = (query) => query
+  .populate('revisions.proposedBy', 'firstName lastName email')
+  .populate('respondedBy', 'firstName lastName email');
+
+// @desc    Get offers for an application
+// @route   GET /api/applications/:id/offers
+// @access  Private
+const getApplicationOffers = asyncHandler(async (req, res, next) => {
+  await loadApplicationContext(req.params.id, req.user, 'offers');
+
+  const offers = await populateOffer(Offer.find({ application: req.params.id }))
+    .sort({ createdAt: -1 });
+
+  res.status(200).json(
+    ApiResponse.success(offers, 'Offers retrieved successfully')
+  );
+});
+
+// @desc    Make an offer
+// @route   POST /api/applications/:id/offers
+// @access  Private (Client owner, Admin)
+const createOffer = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'offers');
+  const { application, requirement, role } = context;
+  requireRole(role, ['admin', 'client'], 'make offers for this application');
+
+  requireApplicationTransition(application, PRE_OFFER_STATUSES, 'offer_created', role, 'make an offer');
+
+  const openOffer = await Offer.exists({ application: application._id, status: { $in: Offer.OPEN_STATUSES } });
+  if (openOffer) {
+    return next(new ErrorResponse('This application already has an open offer', 400));
+  }
+
+  // Default to the rate and start date the vendor proposed in the application
+  const terms = parseOfferTerms(req.body, {
+    rate: copyRate(application.proposedRate),
+    startDate: application.availability && application.availability.startDate
+  });
+
+  const offer = new Offer({
+    application: application._id,
+    requirement: requirement._id,
+    resource: application.resource,
+    previousApplicationStatus: application.status,
+    organizationId: requirement.organizationId,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+  offer.addRevision({ ...terms, proposedBy: req.user.id, proposedByRole: role, message: req.body.message });
+  await offer.save();
+
+  await changeApplicationStatus({
+    ...context,
+    to: 'offer_created',
+    role,
+    actorId: req.user.id,
+    notes: `Offer made: ${summarizeOffer(offer)}`
+  });
+  await notifyOfferEvent(offer, 'proposed', { ...context, actor: req.user.id, message: req.body.message });
+
+  res.status(201).json(
+    ApiResponse.success(await populateOffer(Offer.findById(offer._id)), 'Offer created successfully')
+  );
+});
+
+// @desc    Counter an offer (vendor) or revise it (client/admin)
+// @route   POST /api/applications/:id/offers/:offerId/revisions
+// @access  Private
+const reviseOffer = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'offers');
+  const { application, role } = context;
+
+  const offer = await loadOffer(application._id, req.params.offerId);
+  requireOpen(offer, 'revise');
+
+  // Vendors counter the client's terms; clients answer with revised terms
+  if (role === 'vendor' && offer.status !== 'pending') {
+    return next(new ErrorResponse('Wait for the client to respond to your counter-offer', 400));
+  }
+
+  const current = offer.currentRevision();
+  const terms = parseOfferTerms(req.body, {
+    rate: copyRate(current.rate),
+    startDate: current.startDate,
+    durationWeeks: current.durationWeeks,
+    terms: current.terms
+  });
+
+  offer.addRevision({ ...terms, proposedBy: req.user.id, proposedByRole: role, message: req.body.message });
+  offer.status = role === 'vendor' ? 'countered' : 'pending';
+  offer.updatedBy = req.user.id;
+  await offer.save();
+
+  const event = role === 'vendor' ? 'countered' : 'revised';
+  await recordHistory(
+    application,
+    req.user,
+    `${event === 'countered' ? 'Counter-offer' : 'Offer revised'} (revision ${offer.revisions.length}): ${summarizeOffer(offer)}`
+  );
+  await notifyOfferEvent(offer, event, { ...context, actor: req.user.id, message: req.body.message });
+
+  res.status(201).json(
+    ApiResponse.success(await populateOffer(Offer.findById(offer._id)), 'Offer revised successfully')
+  );
+});
+
+// @desc    Accept an offer (vendor accepts the client's terms, client accepts a counter-offer)
+// @route   PUT /api/applications/:id/offers/:offerId/accept
+// @access  Private
+const acceptOffer = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'offers');
+  const { application, role } = context;
+
+  const offer = await loadOffer(application._id, req.params.offerId);
+  requireOpen(offer, 'accept');
+
+  const acceptingRole = offer.status === 'countered' ? 'client' : 'vendor';
+  requireRole(role, ['admin', acceptingRole], `accept this ${offer.status === 'countered' ? 'counter-offer' : 'offer'}`);
+  requireApplicationTransition(application, ['offer_created'], 'offer_accepted', role, 'accept an offer');
+
+  offer.status = 'accepted';
+  offer.respondedBy = req.user.id;
+  offer.respondedAt = new Date();
+  offer.updatedBy = req.user.id;
+  await offer.save();
+
+  await changeApplicationStatus({
+    ...context,
+    to: 'offer_accepted',
+    role,
+    actorId: req.user.id,
+    notes: `Offer accepted (revision ${offer.revisions.length}): ${summarizeOffer(offer)}`
+  });
+  await notifyOfferEvent(offer, 'accepted', { ...context, actor: req.user.id });
+
+  res.status(200).json(
+    ApiResponse.success(await populateOffer(Offer.findById(offer._id)), 'Offer accepted successfully')
+  );
+});
+
+// @desc    Decline an offer; the application returns to the stage it was in before the offer
+// @route   PUT /api/applications/:id/offers/:offerId/decline
+// @access  Private (Vendor owner, Admin)
+const declineOffer = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'offers');
+  const { application, role } = context;
+  requireRole(role, ['admin', 'vendor'], 'decline offers for this application');
+
+  const offer = await loadOffer(application._id, req.params.offerId);
+  requireOpen(offer, 'decline');
+
+  const { reason } = req.body;
+  if (!reason) {
+    return next(new ErrorResponse('A reason is required to decline an offer', 400));
+  }
+  requireApplicationTransition(application, ['offer_created'], offer.previousApplicationStatus, role, 'decline an offer');
+
+  offer.status = 'declined';
+  offer.declineReason = reason;
+  offer.respondedBy = req.user.id;
+  offer.respondedAt = new Date();
+  offer.updatedBy = req.user.id;
+  await offer.save();
+
+  await changeApplicationStatus({
+    ...context,
+    to: offer.previousApplicationStatus,
+    role,
+    actorId: req.user.id,
+    notes: `Offer declined: ${reason}`
+  });
+  await notifyOfferEvent(offer, 'declined', { ...context, actor: req.user.id, reason });
+
+  res.status(200).json(
+    ApiResponse.success(await populateOffer(Offer.findById(offer._id)), 'Offer declined successfully')
+  );
+});
+
+// @desc    Download the offer letter PDF for the offer's current terms
+// @route   GET /api/applications/:id/offers/:offerId/pdf
+// @access  Private
+const getOfferPdf = asyncHandler(async (req, res, next) => {
+  const context = await loadApplicationContext(req.params.id, req.user, 'offers');
+  const offer = await loadOffer(context.application._id, req.params.offerId);
+
+  const pdf = await generateOfferPdf(offer, context);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="offer-${offer._id}-r${offer.revisions.length}.pdf"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.status(200).end(pdf);
+});
+
+module.exports = {
+  getApplicationOffers,
+  createOffer,
+  reviseOffer,
+  acceptOffer,
+  declineOffer,
+  getOfferPdf
+};
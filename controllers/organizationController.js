@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Organization = require('../models/Organization');
 const OTP = require('../models/OTP');
 const ErrorResponse = require('../utils/errorResponse');
+const { sendTemplatedEmail } = require('../utils/emailTemplates');
 
 // @desc    Add employee to vendor organization
 // @route   POST /api/vendor/organization/add-employee
@@ -75,8 +76,23 @@ const addEmployee = asyncHandler(async (req, res, next) => {
     expiresAt: otpExpiry
   });
 
-  // TODO: Send email with OTP (when email service is set up)
-  console.log(`OTP for ${email}: ${otp}`);
+  // Send invitation with OTP via email
+  try {
+    await sendTemplatedEmail({
+      to: employee.email,
+      template: 'employee_invite',
+      variables: {
+        name: `${firstName} ${lastName}`,
+        invitedBy: `${req.user.firstName} ${req.user.lastName}`,
+        organizationName: organization.name,
+        role: userRole.replace(/_/g, ' '),
+        otp,
+        expiresInMinutes: 10
+      }
+    });
+  } catch (error) {
+    console.error(`Error sending invitation email to ${employee.email}:`, error);
+  }
 
   res.status(201).json({
     success: true,
@@ -209,8 +225,16 @@ const resendOTP = asyncHandler(async (req, res, next) => {
     expiresAt: otpExpiry
   });
 
-  // TODO: Send email with OTP (when email service is set up)
-  console.log(`New OTP for ${email}: ${otp}`);
+  // Send OTP via email
+  try {
+    await sendTemplatedEmail({
+      to: employee.email,
+      template: 'email_otp',
+      variables: { name: employee.firstName, otp, expiresInMinutes: 10 }
+    });
+  } catch (error) {
+    console.error(`Error sending OTP email to ${employee.email}:`, error);
+  }
 
   res.status(200).json({
     success: true,
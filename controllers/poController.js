@@ -5,6 +5,27 @@ const Organization = require('../models/Organization');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
+const { snapshotEntity, recordAuditEvent } = require('../utils/auditTrail');
+const { inheritSOWLines } = require('../utils/sowPricing');
+const { buildApprovalChain, decideApprovalLevel } = require('../utils/approvalMatrix');
+
+// Fields a client may change on a draft PO; lines and milestones always come from the SOW,
+// and status, approvals and payment tracking have their own endpoints
+const PO_UPDATE_FIELDS = ['startDate', 'endDate', 'totalAmount', 'paymentTerms'];
+
+const pickPOUpdates = (body) => PO_UPDATE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// A SOW priced by line items caps the PO at the line total
+const assertWithinSOWTotal = (sow, totalAmount) => {
+  if (sow.lineItems.length > 0 && totalAmount && totalAmount.amount > sow.estimatedCost.amount) {
+    throw new ErrorResponse(`PO amount cannot exceed the SOW line item total of ${sow.estimatedCost.amount}`, 400);
+  }
+};
 
 // @desc    Create new PO
 // @route   POST /api/po
@@ -48,6 +69,8 @@ const createPO = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid vendor or vendor not approved', 400));
   }
 
+  assertWithinSOWTotal(sow, totalAmount);
+
   // Create PO
   const poData = {
     sowId,
@@ -55,9 +78,10 @@ const createPO = asyncHandler(async (req, res, next) => {
     vendorId,
     startDate,
     endDate,
-    totalAmount,
+    totalAmount: totalAmount || { amount: sow.estimatedCost.amount, currency: sow.estimatedCost.currency },
     paymentTerms,
     customPaymentTerms,
+    ...inheritSOWLines(sow),
     clientOrganizationId: user.organizationId,
     vendorOrganizationId: vendor.organizationId,
     createdBy: req.user.id,
@@ -79,6 +103,14 @@ const createPO = asyncHandler(async (req, res, next) => {
   try {
     const po = await PO.create(poData);
 
+    await recordAuditEvent(req, {
+      entityType: 'po',
+      entity: po,
+      action: 'po_created',
+      actionType: 'create',
+      relatedEntities: [{ entityType: 'sow', entityId: sow._id, relationship: 'created_from' }]
+    });
+
     // Populate vendor, client, and SOW details
     await po.populate([
       { path: 'vendorId', select: 'firstName lastName companyName email' },
@@ -175,7 +207,8 @@ const getPO = asyncHandler(async (req, res, next) => {
     { path: 'sowId', select: 'title description estimatedCost startDate endDate' },
     { path: 'createdBy', select: 'firstName lastName email' },
     { path: 'updatedBy', select: 'firstName lastName email' },
-    { path: 'financeApproval.userId', select: 'firstName lastName email' }
+    { path: 'financeApproval.userId', select: 'firstName lastName email' },
+    { path: 'financeApproval.levels.userId financeApproval.levels.delegatedFrom', select: 'firstName lastName email' }
   ]);
 
   if (!po) {
@@ -224,10 +257,22 @@ const updatePO = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO cannot be updated in current status', 400));
   }
 
+  const previousState = snapshotEntity(po);
+
+  const updates = pickPOUpdates(req.body);
+
+  if (updates.totalAmount) {
+    const sow = await SOW.findById(po.sowId);
+    if (!sow) {
+      return next(new ErrorResponse('SOW not found', 404));
+    }
+    assertWithinSOWTotal(sow, updates.totalAmount);
+  }
+
   // Update PO
   po = await PO.findByIdAndUpdate(
     req.params.id,
-    { ...req.body, updatedBy: req.user.id },
+    { ...updates, updatedBy: req.user.id },
     { new: true, runValidators: true }
   ).populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
@@ -235,6 +280,14 @@ const updatePO = asyncHandler(async (req, res, next) => {
     { path: 'sowId', select: 'title description estimatedCost' }
   ]);
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: 'po_updated',
+    actionType: 'update'
+  });
+
   res.status(200).json(
     ApiResponse.success(po, 'PO updated successfully')
   );
@@ -265,12 +318,30 @@ const submitPO = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO can only be submitted from draft status', 400));
   }
 
-  // Update status
+  const previousState = snapshotEntity(po);
+
+  // Update status and fix the approval chain for the amount
   po.status = 'submitted';
+  po.financeApproval = {
+    status: 'pending',
+    levels: await buildApprovalChain({
+      organizationId: po.clientOrganizationId,
+      entityType: 'po',
+      amount: po.totalAmount.amount
+    })
+  };
   po.updatedBy = req.user.id;
 
   await po.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: 'po_submitted',
+    actionType: 'status_change'
+  });
+
   await po.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -282,18 +353,22 @@ const submitPO = asyncHandler(async (req, res, next) => {
   );
 });
 
-// @desc    Finance approval for PO
+// @desc    Approve or reject the next level of a PO's finance approval chain
 // @route   POST /api/po/:id/finance-approval
-// @access  Private (Client admin only)
+// @access  Private (Approvers for the current level, or their delegates)
 const financeApproval = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
   
-  if (user.userType !== 'client' || user.organizationRole !== 'client_owner') {
-    return next(new ErrorResponse('Only client admins can approve POs', 403));
+  if (user.userType !== 'client') {
+    return next(new ErrorResponse('Only clients can approve POs', 403));
   }
 
   const { status, comments } = req.body;
 
+  if (!['approved', 'rejected'].includes(status)) {
+    return next(new ErrorResponse('status must be approved or rejected', 400));
+  }
+
   let po = await PO.findById(req.params.id);
 
   if (!po) {
@@ -309,18 +384,29 @@ const financeApproval = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO can only be approved from submitted status', 400));
   }
 
-  // Update finance approval details
-  po.financeApproval = {
-    userId: req.user.id,
-    status,
-    date: new Date(),
-    comments
-  };
+  const previousState = snapshotEntity(po);
+
+  // POs submitted before approval chains were kept get one now
+  if (po.financeApproval.levels.length === 0) {
+    po.financeApproval.levels = await buildApprovalChain({
+      organizationId: po.clientOrganizationId,
+      entityType: 'po',
+      amount: po.totalAmount.amount
+    });
+  }
+
+  const decision = await decideApprovalLevel({ chain: po.financeApproval.levels, user, entityType: 'po', status, comments });
 
-  // Update status based on approval
-  if (status === 'approved') {
+  // Record the latest decision; the overall status settles on the last approval or any rejection
+  po.financeApproval.userId = req.user.id;
+  po.financeApproval.date = new Date();
+  po.financeApproval.comments = comments;
+
+  if (decision.complete) {
+    po.financeApproval.status = 'approved';
     po.status = 'finance_approved';
-  } else {
+  } else if (status === 'rejected') {
+    po.financeApproval.status = 'rejected';
     po.status = 'draft'; // Reject back to draft
   }
 
@@ -328,15 +414,31 @@ const financeApproval = asyncHandler(async (req, res, next) => {
 
   await po.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: status === 'approved' ? 'po_finance_approved' : 'po_finance_rejected',
+    actionType: status === 'approved' ? 'approval' : 'rejection',
+    comments,
+    metadata: { level: decision.level.level, levelName: decision.level.name, delegatedFrom: decision.delegatedFrom }
+  });
+
   await po.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
     { path: 'sowId', select: 'title description estimatedCost' },
-    { path: 'financeApproval.userId', select: 'firstName lastName email' }
+    { path: 'financeApproval.userId', select: 'firstName lastName email' },
+    { path: 'financeApproval.levels.userId financeApproval.levels.delegatedFrom', select: 'firstName lastName email' }
   ]);
 
+  let message = `PO ${status} by finance`;
+  if (status === 'approved' && !decision.complete) {
+    message = `PO approved at ${decision.level.name}; awaiting the next approval level`;
+  }
+
   res.status(200).json(
-    ApiResponse.success(po, `PO ${status} by finance`)
+    ApiResponse.success(po, message)
   );
 });
 
@@ -365,12 +467,22 @@ const sendToVendor = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO can only be sent to vendor after finance approval', 400));
   }
 
+  const previousState = snapshotEntity(po);
+
   // Update status
   po.status = 'sent_to_vendor';
   po.updatedBy = req.user.id;
 
   await po.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: 'po_sent_to_vendor',
+    actionType: 'status_change'
+  });
+
   await po.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -413,6 +525,8 @@ const vendorResponse = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO is not in sent_to_vendor status', 400));
   }
 
+  const previousState = snapshotEntity(po);
+
   // Update PO with vendor response
   po.status = status === 'accepted' ? 'vendor_accepted' : 'vendor_rejected';
   po.vendorResponse = {
@@ -424,6 +538,15 @@ const vendorResponse = asyncHandler(async (req, res, next) => {
 
   await po.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: status === 'accepted' ? 'po_vendor_accepted' : 'po_vendor_rejected',
+    actionType: status === 'accepted' ? 'approval' : 'rejection',
+    comments
+  });
+
   await po.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -460,12 +583,22 @@ const activatePO = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO can only be activated after vendor acceptance', 400));
   }
 
+  const previousState = snapshotEntity(po);
+
   // Update status
   po.status = 'active';
   po.updatedBy = req.user.id;
 
   await po.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: 'po_activated',
+    actionType: 'status_change'
+  });
+
   await po.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' },
@@ -503,8 +636,19 @@ const deletePO = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('PO cannot be deleted in current status', 400));
   }
 
+  const previousState = snapshotEntity(po);
+
   await po.deleteOne();
 
+  await recordAuditEvent(req, {
+    entityType: 'po',
+    entity: po,
+    previousState,
+    action: 'po_deleted',
+    actionType: 'delete',
+    deleted: true
+  });
+
   res.status(200).json(
     ApiResponse.success(null, 'PO deleted successfully')
   );
@@ -0,0 +1,136 @@
+const RateCard = require('../models/RateCard');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+
+// Fields a client may set on a rate card
+const RATE_CARD_FIELDS = ['name', 'vendorOrganizationId', 'currency', 'rates', 'effectiveFrom', 'effectiveTo', 'isActive'];
+
+const pickRateCardFields = (body) => RATE_CARD_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// Load the requesting client user, optionally requiring the owner role to manage cards
+const loadClientUser = async (userId, { manage = false } = {}) => {
+  const user = await User.findById(userId);
+
+  if (user.userType !== 'client' || !['client_owner', 'client_account'].includes(user.organizationRole)) {
+    throw new ErrorResponse('Insufficient permissions to view rate cards', 403);
+  }
+  if (manage && user.organizationRole !== 'client_owner') {
+    throw new ErrorResponse('Only client admins can manage rate cards', 403);
+  }
+
+  return user;
+};
+
+const loadRateCard = async (id, user) => {
+  const rateCard = await RateCard.findById(id);
+
+  if (!rateCard) {
+    throw new ErrorResponse('Rate card not found', 404);
+  }
+  if (rateCard.organizationId.toString() !== user.organizationId.toString()) {
+    throw new ErrorResponse('Access denied', 403);
+  }
+
+  return rateCard;
+};
+
+// @desc    Get the organization's rate cards
+// @route   GET /api/sow/rate-cards
+// @access  Private (Client only)
+const getRateCards = asyncHandler(async (req, res, next) => {
+  const user = await loadClientUser(req.user.id);
+  const { includeInactive, vendorOrganizationId } = req.query;
+
+  const query = { organizationId: user.organizationId };
+  if (includeInactive !== 'true') {
+    query.isActive = true;
+  }
+  if (vendorOrganizationId) {
+    query.vendorOrganizationId = vendorOrganizationId;
+  }
+
+  const rateCards = await RateCard.find(query)
+    .populate('vendorOrganizationId', 'name')
+    .sort({ name: 1 });
+
+  res.status(200).json(
+    ApiResponse.success(rateCards, 'Rate cards retrieved successfully')
+  );
+});
+
+// @desc    Get a rate card
+// @route   GET /api/sow/rate-cards/:id
+// @access  Private (Client only)
+const getRateCard = asyncHandler(async (req, res, next) => {
+  const user = await loadClientUser(req.user.id);
+  const rateCard = await loadRateCard(req.params.id, user);
+
+  await rateCard.populate('vendorOrganizationId', 'name');
+
+  res.status(200).json(
+    ApiResponse.success(rateCard, 'Rate card retrieved successfully')
+  );
+});
+
+// @desc    Create a rate card
+// @route   POST /api/sow/rate-cards
+// @access  Private (Client admin only)
+const createRateCard = asyncHandler(async (req, res, next) => {
+  const user = await loadClientUser(req.user.id, { manage: true });
+
+  const rateCard = await RateCard.create({
+    ...pickRateCardFields(req.body),
+    organizationId: user.organizationId,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  res.status(201).json(
+    ApiResponse.success(rateCard, 'Rate card created successfully')
+  );
+});
+
+// @desc    Update a rate card
+// @route   PUT /api/sow/rate-cards/:id
+// @access  Private (Client admin only)
+const updateRateCard = asyncHandler(async (req, res, next) => {
+  const user = await loadClientUser(req.user.id, { manage: true });
+  const rateCard = await loadRateCard(req.params.id, user);
+
+  // SOW line items keep their own copy of the rate, so existing SOWs are unaffected
+  rateCard.set({ ...pickRateCardFields(req.body), updatedBy: req.user.id });
+  await rateCard.save();
+
+  res.status(200).json(
+    ApiResponse.success(rateCard, 'Rate card updated successfully')
+  );
+});
+
+// @desc    Delete a rate card
+// @route   DELETE /api/sow/rate-cards/:id
+// @access  Private (Client admin only)
+const deleteRateCard = asyncHandler(async (req, res, next) => {
+  const user = await loadClientUser(req.user.id, { manage: true });
+  const rateCard = await loadRateCard(req.params.id, user);
+
+  await rateCard.deleteOne();
+
+  res.status(200).json(
+    ApiResponse.success(null, 'Rate card deleted successfully')
+  );
+});
+
+module.exports = {
+  getRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+};
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ReportSchedule = require('../models/ReportSchedule');
+const ReportRun = require('../models/ReportRun');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { findAccessibleTemplate } = require('../utils/reportTemplates');
+const {
+  getReportOutputDir,
+  computeNextRunAt,
+  executeReportSchedule
+} = require('../utils/reportScheduler');
+
+// Schedule fields a client may set
+const SCHEDULE_FIELDS = [
+  'name',
+  'frequency',
+  'dayOfWeek',
+  'dayOfMonth',
+  'hour',
+  'minute',
+  'format',
+  'deliveryChannels',
+  'recipients',
+  'additionalEmails',
+  'isActive'
+];
+
+const pickScheduleFields = (body) => {
+  return SCHEDULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// Recipients must be active admin users
+const validateRecipients = async (recipients = []) => {
+  if (!Array.isArray(recipients) || recipients.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Recipients must be a list of user ids';
+  }
+
+  const count = await User.countDocuments({
+    _id: { $in: recipients },
+    userType: 'admin',
+    isActive: true
+  });
+
+  return count === new Set(recipients.map(String)).size ? null : 'Recipients must be active admin users';
+};
+
+const findSchedule = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return ReportSchedule.findById(id);
+};
+
+// @desc    Get report schedules
+// @route   GET /api/admin/reports/schedules
+// @access  Private (Admin only)
+const getReportSchedules = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.template) {
+    query.template = req.query.template;
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const schedules = await ReportSchedule.find(query)
+    .populate('template', 'name dataSource isPublic createdBy')
+    .populate('recipients', 'firstName lastName email')
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ nextRunAt: 1 });
+
+  // Only list schedules whose template the admin can see
+  const visible = schedules.filter(schedule => {
+    const { template } = schedule;
+    return template && (template.isPublic || (template.createdBy && template.createdBy.toString() === req.user.id.toString()));
+  });
+
+  res.status(200).json({
+    success: true,
+    count: visible.length,
+    data: visible
+  });
+});
+
+// @desc    Get report schedule
+// @route   GET /api/admin/reports/schedules/:id
+// @access  Private (Admin only)
+const getReportSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = await findSchedule(req.params.id);
+
+  if (!schedule || !(await findAccessibleTemplate(schedule.template, req.user))) {
+    return next(new ErrorResponse(`Report schedule ${req.params.id} not found`, 404));
+  }
+
+  await schedule.populate([
+    { path: 'template', select: 'name description dataSource' },
+    { path: 'recipients', select: 'firstName lastName email' },
+    { path: 'createdBy', select: 'firstName lastName email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Create report schedule
+// @route   POST /api/admin/reports/schedules
+// @access  Private (Admin only)
+const createReportSchedule = asyncHandler(async (req, res, next) => {
+  const template = await findAccessibleTemplate(req.body.template, req.user);
+
+  if (!template) {
+    return next(new ErrorResponse(`Report template ${req.body.template} not found`, 404));
+  }
+
+  const fields = pickScheduleFields(req.body);
+  // Default to delivering to the admin who created the schedule
+  if (!fields.recipients && !fields.additionalEmails) {
+    fields.recipients = [req.user.id];
+  }
+
+  const recipientError = await validateRecipients(fields.recipients);
+  if (recipientError) {
+    return next(new ErrorResponse(recipientError, 400));
+  }
+
+  const schedule = new ReportSchedule({
+    ...fields,
+    template: template._id,
+    name: fields.name || template.name,
+    createdBy: req.user.id
+  });
+
+  // Run validation first so computeNextRunAt sees a valid frequency
+  await schedule.validate();
+  schedule.nextRunAt = computeNextRunAt(schedule);
+  await schedule.save();
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Update report schedule
+// @route   PUT /api/admin/reports/schedules/:id
+// @access  Private (Admin only)
+const updateReportSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = await findSchedule(req.params.id);
+
+  if (!schedule || !(await findAccessibleTemplate(schedule.template, req.user))) {
+    return next(new ErrorResponse(`Report schedule ${req.params.id} not found`, 404));
+  }
+
+  const fields = pickScheduleFields(req.body);
+
+  if (fields.recipients) {
+    const recipientError = await validateRecipients(fields.recipients);
+    if (recipientError) {
+      return next(new ErrorResponse(recipientError, 400));
+    }
+  }
+
+  schedule.set(fields);
+  schedule.updatedBy = req.user.id;
+
+  await schedule.validate();
+  schedule.nextRunAt = computeNextRunAt(schedule);
+  await schedule.save();
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Delete report schedule
+// @route   DELETE /api/admin/reports/schedules/:id
+// @access  Private (Admin only)
+const deleteReportSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = await findSchedule(req.params.id);
+
+  if (!schedule || !(await findAccessibleTemplate(schedule.template, req.user))) {
+    return next(new ErrorResponse(`Report schedule ${req.params.id} not found`, 404));
+  }
+
+  await schedule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Run report schedule now
+// @route   POST /api/admin/reports/schedules/:id/run
+// @access  Private (Admin only)
+const runReportScheduleNow = asyncHandler(async (req, res, next) => {
+  const schedule = await findSchedule(req.params.id);
+
+  if (!schedule || !(await findAccessibleTemplate(schedule.template, req.user))) {
+    return next(new ErrorResponse(`Report schedule ${req.params.id} not found`, 404));
+  }
+
+  const run = await executeReportSchedule(schedule, { trigger: 'manual', triggeredBy: req.user.id });
+
+  res.status(run.status === 'succeeded' ? 200 : 500).json({
+    success: run.status === 'succeeded',
+    data: run,
+    message: run.status === 'succeeded' ? 'Report run completed' : `Report run failed: ${run.error}`
+  });
+});
+
+// @desc    Get run history for a report schedule
+// @route   GET /api/admin/reports/schedules/:id/runs
+// @access  Private (Admin only)
+const getReportScheduleRuns = asyncHandler(async (req, res, next) => {
+  const schedule = await findSchedule(req.params.id);
+
+  if (!schedule || !(await findAccessibleTemplate(schedule.template, req.user))) {
+    return next(new ErrorResponse(`Report schedule ${req.params.id} not found`, 404));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = { schedule: schedule._id };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const [runs, total] = await Promise.all([
+    ReportRun.find(query)
+      .populate('triggeredBy', 'firstName lastName email')
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ReportRun.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: runs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Download the output of a report run
+// @route   GET /api/admin/reports/runs/:id/download
+// @access  Private (Admin only)
+const downloadReportRun = asyncHandler(async (req, res, next) => {
+  const run = mongoose.Types.ObjectId.isValid(req.params.id) ? await ReportRun.findById(req.params.id) : null;
+
+  if (!run || !(await findAccessibleTemplate(run.template, req.user))) {
+    return next(new ErrorResponse(`Report run ${req.params.id} not found`, 404));
+  }
+
+  if (run.status !== 'succeeded' || !run.output || !run.output.path) {
+    return next(new ErrorResponse('This report run has no output to download', 400));
+  }
+
+  const filePath = path.join(getReportOutputDir(), path.basename(run.output.path));
+
+  if (!fs.existsSync(filePath)) {
+    return next(new ErrorResponse('Report output file is no longer available', 404));
+  }
+
+  res.setHeader('Content-Type', run.output.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${run.output.filename}"`);
+  fs.createReadStream(filePath).pipe(res);
+});
+
+module.exports = {
+  getReportSchedules,
+  getReportSchedule,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportScheduleNow,
+  getReportScheduleRuns,
+  downloadReportRun
+};
@@ -2,7 +2,9 @@ const Requirement = require('../models/Requirement');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
-const Resource = require('../models/Resource');
+const RequirementMatch = require('../models/RequirementMatch');
+const { getMatchingConfig, describeMatchingCriteria } = require('../utils/matchScoring');
+const { syncMatches } = require('../utils/matchIndex');
 
 // @desc    Get all requirements
 // @route   GET /api/requirements
@@ -221,6 +223,8 @@ const createRequirement = asyncHandler(async (req, res, next) => {
   console.log('🔧 Backend: Created requirement:', JSON.stringify(requirement, null, 2));
   console.log('🔧 Backend: Saved budget field:', requirement.budget);
 
+  await syncMatches({ requirementId: requirement._id });
+
   res.status(201).json(
     ApiResponse.success(requirement, 'Requirement created successfully')
   );
@@ -252,6 +256,8 @@ const updateRequirement = asyncHandler(async (req, res, next) => {
   .populate('createdBy', 'firstName lastName email companyName contactPerson')
   .populate('organizationId', 'name organizationType');
 
+  await syncMatches({ requirementId: requirement._id });
+
   // Add client information to the response
   const requirementWithClientInfo = requirement.toObject();
   
@@ -308,6 +314,8 @@ const updateRequirementStatus = asyncHandler(async (req, res, next) => {
   .populate('createdBy', 'firstName lastName email companyName contactPerson')
   .populate('organizationId', 'name organizationType');
 
+  await syncMatches({ requirementId: requirement._id });
+
   // Add client information to the response
   const requirementWithClientInfo = requirement.toObject();
   
@@ -346,6 +354,7 @@ const deleteRequirement = asyncHandler(async (req, res, next) => {
   }
 
   await requirement.deleteOne();
+  await syncMatches({ requirementId: requirement._id });
 
   res.status(200).json(
     ApiResponse.success(null, 'Requirement deleted successfully')
@@ -364,87 +373,14 @@ const getMatchingResourcesCount = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Requirement not found', 404));
   }
 
-  // Build matching criteria
-  const matchingCriteria = {};
-
-  // 1. Skills matching
-  const requirementSkills = requirement.skills.map(skill => skill._id);
-  const minSkillsToMatch = Math.min(requirementSkills.length, 3); // Max 3 skills to match
-  
-  if (requirementSkills.length > 0) {
-    matchingCriteria.skills = { $in: requirementSkills };
-  }
-
-  // 2. Budget matching (resource cost should be less than requirement budget)
-  if (requirement.budget && requirement.budget.charge) {
-    matchingCriteria['rate.hourly'] = { $lte: requirement.budget.charge };
-  }
-
-  // 3. Availability matching (resource should be available before requirement start date)
-  if (requirement.startDate) {
-    matchingCriteria['availability.start_date'] = { $lte: requirement.startDate };
-  }
-
-  // 4. Resource should be active
-  matchingCriteria.status = 'active';
-
-  // 5. Resource should be available
-  matchingCriteria['availability.status'] = { $in: ['available', 'partially_available'] };
-
-  // Get matching resources
-  const matchingResources = await Resource.find(matchingCriteria)
-    .populate('skills', 'name')
-    .populate('category', 'name')
-    .lean();
-
-  // Filter by exact skills matching
-  const filteredResources = matchingResources.filter(resource => {
-    const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-    const requirementSkillIds = requirementSkills.map(skill => skill.toString());
-    
-    // Count how many requirement skills are present in resource
-    const matchingSkills = requirementSkillIds.filter(skillId => 
-      resourceSkillIds.includes(skillId)
-    );
-    
-    // Check if we have the minimum required skills
-    if (matchingSkills.length < minSkillsToMatch) {
-      return false;
-    }
-
-    // Check experience years matching - resource should have equal or more years than requirement
-    const requirementMinYears = requirement.experience?.minYears || 0;
-    const resourceYears = resource.experience?.years || 0;
-    
-    if (resourceYears < requirementMinYears) {
-      return false;
-    }
-
-    return true;
-  });
-
-  // Additional filtering for budget and availability
-  const finalMatchingResources = filteredResources.filter(resource => {
-    // Budget check
-    if (requirement.budget && requirement.budget.charge && resource.rate && resource.rate.hourly) {
-      if (resource.rate.hourly > requirement.budget.charge) {
-        return false;
-      }
-    }
-
-    // Availability check
-    if (requirement.startDate && resource.availability && resource.availability.start_date) {
-      if (new Date(resource.availability.start_date) > new Date(requirement.startDate)) {
-        return false;
-      }
-    }
-
-    return true;
-  });
+  const [count, config] = await Promise.all([
+    RequirementMatch.countDocuments({ requirement: requirement._id }),
+    getMatchingConfig()
+  ]);
 
   res.status(200).json(
     ApiResponse.success({
-      count: finalMatchingResources.length,
+      count,
       requirement: {
         _id: requirement._id,
         title: requirement.title,
@@ -453,12 +389,7 @@ const getMatchingResourcesCount = asyncHandler(async (req, res, next) => {
         startDate: requirement.startDate,
         experience: requirement.experience
       },
-      matchingCriteria: {
-        minSkillsToMatch,
-        maxBudget: requirement.budget?.charge,
-        requiredStartDate: requirement.startDate,
-        minExperienceYears: requirement.experience?.minYears
-      }
+      matchingCriteria: describeMatchingCriteria(config)
     }, 'Matching resources count retrieved successfully')
   );
 });
@@ -482,78 +413,27 @@ const getMatchingResourcesCountsBatch = asyncHandler(async (req, res, next) => {
   const requirements = await Requirement.find({ 
     _id: { $in: requirementIds },
     ...(req.user.userType === 'client' ? { organizationId: req.user.organizationId } : {})
-  })
-    .populate('skills', 'name')
-    .populate('category', 'name')
-    .lean();
-
-  const results = {};
-
-  // Process each requirement
-  for (const requirement of requirements) {
-    // Build matching criteria
-    const matchingCriteria = {};
-
-    // 1. Skills matching
-    const requirementSkills = requirement.skills.map(skill => skill._id);
-    const minSkillsToMatch = Math.min(requirementSkills.length, 3);
-    
-    if (requirementSkills.length > 0) {
-      matchingCriteria.skills = { $in: requirementSkills };
-    }
-
-    // 2. Budget matching
-    if (requirement.budget && requirement.budget.charge) {
-      matchingCriteria['rate.hourly'] = { $lte: requirement.budget.charge };
-    }
-
-    // 3. Availability matching
-    if (requirement.startDate) {
-      matchingCriteria['availability.start_date'] = { $lte: requirement.startDate };
-    }
-
-    // 4. Resource should be active and available
-    matchingCriteria.status = 'active';
-    matchingCriteria['availability.status'] = { $in: ['available', 'partially_available'] };
+  }).select('_id').lean();
 
-    // Get matching resources count
-    const matchingResources = await Resource.find(matchingCriteria)
-      .populate('skills', 'name')
-      .lean();
+  const counts = await RequirementMatch.aggregate([
+    { $match: { requirement: { $in: requirements.map(requirement => requirement._id) } } },
+    { $group: { _id: '$requirement', count: { $sum: 1 } } }
+  ]);
 
-    // Filter by exact skills matching and experience
-    const filteredCount = matchingResources.filter(resource => {
-      const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-      const requirementSkillIds = requirementSkills.map(skill => skill.toString());
-      
-      const matchingSkills = requirementSkillIds.filter(skillId => 
-        resourceSkillIds.includes(skillId)
-      );
-      
-      if (matchingSkills.length < minSkillsToMatch) {
-        return false;
-      }
-
-      // Check experience years
-      const requirementMinYears = requirement.experience?.minYears || 0;
-      const resourceYears = resource.experience?.years || 0;
-      
-      if (resourceYears < requirementMinYears) {
-        return false;
-      }
-
-      return true;
-    }).length;
-
-    results[requirement._id.toString()] = filteredCount;
-  }
+  const results = {};
+  requirements.forEach(requirement => {
+    results[requirement._id.toString()] = 0;
+  });
+  counts.forEach(({ _id, count }) => {
+    results[_id.toString()] = count;
+  });
 
   res.status(200).json(
     ApiResponse.success(results, 'Matching resources counts retrieved successfully')
   );
 });
 
-// @desc    Get matching resources details for a requirement
+// @desc    Get matching resources details for a requirement, ranked by match score
 // @route   GET /api/client/matching-resources/:requirementId
 // @access  Private
 const getMatchingResourcesDetails = asyncHandler(async (req, res, next) => {
@@ -563,13 +443,6 @@ const getMatchingResourcesDetails = asyncHandler(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
-  
-  console.log('🔧 RequirementController: Getting matching resources details for requirement:', requirementId, 'page:', page, 'limit:', limit);
-  console.log('🔧 RequirementController: User info:', {
-    userType: req.user.userType,
-    userId: req.user.id,
-    organizationId: req.user.organizationId
-  });
 
   // Get the requirement
   const requirement = await Requirement.findById(requirementId)
@@ -580,155 +453,53 @@ const getMatchingResourcesDetails = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Requirement not found', 404));
   }
 
-  console.log('🔧 RequirementController: Found requirement:', {
-    _id: requirement._id,
-    title: requirement.title,
-    createdBy: requirement.createdBy,
-    organizationId: requirement.organizationId
-  });
-
   // Verify the requirement belongs to the client
   // Check if user created the requirement OR if it belongs to their organization
   const isOwner = requirement.createdBy.toString() === req.user.id;
   const isOrganizationMember = requirement.organizationId && 
                               req.user.organizationId && 
                               requirement.organizationId.toString() === req.user.organizationId.toString();
-  
-  console.log('🔧 RequirementController: Authorization check:', {
-    isOwner,
-    isOrganizationMember,
-    requirementCreatedBy: requirement.createdBy.toString(),
-    currentUserId: req.user.id,
-    requirementOrgId: requirement.organizationId?.toString(),
-    userOrgId: req.user.organizationId?.toString()
-  });
 
   if (!isOwner && !isOrganizationMember) {
     return next(new ErrorResponse('Access denied - You can only view matching resources for your own requirements or requirements in your organization', 403));
   }
 
-  // Build matching criteria
-  const matchingCriteria = {};
-
-  // 1. Skills matching
-  const requirementSkills = requirement.skills.map(skill => skill._id);
-  const minSkillsToMatch = Math.min(requirementSkills.length, 3); // Max 3 skills to match
-  
-  if (requirementSkills.length > 0) {
-    matchingCriteria.skills = { $in: requirementSkills };
-  }
-
-  // 2. Budget matching (resource cost should be less than requirement budget)
-  if (requirement.budget && requirement.budget.charge) {
-    matchingCriteria['rate.hourly'] = { $lte: requirement.budget.charge };
-  }
-
-  // 3. Availability matching (resource should be available before requirement start date)
-  if (requirement.startDate) {
-    matchingCriteria['availability.start_date'] = { $lte: requirement.startDate };
-  }
-
-  // 4. Resource should be active
-  matchingCriteria.status = 'active';
-
-  // 5. Resource should be available
-  matchingCriteria['availability.status'] = { $in: ['available', 'partially_available'] };
-
-  // Get total count first
-  const totalMatchingResources = await Resource.find(matchingCriteria)
-    .populate('skills', 'name')
-    .populate('category', 'name')
-    .populate('createdBy', 'firstName lastName email')
-    .populate('organizationId', 'name')
-    .lean();
-
-  // Filter by exact skills matching
-  const filteredResources = totalMatchingResources.filter(resource => {
-    const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-    const requirementSkillIds = requirementSkills.map(skill => skill.toString());
-    
-    // Count how many requirement skills are present in resource
-    const matchingSkills = requirementSkillIds.filter(skillId => 
-      resourceSkillIds.includes(skillId)
-    );
-    
-    // Check if we have the minimum required skills
-    if (matchingSkills.length < minSkillsToMatch) {
-      return false;
-    }
-
-    // Check experience years matching - resource should have equal or more years than requirement
-    const requirementMinYears = requirement.experience?.minYears || 0;
-    const resourceYears = resource.experience?.years || 0;
-    
-    if (resourceYears < requirementMinYears) {
-      return false;
-    }
-
-    return true;
-  });
-
-  // Additional filtering for budget and availability
-  const finalMatchingResources = filteredResources.filter(resource => {
-    // Budget check
-    if (requirement.budget && requirement.budget.charge && resource.rate && resource.rate.hourly) {
-      if (resource.rate.hourly > requirement.budget.charge) {
-        return false;
-      }
-    }
-
-    // Availability check
-    if (requirement.startDate && resource.availability && resource.availability.start_date) {
-      if (new Date(resource.availability.start_date) > new Date(requirement.startDate)) {
-        return false;
-      }
-    }
-
-    return true;
-  });
-
-  // Calculate match percentage for each resource
-  const resourcesWithMatchPercentage = finalMatchingResources.map(resource => {
-    const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-    const requirementSkillIds = requirementSkills.map(skill => skill.toString());
-    
-    const matchingSkills = requirementSkillIds.filter(skillId => 
-      resourceSkillIds.includes(skillId)
-    );
-    
-    const matchPercentage = Math.round((matchingSkills.length / requirementSkills.length) * 100);
-    
-    return {
-      ...resource,
-      // Add vendor information from createdBy and organizationId
-      vendor: {
-        firstName: resource.createdBy?.firstName || '',
-        lastName: resource.createdBy?.lastName || '',
-        email: resource.createdBy?.email || '',
-        organizationName: resource.organizationId?.name || 'N/A'
-      },
-      matchPercentage,
-      matchingSkills: matchingSkills.length,
-      totalRequiredSkills: requirementSkills.length
-    };
-  });
-
-  // Sort by match percentage (highest first)
-  resourcesWithMatchPercentage.sort((a, b) => b.matchPercentage - a.matchPercentage);
-
-  // Apply pagination
-  const totalCount = resourcesWithMatchPercentage.length;
-  const paginatedResources = resourcesWithMatchPercentage.slice(skip, skip + limit);
+  const filter = { requirement: requirement._id };
+  const [matches, totalCount, config] = await Promise.all([
+    RequirementMatch.find(filter)
+      .sort({ score: -1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'resource',
+        populate: [
+          { path: 'skills', select: 'name' },
+          { path: 'category', select: 'name' },
+          { path: 'createdBy', select: 'firstName lastName email' },
+          { path: 'organizationId', select: 'name' }
+        ]
+      })
+      .lean(),
+    RequirementMatch.countDocuments(filter),
+    getMatchingConfig()
+  ]);
   const totalPages = Math.ceil(totalCount / limit);
 
-  console.log('🔧 RequirementController: Pagination info:', {
-    totalCount,
-    page,
-    limit,
-    skip,
-    totalPages,
-    returnedCount: paginatedResources.length
-  });
+  const matchingResources = matches.filter(match => match.resource).map(({ resource, score, breakdown }) => ({
+    ...resource,
+    // Add vendor information from createdBy and organizationId
+    vendor: {
+      firstName: resource.createdBy?.firstName || '',
+      lastName: resource.createdBy?.lastName || '',
+      email: resource.createdBy?.email || '',
+      organizationName: resource.organizationId?.name || 'N/A'
+    },
+    matchScore: score,
+    scoreBreakdown: breakdown,
+    matchPercentage: score,
+    matchingSkills: breakdown.skills.matched,
+    totalRequiredSkills: breakdown.skills.required
+  }));
 
   res.status(200).json(
     ApiResponse.success({
@@ -742,7 +513,7 @@ const getMatchingResourcesDetails = asyncHandler(async (req, res, next) => {
         experience: requirement.experience,
         category: requirement.category
       },
-      matchingResources: paginatedResources,
+      matchingResources,
       totalCount,
       pagination: {
         currentPage: page,
@@ -751,12 +522,7 @@ const getMatchingResourcesDetails = asyncHandler(async (req, res, next) => {
         hasNextPage: page < totalPages,
         hasPreviousPage: page > 1
       },
-      matchingCriteria: {
-        minSkillsToMatch,
-        maxBudget: requirement.budget?.charge,
-        requiredStartDate: requirement.startDate,
-        minExperienceYears: requirement.experience?.minYears
-      }
+      matchingCriteria: describeMatchingCriteria(config)
     }, 'Matching resources details retrieved successfully')
   );
 });
@@ -1,7 +1,12 @@
+const mongoose = require('mongoose');
 const Resource = require('../models/Resource');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
+const RequirementMatch = require('../models/RequirementMatch');
+const { getMatchingConfig, describeMatchingCriteria } = require('../utils/matchScoring');
+const { syncMatches } = require('../utils/matchIndex');
+const { checkResourceDuplicates } = require('../utils/duplicateDetection');
 
 // @desc    Get all resources
 // @route   GET /api/resources
@@ -347,8 +352,15 @@ const createResource = asyncHandler(async (req, res, next) => {
     delete req.body.skill;
   }
 
+  // Duplicate detection state is maintained by the server
+  delete req.body.fingerprint;
+  delete req.body.mergedInto;
+
   const resource = await Resource.create(req.body);
 
+  await syncMatches({ resourceId: resource._id });
+  await checkResourceDuplicates(resource._id);
+
   res.status(201).json(
     ApiResponse.success(resource, 'Resource created successfully')
   );
@@ -371,11 +383,17 @@ const updateResource = asyncHandler(async (req, res, next) => {
     );
   }
 
+  delete req.body.fingerprint;
+  delete req.body.mergedInto;
+
   resource = await Resource.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   });
 
+  await syncMatches({ resourceId: resource._id });
+  await checkResourceDuplicates(resource._id);
+
   res.status(200).json(
     ApiResponse.success(resource, 'Resource updated successfully')
   );
@@ -399,6 +417,7 @@ const deleteResource = asyncHandler(async (req, res, next) => {
   }
 
   await resource.deleteOne();
+  await syncMatches({ resourceId: resource._id });
 
   res.status(200).json(
     ApiResponse.success(null, 'Resource deleted successfully')
@@ -409,65 +428,17 @@ const deleteResource = asyncHandler(async (req, res, next) => {
 // @route   GET /api/resources/:id/matching-requirements
 // @access  Private
 const getMatchingRequirementsCount = asyncHandler(async (req, res, next) => {
-  const resourceId = req.params.id;
-
-  // Get the resource
-  const resource = await Resource.findById(resourceId)
-    .populate('skills', 'name')
-    .populate('category', 'name');
+  const resource = await Resource.findById(req.params.id).select('_id').lean();
 
   if (!resource) {
     return next(new ErrorResponse('Resource not found', 404));
   }
 
-  // Get the Requirement model
-  const Requirement = require('../models/Requirement');
-
-  // Build matching criteria for requirements
-  const matchingCriteria = {
-    status: 'open' // Only open requirements
-  };
-
-  // 1. Skills matching - requirement should have at least some skills that resource has
-  if (resource.skills && resource.skills.length > 0) {
-    matchingCriteria.skills = { $exists: true, $ne: [] };
-  }
-
-  // 2. Experience matching - resource experience must be more than requirement minYears
-  if (resource.experience && resource.experience.years) {
-    matchingCriteria['experience.minYears'] = { $lte: resource.experience.years };
-  }
-
-  // 3. Budget matching - resource charge must be equal to or lesser than requirement budget
-  if (resource.rate && resource.rate.hourly) {
-    matchingCriteria['budget.charge'] = { $gte: resource.rate.hourly };
-  }
-
-  // 4. Availability matching - resource available date must be before requirement start date
-  if (resource.availability && resource.availability.start_date) {
-    matchingCriteria.startDate = { $gte: resource.availability.start_date };
-  }
-
-  // Get all possible requirements
-  const totalMatchingRequirements = await Requirement.find(matchingCriteria)
-    .populate('skills', 'name')
-    .lean();
-
-  // Filter by strict skill match: resource must have all skills required by the requirement
-  const filteredRequirements = totalMatchingRequirements.filter(requirement => {
-    const requirementSkillIds = requirement.skills.map(skill => skill._id.toString());
-    const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-    const hasAllRequiredSkills = requirementSkillIds.every(skillId =>
-      resourceSkillIds.includes(skillId)
-    );
-    return hasAllRequiredSkills;
-  });
-
-  const matchingCount = filteredRequirements.length;
+  const count = await RequirementMatch.countDocuments({ resource: resource._id });
 
   res.status(200).json(
     ApiResponse.success({
-      count: matchingCount,
+      count,
       requirements: []
     }, 'Matching requirements count retrieved successfully')
   );
@@ -483,81 +454,32 @@ const getMatchingRequirementsCountsBatch = asyncHandler(async (req, res, next) =
     return next(new ErrorResponse('Resource IDs array is required', 400));
   }
 
-  // Get the Requirement model
-  const Requirement = require('../models/Requirement');
-
-  const results = [];
-
-  for (const resourceId of resourceIds) {
-    try {
-      // Get the resource
-      const resource = await Resource.findById(resourceId)
-        .populate('skills', '_id'); // 🔴 Use only _id for skill comparison
-
-      if (!resource) {
-        results.push({
-          resourceId,
-          count: 0,
-          error: 'Resource not found'
-        });
-        continue;
-      }
-
-      // Build base matching criteria
-      const matchingCriteria = {
-        status: 'open' // Only open requirements
-      };
-
-      if (resource.experience && resource.experience.years) {
-        matchingCriteria['experience.minYears'] = { $lte: resource.experience.years };
-      }
-
-      if (resource.rate && resource.rate.hourly) {
-        matchingCriteria['budget.charge'] = { $gte: resource.rate.hourly };
-      }
-
-      if (resource.availability && resource.availability.start_date) {
-        matchingCriteria.startDate = { $gte: resource.availability.start_date };
-      }
-
-      // 🔴 Fetch all requirements matching non-skill criteria
-      const possibleRequirements = await Requirement.find(matchingCriteria)
-        .populate('skills', '_id') // 🔴 Populate only _id to avoid loading names
-        .lean();
-
-      // 🔴 Convert resource skills to string format for comparison
-      const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-
-      // 🔴 Filter requirements: resource must have ALL skills required by the requirement
-      const matchingRequirements = possibleRequirements.filter(requirement => {
-        const requirementSkillIds = requirement.skills.map(skill => skill._id.toString());
-        return requirementSkillIds.every(skillId => resourceSkillIds.includes(skillId));
-      });
-
-      // 🔴 Count the matches
-      const matchingCount = matchingRequirements.length;
-
-      results.push({
-        resourceId,
-        count: matchingCount
-      });
-
-    } catch (error) {
-      console.error('🔧 ResourceController: Error processing resource:', resourceId, error);
-      results.push({
-        resourceId,
-        count: 0,
-        error: error.message
-      });
+  const validIds = resourceIds.filter(resourceId => mongoose.isObjectIdOrHexString(resourceId));
+  const [resources, counts] = await Promise.all([
+    Resource.find({ _id: { $in: validIds } }).select('_id').lean(),
+    RequirementMatch.aggregate([
+      { $match: { resource: { $in: validIds.map(resourceId => new mongoose.Types.ObjectId(resourceId)) } } },
+      { $group: { _id: '$resource', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const existingIds = new Set(resources.map(resource => resource._id.toString()));
+  const countsById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  const results = resourceIds.map(resourceId => {
+    const key = String(resourceId);
+    if (!existingIds.has(key)) {
+      return { resourceId, count: 0, error: 'Resource not found' };
     }
-  }
+    return { resourceId, count: countsById.get(key) || 0 };
+  });
 
   res.status(200).json(
     ApiResponse.success(results, 'Matching requirements counts retrieved successfully')
   );
 });
 
-// @desc    Get matching requirements details for a resource
+// @desc    Get matching requirements details for a resource, ranked by match score
 // @route   GET /api/resources/:id/matching-requirements/details
 // @access  Private
 const getMatchingRequirementsDetails = asyncHandler(async (req, res, next) => {
@@ -570,7 +492,7 @@ const getMatchingRequirementsDetails = asyncHandler(async (req, res, next) => {
 
   // Get the resource
   const resource = await Resource.findById(resourceId)
-    .populate('skills', '_id name') // 🔴 Use _id for skill comparison, name for display
+    .populate('skills', '_id name')
     .populate('category', 'name');
 
   if (!resource) {
@@ -588,82 +510,43 @@ const getMatchingRequirementsDetails = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Access denied - You can only view matching requirements for your own resources or resources in your organization', 403));
   }
 
-  // Get the Requirement model
-  const Requirement = require('../models/Requirement');
-
-  // 🔴 Use the SAME matching criteria as getMatchingRequirementsCountsBatch
-  const matchingCriteria = {
-    status: 'open' // Only open requirements
-  };
-
-  if (resource.experience && resource.experience.years) {
-    matchingCriteria['experience.minYears'] = { $lte: resource.experience.years };
-  }
-
-  if (resource.rate && resource.rate.hourly) {
-    matchingCriteria['budget.charge'] = { $gte: resource.rate.hourly };
-  }
-
-  if (resource.availability && resource.availability.start_date) {
-    matchingCriteria.startDate = { $gte: resource.availability.start_date };
-  }
-
-  // 🔴 Fetch all requirements matching non-skill criteria (same as batch)
-  const possibleRequirements = await Requirement.find(matchingCriteria)
-    .populate('skills', '_id name') // 🔴 Populate _id for comparison, name for display
-    .populate('category', 'name')
-    .populate('createdBy', 'firstName lastName email') // 🔴 Use createdBy instead of client
-    .populate('organizationId', 'name')
-    .lean();
-
-  // 🔴 Convert resource skills to string format for comparison (same as batch)
-  const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-
-  // 🔴 Filter requirements: resource must have ALL skills required by the requirement (same as batch)
-  const matchingRequirements = possibleRequirements.filter(requirement => {
-    const requirementSkillIds = requirement.skills.map(skill => skill._id.toString());
-    return requirementSkillIds.every(skillId => resourceSkillIds.includes(skillId));
-  });
-
-  // Calculate match percentage for each requirement
-  const requirementsWithMatchPercentage = matchingRequirements.map(requirement => {
-    const requirementSkillIds = requirement.skills.map(skill => skill._id.toString());
-    const resourceSkillIds = resource.skills.map(skill => skill._id.toString());
-    
-    const matchingSkills = resourceSkillIds.filter(skillId => 
-      requirementSkillIds.includes(skillId)
-    );
-    
-    // Calculate match percentage based on how well the resource's skills match the requirement's needs
-    const resourceSkillMatchPercentage = matchingSkills.length / resourceSkillIds.length;
-    const requirementSkillMatchPercentage = matchingSkills.length / requirementSkillIds.length;
-    
-    // Use the higher percentage to show the best match
-    const matchPercentage = Math.round(Math.max(resourceSkillMatchPercentage, requirementSkillMatchPercentage) * 100);
-    
-    return {
-      ...requirement,
-      // Add client information from client and organizationId
-      client: {
-        firstName: requirement.createdBy?.firstName || '',
-        lastName: requirement.createdBy?.lastName || '',
-        email: requirement.createdBy?.email || '',
-        organizationName: requirement.organizationId?.name || 'N/A'
-      },
-      matchPercentage,
-      matchingSkills: matchingSkills.length,
-      totalRequiredSkills: requirementSkillIds.length // Show requirement's total skills
-    };
-  });
-
-  // Sort by match percentage (highest first)
-  requirementsWithMatchPercentage.sort((a, b) => b.matchPercentage - a.matchPercentage);
-
-  // Apply pagination
-  const totalCount = requirementsWithMatchPercentage.length;
-  const paginatedRequirements = requirementsWithMatchPercentage.slice(skip, skip + limit);
+  const filter = { resource: resource._id };
+  const [matches, totalCount, config] = await Promise.all([
+    RequirementMatch.find(filter)
+      .sort({ score: -1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'requirement',
+        populate: [
+          { path: 'skills', select: '_id name' },
+          { path: 'category', select: 'name' },
+          { path: 'createdBy', select: 'firstName lastName email' },
+          { path: 'organizationId', select: 'name' }
+        ]
+      })
+      .lean(),
+    RequirementMatch.countDocuments(filter),
+    getMatchingConfig()
+  ]);
   const totalPages = Math.ceil(totalCount / limit);
 
+  const matchingRequirements = matches.filter(match => match.requirement).map(({ requirement, score, breakdown }) => ({
+    ...requirement,
+    // Add client information from createdBy and organizationId
+    client: {
+      firstName: requirement.createdBy?.firstName || '',
+      lastName: requirement.createdBy?.lastName || '',
+      email: requirement.createdBy?.email || '',
+      organizationName: requirement.organizationId?.name || 'N/A'
+    },
+    matchScore: score,
+    scoreBreakdown: breakdown,
+    matchPercentage: score,
+    matchingSkills: breakdown.skills.matched,
+    totalRequiredSkills: breakdown.skills.required
+  }));
+
   res.status(200).json(
     ApiResponse.success({
       resource: {
@@ -675,7 +558,7 @@ const getMatchingRequirementsDetails = asyncHandler(async (req, res, next) => {
         rate: resource.rate,
         category: resource.category
       },
-      matchingRequirements: paginatedRequirements,
+      matchingRequirements,
       totalCount,
       pagination: {
         currentPage: page,
@@ -684,12 +567,7 @@ const getMatchingRequirementsDetails = asyncHandler(async (req, res, next) => {
         hasNextPage: page < totalPages,
         hasPreviousPage: page > 1
       },
-      matchingCriteria: {
-        minSkillsToMatch: resource.skills?.length || 0,
-        maxBudget: resource.rate?.hourly,
-        requiredStartDate: resource.availability?.start_date,
-        minExperienceYears: resource.experience?.years
-      }
+      matchingCriteria: describeMatchingCriteria(config)
     }, 'Matching requirements details retrieved successfully')
   );
 });
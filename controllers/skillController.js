@@ -1,6 +1,7 @@
 const AdminSkill = require('../models/AdminSkill');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { syncMatches } = require('../utils/matchIndex');
 
 // @desc    Get all skills
 // @route   GET /api/skills
@@ -63,6 +64,8 @@ exports.updateSkill = asyncHandler(async (req, res, next) => {
     runValidators: true
   });
 
+  await syncMatches({ skillId: skill._id });
+
   res.status(200).json({
     success: true,
     data: skill
@@ -82,6 +85,7 @@ exports.deleteSkill = asyncHandler(async (req, res, next) => {
   // Soft delete by setting isActive to false
   skill.isActive = false;
   await skill.save();
+  await syncMatches({ skillId: skill._id });
 
   res.status(200).json({
     success: true,
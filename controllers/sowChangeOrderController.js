@@ -0,0 +1,476 @@
+const SOW = require('../models/SOW');
+const SOWChangeOrder = require('../models/SOWChangeOrder');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { snapshotEntity, recordAuditEvent } = require('../utils/auditTrail');
+const { prepareChanges, previewChangeOrder, applyChangeOrder, listRevisions, diffRevisions, buildAmendmentTimeline } = require('../utils/sowRevisions');
+const { buildApprovalChain, decideApprovalLevel } = require('../utils/approvalMatrix');
+const { mapUserRoleToSOWRole } = require('./sowController');
+
+const populateChangeOrder = (changeOrder) => changeOrder.populate([
+  { path: 'createdBy', select: 'firstName lastName email' },
+  { path: 'approvals.userId', select: 'firstName lastName email organizationRole' },
+  { path: 'approvalChain.userId approvalChain.delegatedFrom', select: 'firstName lastName email' }
+]);
+
+// Change orders are approved by the size of the cost change, up or down
+const changeOrderApprovalChain = (changeOrder) => buildApprovalChain({
+  organizationId: changeOrder.clientOrganizationId,
+  entityType: 'sow',
+  amount: changeOrder.delta && changeOrder.delta.cost ? Math.abs(changeOrder.delta.cost.difference || 0) : 0
+});
+
+// Load the SOW and check the user belongs to one of its organizations
+const loadSOWForUser = async (sowId, user) => {
+  const sow = await SOW.findById(sowId);
+
+  if (!sow) {
+    throw new ErrorResponse('SOW not found', 404);
+  }
+
+  if (user.userType === 'client' && sow.clientOrganizationId.toString() !== user.organizationId.toString()) {
+    throw new ErrorResponse('Access denied', 403);
+  }
+  if (user.userType === 'vendor' && sow.vendorOrganizationId.toString() !== user.organizationId.toString()) {
+    throw new ErrorResponse('Access denied', 403);
+  }
+
+  return sow;
+};
+
+const loadChangeOrder = async (sow, changeOrderId) => {
+  const changeOrder = await SOWChangeOrder.findOne({ _id: changeOrderId, sowId: sow._id });
+
+  if (!changeOrder) {
+    throw new ErrorResponse('Change order not found', 404);
+  }
+
+  return changeOrder;
+};
+
+const requireClient = (user, action) => {
+  if (user.userType !== 'client' || !['client_owner', 'client_account'].includes(user.organizationRole)) {
+    throw new ErrorResponse(`Only clients can ${action}`, 403);
+  }
+};
+
+// Audit a change order step against its SOW
+const auditChangeOrder = (req, sow, changeOrder, details) => recordAuditEvent(req, {
+  entityType: 'sow',
+  entity: sow,
+  ...details,
+  relatedEntities: [{ entityType: 'sow_change_order', entityId: changeOrder._id, relationship: 'change_order' }],
+  metadata: { changeOrder: changeOrder.reference, baseRevision: changeOrder.baseRevision, resultingRevision: changeOrder.resultingRevision }
+});
+
+// @desc    Get a SOW's change orders
+// @route   GET /api/sow/:id/change-orders
+// @access  Private
+const getChangeOrders = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const sow = await loadSOWForUser(req.params.id, user);
+
+  const query = { sowId: sow._id };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const changeOrders = await SOWChangeOrder.find(query)
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ changeOrderNumber: -1 });
+
+  res.status(200).json(
+    ApiResponse.success(changeOrders, 'Change orders retrieved successfully')
+  );
+});
+
+// @desc    Get a change order
+// @route   GET /api/sow/:id/change-orders/:changeOrderId
+// @access  Private
+const getChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+
+  await populateChangeOrder(changeOrder);
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, 'Change order retrieved successfully')
+  );
+});
+
+// @desc    Raise a change order against an accepted SOW
+// @route   POST /api/sow/:id/change-orders
+// @access  Private (Client only)
+const createChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireClient(user, 'raise change orders');
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const { title, reason, changes } = req.body;
+
+  if (sow.status !== 'vendor_accepted') {
+    return next(new ErrorResponse('Change orders can only be raised against a SOW the vendor has accepted', 400));
+  }
+
+  const openChangeOrder = await SOWChangeOrder.findOne({ sowId: sow._id, status: { $in: SOWChangeOrder.OPEN_STATUSES } });
+  if (openChangeOrder) {
+    return next(new ErrorResponse(`${openChangeOrder.reference} is still open on this SOW; complete or cancel it first`, 400));
+  }
+
+  const preview = await previewChangeOrder(sow, await prepareChanges(sow, changes));
+  const changeOrderNumber = await SOWChangeOrder.countDocuments({ sowId: sow._id }) + 1;
+
+  let changeOrder;
+  try {
+    changeOrder = await SOWChangeOrder.create({
+      sowId: sow._id,
+      changeOrderNumber,
+      title,
+      reason,
+      baseRevision: sow.revision,
+      changes: preview.changes,
+      delta: preview.delta,
+      clientOrganizationId: sow.clientOrganizationId,
+      vendorOrganizationId: sow.vendorOrganizationId,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse('Another change order was raised on this SOW at the same time; try again', 409));
+    }
+    throw error;
+  }
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    action: 'sow_change_order_created',
+    actionType: 'create',
+    comments: reason
+  });
+
+  await populateChangeOrder(changeOrder);
+
+  res.status(201).json(
+    ApiResponse.success(changeOrder, 'Change order created successfully')
+  );
+});
+
+// @desc    Update a draft change order
+// @route   PUT /api/sow/:id/change-orders/:changeOrderId
+// @access  Private (Client only)
+const updateChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireClient(user, 'update change orders');
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+
+  if (changeOrder.status !== 'draft') {
+    return next(new ErrorResponse('Change order cannot be updated in current status', 400));
+  }
+
+  const { title, reason, changes } = req.body;
+  if (title !== undefined) {
+    changeOrder.title = title;
+  }
+  if (reason !== undefined) {
+    changeOrder.reason = reason;
+  }
+  if (changes !== undefined) {
+    const preview = await previewChangeOrder(sow, await prepareChanges(sow, changes));
+    changeOrder.changes = preview.changes;
+    changeOrder.delta = preview.delta;
+    changeOrder.baseRevision = sow.revision;
+  }
+  changeOrder.updatedBy = req.user.id;
+
+  await changeOrder.save();
+  await populateChangeOrder(changeOrder);
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, 'Change order updated successfully')
+  );
+});
+
+// @desc    Submit a change order for PM approval
+// @route   POST /api/sow/:id/change-orders/:changeOrderId/submit
+// @access  Private (Client only)
+const submitChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireClient(user, 'submit change orders');
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+
+  if (changeOrder.status !== 'draft') {
+    return next(new ErrorResponse('Change order can only be submitted from draft status', 400));
+  }
+
+  changeOrder.status = 'pm_approval_pending';
+  changeOrder.approvalChain = await changeOrderApprovalChain(changeOrder);
+  changeOrder.approvals.push({
+    userId: req.user.id,
+    status: 'approved',
+    role: mapUserRoleToSOWRole(user.organizationRole),
+    comments: req.body.comments || 'Submitted for PM approval'
+  });
+  changeOrder.updatedBy = req.user.id;
+  await changeOrder.save();
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    action: 'sow_change_order_submitted',
+    actionType: 'status_change',
+    comments: req.body.comments
+  });
+
+  await populateChangeOrder(changeOrder);
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, 'Change order submitted for PM approval successfully')
+  );
+});
+
+// @desc    Approve or reject the next level of a change order's approval chain
+// @route   POST /api/sow/:id/change-orders/:changeOrderId/approve
+// @access  Private (Approvers for the current level, or their delegates)
+const approveChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.userType !== 'client') {
+    return next(new ErrorResponse('Only clients can approve change orders', 403));
+  }
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+  const { status = 'approved', comments } = req.body;
+
+  if (changeOrder.status !== 'pm_approval_pending') {
+    return next(new ErrorResponse('Change order can only be approved from pm_approval_pending status', 400));
+  }
+
+  // Change orders submitted before approval chains were kept get one now
+  if (changeOrder.approvalChain.length === 0) {
+    changeOrder.approvalChain = await changeOrderApprovalChain(changeOrder);
+  }
+
+  const decision = await decideApprovalLevel({ chain: changeOrder.approvalChain, user, entityType: 'sow', status, comments });
+
+  // The last approval completes internal approval; a rejection returns the change order to draft
+  if (decision.complete) {
+    changeOrder.status = 'internal_approved';
+  } else if (status === 'rejected') {
+    changeOrder.status = 'draft';
+  }
+
+  changeOrder.approvals.push({
+    userId: req.user.id,
+    status,
+    role: mapUserRoleToSOWRole(user.organizationRole),
+    comments: comments || (status === 'approved' ? 'Internally approved' : 'Rejected'),
+    level: decision.level.level,
+    levelName: decision.level.name,
+    delegatedFrom: decision.delegatedFrom
+  });
+  changeOrder.updatedBy = req.user.id;
+  await changeOrder.save();
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    action: status === 'approved' ? 'sow_change_order_internally_approved' : 'sow_change_order_internally_rejected',
+    actionType: status === 'approved' ? 'approval' : 'rejection',
+    comments
+  });
+
+  await populateChangeOrder(changeOrder);
+
+  let message = `Change order rejected at ${decision.level.name}`;
+  if (decision.complete) {
+    message = 'Change order approved internally';
+  } else if (status === 'approved') {
+    message = `Change order approved at ${decision.level.name}; awaiting the next approval level`;
+  }
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, message)
+  );
+});
+
+// @desc    Send a change order to the vendor
+// @route   POST /api/sow/:id/change-orders/:changeOrderId/send-to-vendor
+// @access  Private (Client only)
+const sendChangeOrderToVendor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireClient(user, 'send change orders to vendors');
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+
+  if (changeOrder.status !== 'internal_approved') {
+    return next(new ErrorResponse('Change order can only be sent to vendor after internal approval', 400));
+  }
+
+  changeOrder.status = 'sent_to_vendor';
+  changeOrder.updatedBy = req.user.id;
+  await changeOrder.save();
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    action: 'sow_change_order_sent_to_vendor',
+    actionType: 'status_change'
+  });
+
+  await populateChangeOrder(changeOrder);
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, 'Change order sent to vendor successfully')
+  );
+});
+
+// @desc    Vendor response to a change order; acceptance creates the next SOW revision
+// @route   POST /api/sow/:id/change-orders/:changeOrderId/vendor-response
+// @access  Private (Vendor only)
+const changeOrderVendorResponse = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.userType !== 'vendor' || !['vendor_owner', 'vendor_account'].includes(user.organizationRole)) {
+    return next(new ErrorResponse('Only vendors can respond to change orders', 403));
+  }
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+  const { status, comments } = req.body;
+
+  if (!['accepted', 'rejected'].includes(status)) {
+    return next(new ErrorResponse('status must be accepted or rejected', 400));
+  }
+  if (changeOrder.status !== 'sent_to_vendor') {
+    return next(new ErrorResponse('Change order is not in sent_to_vendor status', 400));
+  }
+  if (status === 'accepted' && sow.status !== 'vendor_accepted') {
+    return next(new ErrorResponse(`Change order cannot be accepted on a ${sow.status.replace(/_/g, ' ')} SOW`, 400));
+  }
+
+  const previousState = snapshotEntity(sow);
+
+  changeOrder.status = status === 'accepted' ? 'vendor_accepted' : 'vendor_rejected';
+  changeOrder.vendorResponse = {
+    status,
+    responseDate: new Date(),
+    comments
+  };
+  changeOrder.approvals.push({
+    userId: req.user.id,
+    status: status === 'accepted' ? 'approved' : 'rejected',
+    role: mapUserRoleToSOWRole(user.organizationRole),
+    comments
+  });
+  changeOrder.updatedBy = req.user.id;
+
+  if (status === 'accepted') {
+    applyChangeOrder(sow, changeOrder, req.user.id);
+    sow.updatedBy = req.user.id;
+    await sow.save();
+  }
+  await changeOrder.save();
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    previousState: status === 'accepted' ? previousState : null,
+    action: status === 'accepted' ? 'sow_change_order_vendor_accepted' : 'sow_change_order_vendor_rejected',
+    actionType: status === 'accepted' ? 'approval' : 'rejection',
+    comments
+  });
+
+  await populateChangeOrder(changeOrder);
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, `Change order ${status} by vendor`)
+  );
+});
+
+// @desc    Cancel an open change order
+// @route   POST /api/sow/:id/change-orders/:changeOrderId/cancel
+// @access  Private (Client only)
+const cancelChangeOrder = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireClient(user, 'cancel change orders');
+
+  const sow = await loadSOWForUser(req.params.id, user);
+  const changeOrder = await loadChangeOrder(sow, req.params.changeOrderId);
+
+  if (!SOWChangeOrder.OPEN_STATUSES.includes(changeOrder.status)) {
+    return next(new ErrorResponse('Change order cannot be cancelled in current status', 400));
+  }
+
+  changeOrder.status = 'cancelled';
+  changeOrder.cancelledAt = new Date();
+  changeOrder.cancelledBy = req.user.id;
+  changeOrder.cancellationReason = req.body.reason;
+  changeOrder.updatedBy = req.user.id;
+  await changeOrder.save();
+
+  await auditChangeOrder(req, sow, changeOrder, {
+    action: 'sow_change_order_cancelled',
+    actionType: 'status_change',
+    comments: req.body.reason
+  });
+
+  res.status(200).json(
+    ApiResponse.success(changeOrder, 'Change order cancelled successfully')
+  );
+});
+
+// @desc    Get a SOW's revisions and amendment timeline
+// @route   GET /api/sow/:id/revisions
+// @access  Private
+const getSOWRevisions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const sow = await loadSOWForUser(req.params.id, user);
+
+  const changeOrders = await SOWChangeOrder.find({ sowId: sow._id }).sort({ changeOrderNumber: 1 });
+
+  res.status(200).json(
+    ApiResponse.success({
+      currentRevision: sow.revision,
+      revisions: listRevisions(sow),
+      timeline: buildAmendmentTimeline(sow, changeOrders)
+    }, 'SOW revisions retrieved successfully')
+  );
+});
+
+// @desc    Compare two SOW revisions side by side
+// @route   GET /api/sow/:id/revisions/diff?from=1&to=2
+// @access  Private
+const getSOWRevisionDiff = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const sow = await loadSOWForUser(req.params.id, user);
+
+  const revisions = listRevisions(sow);
+  const to = req.query.to ? parseInt(req.query.to) : sow.revision;
+  const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+  const fromRevision = revisions.find(revision => revision.revision === from);
+  const toRevision = revisions.find(revision => revision.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    return next(new ErrorResponse(`from and to must be revisions of this SOW: ${revisions.map(revision => revision.revision).join(', ')}`, 400));
+  }
+
+  res.status(200).json(
+    ApiResponse.success(diffRevisions(fromRevision, toRevision), 'SOW revisions compared successfully')
+  );
+});
+
+module.exports = {
+  getChangeOrders,
+  getChangeOrder,
+  createChangeOrder,
+  updateChangeOrder,
+  submitChangeOrder,
+  approveChangeOrder,
+  sendChangeOrderToVendor,
+  changeOrderVendorResponse,
+  cancelChangeOrder,
+  getSOWRevisions,
+  getSOWRevisionDiff
+};
@@ -4,6 +4,19 @@ const Organization = require('../models/Organization');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
+const { snapshotEntity, recordAuditEvent } = require('../utils/auditTrail');
+const { resolveLineItems, sanitizeMilestones } = require('../utils/sowPricing');
+const { buildApprovalChain, decideApprovalLevel } = require('../utils/approvalMatrix');
+
+// Fields a client may change on a draft SOW; status, approvals and revisions have their own endpoints
+const SOW_UPDATE_FIELDS = ['title', 'description', 'requirementId', 'startDate', 'endDate', 'estimatedCost', 'lineItems', 'milestones'];
+
+const pickSOWUpdates = (body) => SOW_UPDATE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
 
 // Helper function to map user organization roles to SOW approval roles
 const mapUserRoleToSOWRole = (userOrganizationRole) => {
@@ -23,7 +36,7 @@ const mapUserRoleToSOWRole = (userOrganizationRole) => {
 // @route   POST /api/sow
 // @access  Private (Client only)
 const createSOW = asyncHandler(async (req, res, next) => {
-  const { title, description, requirementId, vendorId, startDate, endDate, estimatedCost } = req.body;
+  const { title, description, requirementId, vendorId, startDate, endDate, estimatedCost, lineItems, milestones } = req.body;
 
   // Validate user permissions
   const user = await User.findById(req.user.id);
@@ -42,6 +55,10 @@ const createSOW = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid vendor or vendor not approved', 400));
   }
 
+  // Line items are priced from the organization's rate cards; the estimated cost is derived from them
+  const currency = (estimatedCost && estimatedCost.currency) || 'USD';
+  const pricedLineItems = lineItems ? await resolveLineItems(lineItems, { organizationId: user.organizationId, currency }) : [];
+
   // Create SOW
   const sow = await SOW.create({
     title,
@@ -51,13 +68,22 @@ const createSOW = asyncHandler(async (req, res, next) => {
     vendorId,
     startDate,
     endDate,
-    estimatedCost,
+    estimatedCost: pricedLineItems.length > 0 ? { currency } : estimatedCost,
+    lineItems: pricedLineItems,
+    milestones: milestones ? sanitizeMilestones(milestones) : [],
     clientOrganizationId: user.organizationId,
     vendorOrganizationId: vendor.organizationId,
     createdBy: req.user.id,
     updatedBy: req.user.id
   });
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    action: 'sow_created',
+    actionType: 'create'
+  });
+
   // Populate vendor and client details
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
@@ -134,7 +160,9 @@ const getSOW = asyncHandler(async (req, res, next) => {
     { path: 'clientId', select: 'firstName lastName companyName email phone' },
     { path: 'createdBy', select: 'firstName lastName email' },
     { path: 'updatedBy', select: 'firstName lastName email' },
-    { path: 'approvals.userId', select: 'firstName lastName email organizationRole' }
+    { path: 'approvals.userId', select: 'firstName lastName email organizationRole' },
+    { path: 'lineItems.resourceId', select: 'name' },
+    { path: 'approvalChain.userId approvalChain.delegatedFrom', select: 'firstName lastName email' }
   ]);
 
   if (!sow) {
@@ -183,16 +211,34 @@ const updateSOW = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW cannot be updated in current status', 400));
   }
 
-  // Update SOW
-  sow = await SOW.findByIdAndUpdate(
-    req.params.id,
-    { ...req.body, updatedBy: req.user.id },
-    { new: true, runValidators: true }
-  ).populate([
+  const previousState = snapshotEntity(sow);
+  const updates = { ...pickSOWUpdates(req.body), updatedBy: req.user.id };
+
+  if (req.body.lineItems !== undefined) {
+    const currency = (req.body.estimatedCost && req.body.estimatedCost.currency) || sow.estimatedCost.currency;
+    updates.lineItems = await resolveLineItems(req.body.lineItems, { organizationId: sow.clientOrganizationId, currency });
+  }
+  if (req.body.milestones !== undefined) {
+    updates.milestones = sanitizeMilestones(req.body.milestones);
+  }
+
+  // Update SOW; saved as a document so line item pricing is recomputed
+  sow.set(updates);
+  await sow.save();
+
+  await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
   ]);
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: 'sow_updated',
+    actionType: 'update'
+  });
+
   res.status(200).json(
     ApiResponse.success(sow, 'SOW updated successfully')
   );
@@ -223,8 +269,15 @@ const submitSOW = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW can only be submitted from draft status', 400));
   }
 
-  // Update status and add approval record
+  const previousState = snapshotEntity(sow);
+
+  // Update status, fix the approval chain for the amount and add approval record
   sow.status = 'submitted';
+  sow.approvalChain = await buildApprovalChain({
+    organizationId: sow.clientOrganizationId,
+    entityType: 'sow',
+    amount: sow.estimatedCost.amount
+  });
   sow.approvals.push({
     userId: req.user.id,
     status: 'approved',
@@ -235,6 +288,14 @@ const submitSOW = asyncHandler(async (req, res, next) => {
 
   await sow.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: 'sow_submitted',
+    actionType: 'status_change'
+  });
+
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
@@ -270,11 +331,18 @@ const submitForPMApproval = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW can only be submitted for PM approval from draft status', 400));
   }
 
+  const previousState = snapshotEntity(sow);
+
   // Map user organization role to SOW approval role
   const sowApprovalRole = mapUserRoleToSOWRole(user.organizationRole);
 
-  // Update status and add approval record
+  // Update status, fix the approval chain for the amount and add approval record
   sow.status = 'pm_approval_pending';
+  sow.approvalChain = await buildApprovalChain({
+    organizationId: sow.clientOrganizationId,
+    entityType: 'sow',
+    amount: sow.estimatedCost.amount
+  });
   sow.approvals.push({
     userId: req.user.id,
     status: 'approved',
@@ -285,6 +353,15 @@ const submitForPMApproval = asyncHandler(async (req, res, next) => {
 
   await sow.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: 'sow_submitted_for_pm_approval',
+    actionType: 'status_change',
+    comments: req.body.comments
+  });
+
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
@@ -295,14 +372,14 @@ const submitForPMApproval = asyncHandler(async (req, res, next) => {
   );
 });
 
-// @desc    Approve SOW internally
+// @desc    Approve or reject the next level of a SOW's approval chain
 // @route   POST /api/sow/:id/approve
-// @access  Private (Client admin only)
+// @access  Private (Approvers for the current level, or their delegates)
 const approveSOW = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
   
-  if (user.userType !== 'client' || user.organizationRole !== 'client_owner') {
-    return next(new ErrorResponse('Only client admins can approve SOWs', 403));
+  if (user.userType !== 'client') {
+    return next(new ErrorResponse('Only clients can approve SOWs', 403));
   }
 
   let sow = await SOW.findById(req.params.id);
@@ -320,30 +397,64 @@ const approveSOW = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW can only be approved from submitted or pm_approval_pending status', 400));
   }
 
-  // Update status based on current status
-  if (sow.status === 'pm_approval_pending') {
-    sow.status = 'internal_approved';
-  } else {
+  const previousState = snapshotEntity(sow);
+  const { status = 'approved', comments } = req.body;
+
+  // SOWs submitted before approval chains were kept get one now
+  if (sow.approvalChain.length === 0) {
+    sow.approvalChain = await buildApprovalChain({
+      organizationId: sow.clientOrganizationId,
+      entityType: 'sow',
+      amount: sow.estimatedCost.amount
+    });
+  }
+
+  const decision = await decideApprovalLevel({ chain: sow.approvalChain, user, entityType: 'sow', status, comments });
+
+  // The last approval completes internal approval; a rejection returns the SOW to draft
+  if (decision.complete) {
     sow.status = 'internal_approved';
+  } else if (status === 'rejected') {
+    sow.status = 'draft';
   }
 
   sow.approvals.push({
     userId: req.user.id,
-    status: 'approved',
+    status,
     role: mapUserRoleToSOWRole(user.organizationRole),
-    comments: req.body.comments || 'Internally approved'
+    comments: comments || (status === 'approved' ? 'Internally approved' : 'Rejected'),
+    level: decision.level.level,
+    levelName: decision.level.name,
+    delegatedFrom: decision.delegatedFrom
   });
   sow.updatedBy = req.user.id;
 
   await sow.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: status === 'approved' ? 'sow_internally_approved' : 'sow_internally_rejected',
+    actionType: status === 'approved' ? 'approval' : 'rejection',
+    comments,
+    metadata: { level: decision.level.level, levelName: decision.level.name, delegatedFrom: decision.delegatedFrom }
+  });
+
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
   ]);
 
+  let message = `SOW rejected at ${decision.level.name}`;
+  if (decision.complete) {
+    message = 'SOW approved internally';
+  } else if (status === 'approved') {
+    message = `SOW approved at ${decision.level.name}; awaiting the next approval level`;
+  }
+
   res.status(200).json(
-    ApiResponse.success(sow, 'SOW approved internally')
+    ApiResponse.success(sow, message)
   );
 });
 
@@ -372,12 +483,22 @@ const sendToVendor = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW can only be sent to vendor after internal approval', 400));
   }
 
+  const previousState = snapshotEntity(sow);
+
   // Update status
   sow.status = 'sent_to_vendor';
   sow.updatedBy = req.user.id;
 
   await sow.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: 'sow_sent_to_vendor',
+    actionType: 'status_change'
+  });
+
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
@@ -419,6 +540,8 @@ const vendorResponse = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW is not in sent_to_vendor status', 400));
   }
 
+  const previousState = snapshotEntity(sow);
+
   // Update SOW with vendor response
   sow.status = status === 'accepted' ? 'vendor_accepted' : 'vendor_rejected';
   sow.vendorResponse = {
@@ -427,6 +550,9 @@ const vendorResponse = asyncHandler(async (req, res, next) => {
     comments,
     proposedChanges
   };
+  if (status === 'accepted') {
+    sow.recordRevision({ summary: 'Accepted by vendor', createdBy: req.user.id });
+  }
   sow.approvals.push({
     userId: req.user.id,
     status: status === 'accepted' ? 'approved' : 'rejected',
@@ -437,6 +563,15 @@ const vendorResponse = asyncHandler(async (req, res, next) => {
 
   await sow.save();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: status === 'accepted' ? 'sow_vendor_accepted' : 'sow_vendor_rejected',
+    actionType: status === 'accepted' ? 'approval' : 'rejection',
+    comments
+  });
+
   await sow.populate([
     { path: 'vendorId', select: 'firstName lastName companyName email' },
     { path: 'clientId', select: 'firstName lastName companyName email' }
@@ -473,14 +608,26 @@ const deleteSOW = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('SOW cannot be deleted in current status', 400));
   }
 
+  const previousState = snapshotEntity(sow);
+
   await sow.deleteOne();
 
+  await recordAuditEvent(req, {
+    entityType: 'sow',
+    entity: sow,
+    previousState,
+    action: 'sow_deleted',
+    actionType: 'delete',
+    deleted: true
+  });
+
   res.status(200).json(
     ApiResponse.success(null, 'SOW deleted successfully')
   );
 });
 
 module.exports = {
+  mapUserRoleToSOWRole,
   createSOW,
   getSOWs,
   getSOW,
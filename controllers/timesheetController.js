@@ -0,0 +1,450 @@
+const Timesheet = require('../models/Timesheet');
+const PO = require('../models/PO');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ApiResponse = require('../models/ApiResponse');
+const { snapshotEntity, recordAuditEvent } = require('../utils/auditTrail');
+const {
+  weekStartOf,
+  findOnboardedApplication,
+  rollIntoDraftInvoice,
+  buildHoursReport,
+  notifyTimesheetUsers
+} = require('../utils/timesheets');
+
+const VENDOR_ROLES = ['vendor_owner', 'vendor_account'];
+const APPROVER_ROLES = ['client_owner', 'client_account'];
+
+const TIMESHEET_POPULATE = [
+  { path: 'poId', select: 'poNumber startDate endDate totalAmount status' },
+  { path: 'resourceId', select: 'name' },
+  { path: 'submittedBy', select: 'firstName lastName email' },
+  { path: 'reviewedBy', select: 'firstName lastName email' },
+  { path: 'invoiceId', select: 'invoiceNumber paymentStatus invoiceAmount' }
+];
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Vendors see their organization's timesheets; clients see them once submitted
+const loadTimesheet = async (id, user) => {
+  const timesheet = await Timesheet.findById(id);
+  if (!timesheet) {
+    throw new ErrorResponse('Timesheet not found', 404);
+  }
+
+  const organizationId = user.userType === 'client' ? timesheet.clientOrganizationId : timesheet.vendorOrganizationId;
+  if (organizationId.toString() !== user.organizationId.toString()) {
+    throw new ErrorResponse('Access denied', 403);
+  }
+  if (user.userType === 'client' && timesheet.status === 'draft') {
+    throw new ErrorResponse('Timesheet not found', 404);
+  }
+
+  return timesheet;
+};
+
+const requireVendor = (user, action) => {
+  if (user.userType !== 'vendor' || !VENDOR_ROLES.includes(user.organizationRole)) {
+    throw new ErrorResponse(`Insufficient permissions to ${action} timesheets`, 403);
+  }
+};
+
+// Entries must fall within the PO's dates as well as the week
+const checkEntriesInPOPeriod = (entries, po) => {
+  const start = new Date(po.startDate);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(po.endDate);
+  end.setUTCHours(23, 59, 59, 999);
+
+  const outside = (entries || []).find(entry => entry.date && (new Date(entry.date) < start || new Date(entry.date) > end));
+  if (outside) {
+    throw new ErrorResponse(`Entry for ${formatDate(outside.date)} is outside the PO period ${formatDate(po.startDate)} to ${formatDate(po.endDate)}`, 400);
+  }
+};
+
+// @desc    Get timesheets
+// @route   GET /api/timesheets
+// @access  Private
+const getTimesheets = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const { page = 1, limit = 10, poId, resourceId, status, from, to } = req.query;
+
+  const query = {};
+  if (user.userType === 'client') {
+    query.clientOrganizationId = user.organizationId;
+    query.status = { $ne: 'draft' };
+  } else if (user.userType === 'vendor') {
+    query.vendorOrganizationId = user.organizationId;
+  } else {
+    return next(new ErrorResponse('Insufficient permissions to view timesheets', 403));
+  }
+
+  // Apply filters
+  if (status) {
+    if (user.userType === 'client' && status === 'draft') {
+      return next(new ErrorResponse('Draft timesheets are only visible to the vendor', 400));
+    }
+    query.status = status;
+  }
+  if (poId) query.poId = poId;
+  if (resourceId) query.resourceId = resourceId;
+  if (from || to) {
+    query.weekStart = {};
+    if (from) query.weekStart.$gte = weekStartOf(from);
+    if (to) query.weekStart.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+  const [timesheets, total] = await Promise.all([
+    Timesheet.find(query)
+      .populate(TIMESHEET_POPULATE)
+      .sort({ weekStart: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Timesheet.countDocuments(query)
+  ]);
+
+  res.status(200).json(
+    ApiResponse.success({
+      docs: timesheets,
+      totalDocs: total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / limit)
+    }, 'Timesheets retrieved successfully')
+  );
+});
+
+// @desc    Get single timesheet
+// @route   GET /api/timesheets/:id
+// @access  Private
+const getTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const timesheet = await loadTimesheet(req.params.id, user);
+
+  await timesheet.populate([
+    ...TIMESHEET_POPULATE,
+    { path: 'history.userId', select: 'firstName lastName email' }
+  ]);
+
+  res.status(200).json(
+    ApiResponse.success(timesheet, 'Timesheet retrieved successfully')
+  );
+});
+
+// @desc    Create a weekly timesheet for a resource on a PO
+// @route   POST /api/timesheets
+// @access  Private (Vendor only)
+const createTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireVendor(user, 'create');
+
+  const { poId, resourceId, weekStart, entries = [] } = req.body;
+  if (!poId || !resourceId || !weekStart) {
+    return next(new ErrorResponse('poId, resourceId and weekStart are required', 400));
+  }
+
+  const po = await PO.findById(poId);
+  if (!po) {
+    return next(new ErrorResponse('PO not found', 404));
+  }
+  if (po.vendorOrganizationId.toString() !== user.organizationId.toString()) {
+    return next(new ErrorResponse('Access denied - PO does not belong to your organization', 403));
+  }
+  if (po.status !== 'active') {
+    return next(new ErrorResponse('Timesheets can only be recorded against active POs', 400));
+  }
+
+  const application = await findOnboardedApplication(resourceId, po);
+  if (!application) {
+    return next(new ErrorResponse('The resource has not been onboarded with this client', 400));
+  }
+
+  // Timesheets always start on the Monday of the week
+  const start = weekStartOf(weekStart);
+  const existing = await Timesheet.findOne({ poId, resourceId, weekStart: start });
+  if (existing) {
+    return next(new ErrorResponse(`A timesheet already exists for the week of ${formatDate(start)}`, 400));
+  }
+
+  checkEntriesInPOPeriod(entries, po);
+
+  const timesheet = await Timesheet.create({
+    poId,
+    resourceId,
+    applicationId: application._id,
+    weekStart: start,
+    entries,
+    clientOrganizationId: po.clientOrganizationId,
+    vendorOrganizationId: user.organizationId,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  await recordAuditEvent(req, {
+    entityType: 'timesheet',
+    entity: timesheet,
+    action: 'timesheet_created',
+    actionType: 'create',
+    relatedEntities: [{ entityType: 'po', entityId: po._id, relationship: 'recorded_against' }]
+  });
+
+  await timesheet.populate(TIMESHEET_POPULATE);
+
+  res.status(201).json(
+    ApiResponse.success(timesheet, 'Timesheet created successfully')
+  );
+});
+
+// @desc    Update a timesheet's hours
+// @route   PUT /api/timesheets/:id
+// @access  Private (Vendor only)
+const updateTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireVendor(user, 'update');
+
+  const timesheet = await loadTimesheet(req.params.id, user);
+  if (!Timesheet.EDITABLE_STATUSES.includes(timesheet.status)) {
+    return next(new ErrorResponse('Only draft or rejected timesheets can be changed', 400));
+  }
+
+  const { entries } = req.body;
+  if (!Array.isArray(entries)) {
+    return next(new ErrorResponse('entries are required', 400));
+  }
+
+  const po = await PO.findById(timesheet.poId);
+  checkEntriesInPOPeriod(entries, po);
+
+  const previousState = snapshotEntity(timesheet);
+
+  timesheet.entries = entries;
+  timesheet.updatedBy = req.user.id;
+  await timesheet.save();
+
+  await recordAuditEvent(req, {
+    entityType: 'timesheet',
+    entity: timesheet,
+    previousState,
+    action: 'timesheet_updated',
+    actionType: 'update'
+  });
+
+  await timesheet.populate(TIMESHEET_POPULATE);
+
+  res.status(200).json(
+    ApiResponse.success(timesheet, 'Timesheet updated successfully')
+  );
+});
+
+// @desc    Submit (or resubmit) a timesheet for client approval
+// @route   POST /api/timesheets/:id/submit
+// @access  Private (Vendor only)
+const submitTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireVendor(user, 'submit');
+
+  const timesheet = await loadTimesheet(req.params.id, user);
+  if (!Timesheet.EDITABLE_STATUSES.includes(timesheet.status)) {
+    return next(new ErrorResponse('Only draft or rejected timesheets can be submitted', 400));
+  }
+  if (timesheet.totalHours <= 0) {
+    return next(new ErrorResponse('Record some hours before submitting the timesheet', 400));
+  }
+
+  const previousState = snapshotEntity(timesheet);
+  const resubmitted = timesheet.status === 'rejected';
+
+  timesheet.status = 'submitted';
+  timesheet.submittedAt = new Date();
+  timesheet.submittedBy = req.user.id;
+  timesheet.history.push({ status: 'submitted', userId: req.user.id, totalHours: timesheet.totalHours, comments: req.body.comments });
+  timesheet.updatedBy = req.user.id;
+  await timesheet.save();
+
+  await recordAuditEvent(req, {
+    entityType: 'timesheet',
+    entity: timesheet,
+    previousState,
+    action: resubmitted ? 'timesheet_resubmitted' : 'timesheet_submitted',
+    actionType: 'status_change',
+    comments: req.body.comments
+  });
+
+  await timesheet.populate(TIMESHEET_POPULATE);
+
+  await notifyTimesheetUsers({
+    organizationId: timesheet.clientOrganizationId,
+    roles: APPROVER_ROLES,
+    timesheet,
+    title: 'Timesheet awaiting approval',
+    message: `${timesheet.resourceId.name}'s timesheet for the week of ${formatDate(timesheet.weekStart)} on ${timesheet.poId.poNumber} (${timesheet.totalHours} hours) was ${resubmitted ? 'resubmitted' : 'submitted'} for approval.`
+  });
+
+  res.status(200).json(
+    ApiResponse.success(timesheet, 'Timesheet submitted for approval')
+  );
+});
+
+// @desc    Approve or reject a submitted timesheet
+// @route   POST /api/timesheets/:id/approve
+// @access  Private (Client only)
+const approveTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (user.userType !== 'client' || !APPROVER_ROLES.includes(user.organizationRole)) {
+    return next(new ErrorResponse('Insufficient permissions to approve timesheets', 403));
+  }
+
+  const { status, comments } = req.body;
+  if (!['approved', 'rejected'].includes(status)) {
+    return next(new ErrorResponse('status must be approved or rejected', 400));
+  }
+  if (status === 'rejected' && !comments) {
+    return next(new ErrorResponse('A reason is required when rejecting a timesheet', 400));
+  }
+
+  const timesheet = await loadTimesheet(req.params.id, user);
+  if (timesheet.status !== 'submitted') {
+    return next(new ErrorResponse('Timesheet is not awaiting approval', 400));
+  }
+
+  const previousState = snapshotEntity(timesheet);
+
+  // Only one reviewer can move the timesheet out of submitted, so its hours are never approved twice
+  const decision = {
+    $set: { status, reviewedAt: new Date(), reviewedBy: req.user.id, updatedBy: req.user.id },
+    $push: { history: { status, userId: req.user.id, totalHours: timesheet.totalHours, comments } }
+  };
+  if (status === 'rejected') {
+    decision.$set.rejectionReason = comments;
+  } else {
+    decision.$unset = { rejectionReason: 1 };
+  }
+
+  const reviewed = await Timesheet.findOneAndUpdate(
+    { _id: timesheet._id, status: 'submitted' },
+    decision,
+    { new: true, runValidators: true }
+  );
+  if (!reviewed) {
+    return next(new ErrorResponse('Timesheet was reviewed by someone else; reload and try again', 409));
+  }
+
+  await recordAuditEvent(req, {
+    entityType: 'timesheet',
+    entity: reviewed,
+    previousState,
+    action: status === 'approved' ? 'timesheet_approved' : 'timesheet_rejected',
+    actionType: status === 'approved' ? 'approval' : 'rejection',
+    comments
+  });
+
+  // Approved hours are billed on the PO's draft timesheet invoice
+  let invoice = null;
+  if (status === 'approved') {
+    const po = await PO.findById(timesheet.poId);
+    const rolled = await rollIntoDraftInvoice(po, timesheet.submittedBy);
+    invoice = rolled.invoice;
+
+    if (invoice) {
+      await recordAuditEvent(req, {
+        entityType: 'invoice',
+        entity: invoice,
+        previousState: rolled.previousState,
+        action: rolled.previousState ? 'invoice_timesheets_added' : 'invoice_created_from_timesheets',
+        actionType: rolled.previousState ? 'update' : 'create',
+        relatedEntities: rolled.timesheets.map(rolledTimesheet => ({ entityType: 'timesheet', entityId: rolledTimesheet._id, relationship: 'billed_hours' }))
+      });
+    }
+  }
+
+  const current = await Timesheet.findById(timesheet._id).populate(TIMESHEET_POPULATE);
+
+  await notifyTimesheetUsers({
+    recipients: [current.submittedBy && current.submittedBy._id],
+    timesheet: current,
+    title: status === 'approved' ? 'Timesheet approved' : 'Timesheet rejected',
+    message: status === 'approved'
+      ? `${current.resourceId.name}'s timesheet for the week of ${formatDate(current.weekStart)} was approved${invoice ? ` and added to draft invoice ${invoice.invoiceNumber}` : ''}.`
+      : `${current.resourceId.name}'s timesheet for the week of ${formatDate(current.weekStart)} was rejected: ${comments}`
+  });
+
+  res.status(200).json(
+    ApiResponse.success(current, `Timesheet ${status}`)
+  );
+});
+
+// @desc    Delete a draft timesheet
+// @route   DELETE /api/timesheets/:id
+// @access  Private (Vendor only)
+const deleteTimesheet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  requireVendor(user, 'delete');
+
+  const timesheet = await loadTimesheet(req.params.id, user);
+  if (timesheet.status !== 'draft') {
+    return next(new ErrorResponse('Only draft timesheets can be deleted', 400));
+  }
+
+  const previousState = snapshotEntity(timesheet);
+
+  await timesheet.deleteOne();
+
+  await recordAuditEvent(req, {
+    entityType: 'timesheet',
+    entity: timesheet,
+    previousState,
+    action: 'timesheet_deleted',
+    actionType: 'delete',
+    deleted: true
+  });
+
+  res.status(200).json(
+    ApiResponse.success(null, 'Timesheet deleted successfully')
+  );
+});
+
+// @desc    Report timesheet hours against PO budgets
+// @route   GET /api/timesheets/report?poId=
+// @access  Private
+const getHoursReport = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (!['client', 'vendor'].includes(user.userType)) {
+    return next(new ErrorResponse('Insufficient permissions to view timesheet reports', 403));
+  }
+
+  // One PO, or every active and completed PO of the organization
+  const organizationField = user.userType === 'client' ? 'clientOrganizationId' : 'vendorOrganizationId';
+  const query = { [organizationField]: user.organizationId };
+  if (req.query.poId) {
+    query._id = req.query.poId;
+  } else {
+    query.status = { $in: ['active', 'completed'] };
+  }
+
+  const pos = await PO.find(query).sort({ startDate: -1 });
+  if (req.query.poId && pos.length === 0) {
+    return next(new ErrorResponse('PO not found', 404));
+  }
+
+  const reports = [];
+  for (const po of pos) {
+    reports.push(await buildHoursReport(po));
+  }
+
+  res.status(200).json(
+    ApiResponse.success(req.query.poId ? reports[0] : reports, 'Timesheet hours report generated successfully')
+  );
+});
+
+module.exports = {
+  getTimesheets,
+  getTimesheet,
+  createTimesheet,
+  updateTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  deleteTimesheet,
+  getHoursReport
+};
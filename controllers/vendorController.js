@@ -10,7 +10,7 @@ const Requirement = require('../models/Requirement');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const { validationResult } = require('express-validator');
-const { sendEmail } = require('../utils/sendEmail');
+const { sendTemplatedEmail } = require('../utils/emailTemplates');
 const crypto = require('crypto');
 const {
   validateVendorStep2,
@@ -67,8 +67,16 @@ const sendOTP = asyncHandler(async (req, res, next) => {
   user.otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes
   await user.save();
 
-  // Send OTP via email (currently just logging)
-  console.log(`🔧 VendorController: OTP for ${email}: ${otp}`);
+  // Send OTP via email
+  try {
+    await sendTemplatedEmail({
+      to: user.email,
+      template: 'email_otp',
+      variables: { name: user.firstName, otp, expiresInMinutes: 10 }
+    });
+  } catch (error) {
+    console.error(`🔧 VendorController: Error sending OTP email to ${user.email}:`, error);
+  }
 
   res.status(200).json({
     success: true,
@@ -154,8 +162,16 @@ const saveStep = asyncHandler(async (req, res, next) => {
       user.otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes
       await user.save();
       
-      // Send OTP via email (currently just logging)
-      console.log(`🔧 VendorController: OTP for ${email}: ${otp}`);
+      // Send OTP via email
+      try {
+        await sendTemplatedEmail({
+          to: user.email,
+          template: 'email_otp',
+          variables: { name: user.firstName, otp, expiresInMinutes: 10 }
+        });
+      } catch (error) {
+        console.error(`🔧 VendorController: Error sending OTP email to ${user.email}:`, error);
+      }
       console.log(`🔧 VendorController: Organization created: ${organization._id} for vendor: ${user._id}`);
       
       res.status(201).json({
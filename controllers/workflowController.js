@@ -1,11 +1,28 @@
+const mongoose = require('mongoose');
 const WorkflowConfiguration = require('../models/WorkflowConfiguration');
 const WorkflowInstance = require('../models/WorkflowInstance');
-const Application = require('../models/Application');
-const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const ApiResponse = require('../models/ApiResponse');
 const { canAccessWorkflowManagement } = require('../utils/adminRoleHelper');
+const {
+  OPEN_STEP_STATUSES,
+  RUNNING_STATUSES,
+  validateWorkflowDefinition,
+  processStep,
+  withInstanceLock,
+  loadRun,
+  saveRun,
+  activateSteps
+} = require('../utils/workflowEngine');
+const {
+  getWorkflowKey,
+  versionsQuery,
+  publishWorkflowVersion,
+  diffWorkflowVersions,
+  planInstanceMigration,
+  applyInstanceMigration
+} = require('../utils/workflowVersions');
 
 // @desc    Get all workflow configurations
 // @route   GET /api/workflows
@@ -17,12 +34,18 @@ const getWorkflowConfigurations = asyncHandler(async (req, res, next) => {
     sortBy = 'createdAt', 
     sortOrder = 'desc',
     isActive,
-    applicationTypes
+    applicationTypes,
+    includeVersions
   } = req.query;
 
   // Build query
   let query = {};
 
+  // Superseded versions are only listed on request
+  if (includeVersions !== 'true') {
+    query.isLatest = { $ne: false };
+  }
+
   if (isActive !== undefined) {
     query.isActive = isActive === 'true';
   }
@@ -84,6 +107,11 @@ const createWorkflowConfiguration = asyncHandler(async (req, res, next) => {
 
   const { name, description, applicationTypes, steps, settings, isDefault } = req.body;
 
+  const definitionError = validateWorkflowDefinition({ steps, settings });
+  if (definitionError) {
+    return next(new ErrorResponse(definitionError, 400));
+  }
+
   // If setting as default, unset other defaults
   if (isDefault) {
     await WorkflowConfiguration.updateMany(
@@ -110,7 +138,7 @@ const createWorkflowConfiguration = asyncHandler(async (req, res, next) => {
   );
 });
 
-// @desc    Update workflow configuration
+// @desc    Publish changes to a workflow configuration as a new version
 // @route   PUT /api/workflows/:id
 // @access  Private (Admin Owner only)
 const updateWorkflowConfiguration = asyncHandler(async (req, res, next) => {
@@ -119,45 +147,122 @@ const updateWorkflowConfiguration = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Only admin owners can update workflow configurations', 403));
   }
 
-  let workflow = await WorkflowConfiguration.findById(req.params.id);
+  const current = await WorkflowConfiguration.findById(req.params.id);
 
-  if (!workflow) {
+  if (!current) {
     return next(new ErrorResponse('Workflow configuration not found', 404));
   }
 
-  const { name, description, applicationTypes, steps, settings, isDefault } = req.body;
+  const { name, description, applicationTypes, steps, settings, isDefault, isActive, changeNotes } = req.body;
+
+  const definitionError = validateWorkflowDefinition({
+    steps: steps || current.steps,
+    settings: settings || current.settings
+  });
+  if (definitionError) {
+    return next(new ErrorResponse(definitionError, 400));
+  }
+
+  // Published versions are immutable: changes become the next version, and
+  // running instances stay on the version they started with
+  const workflow = await publishWorkflowVersion(current, {
+    name,
+    description,
+    applicationTypes,
+    steps,
+    settings,
+    isDefault,
+    isActive,
+    changeNotes
+  }, req.user.id);
 
   // If setting as default, unset other defaults
-  if (isDefault) {
+  if (workflow.isDefault) {
     await WorkflowConfiguration.updateMany(
       { 
-        _id: { $ne: req.params.id },
-        applicationTypes: { $in: applicationTypes } 
+        _id: { $ne: workflow._id },
+        applicationTypes: { $in: workflow.applicationTypes } 
       },
       { isDefault: false }
     );
   }
 
-  workflow = await WorkflowConfiguration.findByIdAndUpdate(
-    req.params.id,
+  await workflow.populate('createdBy', 'firstName lastName email');
+  await workflow.populate('updatedBy', 'firstName lastName email');
+
+  res.status(200).json(
+    ApiResponse.success(workflow, `Workflow configuration version ${workflow.version} published successfully`)
+  );
+});
+
+// @desc    Get all versions of a workflow configuration
+// @route   GET /api/workflows/:id/versions
+// @access  Private (Admin Owner only)
+const getWorkflowVersions = asyncHandler(async (req, res, next) => {
+  const workflow = await WorkflowConfiguration.findById(req.params.id);
+
+  if (!workflow) {
+    return next(new ErrorResponse('Workflow configuration not found', 404));
+  }
+
+  const versions = await WorkflowConfiguration.find(versionsQuery(workflow))
+    .select('name version isLatest isActive isDefault publishedAt changeNotes updatedBy createdAt')
+    .populate('updatedBy', 'firstName lastName email')
+    .sort({ version: -1 })
+    .lean();
+
+  // Running instances per version, so admins can see what is left to migrate
+  const counts = await WorkflowInstance.aggregate([
     {
-      name,
-      description,
-      applicationTypes,
-      steps,
-      settings,
-      isDefault,
-      updatedBy: req.user.id
+      $match: {
+        workflowConfigurationId: { $in: versions.map(version => version._id) },
+        status: { $in: RUNNING_STATUSES }
+      }
     },
-    {
-      new: true,
-      runValidators: true
-    }
-  ).populate('createdBy', 'firstName lastName email')
-   .populate('updatedBy', 'firstName lastName email');
+    { $group: { _id: '$workflowConfigurationId', count: { $sum: 1 } } }
+  ]);
+  const runningByVersion = new Map(counts.map(count => [count._id.toString(), count.count]));
 
   res.status(200).json(
-    ApiResponse.success(workflow, 'Workflow configuration updated successfully')
+    ApiResponse.success(
+      versions.map(version => ({ ...version, runningInstances: runningByVersion.get(version._id.toString()) || 0 })),
+      'Workflow versions retrieved successfully'
+    )
+  );
+});
+
+// @desc    Compare two versions of a workflow configuration
+// @route   GET /api/workflows/:id/diff?compareTo=<versionId>
+// @access  Private (Admin Owner only)
+const getWorkflowVersionDiff = asyncHandler(async (req, res, next) => {
+  const workflow = await WorkflowConfiguration.findById(req.params.id);
+
+  if (!workflow) {
+    return next(new ErrorResponse('Workflow configuration not found', 404));
+  }
+
+  // Defaults to the version this one was published from
+  const compareToId = req.query.compareTo || workflow.previousVersion;
+  if (!compareToId) {
+    return next(new ErrorResponse('This is the first version; pass compareTo to choose another version', 400));
+  }
+  if (!mongoose.isObjectIdOrHexString(compareToId)) {
+    return next(new ErrorResponse('compareTo must be a valid id', 400));
+  }
+
+  const other = await WorkflowConfiguration.findById(compareToId);
+  if (!other) {
+    return next(new ErrorResponse('Workflow version to compare with not found', 404));
+  }
+  if (getWorkflowKey(other).toString() !== getWorkflowKey(workflow).toString()) {
+    return next(new ErrorResponse('Both configurations must be versions of the same workflow', 400));
+  }
+
+  // Always diff from the older version to the newer one
+  const [from, to] = (other.version || 1) <= (workflow.version || 1) ? [other, workflow] : [workflow, other];
+
+  res.status(200).json(
+    ApiResponse.success(diffWorkflowVersions(from, to), 'Workflow versions compared successfully')
   );
 });
 
@@ -179,7 +284,7 @@ const deleteWorkflowConfiguration = asyncHandler(async (req, res, next) => {
   // Check if workflow is being used by any applications
   const activeInstances = await WorkflowInstance.countDocuments({
     workflowConfigurationId: req.params.id,
-    status: { $in: ['active', 'in_progress'] }
+    status: { $in: RUNNING_STATUSES }
   });
 
   if (activeInstances > 0) {
@@ -188,6 +293,11 @@ const deleteWorkflowConfiguration = asyncHandler(async (req, res, next) => {
 
   await WorkflowConfiguration.findByIdAndDelete(req.params.id);
 
+  // Deleting the latest version makes the one it was published from current again
+  if (workflow.isLatest !== false && workflow.previousVersion) {
+    await WorkflowConfiguration.updateOne({ _id: workflow.previousVersion }, { $set: { isLatest: true } });
+  }
+
   res.status(200).json(
     ApiResponse.success(null, 'Workflow configuration deleted successfully')
   );
@@ -271,82 +381,170 @@ const getWorkflowInstance = asyncHandler(async (req, res, next) => {
 
 // @desc    Process workflow step
 // @route   POST /api/workflows/instances/:id/process-step
-// @access  Private (Admin only)
+// @access  Private (Users holding the step's role)
 const processWorkflowStep = asyncHandler(async (req, res, next) => {
   const { stepOrder, action, comments, metadata } = req.body;
 
-  const instance = await WorkflowInstance.findById(req.params.id)
-    .populate('workflowConfigurationId')
-    .populate('applicationId');
+  const instance = await processStep(req.params.id, {
+    stepOrder,
+    action,
+    comments,
+    metadata,
+    user: req.user
+  });
 
-  if (!instance) {
-    return next(new ErrorResponse('Workflow instance not found', 404));
-  }
+  await instance.populate('steps.performedBy', 'firstName lastName email');
 
-  // Find the current step
-  const currentStep = instance.steps.find(step => step.order === parseInt(stepOrder));
-  
-  if (!currentStep) {
-    return next(new ErrorResponse('Workflow step not found', 404));
-  }
+  res.status(200).json(
+    ApiResponse.success(instance, 'Workflow step processed successfully')
+  );
+});
+
+// Largest batch of instances migrated in one request
+const MAX_MIGRATION_INSTANCES = 200;
 
-  // Check if user has permission for this step
-  if (!hasPermissionForStep(req.user, currentStep)) {
-    return next(new ErrorResponse('Insufficient permissions for this workflow step', 403));
+// Check a migration request and plan each instance's move to the target version.
+// Returns {target, plans}; a plan either has a migration plan or an error.
+const planMigrations = async ({ instanceIds, targetVersionId }) => {
+  if (!Array.isArray(instanceIds) || instanceIds.length === 0) {
+    throw new ErrorResponse('instanceIds must be a non-empty list', 400);
+  }
+  if (instanceIds.length > MAX_MIGRATION_INSTANCES) {
+    throw new ErrorResponse(`A migration can include at most ${MAX_MIGRATION_INSTANCES} instances`, 400);
+  }
+  if (!targetVersionId || !mongoose.isObjectIdOrHexString(targetVersionId)) {
+    throw new ErrorResponse('targetVersionId must be a valid id', 400);
   }
 
-  // Update step status
-  currentStep.status = 'completed';
-  currentStep.completedAt = new Date();
-  currentStep.performedBy = req.user.id;
-  currentStep.actionTaken = action;
-  currentStep.comments = comments;
-  currentStep.metadata = { ...currentStep.metadata, ...metadata };
-
-  // Update instance
-  instance.currentStep = parseInt(stepOrder) + 1;
-  
-  // Check if workflow is completed
-  if (instance.currentStep > instance.steps.length) {
-    instance.status = 'completed';
-    instance.completedAt = new Date();
+  const target = await WorkflowConfiguration.findById(targetVersionId);
+  if (!target) {
+    throw new ErrorResponse('Target workflow version not found', 404);
   }
 
-  await instance.save();
+  const plans = [];
+  for (const id of [...new Set(instanceIds.map(String))]) {
+    if (!mongoose.isObjectIdOrHexString(id)) {
+      plans.push({ id, error: 'Invalid instance id', statusCode: 400 });
+      continue;
+    }
 
-  // Update application status if workflow is completed
-  if (instance.status === 'completed') {
-    await Application.findByIdAndUpdate(instance.applicationId._id, {
-      workflowStatus: 'completed',
-      currentWorkflowStep: instance.currentStep
-    });
+    const instance = await WorkflowInstance.findById(id);
+    if (!instance) {
+      plans.push({ id, error: 'Workflow instance not found', statusCode: 404 });
+      continue;
+    }
+
+    const current = await WorkflowConfiguration.findById(instance.workflowConfigurationId)
+      .select('workflowKey version');
+    if (!current || getWorkflowKey(current).toString() !== getWorkflowKey(target).toString()) {
+      plans.push({ id, error: 'The target is not a version of this instance\'s workflow', statusCode: 400 });
+      continue;
+    }
+    if ((target.version || 1) <= (current.version || 1)) {
+      plans.push({ id, error: `Instance is already on version ${current.version || 1}; choose a newer version`, statusCode: 400 });
+      continue;
+    }
+
+    const plan = planInstanceMigration(instance, target);
+    if (!plan.canMigrate) {
+      plans.push({ id, error: plan.reason, statusCode: 400 });
+      continue;
+    }
+
+    plans.push({ id, instance, fromVersion: current.version || 1, plan });
   }
 
+  return { target, plans };
+};
+
+const previewResult = ({ id, instance, fromVersion, plan, error, statusCode }, target) => (error
+  ? { id, success: false, statusCode, error }
+  : {
+    id,
+    success: true,
+    applicationId: instance.applicationId,
+    fromVersion,
+    toVersion: target.version || 1,
+    currentSteps: plan.current,
+    resumeAt: plan.resumeAt,
+    mapping: plan.mapping,
+    resultingSteps: plan.steps.map(step => ({ name: step.stepName, order: step.order, role: step.role, status: step.status })),
+    warnings: plan.warnings
+  });
+
+// @desc    Preview how workflow instances would map onto a newer version
+// @route   POST /api/workflows/instances/migration-preview
+// @access  Private (Admin Owner and Admin Employee)
+const previewInstanceMigration = asyncHandler(async (req, res, next) => {
+  const { target, plans } = await planMigrations(req.body);
+  const results = plans.map(plan => previewResult(plan, target));
+
   res.status(200).json(
-    ApiResponse.success(instance, 'Workflow step processed successfully')
+    ApiResponse.success({
+      targetVersion: { id: target._id, name: target.name, version: target.version || 1 },
+      results,
+      summary: {
+        total: results.length,
+        migratable: results.filter(result => result.success).length,
+        blocked: results.filter(result => !result.success).length
+      }
+    }, 'Migration preview generated successfully')
   );
 });
 
-// Helper function to check permissions
-const hasPermissionForStep = (user, step) => {
-  // Use organizationRole if available, otherwise fall back to role/userType
-  const userRole = user.organizationRole || user.role || user.userType;
-  
-  switch (step.role) {
-    case 'super_admin':
-      return userRole === 'admin_owner' || userRole === 'superadmin';
-    case 'admin':
-      return ['admin_owner', 'admin_employee', 'superadmin', 'admin'].includes(userRole);
-    case 'hr_admin':
-      return ['admin_owner', 'admin_employee', 'superadmin', 'admin', 'hr_admin'].includes(userRole);
-    case 'client':
-      return ['client_owner', 'client_employee', 'client'].includes(userRole);
-    case 'vendor':
-      return ['vendor_owner', 'vendor_employee', 'vendor'].includes(userRole);
-    default:
-      return false;
+// @desc    Migrate workflow instances to a newer version
+// @route   POST /api/workflows/instances/migrate
+// @access  Private (Admin Owner and Admin Employee)
+const migrateWorkflowInstances = asyncHandler(async (req, res, next) => {
+  const { target, plans } = await planMigrations(req.body);
+  const results = [];
+
+  for (const entry of plans) {
+    if (entry.error) {
+      results.push(previewResult(entry, target));
+      continue;
+    }
+
+    try {
+      // The instance was loaded for planning; a change since then fails the save with a 409
+      await withInstanceLock(entry.instance._id, async () => {
+        applyInstanceMigration(entry.instance, target, entry.plan, {
+          fromVersion: entry.fromVersion,
+          userId: req.user.id
+        });
+
+        const run = await loadRun(entry.instance, { actorId: req.user.id });
+        if (!run) {
+          throw new ErrorResponse('The application for this workflow no longer exists', 400);
+        }
+
+        // Steps the migration left nobody working on start from the resume point
+        if (!run.instance.steps.some(step => OPEN_STEP_STATUSES.includes(step.status))) {
+          await activateSteps(run, 0);
+        }
+        await saveRun(run);
+      });
+
+      results.push(previewResult(entry, target));
+    } catch (error) {
+      results.push({ id: entry.id, success: false, statusCode: error.statusCode || 500, error: error.message });
+    }
   }
-};
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json(
+    ApiResponse.success({
+      targetVersion: { id: target._id, name: target.name, version: target.version || 1 },
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    }, `${succeeded} of ${results.length} workflow instances migrated to version ${target.version || 1}`)
+  );
+});
 
 module.exports = {
   getWorkflowConfigurations,
@@ -355,6 +553,10 @@ module.exports = {
   updateWorkflowConfiguration,
   deleteWorkflowConfiguration,
   getWorkflowInstances,
+  getWorkflowVersions,
+  getWorkflowVersionDiff,
   getWorkflowInstance,
-  processWorkflowStep
+  processWorkflowStep,
+  previewInstanceMigration,
+  migrateWorkflowInstances
 }; 
\ No newline at end of file
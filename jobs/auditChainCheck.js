@@ -0,0 +1,56 @@
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createNotification } = require('../controllers/notificationController');
+
+const NOTIFICATION_TITLE = 'Audit log integrity check failed';
+
+/**
+ * Verify every organization's audit hash chain and notify admin owners about broken chains
+ * @returns {Promise<Object[]>} - Verification result for each organization
+ */
+const runAuditChainCheck = async () => {
+  const results = await AuditLog.verifyAllChains();
+  const brokenChains = results.filter(result => !result.valid);
+
+  if (brokenChains.length === 0) {
+    return results;
+  }
+
+  const admins = await User.find({
+    organizationRole: 'admin_owner',
+    isActive: true
+  }).select('_id');
+
+  for (const chain of brokenChains) {
+    const { firstBrokenLink } = chain;
+    const message = `Audit chain for organization ${chain.organizationId} is broken at sequence ${firstBrokenLink.sequence} (entry ${firstBrokenLink.auditLogId}): ${firstBrokenLink.reason}`;
+
+    console.error(`🔒 ${message}`);
+
+    for (const admin of admins) {
+      // Avoid repeating the same alert on every run while it is still unread
+      const alreadyNotified = await Notification.exists({
+        recipient: admin._id,
+        title: NOTIFICATION_TITLE,
+        message,
+        isRead: false
+      });
+
+      if (!alreadyNotified) {
+        await createNotification({
+          recipient: admin._id,
+          type: 'system_notification',
+          title: NOTIFICATION_TITLE,
+          message,
+          priority: 'high',
+          actionUrl: '/admin/audit-logs'
+        });
+      }
+    }
+  }
+
+  return results;
+};
+
+module.exports = runAuditChainCheck;
@@ -0,0 +1,48 @@
+const ApplicationHistory = require('../models/ApplicationHistory');
+const { sendFollowUpReminder } = require('../utils/followUps');
+
+/**
+ * Send a reminder for every follow-up that has become due
+ * Each follow-up is reminded once per due date; snoozing schedules another reminder.
+ * @returns {Promise<Object[]>} - History entries reminded by this pass
+ */
+const runFollowUpReminders = async () => {
+  const reminded = [];
+
+  for (;;) {
+    const now = new Date();
+    // Claim one entry at a time so overlapping runs never send the same reminder twice
+    const entry = await ApplicationHistory.findOneAndUpdate(
+      {
+        followUpCompletedAt: null,
+        $or: [
+          { followUpRemindAt: { $lte: now } },
+          // Follow-ups set before reminders were scheduled
+          { followUpRemindAt: { $exists: false }, followUpRemindedAt: { $exists: false }, followUpDate: { $lte: now } }
+        ]
+      },
+      { $set: { followUpRemindedAt: now, followUpRemindAt: null } },
+      { new: true }
+    )
+      .populate('createdBy', 'firstName email isActive')
+      .populate({
+        path: 'application',
+        select: 'requirement resource',
+        populate: [
+          { path: 'requirement', select: 'title' },
+          { path: 'resource', select: 'name' }
+        ]
+      });
+
+    if (!entry) {
+      break;
+    }
+
+    await sendFollowUpReminder(entry);
+    reminded.push(entry);
+  }
+
+  return reminded;
+};
+
+module.exports = runFollowUpReminders;
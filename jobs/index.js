@@ -0,0 +1,51 @@
+const { scheduleJob } = require('../utils/scheduler');
+const runAuditChainCheck = require('./auditChainCheck');
+const runDueReportSchedules = require('./reportSchedules');
+const expireOffers = require('./offerExpiry');
+const runFollowUpReminders = require('./followUpReminders');
+const escalateWorkflows = require('./workflowEscalation');
+const { processEmailQueue } = require('../utils/emailQueue');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Register all background jobs
+const startJobs = () => {
+  scheduleJob(
+    'audit-chain-check',
+    (parseInt(process.env.AUDIT_CHAIN_CHECK_INTERVAL_MINUTES) || 360) * MINUTE,
+    runAuditChainCheck
+  );
+
+  scheduleJob(
+    'email-queue',
+    (parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS) || 30) * SECOND,
+    processEmailQueue
+  );
+
+  scheduleJob(
+    'report-schedules',
+    (parseInt(process.env.REPORT_SCHEDULE_INTERVAL_MINUTES) || 5) * MINUTE,
+    runDueReportSchedules
+  );
+
+  scheduleJob(
+    'offer-expiry',
+    (parseInt(process.env.OFFER_EXPIRY_INTERVAL_MINUTES) || 15) * MINUTE,
+    expireOffers
+  );
+
+  scheduleJob(
+    'follow-up-reminders',
+    (parseInt(process.env.FOLLOW_UP_REMINDER_INTERVAL_MINUTES) || 15) * MINUTE,
+    runFollowUpReminders
+  );
+
+  scheduleJob(
+    'workflow-escalation',
+    (parseInt(process.env.WORKFLOW_ESCALATION_INTERVAL_MINUTES) || 10) * MINUTE,
+    escalateWorkflows
+  );
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,70 @@
+const Application = require('../models/Application');
+const Offer = require('../models/Offer');
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const { changeApplicationStatus } = require('../utils/applicationTransitions');
+const { formatOfferDate } = require('../utils/offerDocument');
+const { notifyOfferEvent } = require('../utils/offerEvents');
+
+/**
+ * Move the application for an expired offer back to where it was before the offer
+ * @param {Object} offer - Offer just marked as expired
+ * @returns {Promise<void>}
+ */
+const returnApplication = async (offer) => {
+  const [application, requirement, resource] = await Promise.all([
+    Application.findById(offer.application).select('+organizationId'),
+    Requirement.findById(offer.requirement).select('title createdBy'),
+    Resource.findById(offer.resource).select('name createdBy')
+  ]);
+  if (!application || !requirement || !resource) {
+    return;
+  }
+
+  // The application may have moved on already, e.g. an admin withdrew it
+  if (application.status === 'offer_created') {
+    await changeApplicationStatus({
+      application,
+      requirement,
+      resource,
+      to: offer.previousApplicationStatus,
+      role: 'system',
+      actorId: offer.createdBy,
+      notes: `Offer expired on ${formatOfferDate(offer.expiresAt)} without a response`
+    });
+  }
+
+  await notifyOfferEvent(offer, 'expired', { application, requirement, resource });
+};
+
+/**
+ * Expire every open offer past its expiry date
+ * @returns {Promise<Object[]>} - Offers expired by this pass
+ */
+const expireOffers = async () => {
+  const expired = [];
+
+  for (;;) {
+    // Claim one offer at a time so overlapping runs never expire the same offer twice
+    const offer = await Offer.findOneAndUpdate(
+      { status: { $in: Offer.OPEN_STATUSES }, expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } },
+      { new: true, sort: { expiresAt: 1 } }
+    );
+
+    if (!offer) {
+      break;
+    }
+
+    try {
+      await returnApplication(offer);
+    } catch (error) {
+      console.error(`Error returning application for expired offer ${offer._id}:`, error);
+    }
+    expired.push(offer);
+  }
+
+  return expired;
+};
+
+module.exports = expireOffers;
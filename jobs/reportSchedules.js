@@ -0,0 +1,44 @@
+const ReportSchedule = require('../models/ReportSchedule');
+const { computeNextRunAt, executeReportSchedule } = require('../utils/reportScheduler');
+
+// A schedule locked for longer than this is assumed to belong to a crashed run
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Run every active report schedule that is due
+ * @returns {Promise<Object[]>} - ReportRun documents created by this pass
+ */
+const runDueReportSchedules = async () => {
+  const runs = [];
+
+  for (;;) {
+    const now = new Date();
+    const schedule = await ReportSchedule.findOneAndUpdate(
+      {
+        isActive: true,
+        nextRunAt: { $lte: now },
+        $or: [
+          { lockedAt: { $exists: false } },
+          { lockedAt: null },
+          { lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { lockedAt: now } },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+
+    if (!schedule) {
+      break;
+    }
+
+    // Missed runs (e.g. while the server was down) are not replayed; the schedule runs once and moves on
+    schedule.nextRunAt = computeNextRunAt(schedule, now);
+    schedule.lockedAt = undefined;
+
+    runs.push(await executeReportSchedule(schedule));
+  }
+
+  return runs;
+};
+
+module.exports = runDueReportSchedules;
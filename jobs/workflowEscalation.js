@@ -0,0 +1,83 @@
+const WorkflowInstance = require('../models/WorkflowInstance');
+const { RUNNING_STATUSES, withInstanceLock, loadRun, saveRun } = require('../utils/workflowEngine');
+const { escalateStep, notifyStepEscalated, notifySlaBreached } = require('../utils/workflowSla');
+
+/**
+ * Escalate workflow steps past their due date and record workflows past their SLA
+ * @returns {Promise<Object>} - {escalated, breached} instance counts for this pass
+ */
+const escalateWorkflows = async () => {
+  let escalated = 0;
+  let breached = 0;
+
+  for (;;) {
+    const now = new Date();
+
+    // Claim one instance at a time by marking its overdue steps escalated, so
+    // overlapping runs never escalate the same step twice. The document comes
+    // back as it was before the update, which identifies the claimed steps.
+    const claimed = await WorkflowInstance.findOneAndUpdate(
+      {
+        status: { $in: RUNNING_STATUSES },
+        steps: { $elemMatch: { status: 'in_progress', dueAt: { $lte: now } } }
+      },
+      { $set: { 'steps.$[overdue].status': 'escalated', 'steps.$[overdue].escalatedAt': now } },
+      { arrayFilters: [{ 'overdue.status': 'in_progress', 'overdue.dueAt': { $lte: now } }] }
+    );
+
+    if (!claimed) {
+      break;
+    }
+
+    const overdueIds = claimed.steps
+      .filter(step => step.status === 'in_progress' && step.dueAt && step.dueAt <= now)
+      .map(step => step._id.toString());
+
+    try {
+      await withInstanceLock(claimed._id, async () => {
+        const run = await loadRun(claimed._id, { actorId: null, applyStatus: false });
+        if (!run) {
+          return;
+        }
+
+        // A step completed since the claim no longer needs escalating
+        const steps = run.instance.steps.filter(step => overdueIds.includes(step._id.toString()) && step.status === 'escalated');
+        steps.forEach(step => escalateStep(run, step, now));
+        await saveRun(run);
+
+        for (const step of steps) {
+          await notifyStepEscalated(run, step);
+        }
+        escalated += 1;
+      });
+    } catch (error) {
+      console.error(`Error escalating workflow instance ${claimed._id}:`, error);
+    }
+  }
+
+  for (;;) {
+    const instance = await WorkflowInstance.findOneAndUpdate(
+      { status: { $in: RUNNING_STATUSES }, slaDueAt: { $lte: new Date() }, slaBreachedAt: null },
+      { $set: { slaBreachedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!instance) {
+      break;
+    }
+
+    try {
+      const run = await loadRun(instance, { actorId: null, applyStatus: false });
+      if (run) {
+        await notifySlaBreached(run);
+      }
+      breached += 1;
+    } catch (error) {
+      console.error(`Error reporting SLA breach for workflow instance ${instance._id}:`, error);
+    }
+  }
+
+  return { escalated, breached };
+};
+
+module.exports = escalateWorkflows;
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('./async');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
+const { getSettingsSection } = require('../utils/systemSettings');
 
 // Protect routes
 const protect = asyncHandler(async (req, res, next) => {
@@ -30,8 +31,15 @@ const protect = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('User not found', 404));
     }
 
-    // Check if user is approved (except for admins)
-    if (req.user.userType !== 'admin' && req.user.approvalStatus !== 'approved') {
+    // Check if user is approved (except for admins, and vendors when vendor approval is switched off)
+    const { requireVendorApproval } = await getSettingsSection('approvals');
+    const approvalRequired = req.user.userType === 'vendor' ? requireVendorApproval : true;
+
+    if (
+      req.user.userType !== 'admin' &&
+      req.user.approvalStatus !== 'approved' &&
+      (approvalRequired || req.user.approvalStatus === 'rejected')
+    ) {
       return next(new ErrorResponse('Your account is pending approval', 403));
     }
 
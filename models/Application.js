@@ -78,6 +78,24 @@ const applicationSchema = new mongoose.Schema({
   workflowMetadata: {
     type: Object,
     default: {}
+  },
+
+  // Set when the resource looked like a duplicate of another candidate at submission
+  duplicateCheck: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    score: Number,
+    duplicates: [{
+      resource: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource'
+      },
+      score: Number,
+      sameRequirement: Boolean,
+      _id: false
+    }]
   }
 }, {
   timestamps: true
@@ -98,6 +116,7 @@ applicationSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
 applicationSchema.index({ organizationId: 1, requirement: 1, status: 1 });
 applicationSchema.index({ organizationId: 1, resource: 1, status: 1 });
 applicationSchema.index({ requirement: 1, status: 1, createdAt: -1 });
+applicationSchema.index({ 'duplicateCheck.flagged': 1 });
 applicationSchema.index({ resource: 1, status: 1, createdAt: -1 });
 applicationSchema.index({ createdBy: 1, status: 1, createdAt: -1 });
 applicationSchema.index({ organizationId: 1, 'availability.startDate': 1 });
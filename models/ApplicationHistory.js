@@ -89,6 +89,29 @@ const applicationHistorySchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Follow-up notes cannot be more than 500 characters']
   },
+
+  // When the next reminder is due: the follow-up date, or the snooze date.
+  // Cleared once the reminder is sent or the follow-up is done.
+  followUpRemindAt: {
+    type: Date
+  },
+
+  followUpSnoozedUntil: {
+    type: Date
+  },
+
+  followUpRemindedAt: {
+    type: Date
+  },
+
+  followUpCompletedAt: {
+    type: Date
+  },
+
+  followUpCompletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   
   // Track who created this history entry
   createdBy: {
@@ -120,5 +143,15 @@ applicationHistorySchema.index({ createdBy: 1 });
 applicationHistorySchema.index({ updatedBy: 1 });
 applicationHistorySchema.index({ organizationId: 1 });
 applicationHistorySchema.index({ 'decisionReason.category': 1 });
+applicationHistorySchema.index({ createdBy: 1, followUpCompletedAt: 1, followUpDate: 1 });
+applicationHistorySchema.index({ followUpRemindAt: 1 });
+
+// Schedule the first reminder for a new follow-up
+applicationHistorySchema.pre('save', function(next) {
+  if (this.isNew && this.followUpDate && !this.followUpRemindAt) {
+    this.followUpRemindAt = this.followUpDate;
+  }
+  next();
+});
 
 module.exports = mongoose.model('ApplicationHistory', applicationHistorySchema);
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Lets a delegate approve in the delegator's place while the delegator is away
+const approvalDelegationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  delegatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegator is required']
+  },
+  delegateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegate is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Approvals the delegation covers
+  entityTypes: {
+    type: [{
+      type: String,
+      enum: ['sow', 'po']
+    }],
+    default: ['sow', 'po']
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+approvalDelegationSchema.index({ delegateId: 1, startDate: 1, endDate: 1 });
+approvalDelegationSchema.index({ organizationId: 1, createdAt: -1 });
+
+// Pre-validate middleware to check the delegation window and parties
+approvalDelegationSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  if (this.delegatorId && this.delegateId && this.delegatorId.toString() === this.delegateId.toString()) {
+    this.invalidate('delegateId', 'Approvals cannot be delegated to yourself');
+  }
+  next();
+});
+
+module.exports = mongoose.model('ApprovalDelegation', approvalDelegationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Organization roles that can be named as approvers
+const APPROVER_ROLES = ['client_owner', 'client_account', 'client_employee'];
+
+// One approval level: anyone holding one of the roles, or one of the named users, can approve it
+const levelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Approval level name is required'],
+    trim: true,
+    maxlength: [100, 'Level name cannot be more than 100 characters']
+  },
+  approverRoles: [{
+    type: String,
+    enum: APPROVER_ROLES
+  }],
+  approverIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+// The levels required for amounts below upTo; the last tier may leave upTo unset to cover everything above
+const tierSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    min: [0, 'Tier amount cannot be negative']
+  },
+  levels: [levelSchema]
+}, { _id: false });
+
+// A client organization's approval chains for SOWs or POs, by amount. Amounts
+// are compared in the document's own currency.
+const approvalMatrixSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['sow', 'po'],
+    required: true
+  },
+  tiers: [tierSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+approvalMatrixSchema.index({ organizationId: 1, entityType: 1 }, { unique: true });
+
+// Pre-validate middleware to keep tiers ascending and every level approvable
+approvalMatrixSchema.pre('validate', function(next) {
+  if (this.tiers.length === 0) {
+    this.invalidate('tiers', 'An approval matrix needs at least one tier');
+  }
+
+  this.tiers.forEach((tier, index) => {
+    const isLast = index === this.tiers.length - 1;
+    if ((tier.upTo === undefined || tier.upTo === null) && !isLast) {
+      this.invalidate(`tiers.${index}.upTo`, 'Only the last tier can leave its upper amount open');
+    }
+    if (index > 0 && tier.upTo !== undefined && tier.upTo !== null && tier.upTo <= this.tiers[index - 1].upTo) {
+      this.invalidate(`tiers.${index}.upTo`, 'Tiers must be in ascending order of amount');
+    }
+    if (tier.levels.length === 0) {
+      this.invalidate(`tiers.${index}.levels`, `Tier ${index + 1} needs at least one approval level`);
+    }
+    tier.levels.forEach((level, levelIndex) => {
+      if (level.approverRoles.length === 0 && level.approverIds.length === 0) {
+        this.invalidate(`tiers.${index}.levels.${levelIndex}`, `Level "${level.name}" needs approver roles or approvers`);
+      }
+    });
+  });
+
+  next();
+});
+
+approvalMatrixSchema.statics.APPROVER_ROLES = APPROVER_ROLES;
+
+module.exports = mongoose.model('ApprovalMatrix', approvalMatrixSchema);
@@ -1,10 +1,32 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Fields covered by the tamper-evident hash of each entry
+const HASHED_FIELDS = [
+  'entityType',
+  'entityId',
+  'action',
+  'actionType',
+  'previousState',
+  'newState',
+  'changes',
+  'performedBy',
+  'performedAt',
+  'ipAddress',
+  'userAgent',
+  'comments',
+  'metadata',
+  'relatedEntities',
+  'systemGenerated',
+  'sequence',
+  'previousHash'
+];
 
 const auditLogSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['sow', 'po', 'invoice', 'payment', 'credit_note']
+    enum: ['sow', 'po', 'invoice', 'payment', 'credit_note', 'timesheet']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -113,6 +135,17 @@ const auditLogSchema = new mongoose.Schema({
   version: {
     type: Number,
     default: 1
+  },
+  // Hash chain (one chain per organization)
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String
   }
 }, {
   timestamps: true
@@ -134,6 +167,12 @@ auditLogSchema.index({
   performedAt: -1 
 });
 
+// One position per organization chain
+auditLogSchema.index(
+  { 'performedBy.organizationId': 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
 // Text index for search functionality
 auditLogSchema.index({
   action: 'text',
@@ -157,24 +196,167 @@ auditLogSchema.pre('save', function(next) {
   next();
 });
 
+// Reduce a value to a canonical form so the same content always hashes the same,
+// whether it comes from an unsaved document or a lean read from the database
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => {
+      const canonical = canonicalize(item);
+      return canonical === undefined ? null : canonical;
+    });
+    return items.length ? items : undefined;
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== undefined) {
+        result[key] = canonical;
+      }
+    });
+    return Object.keys(result).length ? result : undefined;
+  }
+
+  return value;
+};
+
+const computeEntryHash = (entry) => {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    content[field] = entry[field];
+  });
+
+  const canonical = canonicalize(JSON.parse(JSON.stringify(content))) || {};
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonical))
+    .digest('hex');
+};
+
+// Pre-save middleware to link new entries into their organization's hash chain
+auditLogSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  const lastEntry = await this.constructor
+    .findOne({
+      'performedBy.organizationId': this.performedBy.organizationId,
+      sequence: { $exists: true }
+    })
+    .sort({ sequence: -1 })
+    .select('sequence hash')
+    .lean();
+
+  this.sequence = lastEntry ? lastEntry.sequence + 1 : 1;
+  this.previousHash = lastEntry ? lastEntry.hash : null;
+  this.hash = this.computeHash();
+
+  next();
+});
+
 // Static method to create audit log with user context
-auditLogSchema.statics.createWithUser = function(auditData, user, req = null) {
-  const auditLog = new this({
-    ...auditData,
-    performedBy: {
-      userId: user._id,
-      userType: user.organizationType || 'client',
-      organizationId: user.organizationId,
-      organizationRole: user.organizationRole,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email
-    },
-    ipAddress: req ? req.ip : null,
-    userAgent: req ? req.get('User-Agent') : null
+auditLogSchema.statics.createWithUser = async function(auditData, user, req = null) {
+  const maxAttempts = 5;
+
+  for (let attempt = 1; ; attempt++) {
+    const auditLog = new this({
+      ...auditData,
+      performedBy: {
+        userId: user._id,
+        userType: user.userType || 'client',
+        organizationId: user.organizationId,
+        organizationRole: user.organizationRole,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email
+      },
+      ipAddress: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') : null
+    });
+
+    try {
+      return await auditLog.save();
+    } catch (error) {
+      // Another entry claimed the same chain position concurrently - link again
+      if (error.code !== 11000 || attempt >= maxAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to verify the hash chain of one organization
+auditLogSchema.statics.verifyChain = async function(organizationId) {
+  const cursor = this.find({
+    'performedBy.organizationId': organizationId,
+    sequence: { $exists: true }
+  })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  let expectedSequence = 1;
+  let previousHash = null;
+  let entriesChecked = 0;
+
+  for await (const entry of cursor) {
+    let reason = null;
+
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected sequence ${expectedSequence} but found ${entry.sequence}; one or more entries are missing`;
+    } else if ((entry.previousHash || null) !== previousHash) {
+      reason = 'Previous hash does not match the hash of the preceding entry';
+    } else if (computeEntryHash(entry) !== entry.hash) {
+      reason = 'Entry content does not match its stored hash';
+    }
+
+    if (reason) {
+      return {
+        organizationId,
+        valid: false,
+        entriesChecked,
+        firstBrokenLink: {
+          auditLogId: entry._id,
+          sequence: entry.sequence,
+          performedAt: entry.performedAt,
+          reason
+        }
+      };
+    }
+
+    entriesChecked += 1;
+    expectedSequence += 1;
+    previousHash = entry.hash;
+  }
+
+  return {
+    organizationId,
+    valid: true,
+    entriesChecked,
+    lastHash: previousHash,
+    firstBrokenLink: null
+  };
+};
+
+// Static method to verify the hash chains of every organization
+auditLogSchema.statics.verifyAllChains = async function() {
+  const organizationIds = await this.distinct('performedBy.organizationId', {
+    sequence: { $exists: true }
   });
-  
-  return auditLog.save();
+
+  const results = [];
+  for (const organizationId of organizationIds) {
+    results.push(await this.verifyChain(organizationId));
+  }
+
+  return results;
 };
 
 // Static method to get audit trail for an entity
@@ -240,6 +422,11 @@ auditLogSchema.methods.getFormattedChanges = function() {
   ).join(', ');
 };
 
+// Instance method to compute the chain hash of this entry
+auditLogSchema.methods.computeHash = function() {
+  return computeEntryHash(this.toObject({ depopulate: true, virtuals: false, versionKey: false }));
+};
+
 // Helper method to format values
 auditLogSchema.methods.formatValue = function(value) {
   if (value === null || value === undefined) return 'N/A';
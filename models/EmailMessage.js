@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Outbound email, persisted before delivery so it survives SMTP outages and restarts
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  text: {
+    type: String
+  },
+  html: {
+    type: String
+  },
+  // Attachment content is stored once on disk (see emailQueue) and shared by every message that sends it
+  attachments: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    storageKey: {
+      type: String,
+      required: true
+    },
+    contentType: String,
+    size: Number
+  }],
+  // Template used to build the message, if any
+  template: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current delivery attempt started (used to recover stuck messages)
+  lockedAt: Date,
+  lastError: String,
+  errorHistory: [{
+    attempt: Number,
+    message: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
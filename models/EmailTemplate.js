@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const templateContentFields = {
+  subject: {
+    type: String,
+    required: [true, 'Template subject is required'],
+    maxlength: [300, 'Subject cannot be more than 300 characters']
+  },
+  htmlBody: {
+    type: String,
+    maxlength: [50000, 'HTML body cannot be more than 50000 characters']
+  },
+  textBody: {
+    type: String,
+    maxlength: [20000, 'Text body cannot be more than 20000 characters']
+  },
+  requiredVariables: [{
+    type: String,
+    trim: true
+  }]
+};
+
+const emailTemplateSchema = new mongoose.Schema({
+  // Stable name used by the code that sends the email, e.g. 'password_reset'
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Template key may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  ...templateContentFields,
+  // Example variables used for previews
+  sampleData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Every published version, including the current one
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    ...templateContentFields,
+    changeNote: {
+      type: String,
+      maxlength: [500, 'Change note cannot be more than 500 characters']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to require at least one body
+emailTemplateSchema.pre('validate', function(next) {
+  if (!this.htmlBody && !this.textBody) {
+    this.invalidate('htmlBody', 'Either an HTML body or a text body is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
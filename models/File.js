@@ -80,6 +80,10 @@ const fileSchema = new mongoose.Schema({
   }],
   metadata: {
     type: Object
+  },
+  // MD5 of the file content; the same document uploaded twice has the same hash
+  hash: {
+    type: String
   }
 }, {
   timestamps: true
@@ -91,6 +95,7 @@ fileSchema.index({ entityType: 1, entityId: 1 });
 fileSchema.index({ category: 1 });
 fileSchema.index({ approvalStatus: 1 });
 fileSchema.index({ createdAt: -1 });
+fileSchema.index({ hash: 1 });
 
 // Virtual for file URL
 fileSchema.virtual('url').get(function() {
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+const slotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  }
+});
+
+const feedbackSchema = new mongoose.Schema({
+  panelist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Overall rating is required'],
+    min: 1,
+    max: 5
+  },
+  // Ratings for individual criteria, e.g. technical_skills or communication
+  criteria: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+    _id: false
+  }],
+  recommendation: {
+    type: String,
+    enum: ['strong_hire', 'hire', 'no_hire', 'strong_no_hire'],
+    required: [true, 'Recommendation is required']
+  },
+  strengths: {
+    type: String,
+    maxlength: [1000, 'Strengths cannot be more than 1000 characters']
+  },
+  concerns: {
+    type: String,
+    maxlength: [1000, 'Concerns cannot be more than 1000 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One interview round for an application. The client proposes slots, the
+// candidate's vendor accepts one, and panel members record feedback.
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  requirement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: [true, 'Interview title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['phone', 'video', 'onsite', 'technical', 'hr', 'other'],
+    default: 'video'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Location cannot be more than 500 characters']
+  },
+  meetingUrl: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  proposedSlots: {
+    type: [slotSchema],
+    validate: {
+      validator: slots => slots.length <= 10,
+      message: 'No more than 10 slots can be proposed'
+    }
+  },
+  scheduledSlot: {
+    start: Date,
+    end: Date
+  },
+  panel: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['proposed', 'reschedule_requested', 'scheduled', 'completed', 'cancelled'],
+    default: 'proposed'
+  },
+  reschedules: [{
+    previousSlot: {
+      start: Date,
+      end: Date
+    },
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  feedback: [feedbackSchema],
+  // Incremented on every calendar change so invitations replace each other
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ application: 1, round: 1 });
+interviewSchema.index({ panel: 1, status: 1 });
+interviewSchema.index({ 'scheduledSlot.start': 1, status: 1 });
+
+/**
+ * Stable calendar UID for this interview
+ * @returns {string}
+ */
+interviewSchema.methods.getCalendarUid = function() {
+  return `interview-${this._id}@service-marketplace`;
+};
+
+/**
+ * Check whether a user sits on the interview panel
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+interviewSchema.methods.isPanelist = function(userId) {
+  return this.panel.some(member => (member._id || member).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Interview', interviewSchema);
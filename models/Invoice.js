@@ -50,6 +50,65 @@ const invoiceSchema = new mongoose.Schema({
     }
   },
   
+  // Period the work was done in; billed hours are matched against timesheets for it
+  servicePeriod: {
+    start: Date,
+    end: Date
+  },
+
+  // Hours billed per resource
+  billedHours: [{
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resource',
+      required: true
+    },
+    hours: {
+      type: Number,
+      required: true,
+      min: [0, 'Hours cannot be negative']
+    },
+    _id: false
+  }],
+
+  // Result of the three-way match against the PO and approved timesheets
+  match: {
+    status: {
+      type: String,
+      enum: ['matched', 'exception', 'accepted', 'rejected'],
+      default: 'matched'
+    },
+    checkedAt: Date,
+    exceptions: [{
+      type: {
+        type: String,
+        enum: ['over_po_remaining', 'outside_po_period', 'hours_mismatch', 'hours_not_billed'],
+        required: true
+      },
+      message: {
+        type: String,
+        required: true
+      },
+      resourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource'
+      },
+      expected: Number,
+      actual: Number,
+      _id: false
+    }],
+    // Client finance review of the exceptions
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: {
+      type: String,
+      maxlength: [1000, 'Review notes cannot be more than 1000 characters']
+    }
+  },
+
   // Work summary and details
   workSummary: {
     type: String,
@@ -71,11 +130,19 @@ const invoiceSchema = new mongoose.Schema({
     }
   },
   
+  // Drafts are only visible to the vendor and count against the PO once submitted
   paymentStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'paid', 'overdue', 'cancelled'],
+    enum: ['draft', 'pending', 'approved', 'rejected', 'paid', 'overdue', 'cancelled'],
     default: 'pending'
   },
+
+  // Raised by the vendor, or built up from approved timesheets
+  source: {
+    type: String,
+    enum: ['manual', 'timesheets'],
+    default: 'manual'
+  },
   
   // Payment details
   paymentDetails: {
@@ -200,6 +267,10 @@ invoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
 invoiceSchema.index({ clientOrganizationId: 1 });
 invoiceSchema.index({ vendorOrganizationId: 1 });
 invoiceSchema.index({ dueDate: 1 });
+invoiceSchema.index({ clientOrganizationId: 1, 'match.status': 1 });
+invoiceSchema.index({ poId: 1, paymentStatus: 1, source: 1 });
+// A PO has at most one draft timesheet invoice, which every roll-up adds to
+invoiceSchema.index({ poId: 1 }, { unique: true, partialFilterExpression: { source: 'timesheets', paymentStatus: 'draft' } });
 invoiceSchema.index({ createdAt: -1 });
 
 // Virtual for formatted status
@@ -223,8 +294,8 @@ invoiceSchema.virtual('daysOverdue').get(function() {
   return 0;
 });
 
-// Pre-save middleware to generate invoice number
-invoiceSchema.pre('save', async function(next) {
+// Pre-validate middleware to generate the invoice number and due date, which are required
+invoiceSchema.pre('validate', async function(next) {
   if (this.isNew && !this.invoiceNumber) {
     const year = new Date().getFullYear();
     const count = await mongoose.model('Invoice').countDocuments({ 
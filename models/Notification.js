@@ -23,7 +23,14 @@ const notificationSchema = new mongoose.Schema({
       'account_update',
       'system_notification',
       'new_application',
-      'application_status_change'
+      'application_status_change',
+      'report_ready',
+      'interview_update',
+      'offer_update',
+      'follow_up_reminder',
+      'workflow_update',
+      'invoice_exception',
+      'timesheet_update'
     ],
     required: true
   },
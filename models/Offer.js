@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Offer statuses that still await a response
+const OPEN_STATUSES = ['pending', 'countered'];
+
+const termsFields = {
+  rate: {
+    amount: {
+      type: Number,
+      required: [true, 'Offer rate is required'],
+      min: [0, 'Offer rate cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['hourly', 'fixed'],
+      default: 'hourly'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  durationWeeks: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least one week']
+  },
+  terms: {
+    type: String,
+    maxlength: [5000, 'Terms cannot be more than 5000 characters']
+  }
+};
+
+// Every proposal on the offer, from the first offer through each counter-offer
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  ...termsFields,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proposedByRole: {
+    type: String,
+    enum: ['admin', 'client', 'vendor'],
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// An offer made to a resource for a requirement. The top-level terms always
+// mirror the latest revision.
+const offerSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  requirement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  ...termsFields,
+  expiresAt: {
+    type: Date,
+    required: [true, 'Offer expiry is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'countered', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'pending'
+  },
+  revisions: [revisionSchema],
+  // Stage the application returns to if the offer is declined or expires
+  previousApplicationStatus: {
+    type: String,
+    required: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  declineReason: {
+    type: String,
+    maxlength: [1000, 'Decline reason cannot be more than 1000 characters']
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ application: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+offerSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+/**
+ * Whether the offer still awaits a response
+ * @returns {boolean}
+ */
+offerSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+/**
+ * Get the latest revision
+ * @returns {Object}
+ */
+offerSchema.methods.currentRevision = function() {
+  return this.revisions[this.revisions.length - 1];
+};
+
+/**
+ * Add a revision and copy its terms onto the offer
+ * @param {Object} revision - Terms plus proposedBy, proposedByRole and message
+ */
+offerSchema.methods.addRevision = function(revision) {
+  const entry = { ...revision, revision: this.revisions.length + 1 };
+  this.revisions.push(entry);
+  this.rate = entry.rate;
+  this.startDate = entry.startDate;
+  this.durationWeeks = entry.durationWeeks;
+  this.terms = entry.terms;
+  this.expiresAt = entry.expiresAt;
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
@@ -1,4 +1,87 @@
 const mongoose = require('mongoose');
+const { LINE_ITEM_UNITS } = require('../utils/sowPricing');
+
+// A line inherited from the SOW; invoices are matched against the PO as a whole
+const poLineItemSchema = new mongoose.Schema({
+  sowLineItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  description: String,
+  role: String,
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    enum: LINE_ITEM_UNITS
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  subtotal: Number,
+  taxAmount: Number,
+  total: Number
+});
+
+// One level of the approval chain fixed on the PO when it is submitted
+const approvalLevelSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  approverRoles: [String],
+  approverIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Approver the user stood in for, when approving as a delegate
+  delegatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: Date,
+  comments: {
+    type: String,
+    maxlength: [500, 'Comments cannot be more than 500 characters']
+  }
+}, { _id: false });
+
+// A payment milestone inherited from the SOW
+const poMilestoneSchema = new mongoose.Schema({
+  sowMilestoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: String,
+  description: String,
+  dueDate: Date,
+  percentage: Number,
+  amount: Number,
+  acceptanceCriteria: String
+});
 
 const poSchema = new mongoose.Schema({
   poNumber: {
@@ -55,16 +138,20 @@ const poSchema = new mongoose.Schema({
     enum: ['net_15', 'net_30', 'net_45', 'net_60', 'net_90'],
     default: 'net_30'
   },
-  
 
-  
+  // Copied from the SOW when the PO is created, for reference
+  lineItems: [poLineItemSchema],
+
+  milestones: [poMilestoneSchema],
+
   status: {
     type: String,
     enum: ['draft', 'submitted', 'finance_approved', 'sent_to_vendor', 'vendor_accepted', 'vendor_rejected', 'cancelled', 'active', 'completed'],
     default: 'draft'
   },
   
-  // Finance approval details
+  // Finance approval details; userId, date and comments are the latest decision,
+  // and status stays pending until every level has approved
   financeApproval: {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -79,7 +166,9 @@ const poSchema = new mongoose.Schema({
     comments: {
       type: String,
       maxlength: [500, 'Finance approval comments cannot be more than 500 characters']
-    }
+    },
+    // Levels from the organization's approval matrix, decided in order
+    levels: [approvalLevelSchema]
   },
   
   // Vendor response details
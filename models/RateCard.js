@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const { LINE_ITEM_UNITS } = require('../utils/sowPricing');
+
+// A standard rate for one role on the card
+const rateSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true,
+    maxlength: [100, 'Role cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  unit: {
+    type: String,
+    enum: LINE_ITEM_UNITS,
+    default: 'hour'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100 percent']
+  }
+});
+
+// A client organization's standard rates, used to price SOW line items
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot be more than 200 characters']
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Vendor organization the rates were agreed with; unset for the client's default card
+  vendorOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'INR']
+  },
+  rates: [rateSchema],
+  effectiveFrom: Date,
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rateCardSchema.index({ organizationId: 1, isActive: 1 });
+
+// Pre-validate middleware to keep the effective window in order
+rateCardSchema.pre('validate', function(next) {
+  if (this.effectiveFrom && this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after the effective from date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One execution of a report schedule (history entry)
+const reportRunSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSchedule',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportTemplate',
+    required: true
+  },
+  // 'schedule' for automatic runs, 'manual' when an admin ran it on demand
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  rowCount: Number,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  output: {
+    filename: String,
+    path: String,
+    contentType: String,
+    size: Number
+  },
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      enum: ['email', 'notification']
+    },
+    recipient: String,
+    status: {
+      type: String,
+      enum: ['queued', 'delivered', 'failed']
+    },
+    error: String
+  }],
+  error: String
+}, {
+  timestamps: true
+});
+
+reportRunSchema.index({ schedule: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ReportRun', reportRunSchema);
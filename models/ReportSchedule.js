@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Recurring delivery of a report template
+const reportScheduleSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportTemplate',
+    required: [true, 'Please add a report template']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Please add a frequency']
+  },
+  // 0 (Sunday) - 6 (Saturday), used by weekly schedules
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  // Used by monthly schedules; days past the end of a month run on its last day
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: 1
+  },
+  // Hour and minute of the run, in UTC
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 6
+  },
+  minute: {
+    type: Number,
+    min: 0,
+    max: 59,
+    default: 0
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    default: 'csv'
+  },
+  deliveryChannels: {
+    type: [{
+      type: String,
+      enum: ['email', 'notification']
+    }],
+    validate: {
+      validator: channels => channels.length > 0,
+      message: 'Please add at least one delivery channel'
+    }
+  },
+  // Admin users who receive the report by email and/or in their notification inbox
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Additional email addresses that receive the report
+  additionalEmails: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  // When the current run started (used to prevent concurrent runs)
+  lockedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ template: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
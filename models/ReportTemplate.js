@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Saved definition for createCustomReport, private to its owner or shared with all admins
+const reportTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a template name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Identifier of a built-in template seeded by the platform
+  systemKey: {
+    type: String
+  },
+  dataSource: {
+    type: String,
+    enum: ['users', 'resources', 'requirements', 'applications', 'skills', 'financial'],
+    required: [true, 'Please add a data source']
+  },
+  timeRange: {
+    type: String,
+    enum: ['week', 'month', 'quarter', 'year', 'custom'],
+    default: 'month'
+  },
+  startDate: Date,
+  endDate: Date,
+  filters: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    operator: {
+      type: String,
+      required: true
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  groupBy: [String],
+  aggregations: [{
+    _id: false,
+    field: String,
+    type: {
+      type: String,
+      required: true
+    },
+    sourceField: String
+  }],
+  sortBy: {
+    field: String,
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  limit: {
+    type: Number,
+    min: 1
+  },
+  includeFields: [String],
+  excludeFields: [String],
+  // Shared templates are visible to and runnable by every admin
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+reportTemplateSchema.index({ isPublic: 1 });
+reportTemplateSchema.index({ systemKey: 1 }, { unique: true, partialFilterExpression: { systemKey: { $type: 'string' } } });
+
+// Whether the user may see and run this template
+reportTemplateSchema.methods.isAccessibleBy = function(user) {
+  return this.isPublic || (this.createdBy && this.createdBy.toString() === user.id.toString());
+};
+
+// Whether the user may change or delete this template
+reportTemplateSchema.methods.isOwnedBy = function(user) {
+  return Boolean(this.createdBy) && this.createdBy.toString() === user.id.toString();
+};
+
+// Report definition in the shape accepted by runCustomReport
+reportTemplateSchema.methods.toDefinition = function() {
+  const template = this.toObject();
+  return {
+    dataSource: template.dataSource,
+    timeRange: template.timeRange,
+    startDate: template.startDate,
+    endDate: template.endDate,
+    filters: template.filters,
+    groupBy: template.groupBy,
+    aggregations: template.aggregations,
+    sortBy: template.sortBy && template.sortBy.field ? template.sortBy : undefined,
+    limit: template.limit,
+    includeFields: template.includeFields,
+    excludeFields: template.excludeFields
+  };
+};
+
+module.exports = mongoose.model('ReportTemplate', reportTemplateSchema);
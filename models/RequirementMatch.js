@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Materialized requirement/resource match. One document per pair whose score
+// reaches the configured minimum; maintained by utils/matchIndex.
+const requirementMatchSchema = new mongoose.Schema({
+  requirement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Per-factor breakdown as returned by utils/matchScoring.scoreMatch
+  breakdown: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+requirementMatchSchema.index({ requirement: 1, resource: 1 }, { unique: true });
+requirementMatchSchema.index({ requirement: 1, score: -1 });
+requirementMatchSchema.index({ resource: 1, score: -1 });
+requirementMatchSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('RequirementMatch', requirementMatchSchema);
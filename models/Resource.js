@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Normalized identity details used to spot the same person submitted twice
+const fingerprintSchema = new mongoose.Schema({
+  email: String,
+  phone: String,
+  nameTokens: [String],
+  fileHashes: [String],
+  computedAt: Date
+}, { _id: false });
+
 const resourceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -106,6 +115,18 @@ const resourceSchema = new mongoose.Schema({
     fileId: String,      // File ID for download
     filename: String, // Stored filename in uploads folder
     path: String     // File path in uploads folder
+  },
+
+  // Duplicate detection fingerprint (see utils/duplicateDetection)
+  fingerprint: {
+    type: fingerprintSchema,
+    select: false
+  },
+
+  // Set when an admin merged this resource into another as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
   }
 }, {
   timestamps: true
@@ -116,5 +137,9 @@ resourceSchema.index({ category: 1, status: 1 });
 resourceSchema.index({ skill: 1, status: 1 });
 resourceSchema.index({ createdBy: 1 });
 resourceSchema.index({ createdAt: -1 });
+resourceSchema.index({ 'fingerprint.email': 1 });
+resourceSchema.index({ 'fingerprint.phone': 1 });
+resourceSchema.index({ 'fingerprint.nameTokens': 1 });
+resourceSchema.index({ 'fingerprint.fileHashes': 1 });
 
 module.exports = mongoose.model('Resource', resourceSchema);
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A pair of resources that look like the same person, waiting for an admin to
+// merge them or dismiss the match. Resource ids are stored in sorted order so
+// each pair has one record.
+const resourceDuplicateSchema = new mongoose.Schema({
+  resourceA: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  resourceB: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  reasons: [{
+    type: {
+      type: String,
+      enum: ['email', 'phone', 'name', 'file'],
+      required: true
+    },
+    detail: String,
+    points: Number,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'merged', 'dismissed'],
+    default: 'open'
+  },
+  // Applications that were flagged because of this pair
+  applications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  }],
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNotes: {
+    type: String,
+    maxlength: [1000, 'Resolution notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+resourceDuplicateSchema.index({ resourceA: 1, resourceB: 1 }, { unique: true });
+resourceDuplicateSchema.index({ status: 1, score: -1 });
+resourceDuplicateSchema.index({ resourceB: 1 });
+
+module.exports = mongoose.model('ResourceDuplicate', resourceDuplicateSchema);
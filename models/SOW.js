@@ -1,4 +1,154 @@
 const mongoose = require('mongoose');
+const { LINE_ITEM_UNITS, roundMoney, priceLineItem, summarizeLineItems } = require('../utils/sowPricing');
+
+// A priced line of work: a role or named resource, quantity x rate, plus optional tax
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Line item description cannot be more than 500 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Role cannot be more than 100 characters']
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  // Rate card entry the rate was taken from, if any
+  rateCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  rateCardRateId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: [true, 'Line item quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: LINE_ITEM_UNITS,
+    default: 'hour'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Line item rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  // Percentage added on top of the subtotal
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100 percent']
+  },
+  // Computed from quantity, rate and tax rate on save
+  subtotal: Number,
+  taxAmount: Number,
+  total: Number
+});
+
+// A payment due once its acceptance criteria are met
+const milestoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Milestone name is required'],
+    trim: true,
+    maxlength: [200, 'Milestone name cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Milestone description cannot be more than 1000 characters']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Milestone due date is required']
+  },
+  // Share of the estimated cost; when set, amount is computed from it
+  percentage: {
+    type: Number,
+    min: [0, 'Percentage cannot be negative'],
+    max: [100, 'Percentage cannot be more than 100']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Milestone amount cannot be negative']
+  },
+  acceptanceCriteria: {
+    type: String,
+    required: [true, 'Milestone acceptance criteria are required'],
+    maxlength: [2000, 'Acceptance criteria cannot be more than 2000 characters']
+  }
+});
+
+// One level of the approval chain fixed on the SOW when it is submitted
+const approvalLevelSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  approverRoles: [String],
+  approverIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Approver the user stood in for, when approving as a delegate
+  delegatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: Date,
+  comments: {
+    type: String,
+    maxlength: [500, 'Comments cannot be more than 500 characters']
+  }
+}, { _id: false });
+
+// The agreed terms of the SOW at one point in time. Revision 1 is the SOW as
+// the vendor accepted it; each accepted change order adds the next one.
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  description: String,
+  startDate: Date,
+  endDate: Date,
+  estimatedCost: {
+    amount: Number,
+    currency: String
+  },
+  lineItems: [lineItemSchema],
+  milestones: [milestoneSchema],
+  changeOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOWChangeOrder'
+  },
+  summary: {
+    type: String,
+    maxlength: [1000, 'Revision summary cannot be more than 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
 
 const sowSchema = new mongoose.Schema({
   title: {
@@ -56,11 +206,24 @@ const sowSchema = new mongoose.Schema({
     }
   },
   
+  // When present, estimatedCost.amount is the sum of the line totals
+  lineItems: [lineItemSchema],
+
+  milestones: [milestoneSchema],
+
   status: {
     type: String,
     enum: ['draft', 'submitted', 'pm_approval_pending', 'internal_approved', 'sent_to_vendor', 'vendor_accepted', 'vendor_rejected', 'cancelled'],
     default: 'draft'
   },
+
+  // Current revision number; the top-level terms always mirror it once accepted
+  revision: {
+    type: Number,
+    default: 1
+  },
+
+  revisions: [revisionSchema],
   
   // Approval workflow tracking
   approvals: [{
@@ -86,8 +249,18 @@ const sowSchema = new mongoose.Schema({
       type: String,
       enum: ['client_admin', 'client_account', 'vendor_admin', 'vendor_account'],
       required: true
+    },
+    // Approval chain level the entry decided, if any
+    level: Number,
+    levelName: String,
+    delegatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
+
+  // Levels from the organization's approval matrix, decided in order
+  approvalChain: [approvalLevelSchema],
   
   // Vendor response details
   vendorResponse: {
@@ -143,6 +316,65 @@ sowSchema.index({ clientOrganizationId: 1 });
 sowSchema.index({ vendorOrganizationId: 1 });
 sowSchema.index({ createdAt: -1 });
 
+// Pre-validate middleware to price line items, derive the estimated cost and check milestones
+sowSchema.pre('validate', function(next) {
+  if (this.lineItems.length > 0) {
+    this.lineItems.forEach((item, index) => {
+      if (!item.role && !item.resourceId) {
+        this.invalidate(`lineItems.${index}.role`, `Line item ${index + 1} needs a role or a resource`);
+      }
+      item.set(priceLineItem(item));
+    });
+    this.set('estimatedCost.amount', summarizeLineItems(this.lineItems).total);
+  }
+
+  const totalCost = this.estimatedCost ? this.estimatedCost.amount : null;
+  let scheduled = 0;
+
+  this.milestones.forEach((milestone, index) => {
+    if (milestone.percentage !== undefined && milestone.percentage !== null && totalCost !== null) {
+      milestone.amount = roundMoney(totalCost * milestone.percentage / 100);
+    }
+    if (milestone.amount === undefined || milestone.amount === null) {
+      this.invalidate(`milestones.${index}.amount`, `Milestone "${milestone.name}" needs an amount or a percentage`);
+    } else {
+      scheduled = roundMoney(scheduled + milestone.amount);
+    }
+    if (milestone.dueDate && ((this.startDate && milestone.dueDate < this.startDate) || (this.endDate && milestone.dueDate > this.endDate))) {
+      this.invalidate(`milestones.${index}.dueDate`, `Milestone "${milestone.name}" must fall between the SOW start and end dates`);
+    }
+  });
+
+  if (totalCost !== null && scheduled > totalCost) {
+    this.invalidate('milestones', `Milestone payments (${scheduled}) exceed the estimated cost (${totalCost})`);
+  }
+
+  next();
+});
+
+// Fields that make up the agreed terms, copied into each revision
+const REVISION_TERMS = ['title', 'description', 'startDate', 'endDate', 'estimatedCost', 'lineItems', 'milestones'];
+
+/**
+ * Get a plain copy of the current terms
+ * @returns {Object}
+ */
+sowSchema.methods.currentTerms = function() {
+  const plain = this.toObject({ depopulate: true, virtuals: false });
+  return REVISION_TERMS.reduce((terms, field) => {
+    terms[field] = plain[field];
+    return terms;
+  }, {});
+};
+
+/**
+ * Record the current terms as the current revision
+ * @param {Object} details - changeOrderId, summary and createdBy
+ */
+sowSchema.methods.recordRevision = function(details = {}) {
+  this.revisions.push({ ...this.currentTerms(), ...details, revision: this.revision });
+};
+
 // Virtual for formatted status
 sowSchema.virtual('statusDisplay').get(function() {
   if (!this.status) {
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const SOW = require('./SOW');
+
+// Statuses a change order can still move forward from
+const OPEN_STATUSES = ['draft', 'pm_approval_pending', 'internal_approved', 'sent_to_vendor'];
+
+// The line item, milestone and approval level shapes are the SOW's own
+const lineItemSchema = SOW.schema.path('lineItems').schema;
+const milestoneSchema = SOW.schema.path('milestones').schema;
+const approvalLevelSchema = SOW.schema.path('approvalChain').schema;
+
+// A proposed amendment to an accepted SOW. It goes through the same internal
+// approval and vendor acceptance as the SOW itself, and once accepted its
+// changes become the SOW's next revision.
+const sowChangeOrderSchema = new mongoose.Schema({
+  sowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOW',
+    required: [true, 'SOW ID is required']
+  },
+
+  // Sequential per SOW: CO-1, CO-2, ...
+  changeOrderNumber: {
+    type: Number,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Change order title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Change order reason is required'],
+    maxlength: [2000, 'Reason cannot be more than 2000 characters']
+  },
+
+  // SOW revision the change order was raised against
+  baseRevision: {
+    type: Number,
+    required: true
+  },
+
+  // Revision created when the vendor accepted it
+  resultingRevision: Number,
+
+  // New values for the terms being changed; anything not set stays as it is
+  changes: {
+    startDate: Date,
+    endDate: Date,
+    description: {
+      type: String,
+      maxlength: [2000, 'Description cannot be more than 2000 characters']
+    },
+    estimatedCost: {
+      amount: {
+        type: Number,
+        min: [0, 'Cost cannot be negative']
+      },
+      currency: {
+        type: String,
+        enum: ['USD', 'EUR', 'GBP', 'INR']
+      }
+    },
+    lineItems: {
+      type: [lineItemSchema],
+      default: undefined
+    },
+    milestones: {
+      type: [milestoneSchema],
+      default: undefined
+    }
+  },
+
+  // Summary of the change against the base revision
+  delta: {
+    startDate: {
+      from: Date,
+      to: Date
+    },
+    endDate: {
+      from: Date,
+      to: Date
+    },
+    cost: {
+      from: Number,
+      to: Number,
+      difference: Number
+    },
+    scopeChanged: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'pm_approval_pending', 'internal_approved', 'sent_to_vendor', 'vendor_accepted', 'vendor_rejected', 'cancelled'],
+    default: 'draft'
+  },
+
+  // Approval workflow tracking, as on the SOW
+  approvals: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['approved', 'rejected'],
+      required: true
+    },
+    comments: {
+      type: String,
+      maxlength: [500, 'Comments cannot be more than 500 characters']
+    },
+    role: {
+      type: String,
+      enum: ['client_admin', 'client_account', 'vendor_admin', 'vendor_account'],
+      required: true
+    },
+    level: Number,
+    levelName: String,
+    delegatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // Levels from the organization's approval matrix for the cost difference, decided in order
+  approvalChain: [approvalLevelSchema],
+
+  vendorResponse: {
+    status: {
+      type: String,
+      enum: ['accepted', 'rejected', 'pending'],
+      default: 'pending'
+    },
+    responseDate: Date,
+    comments: {
+      type: String,
+      maxlength: [1000, 'Vendor comments cannot be more than 1000 characters']
+    }
+  },
+
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [1000, 'Cancellation reason cannot be more than 1000 characters']
+  },
+
+  // Organization tracking
+  clientOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+
+  vendorOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sowChangeOrderSchema.index({ sowId: 1, changeOrderNumber: 1 }, { unique: true });
+sowChangeOrderSchema.index({ sowId: 1, status: 1 });
+
+sowChangeOrderSchema.virtual('reference').get(function() {
+  return `CO-${this.changeOrderNumber}`;
+});
+
+sowChangeOrderSchema.virtual('statusDisplay').get(function() {
+  if (!this.status) {
+    return 'Unknown Status';
+  }
+  return this.status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+});
+
+sowChangeOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Ensure virtuals are serialized
+sowChangeOrderSchema.set('toJSON', { virtuals: true });
+sowChangeOrderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SOWChangeOrder', sowChangeOrderSchema);
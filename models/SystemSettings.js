@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Each document is one immutable version of the complete platform settings.
+// The version with the highest number is the one in effect.
+const systemSettingsSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  settings: {
+    general: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    fees: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    approvals: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    email: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    security: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    matching: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    duplicates: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    invoiceMatching: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  changedSections: [{
+    type: String,
+    enum: ['general', 'fees', 'approvals', 'email', 'security', 'matching', 'duplicates', 'invoiceMatching']
+  }],
+  changeNote: {
+    type: String,
+    maxlength: [500, 'Change note cannot be more than 500 characters']
+  },
+  // Set when this version was created by rolling back to an earlier one
+  rolledBackFrom: {
+    type: Number
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+systemSettingsSchema.index({ version: -1 }, { unique: true });
+
+module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
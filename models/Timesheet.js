@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Statuses the vendor can still change the hours in
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+// One day of work on the timesheet
+const entrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Entry date is required']
+  },
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+    min: [0, 'Hours cannot be negative'],
+    max: [24, 'Hours cannot be more than 24 in a day']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Task notes cannot be more than 1000 characters']
+  }
+}, { _id: false });
+
+// A week of a resource's work billed against a PO
+const timesheetSchema = new mongoose.Schema({
+  poId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PO',
+    required: [true, 'PO ID is required']
+  },
+
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: [true, 'Resource ID is required']
+  },
+
+  // The resource's onboarded application with the client
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+
+  // Monday of the week (UTC midnight) and the following Sunday
+  weekStart: {
+    type: Date,
+    required: [true, 'Week start is required']
+  },
+
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+
+  entries: [entrySchema],
+
+  // Computed from the entries on save
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    default: 'draft'
+  },
+
+  // Latest submission by the vendor
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Latest decision by the client
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [1000, 'Rejection reason cannot be more than 1000 characters']
+  },
+
+  // Every submission and decision, oldest first
+  history: [{
+    status: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    totalHours: Number,
+    comments: {
+      type: String,
+      maxlength: [1000, 'Comments cannot be more than 1000 characters']
+    }
+  }],
+
+  // Draft invoice the approved hours were rolled into
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  // Organization tracking
+  clientOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+
+  vendorOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ poId: 1, resourceId: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ poId: 1, status: 1, weekStart: 1 });
+timesheetSchema.index({ vendorOrganizationId: 1, status: 1 });
+timesheetSchema.index({ clientOrganizationId: 1, status: 1 });
+
+// Pre-validate middleware to total the hours and keep entries inside the week
+timesheetSchema.pre('validate', function(next) {
+  if (this.weekStart) {
+    this.weekEnd = new Date(this.weekStart.getTime() + 6 * 24 * 60 * 60 * 1000);
+  }
+
+  this.entries.forEach((entry, index) => {
+    if (this.weekStart && entry.date && (entry.date < this.weekStart || entry.date > this.weekEnd)) {
+      this.invalidate(`entries.${index}.date`, 'Timesheet entries must fall within the week');
+    }
+  });
+
+  this.totalHours = Math.round(this.entries.reduce((total, entry) => total + (entry.hours || 0), 0) * 100) / 100;
+  next();
+});
+
+timesheetSchema.virtual('statusDisplay').get(function() {
+  if (!this.status) {
+    return 'Unknown Status';
+  }
+  return this.status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+});
+
+timesheetSchema.statics.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+// Ensure virtuals are serialized
+timesheetSchema.set('toJSON', { virtuals: true });
+timesheetSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
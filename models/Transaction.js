@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getSettingsSection } = require('../utils/systemSettings');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
@@ -58,6 +59,15 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Pre-save middleware to apply the platform fee from system settings
+transactionSchema.pre('save', async function(next) {
+  if (this.isNew && this.type === 'payment' && !this.isModified('platformFee')) {
+    const { platformFeePercentage, transactionFeeFixed } = await getSettingsSection('fees');
+    this.platformFee = Math.round((this.amount * platformFeePercentage / 100 + transactionFeeFixed) * 100) / 100;
+  }
+  next();
+});
+
 // Indexes for better performance
 transactionSchema.index({ transactionId: 1 });
 transactionSchema.index({ type: 1, status: 1 });
@@ -200,6 +200,17 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  // Failed login tracking
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -45,13 +45,50 @@ const workflowStepSchema = new mongoose.Schema({
       enum: ['applicant', 'client', 'vendor', 'admin', 'hr_admin']
     }]
   }],
+  // Rules on the application, requirement and resource; the step is skipped when they fail
   conditions: {
     type: Object,
     default: {}
+  },
+  // Per action taken, an application status to apply and/or a later step order (or 'end') to go to
+  outcomes: {
+    type: Object,
+    default: {}
+  },
+  // Consecutive steps in the same group run side by side when parallel processing is allowed
+  parallelGroup: {
+    type: String,
+    trim: true
   }
 });
 
+// Each document is an immutable version; versions of one workflow share a workflowKey
 const workflowConfigurationSchema = new mongoose.Schema({
+  workflowKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowConfiguration'
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  isLatest: {
+    type: Boolean,
+    default: true
+  },
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowConfiguration'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changeNotes: {
+    type: String,
+    maxlength: [500, 'Change notes cannot be more than 500 characters']
+  },
   name: {
     type: String,
     required: [true, 'Workflow name is required'],
@@ -89,6 +126,16 @@ const workflowConfigurationSchema = new mongoose.Schema({
       type: Number, // in hours
       default: 24
     },
+    // Overdue steps are reassigned to this role, and to escalateTo when set
+    escalationRole: {
+      type: String,
+      enum: ['client', 'vendor', 'admin', 'hr_admin', 'super_admin'],
+      default: 'admin'
+    },
+    escalateTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     requireComments: {
       type: Boolean,
       default: true
@@ -108,8 +155,19 @@ const workflowConfigurationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Paths that define a version and cannot change once it is published
+const VERSIONED_PATHS = ['steps', 'settings', 'applicationTypes'];
+
 // Ensure steps are ordered correctly
 workflowConfigurationSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (!this.workflowKey) {
+      this.workflowKey = this._id;
+    }
+  } else if (VERSIONED_PATHS.some(path => this.isModified(path))) {
+    return next(new Error('Published workflow versions cannot be changed; publish a new version instead'));
+  }
+
   if (this.steps && this.steps.length > 0) {
     this.steps.sort((a, b) => a.order - b.order);
   }
@@ -120,5 +178,6 @@ workflowConfigurationSchema.pre('save', function(next) {
 workflowConfigurationSchema.index({ isActive: 1, applicationTypes: 1 });
 workflowConfigurationSchema.index({ isDefault: 1 });
 workflowConfigurationSchema.index({ createdBy: 1 });
+workflowConfigurationSchema.index({ workflowKey: 1, version: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('WorkflowConfiguration', workflowConfigurationSchema); 
\ No newline at end of file
@@ -21,6 +21,15 @@ const workflowStepInstanceSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  autoAdvance: {
+    type: Boolean,
+    default: false
+  },
+  parallelGroup: String,
   status: {
     type: String,
     enum: ['pending', 'in_progress', 'completed', 'skipped', 'escalated'],
@@ -31,6 +40,10 @@ const workflowStepInstanceSchema = new mongoose.Schema({
     ref: 'User'
   },
   startedAt: Date,
+  // When the step escalates if still open (settings.autoEscalateAfter)
+  dueAt: Date,
+  escalatedAt: Date,
+  escalatedFrom: String,
   completedAt: Date,
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -88,18 +101,25 @@ const workflowInstanceSchema = new mongoose.Schema({
     default: Date.now
   },
   completedAt: Date,
+  // Processing deadline for the whole workflow (settings.maxProcessingTime)
+  slaDueAt: Date,
+  slaBreachedAt: Date,
   escalatedAt: Date,
   escalatedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   escalationReason: String,
+  // Set while the engine is working on the instance (see workflowEngine.withInstanceLock)
+  lockedAt: Date,
   metadata: {
     type: Object,
     default: {}
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Engine saves rewrite step state, so a save from a stale copy must fail rather than overwrite
+  optimisticConcurrency: true
 });
 
 // Indexes for better performance
@@ -107,5 +127,7 @@ workflowInstanceSchema.index({ applicationId: 1 });
 workflowInstanceSchema.index({ status: 1 });
 workflowInstanceSchema.index({ currentStep: 1 });
 workflowInstanceSchema.index({ 'steps.assignedTo': 1 });
+workflowInstanceSchema.index({ status: 1, 'steps.dueAt': 1 });
+workflowInstanceSchema.index({ status: 1, slaDueAt: 1 });
 
 module.exports = mongoose.model('WorkflowInstance', workflowInstanceSchema); 
\ No newline at end of file
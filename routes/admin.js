@@ -29,13 +29,35 @@ const {
   getResourcesReport,
   getRequirementsReport,
   getApplicationsReport,
+  getHiringFunnelReport,
+  getWorkflowSlaReport,
   getSkillsReport,
   getFinancialReport,
   getMonthlyGrowthReport,
   createCustomReport,
+  getCustomReportCatalog,
   getReportTemplates,
-  saveReportTemplate
+  getReportTemplate,
+  saveReportTemplate,
+  updateReportTemplate,
+  deleteReportTemplate
 } = require('../controllers/adminReportController');
+const {
+  getReportSchedules,
+  getReportSchedule,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportScheduleNow,
+  getReportScheduleRuns,
+  downloadReportRun
+} = require('../controllers/reportScheduleController');
+const {
+  getDuplicates,
+  getDuplicate,
+  mergeDuplicate,
+  dismissDuplicate
+} = require('../controllers/duplicateController');
 const { protect } = require('../middleware/adminMiddleware');
 
 // All routes are protected and admin-only
@@ -84,13 +106,38 @@ router.get('/reports/user-registration-reporting', getUserRegistrationReport);
 router.get('/reports/resources-reporting', getResourcesReport);
 router.get('/reports/requirements-reporting', getRequirementsReport);
 router.get('/reports/applications-reporting', getApplicationsReport);
+router.get('/reports/hiring-funnel-reporting', getHiringFunnelReport);
+router.get('/reports/workflow-sla-reporting', getWorkflowSlaReport);
 router.get('/reports/skills-reporting', getSkillsReport);
 router.get('/reports/financial-reporting', getFinancialReport);
 router.get('/reports/monthly-growth-reporting', getMonthlyGrowthReport);
 
 // Custom reporting routes
 router.post('/reports/custom-reporting', createCustomReport);
+router.get('/reports/custom-reporting/catalog', getCustomReportCatalog);
 router.get('/reports/templates-reporting', getReportTemplates);
 router.post('/reports/save-template-reporting', saveReportTemplate);
+router.route('/reports/templates-reporting/:id')
+  .get(getReportTemplate)
+  .put(updateReportTemplate)
+  .delete(deleteReportTemplate);
+
+// Scheduled report routes
+router.route('/reports/schedules')
+  .get(getReportSchedules)
+  .post(createReportSchedule);
+router.route('/reports/schedules/:id')
+  .get(getReportSchedule)
+  .put(updateReportSchedule)
+  .delete(deleteReportSchedule);
+router.post('/reports/schedules/:id/run', runReportScheduleNow);
+router.get('/reports/schedules/:id/runs', getReportScheduleRuns);
+router.get('/reports/runs/:id/download', downloadReportRun);
+
+// Duplicate resource review routes
+router.get('/duplicates', getDuplicates);
+router.get('/duplicates/:id', getDuplicate);
+router.put('/duplicates/:id/merge', mergeDuplicate);
+router.put('/duplicates/:id/dismiss', dismissDuplicate);
 
 module.exports = router;
\ No newline at end of file
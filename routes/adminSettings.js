@@ -3,8 +3,17 @@ const router = express.Router();
 const {
   getSystemSettings,
   updateSystemSettings,
+  getSettingsHistory,
+  getSettingsVersion,
+  rollbackSystemSettings,
   getEmailTemplates,
+  getEmailTemplate,
   updateEmailTemplate,
+  restoreEmailTemplateVersion,
+  previewEmailTemplate,
+  getEmailOutbox,
+  getEmailOutboxMessage,
+  resendEmailOutboxMessage,
   getSystemLogs
 } = require('../controllers/adminSettingsController');
 const { protect, authorize } = require('../middleware/auth');
@@ -18,9 +27,23 @@ router.route('/')
   .get(getSystemSettings)
   .put(updateSystemSettings);
 
+// System settings versions
+router.get('/history', getSettingsHistory);
+router.get('/history/:version', getSettingsVersion);
+router.post('/rollback/:version', rollbackSystemSettings);
+
 // Email template routes
 router.get('/email-templates', getEmailTemplates);
-router.put('/email-templates/:id', updateEmailTemplate);
+router.route('/email-templates/:id')
+  .get(getEmailTemplate)
+  .put(updateEmailTemplate);
+router.post('/email-templates/:id/preview', previewEmailTemplate);
+router.post('/email-templates/:id/restore/:version', restoreEmailTemplateVersion);
+
+// Outbound email queue
+router.get('/email-outbox', getEmailOutbox);
+router.get('/email-outbox/:id', getEmailOutboxMessage);
+router.post('/email-outbox/:id/resend', resendEmailOutboxMessage);
 
 // System logs
 router.get('/logs', getSystemLogs);
@@ -8,6 +8,7 @@ const {
   getApplicationHistory,
   createApplication,
   updateApplicationStatus,
+  bulkUpdateApplicationStatus,
   updateApplication,
   deleteApplication,
   getApplicationCountsForRequirements,
@@ -15,8 +16,30 @@ const {
   getVendorApplicationsByResource,
   getActiveApplicationsCountForResource,
   getActiveApplicationsCountForRequirement,
-  getApplicationStatusMapping
+  getApplicationStatusMapping,
+  getApplicationNextActions
 } = require('../controllers/applicationController');
+const {
+  getApplicationInterviews,
+  createInterview,
+  acceptInterviewSlot,
+  rescheduleInterview,
+  cancelInterview,
+  submitInterviewFeedback
+} = require('../controllers/interviewController');
+const {
+  getApplicationOffers,
+  createOffer,
+  reviseOffer,
+  acceptOffer,
+  declineOffer,
+  getOfferPdf
+} = require('../controllers/offerController');
+const {
+  getMyFollowUps,
+  completeFollowUp,
+  snoozeFollowUp
+} = require('../controllers/followUpController');
 const { protect, authorize } = require('../middleware/auth');
 
 // All routes are protected
@@ -40,6 +63,14 @@ router.get('/counts/resources', getApplicationCountsForResources);
 router.get('/active/resource/:resourceId', getActiveApplicationsCountForResource);
 router.get('/active/requirement/:requirementId', getActiveApplicationsCountForRequirement);
 
+// Bulk status route
+router.put('/bulk/status', bulkUpdateApplicationStatus);
+
+// Follow-up routes
+router.get('/follow-ups', getMyFollowUps);
+router.put('/follow-ups/:historyId/done', completeFollowUp);
+router.put('/follow-ups/:historyId/snooze', snoozeFollowUp);
+
 // Status mapping route
 router.get('/status-mapping', getApplicationStatusMapping);
 
@@ -49,6 +80,26 @@ router.route('/:id')
   .delete(deleteApplication);
 
 router.get('/:id/history', getApplicationHistory);
+router.get('/:id/next-actions', getApplicationNextActions);
+
+// Interview routes
+router.route('/:id/interviews')
+  .get(getApplicationInterviews)
+  .post(createInterview);
+router.put('/:id/interviews/:interviewId/accept', acceptInterviewSlot);
+router.put('/:id/interviews/:interviewId/reschedule', rescheduleInterview);
+router.put('/:id/interviews/:interviewId/cancel', cancelInterview);
+router.post('/:id/interviews/:interviewId/feedback', submitInterviewFeedback);
+
+// Offer routes
+router.route('/:id/offers')
+  .get(getApplicationOffers)
+  .post(createOffer);
+router.post('/:id/offers/:offerId/revisions', reviseOffer);
+router.put('/:id/offers/:offerId/accept', acceptOffer);
+router.put('/:id/offers/:offerId/decline', declineOffer);
+router.get('/:id/offers/:offerId/pdf', getOfferPdf);
+
 router.put('/:id/status', updateApplicationStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,7 @@ const {
   getUserAuditLogs,
   exportAuditLogs,
   getAuditStatistics,
+  verifyAuditChain,
   getAuditLog
 } = require('../controllers/auditLogController');
 const { protect } = require('../middleware/auth');
@@ -40,6 +41,9 @@ router.get('/export', exportAuditLogs);
 // Get audit log statistics
 router.get('/statistics', getAuditStatistics);
 
+// Verify audit log hash chain
+router.get('/verify-chain', verifyAuditChain);
+
 // Get single audit log
 router.get('/:id', getAuditLog);
 
@@ -10,7 +10,8 @@ const {
   getMyReviews,
   getPendingReviews,
   getRecommendations,
-  getClientNotifications
+  getClientNotifications,
+  getHiringFunnel
 } = require('../controllers/clientDashboardController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -28,6 +29,7 @@ router.get('/booking-history', getBookingHistory);
 
 // Analytics
 router.get('/spending-analytics', getSpendingAnalytics);
+router.get('/hiring-funnel', getHiringFunnel);
 
 // Services
 router.get('/saved-services', getSavedServices);
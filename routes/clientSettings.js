@@ -7,6 +7,15 @@ const {
   updateNotificationPreferences,
   updateClientPreferences
 } = require('../controllers/clientSettingsController');
+const {
+  getApprovalMatrices,
+  updateApprovalMatrix,
+  deleteApprovalMatrix,
+  previewApprovalChain,
+  getDelegations,
+  createDelegation,
+  revokeDelegation
+} = require('../controllers/approvalMatrixController');
 const { protect, authorize } = require('../middleware/auth');
 
 // All routes are protected and client-only
@@ -27,4 +36,17 @@ router.route('/notifications')
 router.route('/preferences')
   .put(updateClientPreferences);
 
+// SOW and PO approval matrices
+router.get('/approval-matrix', getApprovalMatrices);
+router.route('/approval-matrix/:entityType')
+  .put(updateApprovalMatrix)
+  .delete(deleteApprovalMatrix);
+router.get('/approval-matrix/:entityType/preview', previewApprovalChain);
+
+// Approval delegations while approvers are away
+router.route('/approval-delegations')
+  .get(getDelegations)
+  .post(createDelegation);
+router.put('/approval-delegations/:id/revoke', revokeDelegation);
+
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,10 @@ const {
   getInvoices,
   getInvoice,
   updateInvoice,
+  submitInvoice,
   approveInvoice,
+  getInvoiceExceptions,
+  reviewInvoiceExceptions,
   markAsPaid,
   createCreditNote,
   deleteInvoice
@@ -20,13 +23,18 @@ router.route('/')
   .post(authorize('vendor'), createInvoice)
   .get(getInvoices);
 
+// Three-way match exception queue
+router.get('/exceptions', authorize('client'), getInvoiceExceptions);
+
 router.route('/:id')
   .get(getInvoice)
   .put(authorize('vendor'), updateInvoice)
   .delete(authorize('vendor'), deleteInvoice);
 
 // Invoice workflow operations
+router.post('/:id/submit', authorize('vendor'), submitInvoice);
 router.post('/:id/approve', authorize('client'), approveInvoice);
+router.post('/:id/exceptions/review', authorize('client'), reviewInvoiceExceptions);
 router.post('/:id/mark-paid', authorize('client'), markAsPaid);
 router.post('/:id/credit-note', authorize('client'), createCreditNote);
 
@@ -13,10 +13,40 @@ const {
   deleteSOW,
   submitForPMApproval
 } = require('../controllers/sowController');
+const {
+  getRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+} = require('../controllers/rateCardController');
+const {
+  getChangeOrders,
+  getChangeOrder,
+  createChangeOrder,
+  updateChangeOrder,
+  submitChangeOrder,
+  approveChangeOrder,
+  sendChangeOrderToVendor,
+  changeOrderVendorResponse,
+  cancelChangeOrder,
+  getSOWRevisions,
+  getSOWRevisionDiff
+} = require('../controllers/sowChangeOrderController');
 
 // All routes are protected
 router.use(protect);
 
+// Rate cards used to price SOW line items
+router.route('/rate-cards')
+  .get(authorize('client'), getRateCards)
+  .post(authorize('client'), createRateCard);
+
+router.route('/rate-cards/:id')
+  .get(authorize('client'), getRateCard)
+  .put(authorize('client'), updateRateCard)
+  .delete(authorize('client'), deleteRateCard);
+
 // SOW CRUD operations
 router.route('/')
   .post(authorize('client'), createSOW)
@@ -34,4 +64,22 @@ router.post('/:id/approve', authorize('client'), approveSOW);
 router.post('/:id/send-to-vendor', authorize('client'), sendToVendor);
 router.post('/:id/vendor-response', authorize('vendor'), vendorResponse);
 
+// Amendments to accepted SOWs
+router.get('/:id/revisions', getSOWRevisions);
+router.get('/:id/revisions/diff', getSOWRevisionDiff);
+
+router.route('/:id/change-orders')
+  .get(getChangeOrders)
+  .post(authorize('client'), createChangeOrder);
+
+router.route('/:id/change-orders/:changeOrderId')
+  .get(getChangeOrder)
+  .put(authorize('client'), updateChangeOrder);
+
+router.post('/:id/change-orders/:changeOrderId/submit', authorize('client'), submitChangeOrder);
+router.post('/:id/change-orders/:changeOrderId/approve', authorize('client'), approveChangeOrder);
+router.post('/:id/change-orders/:changeOrderId/send-to-vendor', authorize('client'), sendChangeOrderToVendor);
+router.post('/:id/change-orders/:changeOrderId/vendor-response', authorize('vendor'), changeOrderVendorResponse);
+router.post('/:id/change-orders/:changeOrderId/cancel', authorize('client'), cancelChangeOrder);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getTimesheets,
+  getTimesheet,
+  createTimesheet,
+  updateTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  deleteTimesheet,
+  getHoursReport
+} = require('../controllers/timesheetController');
+
+// All routes are protected
+router.use(protect);
+
+// Timesheet CRUD operations
+router.route('/')
+  .post(authorize('vendor'), createTimesheet)
+  .get(getTimesheets);
+
+// Hours against PO budgets
+router.get('/report', getHoursReport);
+
+router.route('/:id')
+  .get(getTimesheet)
+  .put(authorize('vendor'), updateTimesheet)
+  .delete(authorize('vendor'), deleteTimesheet);
+
+// Timesheet workflow operations
+router.post('/:id/submit', authorize('vendor'), submitTimesheet);
+router.post('/:id/approve', authorize('client'), approveTimesheet);
+
+module.exports = router;
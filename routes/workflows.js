@@ -7,8 +7,12 @@ const {
   updateWorkflowConfiguration,
   deleteWorkflowConfiguration,
   getWorkflowInstances,
+  getWorkflowVersions,
+  getWorkflowVersionDiff,
   getWorkflowInstance,
-  processWorkflowStep
+  processWorkflowStep,
+  previewInstanceMigration,
+  migrateWorkflowInstances
 } = require('../controllers/workflowController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -24,11 +28,15 @@ router.route('/')
 router.route('/instances')
   .get(authorize('admin_owner', 'admin_employee'), getWorkflowInstances);
 
+router.post('/instances/migration-preview', authorize('admin_owner', 'admin_employee'), previewInstanceMigration);
+router.post('/instances/migrate', authorize('admin_owner', 'admin_employee'), migrateWorkflowInstances);
+
 router.route('/instances/:id')
   .get(authorize('admin_owner', 'admin_employee'), getWorkflowInstance);
 
+// Steps can be assigned to clients and vendors; the engine checks the step's role
 router.route('/instances/:id/process-step')
-  .post(authorize('admin_owner', 'admin_employee'), processWorkflowStep);
+  .post(processWorkflowStep);
 
 // Workflow configuration by ID routes (Admin Owner only) - MUST come after /instances routes
 router.route('/:id')
@@ -36,4 +44,7 @@ router.route('/:id')
   .put(authorize('admin_owner'), updateWorkflowConfiguration)
   .delete(authorize('admin_owner'), deleteWorkflowConfiguration);
 
+router.get('/:id/versions', authorize('admin_owner'), getWorkflowVersions);
+router.get('/:id/diff', authorize('admin_owner'), getWorkflowVersionDiff);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { rebuildMatchIndex } = require('../utils/matchIndex');
+
+// Regenerate the materialized requirement/resource match table from scratch
+const rebuildMatches = async () => {
+  await connectDB();
+
+  console.log('🔧 Rebuilding requirement match index...');
+  const { requirements, matches } = await rebuildMatchIndex();
+  console.log(`✅ Stored ${matches} matches for ${requirements} requirements`);
+};
+
+// Run the script
+if (require.main === module) {
+  rebuildMatches()
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 Match index rebuild failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = rebuildMatches;
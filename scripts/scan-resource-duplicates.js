@@ -0,0 +1,50 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const File = require('../models/File');
+const Resource = require('../models/Resource');
+const { checkResourceDuplicates } = require('../utils/duplicateDetection');
+
+// Hash uploads stored before file hashes were recorded, then fingerprint every
+// resource and queue the duplicates found. Each pair is found from whichever
+// side is scanned second, so a single pass is enough.
+const scanDuplicates = async () => {
+  await connectDB();
+
+  console.log('🔧 Hashing stored files...');
+  let hashed = 0;
+  const files = await File.find({ hash: null }).select('path');
+  for (const file of files) {
+    try {
+      const buffer = await fs.readFile(file.path);
+      file.hash = crypto.createHash('md5').update(buffer).digest('hex');
+      await file.save({ validateBeforeSave: false });
+      hashed += 1;
+    } catch (error) {
+      console.warn(`⚠️  Could not hash file ${file._id}: ${error.message}`);
+    }
+  }
+  console.log(`✅ Hashed ${hashed} of ${files.length} files`);
+
+  console.log('🔧 Scanning resources for duplicates...');
+  const resourceIds = await Resource.find({ status: { $ne: 'archived' } }).distinct('_id');
+  for (const resourceId of resourceIds) {
+    await checkResourceDuplicates(resourceId);
+  }
+  console.log(`✅ Scanned ${resourceIds.length} resources`);
+};
+
+// Run the script
+if (require.main === module) {
+  scanDuplicates()
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 Duplicate scan failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = scanDuplicates;
@@ -6,6 +6,7 @@ const dotenv = require('dotenv');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const mongoose = require('mongoose');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
@@ -31,6 +32,11 @@ console.log('JWT Configuration:', {
 // Connect to database
 connectDB();
 
+// Start background jobs
+if (process.env.NODE_ENV !== 'test') {
+  startJobs();
+}
+
 const app = express();
 
 // CORS configuration - must be before other middleware
@@ -111,6 +117,9 @@ app.use('/api/invoice', require('./routes/invoice'));
 app.use('/api/client/invoice', require('./routes/invoice'));
 app.use('/api/vendor/invoice', require('./routes/invoice'));
 
+// Timesheet routes
+app.use('/api/timesheets', require('./routes/timesheets'));
+
 // Audit log routes
 app.use('/api/audit-logs', require('./routes/auditLogs'));
 
@@ -0,0 +1,266 @@
+const express = require('express');
+const request = require('supertest');
+
+let mockUser;
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+jest.mock('../models/Application', () => {
+  const actual = jest.requireActual('../models/Application');
+  return {
+    schema: actual.schema,
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn()
+  };
+});
+jest.mock('../models/Requirement', () => ({ findById: jest.fn() }));
+jest.mock('../models/Resource', () => ({ findById: jest.fn() }));
+jest.mock('../models/ApplicationHistory', () => ({ create: jest.fn(async (fields) => ({ _id: 'history-1', ...fields })) }));
+jest.mock('../models/Offer', () => ({
+  OPEN_STATUSES: jest.requireActual('../models/Offer').OPEN_STATUSES,
+  updateMany: jest.fn()
+}));
+jest.mock('../controllers/notificationController', () => ({
+  ...jest.requireActual('../controllers/notificationController'),
+  createNotification: jest.fn()
+}));
+
+const Application = require('../models/Application');
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Offer = require('../models/Offer');
+const applicationRoutes = require('../routes/applications');
+const errorHandler = require('../middleware/errorHandler');
+
+const ADMIN_ID = 'a00000000000000000000001';
+const CLIENT_ID = 'c00000000000000000000001';
+const VENDOR_ID = 'b00000000000000000000001';
+const APPLICATION_ID = 'd00000000000000000000001';
+
+const users = {
+  admin: { id: ADMIN_ID, userType: 'admin', firstName: 'Ada', lastName: 'Admin' },
+  client: { id: CLIENT_ID, userType: 'client', firstName: 'Cli', lastName: 'Ent' },
+  vendor: { id: VENDOR_ID, userType: 'vendor', firstName: 'Ven', lastName: 'Dor' },
+  otherClient: { id: 'c00000000000000000000002', userType: 'client', firstName: 'Oth', lastName: 'Er' }
+};
+
+// Resolves like a mongoose query, with chainable select/populate
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/applications', applicationRoutes);
+app.use(errorHandler);
+
+const givenApplication = (status) => {
+  const application = {
+    _id: APPLICATION_ID,
+    status,
+    requirement: 'e00000000000000000000001',
+    resource: 'f00000000000000000000001',
+    createdBy: VENDOR_ID,
+    organizationId: 'a10000000000000000000001'
+  };
+
+  Application.findById.mockReturnValue(query(application));
+  Requirement.findById.mockReturnValue(query({ _id: application.requirement, title: 'Backend developer', createdBy: CLIENT_ID }));
+  Resource.findById.mockReturnValue(query({ _id: application.resource, createdBy: VENDOR_ID }));
+  Application.findByIdAndUpdate.mockImplementation((id, update) => query({
+    ...application,
+    ...update,
+    populated: () => undefined
+  }));
+
+  return application;
+};
+
+describe('application status endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /:id/next-actions', () => {
+    it('lists the admin approval with the status it stores', async () => {
+      givenApplication('applied');
+      mockUser = users.admin;
+
+      const res = await request(app).get(`/api/applications/${APPLICATION_ID}/next-actions`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe('admin');
+      expect(res.body.data.actions.find(action => action.status === 'accepted'))
+        .toMatchObject({ label: 'Approve', resultStatus: 'shortlisted' });
+    });
+
+    it('offers the client only rejection of a new application', async () => {
+      givenApplication('applied');
+      mockUser = users.client;
+
+      const res = await request(app).get(`/api/applications/${APPLICATION_ID}/next-actions`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe('client');
+      expect(res.body.data.actions.map(action => action.status)).toEqual(['rejected']);
+    });
+
+    it('offers the vendor withdrawal', async () => {
+      givenApplication('shortlisted');
+      mockUser = users.vendor;
+
+      const res = await request(app).get(`/api/applications/${APPLICATION_ID}/next-actions`);
+
+      expect(res.body.data.role).toBe('vendor');
+      expect(res.body.data.actions.map(action => action.status)).toEqual(['withdrawn']);
+    });
+  });
+
+  describe('PUT /:id/status', () => {
+    it('stores an admin approval as shortlisted', async () => {
+      givenApplication('applied');
+      mockUser = users.admin;
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`).send({ status: 'accepted' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.previousStatus).toBe('applied');
+      expect(res.body.data.newStatus).toBe('shortlisted');
+      expect(Application.findByIdAndUpdate).toHaveBeenCalledWith(APPLICATION_ID, expect.objectContaining({ status: 'shortlisted' }), expect.anything());
+      expect(ApplicationHistory.create).toHaveBeenCalledWith(expect.objectContaining({ previousStatus: 'applied', status: 'shortlisted' }));
+    });
+
+    it('refuses a client shortlisting a new application', async () => {
+      givenApplication('applied');
+      mockUser = users.client;
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`).send({ status: 'shortlisted' });
+
+      expect(res.status).toBe(403);
+      expect(Application.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('requires a decision reason when a client rejects', async () => {
+      givenApplication('applied');
+      mockUser = users.client;
+
+      const missing = await request(app).put(`/api/applications/${APPLICATION_ID}/status`).send({ status: 'rejected' });
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toBe('A decision reason category is required');
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`)
+        .send({ status: 'rejected', decisionReason: { category: 'technical_skills' } });
+      expect(res.status).toBe(200);
+      expect(res.body.data.newStatus).toBe('rejected');
+    });
+
+    it('lets the vendor withdraw', async () => {
+      givenApplication('interview');
+      mockUser = users.vendor;
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`).send({ status: 'withdrawn' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.newStatus).toBe('withdrawn');
+      expect(Offer.updateMany).toHaveBeenCalledWith(
+        { application: APPLICATION_ID, status: { $in: Offer.OPEN_STATUSES } },
+        { $set: { status: 'withdrawn' } }
+      );
+    });
+
+    it('sends offer changes to the offer endpoints', async () => {
+      givenApplication('shortlisted');
+      mockUser = users.client;
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`).send({ status: 'offer_created' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Use the offer endpoints to create offer');
+    });
+
+    it('refuses users with no role on the application', async () => {
+      givenApplication('applied');
+      mockUser = users.otherClient;
+
+      const res = await request(app).put(`/api/applications/${APPLICATION_ID}/status`)
+        .send({ status: 'rejected', decisionReason: { category: 'technical_skills' } });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /bulk/status', () => {
+    const OTHER_ID = 'd00000000000000000000002';
+
+    it('reports what a dry run would do without changing anything', async () => {
+      givenApplication('applied');
+      mockUser = users.admin;
+
+      const res = await request(app).put('/api/applications/bulk/status')
+        .send({ applicationIds: [APPLICATION_ID, OTHER_ID, APPLICATION_ID, 'not-an-id'], status: 'accepted', dryRun: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('2 of 3 applications can be updated');
+      expect(res.body.data.dryRun).toBe(true);
+      expect(res.body.data.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+      expect(res.body.data.results).toEqual([
+        { id: APPLICATION_ID, success: true, action: 'Approve', previousStatus: 'applied', newStatus: 'shortlisted' },
+        { id: OTHER_ID, success: true, action: 'Approve', previousStatus: 'applied', newStatus: 'shortlisted' },
+        { id: 'not-an-id', success: false, statusCode: 400, error: 'Invalid application id' }
+      ]);
+      expect(Application.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(ApplicationHistory.create).not.toHaveBeenCalled();
+    });
+
+    it('reports the refusal of each item a dry run could not update', async () => {
+      givenApplication('applied');
+      mockUser = users.client;
+
+      const res = await request(app).put('/api/applications/bulk/status?dryRun=true')
+        .send({ applicationIds: [APPLICATION_ID], status: 'shortlisted' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dryRun).toBe(true);
+      expect(res.body.data.summary).toEqual({ total: 1, succeeded: 0, failed: 1 });
+      expect(res.body.data.results[0]).toMatchObject({ id: APPLICATION_ID, success: false, statusCode: 403 });
+    });
+
+    it('applies the change when it is not a dry run', async () => {
+      givenApplication('applied');
+      mockUser = users.admin;
+
+      const res = await request(app).put('/api/applications/bulk/status')
+        .send({ applicationIds: [APPLICATION_ID], status: 'accepted' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dryRun).toBe(false);
+      expect(res.body.message).toBe('1 of 1 applications updated successfully');
+      expect(Application.findByIdAndUpdate).toHaveBeenCalledWith(APPLICATION_ID, expect.objectContaining({ status: 'shortlisted' }), expect.anything());
+    });
+
+    it('rejects an empty list', async () => {
+      mockUser = users.admin;
+
+      const res = await request(app).put('/api/applications/bulk/status').send({ applicationIds: [], status: 'accepted' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
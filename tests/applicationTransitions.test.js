@@ -0,0 +1,108 @@
+const {
+  ANY_STATUS,
+  WITHDRAWABLE_STATUSES,
+  findTransition,
+  getAllowedTransitions,
+  getMissingFields
+} = require('../utils/applicationTransitions');
+const Application = require('../models/Application');
+
+const STATUSES = Application.schema.path('status').enumValues;
+
+describe('findTransition', () => {
+  it('resolves an admin approval of a new application to the shortlist', () => {
+    const transition = findTransition('applied', 'accepted', 'admin');
+
+    expect(transition.label).toBe('Approve');
+    expect(transition.resultStatus).toBe('shortlisted');
+  });
+
+  it('lets the admin override set any other status', () => {
+    const transition = findTransition('onboarded', 'applied', 'admin');
+
+    expect(transition.from).toBe(ANY_STATUS);
+    expect(transition.to).toBe(ANY_STATUS);
+  });
+
+  it('lets a client reject a new application but not move it forward', () => {
+    expect(findTransition('applied', 'rejected', 'client').label).toBe('Reject');
+    expect(findTransition('applied', 'shortlisted', 'client')).toBeNull();
+    expect(findTransition('applied', 'accepted', 'client')).toBeNull();
+    expect(findTransition('applied', 'interview', 'client')).toBeNull();
+  });
+
+  it('lets a vendor withdraw from every withdrawable status only', () => {
+    WITHDRAWABLE_STATUSES.forEach(status => {
+      expect(findTransition(status, 'withdrawn', 'vendor').label).toBe('Withdraw application');
+    });
+    expect(findTransition('onboarded', 'withdrawn', 'vendor')).toBeNull();
+    expect(findTransition('rejected', 'withdrawn', 'vendor')).toBeNull();
+  });
+
+  it('routes offer changes through the offer endpoints', () => {
+    expect(findTransition('shortlisted', 'offer_created', 'client').via).toBe('offer');
+    expect(findTransition('offer_created', 'offer_accepted', 'vendor').via).toBe('offer');
+    expect(findTransition('offer_created', 'interview', 'system').via).toBe('offer');
+  });
+
+  it('refuses users without a role and changes to the same status', () => {
+    expect(findTransition('applied', 'rejected', null)).toBeNull();
+    expect(findTransition('applied', 'applied', 'admin')).toBeNull();
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('offers a client only the reject action on a new application', () => {
+    expect(getAllowedTransitions('applied', 'client', STATUSES)).toEqual([{
+      status: 'rejected',
+      resultStatus: 'rejected',
+      label: 'Reject',
+      requiredFields: ['decisionReason'],
+      via: undefined
+    }]);
+  });
+
+  it('reports the stored status for an admin approval', () => {
+    const actions = getAllowedTransitions('applied', 'admin', STATUSES);
+    const approve = actions.find(action => action.status === 'accepted');
+
+    expect(approve).toMatchObject({ label: 'Approve', resultStatus: 'shortlisted' });
+    expect(actions.find(action => action.status === 'onboarded').label).toBe('Set status: onboarded');
+    expect(actions.map(action => action.status)).not.toContain('applied');
+  });
+
+  it('offers a vendor withdrawal', () => {
+    expect(getAllowedTransitions('interview', 'vendor', STATUSES)).toEqual([{
+      status: 'withdrawn',
+      resultStatus: 'withdrawn',
+      label: 'Withdraw application',
+      requiredFields: [],
+      via: undefined
+    }]);
+  });
+
+  it('lists nothing for a user without a role', () => {
+    expect(getAllowedTransitions('applied', null, STATUSES)).toEqual([]);
+  });
+});
+
+describe('getMissingFields', () => {
+  it('requires a decision reason category to reject', () => {
+    const transition = findTransition('applied', 'rejected', 'client');
+
+    expect(getMissingFields(transition, {})).toEqual(['A decision reason category is required']);
+    expect(getMissingFields(transition, { decisionReason: { details: 'No category' } })).toHaveLength(1);
+    expect(getMissingFields(transition, { decisionReason: { category: 'technical_skills' } })).toEqual([]);
+  });
+
+  it('requires non-blank notes to withdraw an offer', () => {
+    const transition = findTransition('offer_created', 'withdrawn', 'client');
+
+    expect(getMissingFields(transition, { notes: '   ' })).toEqual(['Notes are required']);
+    expect(getMissingFields(transition, { notes: 'Budget cut' })).toEqual([]);
+  });
+
+  it('requires nothing for transitions without required fields', () => {
+    expect(getMissingFields(findTransition('applied', 'accepted', 'admin'), {})).toEqual([]);
+  });
+});
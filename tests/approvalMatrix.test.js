@@ -0,0 +1,125 @@
+jest.mock('../models/ApprovalMatrix', () => ({ findOne: jest.fn() }));
+jest.mock('../models/ApprovalDelegation', () => ({ find: jest.fn() }));
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+
+const ApprovalMatrix = require('../models/ApprovalMatrix');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const User = require('../models/User');
+const { buildApprovalChain, resolveApprover, decideApprovalLevel } = require('../utils/approvalMatrix');
+
+const ORGANIZATION_ID = 'a10000000000000000000001';
+
+const users = {
+  owner: { _id: 'c00000000000000000000001', organizationId: ORGANIZATION_ID, organizationRole: 'client_owner' },
+  finance: { _id: 'c00000000000000000000002', organizationId: ORGANIZATION_ID, organizationRole: 'client_account' },
+  delegate: { _id: 'c00000000000000000000003', organizationId: ORGANIZATION_ID, organizationRole: 'client_employee' }
+};
+
+// Resolves like a mongoose query with a chainable select
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+const givenDelegations = (delegators) => {
+  ApprovalDelegation.find.mockReturnValue(query(delegators.map(delegator => ({ delegatorId: delegator._id }))));
+  User.find.mockReturnValue(query(delegators));
+};
+
+const buildChain = () => [
+  { level: 1, name: 'Finance review', approverRoles: ['client_account'], approverIds: [], status: 'pending' },
+  { level: 2, name: 'Owner sign-off', approverRoles: ['client_owner'], approverIds: [], status: 'pending' }
+];
+
+describe('buildApprovalChain', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requires the owner alone when the organization has no matrix', async () => {
+    ApprovalMatrix.findOne.mockResolvedValue(null);
+
+    const chain = await buildApprovalChain({ organizationId: ORGANIZATION_ID, entityType: 'po', amount: 5000 });
+
+    expect(chain).toEqual([{ level: 1, name: 'Finance approval', approverRoles: ['client_owner'], approverIds: [], status: 'pending' }]);
+  });
+
+  it('picks the tier for the amount', async () => {
+    ApprovalMatrix.findOne.mockResolvedValue({
+      tiers: [
+        { upTo: 10000, levels: [{ name: 'Finance review', approverRoles: ['client_account'] }] },
+        { levels: [{ name: 'Finance review', approverRoles: ['client_account'] }, { name: 'Owner sign-off', approverRoles: ['client_owner'] }] }
+      ]
+    });
+
+    const small = await buildApprovalChain({ organizationId: ORGANIZATION_ID, entityType: 'sow', amount: 9999 });
+    const large = await buildApprovalChain({ organizationId: ORGANIZATION_ID, entityType: 'sow', amount: 10000 });
+
+    expect(small.map(level => level.name)).toEqual(['Finance review']);
+    expect(large.map(level => level.level)).toEqual([1, 2]);
+  });
+});
+
+describe('delegation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    givenDelegations([]);
+  });
+
+  it('lets a listed approver act for themselves without looking up delegations', async () => {
+    const approver = await resolveApprover(users.owner, buildChain()[1], 'po');
+
+    expect(approver).toEqual({ delegatedFrom: null });
+    expect(ApprovalDelegation.find).not.toHaveBeenCalled();
+  });
+
+  it('lets a delegate approve a level their delegator could approve', async () => {
+    givenDelegations([users.owner]);
+    const chain = buildChain();
+    chain[0].status = 'approved';
+    chain[0].userId = users.finance._id;
+
+    const decision = await decideApprovalLevel({ chain, user: users.delegate, entityType: 'po', comments: 'Covering for the owner' });
+
+    expect(decision.complete).toBe(true);
+    expect(decision.delegatedFrom).toBe(users.owner._id);
+    expect(chain[1]).toMatchObject({ status: 'approved', userId: users.delegate._id, delegatedFrom: users.owner._id });
+  });
+
+  it('only honours delegations that are active now and cover the document type', async () => {
+    await resolveApprover(users.delegate, buildChain()[1], 'sow');
+
+    const [filter] = ApprovalDelegation.find.mock.calls[0];
+    expect(filter).toMatchObject({
+      organizationId: ORGANIZATION_ID,
+      delegateId: users.delegate._id,
+      entityTypes: 'sow',
+      revokedAt: null
+    });
+    expect(filter.startDate.$lte).toBeInstanceOf(Date);
+    expect(filter.endDate.$gt).toBeInstanceOf(Date);
+  });
+
+  it('refuses a delegate whose delegator cannot approve the level', async () => {
+    givenDelegations([users.finance]);
+    const chain = buildChain();
+    chain[0].status = 'approved';
+    chain[0].userId = users.finance._id;
+
+    await expect(decideApprovalLevel({ chain, user: users.delegate, entityType: 'po' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(chain[1].status).toBe('pending');
+  });
+
+  it('refuses a delegate without any active delegation', async () => {
+    await expect(decideApprovalLevel({ chain: buildChain(), user: users.delegate, entityType: 'po' }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Waiting on level 1 (Finance review); you are not an approver for this level' });
+  });
+
+  it('does not let the same person approve two levels', async () => {
+    const chain = [
+      { level: 1, name: 'Owner review', approverRoles: ['client_owner'], approverIds: [], status: 'approved', userId: users.owner._id },
+      { level: 2, name: 'Owner sign-off', approverRoles: ['client_owner'], approverIds: [], status: 'pending' }
+    ];
+
+    await expect(decideApprovalLevel({ chain, user: users.owner, entityType: 'po' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
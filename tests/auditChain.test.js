@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const ORGANIZATION_ID = new mongoose.Types.ObjectId();
+
+// Link entries into a chain the way the pre-save hook does, returned as lean reads
+const buildChain = (count) => {
+  const entries = [];
+  let previousHash = null;
+
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const entry = new AuditLog({
+      entityType: 'invoice',
+      entityId: new mongoose.Types.ObjectId(),
+      action: 'invoice_updated',
+      actionType: 'update',
+      previousState: { invoiceAmount: { amount: sequence * 100 } },
+      newState: { invoiceAmount: { amount: sequence * 100 + 50 } },
+      performedBy: {
+        userId: new mongoose.Types.ObjectId(),
+        userType: 'vendor',
+        organizationId: ORGANIZATION_ID,
+        firstName: 'Ven',
+        lastName: 'Dor',
+        email: 'vendor@example.com'
+      },
+      performedAt: new Date(Date.UTC(2026, 0, sequence)),
+      sequence,
+      previousHash
+    });
+    entry.hash = entry.computeHash();
+    previousHash = entry.hash;
+    entries.push(entry.toObject({ virtuals: false, versionKey: false }));
+  }
+
+  return entries;
+};
+
+const givenStoredEntries = (entries) => {
+  jest.spyOn(AuditLog, 'find').mockReturnValue({
+    sort: function sort() { return this; },
+    lean: function lean() { return this; },
+    cursor: () => (async function* read() { yield* entries; })()
+  });
+};
+
+describe('AuditLog.verifyChain', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts an untouched chain', async () => {
+    const entries = buildChain(3);
+    givenStoredEntries(entries);
+
+    const result = await AuditLog.verifyChain(ORGANIZATION_ID);
+
+    expect(result.valid).toBe(true);
+    expect(result.entriesChecked).toBe(3);
+    expect(result.lastHash).toBe(entries[2].hash);
+    expect(result.firstBrokenLink).toBeNull();
+  });
+
+  it('reports an entry whose content was edited', async () => {
+    const entries = buildChain(3);
+    entries[1].newState.invoiceAmount.amount = 1;
+    givenStoredEntries(entries);
+
+    const result = await AuditLog.verifyChain(ORGANIZATION_ID);
+
+    expect(result.valid).toBe(false);
+    expect(result.entriesChecked).toBe(1);
+    expect(result.firstBrokenLink).toMatchObject({
+      sequence: 2,
+      reason: 'Entry content does not match its stored hash'
+    });
+  });
+
+  it('reports a deleted entry', async () => {
+    const entries = buildChain(3);
+    givenStoredEntries([entries[0], entries[2]]);
+
+    const result = await AuditLog.verifyChain(ORGANIZATION_ID);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstBrokenLink.sequence).toBe(3);
+    expect(result.firstBrokenLink.reason).toMatch(/Expected sequence 2 but found 3/);
+  });
+
+  it('reports an entry relinked to a different predecessor', async () => {
+    const entries = buildChain(3);
+    entries[2].previousHash = entries[0].hash;
+    givenStoredEntries(entries);
+
+    const result = await AuditLog.verifyChain(ORGANIZATION_ID);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstBrokenLink).toMatchObject({
+      sequence: 3,
+      reason: 'Previous hash does not match the hash of the preceding entry'
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../models/EmailMessage', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const EmailMessage = require('../models/EmailMessage');
+const { enqueueEmail, processEmailMessage } = require('../utils/emailQueue');
+const { getCapturedEmails, clearCapturedEmails } = require('../utils/mailTransport');
+
+// In-memory stand-in for an EmailMessage document
+const buildMessage = (fields) => ({
+  _id: 'message-1',
+  to: 'vendor@example.com',
+  subject: 'Offer letter',
+  text: 'Your offer letter is attached',
+  attachments: [],
+  status: 'sending',
+  attempts: 0,
+  maxAttempts: 2,
+  errorHistory: [],
+  save: jest.fn(function save() { return Promise.resolve(this); }),
+  ...fields
+});
+
+describe('email queue', () => {
+  let attachmentDir;
+
+  beforeEach(() => {
+    attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-attachments-'));
+    process.env.EMAIL_TRANSPORT = 'memory';
+    process.env.EMAIL_ATTACHMENT_DIR = attachmentDir;
+    clearCapturedEmails();
+    EmailMessage.create.mockImplementation(async (fields) => ({ _id: 'queued', ...fields }));
+    EmailMessage.findOneAndUpdate.mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(attachmentDir, { recursive: true, force: true });
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.EMAIL_ATTACHMENT_DIR;
+    jest.restoreAllMocks();
+  });
+
+  it('stores the same attachment once for every recipient', async () => {
+    const attachment = { filename: 'offer.pdf', content: Buffer.from('%PDF-1.4 offer'), contentType: 'application/pdf' };
+
+    const first = await enqueueEmail({ to: 'a@example.com', subject: 'Offer', text: 'Offer', attachments: [attachment] });
+    const second = await enqueueEmail({ to: 'b@example.com', subject: 'Offer', text: 'Offer', attachments: [attachment] });
+
+    expect(first.attachments[0].content).toBeUndefined();
+    expect(first.attachments[0].storageKey).toBe(second.attachments[0].storageKey);
+    expect(first.attachments[0].size).toBe(attachment.content.length);
+    expect(fs.readdirSync(attachmentDir)).toEqual([first.attachments[0].storageKey]);
+  });
+
+  it('delivers a stored attachment through the memory transport', async () => {
+    const queued = await enqueueEmail({
+      to: 'vendor@example.com',
+      subject: 'Offer letter',
+      text: 'Your offer letter is attached',
+      attachments: [{ filename: 'offer.pdf', content: 'offer letter', contentType: 'application/pdf' }]
+    });
+    EmailMessage.findOneAndUpdate.mockResolvedValueOnce(buildMessage({ attachments: queued.attachments }));
+
+    const message = await processEmailMessage('message-1');
+
+    expect(message.status).toBe('sent');
+    expect(message.transport).toBe('memory');
+    expect(message.attempts).toBe(1);
+    const [captured] = getCapturedEmails();
+    expect(captured.to).toBe('vendor@example.com');
+    expect(captured.attachments[0].filename).toBe('offer.pdf');
+    expect(captured.messageId).toBe(message.messageId);
+  });
+
+  it('retries a failed delivery and dead-letters it after maxAttempts', async () => {
+    // The attachment file is missing, so every delivery attempt fails
+    const message = buildMessage({
+      attachments: [{ filename: 'offer.pdf', storageKey: 'missing', contentType: 'application/pdf' }]
+    });
+    EmailMessage.findOneAndUpdate.mockResolvedValue(message);
+
+    await processEmailMessage('message-1');
+
+    expect(message.status).toBe('failed');
+    expect(message.attempts).toBe(1);
+    expect(message.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(message.errorHistory).toHaveLength(1);
+
+    await processEmailMessage('message-1');
+
+    expect(message.status).toBe('dead');
+    expect(message.attempts).toBe(2);
+    expect(message.errorHistory.map(entry => entry.attempt)).toEqual([1, 2]);
+    expect(message.lastError).toMatch(/ENOENT/);
+    expect(getCapturedEmails()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../models/Timesheet', () => ({ find: jest.fn() }));
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../utils/systemSettings', () => ({ getSettingsSection: jest.fn() }));
+jest.mock('../controllers/notificationController', () => ({ createNotification: jest.fn() }));
+
+const Timesheet = require('../models/Timesheet');
+const { getSettingsSection } = require('../utils/systemSettings');
+const { matchInvoice, buildMatch, sanitizeBilling } = require('../utils/invoiceMatching');
+
+const PO_ID = 'e00000000000000000000001';
+const INVOICE_ID = 'f00000000000000000000001';
+const RESOURCE_ID = 'b10000000000000000000001';
+
+const DEFAULT_CONFIG = {
+  overAmountAction: 'block',
+  outsidePeriodAction: 'flag',
+  hoursMismatchAction: 'flag',
+  hoursTolerance: 0.5
+};
+
+const buildPO = (fields = {}) => ({
+  _id: PO_ID,
+  poNumber: 'PO-2026-0001',
+  totalAmount: { amount: 10000, currency: 'USD' },
+  paymentTracking: { totalInvoiced: 4000 },
+  startDate: new Date('2026-01-01'),
+  endDate: new Date('2026-06-30'),
+  lineItems: [],
+  ...fields
+});
+
+const SERVICE_PERIOD = { start: new Date('2026-03-02'), end: new Date('2026-03-08') };
+
+// An approved timesheet with one day of hours in the service period
+const timesheet = (hours, invoiceId = null) => ({
+  resourceId: RESOURCE_ID,
+  invoiceId,
+  entries: [{ date: new Date('2026-03-03T00:00:00Z'), hours }]
+});
+
+// Stands in for the timesheet query, applying its invoiceId filter
+const givenTimesheets = (timesheets) => {
+  Timesheet.find.mockImplementation((filter) => ({
+    select: async () => timesheets.filter(candidate =>
+      filter.invoiceId.$in.some(id => (id === null ? candidate.invoiceId === null : String(id) === String(candidate.invoiceId))))
+  }));
+};
+
+describe('matchInvoice', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getSettingsSection.mockResolvedValue(DEFAULT_CONFIG);
+    givenTimesheets([]);
+  });
+
+  it('matches an invoice within the PO amount and period', async () => {
+    const result = await matchInvoice({ po: buildPO(), invoiceDate: new Date('2026-03-10'), amount: 6000 });
+
+    expect(result).toEqual({ blocking: [], exceptions: [] });
+    expect(buildMatch(result)).toMatchObject({ status: 'matched', exceptions: [] });
+  });
+
+  it('blocks an invoice over the PO remaining amount', async () => {
+    const result = await matchInvoice({ po: buildPO(), invoiceDate: new Date('2026-03-10'), amount: 6000.01 });
+
+    expect(result.blocking).toEqual([expect.objectContaining({ type: 'over_po_remaining', expected: 6000, actual: 6000.01 })]);
+    expect(() => buildMatch(result)).toThrow('Invoice amount 6000.01 exceeds the 6000 remaining on PO PO-2026-0001');
+  });
+
+  it('counts the amount a re-matched invoice already holds as remaining', async () => {
+    const result = await matchInvoice({ po: buildPO(), invoiceDate: new Date('2026-03-10'), amount: 7000, previousAmount: 1000 });
+
+    expect(result.blocking).toEqual([]);
+  });
+
+  it('flags rather than blocks when the settings say so', async () => {
+    getSettingsSection.mockResolvedValue({ ...DEFAULT_CONFIG, overAmountAction: 'flag' });
+
+    const result = await matchInvoice({ po: buildPO(), invoiceDate: new Date('2026-03-10'), amount: 7000 });
+
+    expect(result.blocking).toEqual([]);
+    expect(buildMatch(result)).toMatchObject({ status: 'exception', exceptions: [expect.objectContaining({ type: 'over_po_remaining' })] });
+  });
+
+  it('flags dates outside the PO period', async () => {
+    const result = await matchInvoice({
+      po: buildPO(),
+      invoiceDate: new Date('2026-07-01'),
+      amount: 100,
+      servicePeriod: { start: new Date('2025-12-29'), end: new Date('2026-01-04') }
+    });
+
+    expect(result.exceptions).toEqual([{
+      type: 'outside_po_period',
+      message: 'Outside the PO period 2026-01-01 to 2026-06-30: invoice date 2026-07-01, service period start 2025-12-29'
+    }]);
+  });
+
+  it('accepts billed hours within the tolerance of the approved hours', async () => {
+    givenTimesheets([timesheet(8), timesheet(31.7)]);
+
+    const result = await matchInvoice({
+      po: buildPO(),
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100,
+      servicePeriod: SERVICE_PERIOD,
+      billedHours: [{ resourceId: RESOURCE_ID, hours: 40 }]
+    });
+
+    expect(result.exceptions).toEqual([]);
+  });
+
+  it('flags billed hours that differ from the approved hours', async () => {
+    givenTimesheets([timesheet(32)]);
+
+    const result = await matchInvoice({
+      po: buildPO(),
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100,
+      servicePeriod: SERVICE_PERIOD,
+      billedHours: [{ resourceId: RESOURCE_ID, hours: 40 }]
+    });
+
+    expect(result.exceptions).toEqual([expect.objectContaining({ type: 'hours_mismatch', resourceId: RESOURCE_ID, expected: 32, actual: 40 })]);
+  });
+
+  it('does not count hours already billed on another invoice', async () => {
+    givenTimesheets([timesheet(40, 'f00000000000000000000099')]);
+
+    const result = await matchInvoice({
+      po: buildPO(),
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100,
+      servicePeriod: SERVICE_PERIOD,
+      billedHours: [{ resourceId: RESOURCE_ID, hours: 40 }]
+    });
+
+    expect(Timesheet.find).toHaveBeenCalledWith(expect.objectContaining({ poId: PO_ID, status: 'approved', invoiceId: { $in: [null] } }));
+    expect(result.exceptions).toEqual([expect.objectContaining({ type: 'hours_mismatch', expected: 0, actual: 40 })]);
+  });
+
+  it('counts the hours already billed on the invoice being matched', async () => {
+    givenTimesheets([timesheet(40, INVOICE_ID), timesheet(40, 'f00000000000000000000099')]);
+
+    const result = await matchInvoice({
+      po: buildPO(),
+      invoiceId: INVOICE_ID,
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100,
+      servicePeriod: SERVICE_PERIOD,
+      billedHours: [{ resourceId: RESOURCE_ID, hours: 40 }]
+    });
+
+    expect(result.exceptions).toEqual([]);
+  });
+
+  it('flags an hourly PO invoiced without hours', async () => {
+    const result = await matchInvoice({
+      po: buildPO({ lineItems: [{ unit: 'hour' }] }),
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100
+    });
+
+    expect(result.exceptions).toEqual([expect.objectContaining({ type: 'hours_not_billed' })]);
+  });
+
+  it('requires a service period to check billed hours', async () => {
+    await expect(matchInvoice({
+      po: buildPO(),
+      invoiceDate: new Date('2026-03-10'),
+      amount: 100,
+      billedHours: [{ resourceId: RESOURCE_ID, hours: 8 }]
+    })).rejects.toMatchObject({ statusCode: 400, message: 'servicePeriod is required when billing hours' });
+  });
+});
+
+describe('sanitizeBilling', () => {
+  it('rejects a service period that ends before it starts', () => {
+    expect(() => sanitizeBilling({ servicePeriod: { start: '2026-03-08', end: '2026-03-02' } }))
+      .toThrow('servicePeriod cannot end before it starts');
+  });
+
+  it('rejects a resource billed on two lines', () => {
+    expect(() => sanitizeBilling({ billedHours: [{ resourceId: RESOURCE_ID, hours: 8 }, { resourceId: RESOURCE_ID, hours: 2 }] }))
+      .toThrow('Bill each resource on one billedHours line');
+  });
+});
@@ -0,0 +1,260 @@
+const express = require('express');
+const request = require('supertest');
+
+let mockUser;
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+jest.mock('../models/Invoice', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  countDocuments: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/PO', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Timesheet', () => ({ find: jest.fn() }));
+jest.mock('../utils/auditTrail', () => ({
+  snapshotEntity: jest.fn(doc => JSON.parse(JSON.stringify(doc))),
+  recordAuditEvent: jest.fn()
+}));
+jest.mock('../utils/systemSettings', () => ({ getSettingsSection: jest.fn() }));
+jest.mock('../utils/timesheets', () => ({ releaseTimesheets: jest.fn() }));
+jest.mock('../controllers/notificationController', () => ({ createNotification: jest.fn() }));
+
+const Invoice = require('../models/Invoice');
+const PO = require('../models/PO');
+const User = require('../models/User');
+const { getSettingsSection } = require('../utils/systemSettings');
+const { recordAuditEvent } = require('../utils/auditTrail');
+const invoiceRoutes = require('../routes/invoice');
+const errorHandler = require('../middleware/errorHandler');
+
+const VENDOR_ORG_ID = 'b10000000000000000000001';
+const CLIENT_ORG_ID = 'a10000000000000000000001';
+const PO_ID = 'e00000000000000000000001';
+const INVOICE_ID = 'f00000000000000000000001';
+
+const users = {
+  vendor: { _id: 'b00000000000000000000001', id: 'b00000000000000000000001', userType: 'vendor', organizationRole: 'vendor_owner', organizationId: VENDOR_ORG_ID },
+  finance: { _id: 'c00000000000000000000001', id: 'c00000000000000000000001', userType: 'client', organizationRole: 'client_account', organizationId: CLIENT_ORG_ID },
+  employee: { _id: 'c00000000000000000000002', id: 'c00000000000000000000002', userType: 'client', organizationRole: 'client_employee', organizationId: CLIENT_ORG_ID }
+};
+
+const buildPO = () => ({
+  _id: PO_ID,
+  poNumber: 'PO-2026-0001',
+  status: 'active',
+  clientId: users.finance._id,
+  clientOrganizationId: CLIENT_ORG_ID,
+  vendorOrganizationId: VENDOR_ORG_ID,
+  totalAmount: { amount: 10000, currency: 'USD' },
+  paymentTracking: { totalInvoiced: 4000, remainingAmount: 6000 },
+  startDate: new Date('2026-01-01'),
+  endDate: new Date('2026-06-30'),
+  lineItems: []
+});
+
+// In-memory stand-in for an Invoice document
+const buildInvoice = (fields = {}) => ({
+  _id: INVOICE_ID,
+  invoiceNumber: 'INV-2026-0001',
+  poId: PO_ID,
+  clientOrganizationId: CLIENT_ORG_ID,
+  vendorOrganizationId: VENDOR_ORG_ID,
+  invoiceAmount: { amount: 1500, currency: 'USD' },
+  paymentStatus: 'pending',
+  approvalDetails: {},
+  match: { status: 'exception', exceptions: [{ type: 'hours_mismatch', message: '40 hours billed for a resource with 32 approved timesheet hours in the service period' }] },
+  save: jest.fn(function save() { return Promise.resolve(this); }),
+  populate: jest.fn(function populate() { return Promise.resolve(this); }),
+  ...fields
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/invoice', invoiceRoutes);
+app.use(errorHandler);
+
+describe('invoice endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    User.findById.mockImplementation(async () => mockUser);
+    User.find.mockReturnValue({ select: async () => [] });
+    getSettingsSection.mockResolvedValue({ overAmountAction: 'block', outsidePeriodAction: 'flag', hoursMismatchAction: 'flag', hoursTolerance: 0.5 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST / charging the PO', () => {
+    const body = { poId: PO_ID, invoiceDate: '2026-03-10', invoiceAmount: { amount: 1500, currency: 'USD' } };
+
+    beforeEach(() => {
+      mockUser = users.vendor;
+      PO.findById.mockResolvedValue(buildPO());
+    });
+
+    it('counts the amount against the PO only while it still fits', async () => {
+      PO.findOneAndUpdate.mockResolvedValue(buildPO());
+      Invoice.create.mockImplementation(async (fields) => buildInvoice({ ...fields, match: fields.match }));
+
+      const res = await request(app).post('/api/invoice').send(body);
+
+      expect(res.status).toBe(201);
+      const [filter, update] = PO.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: PO_ID, 'paymentTracking.totalInvoiced': { $lte: 8500 } });
+      expect(update[0]).toEqual({ $set: { 'paymentTracking.totalInvoiced': { $add: ['$paymentTracking.totalInvoiced', 1500] } } });
+      expect(recordAuditEvent).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'po_invoiced_amount_updated',
+        entity: expect.objectContaining({ paymentTracking: { totalInvoiced: 5500, remainingAmount: 4500 } })
+      }));
+    });
+
+    it('refuses an invoice when another took the PO remaining amount first', async () => {
+      PO.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/invoice').send(body);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('PO PO-2026-0001 no longer has 1500 left to invoice; reload and try again');
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('gives the amount back when the invoice cannot be created', async () => {
+      PO.findOneAndUpdate.mockResolvedValue(buildPO());
+      Invoice.create.mockRejectedValue(new Error('write failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app).post('/api/invoice').send(body);
+
+      expect(res.status).toBe(500);
+      expect(PO.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      const [filter, update] = PO.findOneAndUpdate.mock.calls[1];
+      expect(filter).toEqual({ _id: PO_ID });
+      expect(update[0].$set['paymentTracking.totalInvoiced'].$add[1]).toBe(-1500);
+    });
+
+    it('charges without the remaining-amount condition when over-PO invoices are only flagged', async () => {
+      getSettingsSection.mockResolvedValue({ overAmountAction: 'flag', outsidePeriodAction: 'flag', hoursMismatchAction: 'flag', hoursTolerance: 0.5 });
+      PO.findOneAndUpdate.mockResolvedValue(buildPO());
+      Invoice.create.mockImplementation(async (fields) => buildInvoice({ ...fields, match: fields.match }));
+
+      const res = await request(app).post('/api/invoice').send({ ...body, invoiceAmount: { amount: 7000, currency: 'USD' } });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.match.status).toBe('exception');
+      expect(PO.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: PO_ID });
+    });
+  });
+
+  describe('GET /exceptions', () => {
+    const givenQueue = (invoices) => {
+      const chain = {
+        populate: () => chain,
+        sort: () => chain,
+        skip: () => chain,
+        limit: () => Promise.resolve(invoices)
+      };
+      Invoice.find.mockReturnValue(chain);
+      Invoice.countDocuments.mockResolvedValue(invoices.length);
+    };
+
+    it('lists the organization invoices waiting for review', async () => {
+      mockUser = users.finance;
+      givenQueue([{ _id: INVOICE_ID, invoiceNumber: 'INV-2026-0001' }]);
+
+      const res = await request(app).get('/api/invoice/exceptions');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.totalDocs).toBe(1);
+      expect(Invoice.find).toHaveBeenCalledWith({ clientOrganizationId: CLIENT_ORG_ID, 'match.status': 'exception' });
+    });
+
+    it('lists reviewed invoices by status', async () => {
+      mockUser = users.finance;
+      givenQueue([]);
+
+      await request(app).get(`/api/invoice/exceptions?status=accepted&poId=${PO_ID}`);
+
+      expect(Invoice.find).toHaveBeenCalledWith({ clientOrganizationId: CLIENT_ORG_ID, 'match.status': 'accepted', poId: PO_ID });
+    });
+
+    it('refuses users outside client finance', async () => {
+      mockUser = users.employee;
+
+      const res = await request(app).get('/api/invoice/exceptions');
+
+      expect(res.status).toBe(403);
+      expect(Invoice.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /:id/exceptions/review', () => {
+    beforeEach(() => {
+      mockUser = users.finance;
+      PO.findOneAndUpdate.mockResolvedValue(buildPO());
+    });
+
+    it('sends an accepted invoice on to approval', async () => {
+      const invoice = buildInvoice();
+      Invoice.findById.mockResolvedValue(invoice);
+
+      const res = await request(app).post(`/api/invoice/${INVOICE_ID}/exceptions/review`).send({ decision: 'accept' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Invoice exceptions accepted');
+      expect(invoice.match).toMatchObject({ status: 'accepted', reviewedBy: users.finance.id });
+      expect(invoice.paymentStatus).toBe('pending');
+      expect(PO.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects an invoice and gives its amount back to the PO', async () => {
+      const invoice = buildInvoice();
+      Invoice.findById.mockResolvedValue(invoice);
+
+      const res = await request(app).post(`/api/invoice/${INVOICE_ID}/exceptions/review`)
+        .send({ decision: 'reject', notes: 'Hours do not match the timesheets' });
+
+      expect(res.status).toBe(200);
+      expect(invoice.match.status).toBe('rejected');
+      expect(invoice.paymentStatus).toBe('rejected');
+      expect(invoice.approvalDetails.rejectionReason).toBe('Hours do not match the timesheets');
+      const [filter, update] = PO.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: PO_ID });
+      expect(update[0].$set['paymentTracking.totalInvoiced'].$add[1]).toBe(-1500);
+    });
+
+    it('requires notes to reject', async () => {
+      const res = await request(app).post(`/api/invoice/${INVOICE_ID}/exceptions/review`).send({ decision: 'reject' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Notes are required when rejecting an invoice');
+    });
+
+    it('refuses an invoice that is not waiting for review', async () => {
+      Invoice.findById.mockResolvedValue(buildInvoice({ match: { status: 'matched', exceptions: [] } }));
+
+      const res = await request(app).post(`/api/invoice/${INVOICE_ID}/exceptions/review`).send({ decision: 'accept' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invoice is not waiting for exception review');
+    });
+
+    it('refuses another organization invoice', async () => {
+      Invoice.findById.mockResolvedValue(buildInvoice({ clientOrganizationId: 'a10000000000000000000099' }));
+
+      const res = await request(app).post(`/api/invoice/${INVOICE_ID}/exceptions/review`).send({ decision: 'accept' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+  escapeCsvField,
+  flattenRow,
+  streamRows,
+  rowsToCsv
+} = require('../utils/reportExport');
+const { compileCustomReport } = require('../utils/customReport');
+
+// Collects what an export writes, with the response methods the export layer calls
+const createResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.headers = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+// Yields rows one at a time, like a Mongo cursor
+const cursor = (rows) => ({
+  [Symbol.asyncIterator]: async function* read() { yield* rows; },
+  close: jest.fn(async () => {})
+});
+
+const finished = (res) => new Promise(resolve => {
+  if (res.writableFinished) {
+    resolve();
+  } else {
+    res.on('finish', resolve);
+  }
+});
+
+describe('escapeCsvField', () => {
+  it('quotes only fields that need it and doubles embedded quotes', () => {
+    expect(escapeCsvField('plain')).toBe('plain');
+    expect(escapeCsvField('a,b')).toBe('"a,b"');
+    expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvField('line 1\r\nline 2')).toBe('"line 1\r\nline 2"');
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(0)).toBe('0');
+  });
+});
+
+describe('flattenRow', () => {
+  it('hoists group keys and dots nested fields', () => {
+    expect(flattenRow({
+      _id: { status: 'open' },
+      totals: { amount: 10, currency: 'USD' },
+      tags: ['a', 'b'],
+      at: new Date('2026-01-02T00:00:00Z')
+    })).toEqual({
+      status: 'open',
+      'totals.amount': 10,
+      'totals.currency': 'USD',
+      tags: 'a; b',
+      at: '2026-01-02T00:00:00.000Z'
+    });
+  });
+});
+
+describe('rowsToCsv', () => {
+  it('writes a header covering every row with CRLF line endings', () => {
+    const csv = rowsToCsv([{ name: 'Acme, Inc.' }, { name: 'Quote "Co"', city: 'Oslo' }]).toString();
+
+    expect(csv).toBe('name,city\r\n"Acme, Inc.",\r\n"Quote ""Co""",Oslo\r\n');
+  });
+});
+
+describe('streamRows', () => {
+  it('streams escaped CSV in the given columns', async () => {
+    const res = createResponse();
+    const source = cursor([{ name: 'Acme, Inc.', note: 'multi\nline' }, { name: 'Plain', extra: 'ignored' }]);
+
+    const count = await streamRows(res, {
+      format: 'csv',
+      filename: 'orgs.csv',
+      source,
+      columns: [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }]
+    });
+    await finished(res);
+
+    expect(count).toBe(2);
+    expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+    expect(res.body().toString()).toBe('Name,Note\r\n"Acme, Inc.","multi\nline"\r\nPlain,\r\n');
+    expect(source.close).toHaveBeenCalled();
+  });
+
+  it('takes the CSV header of an array from every row, not just the first', async () => {
+    const res = createResponse();
+
+    await streamRows(res, { format: 'csv', filename: 'report.csv', source: [{ month: 1 }, { month: 2, revenue: 5 }] });
+    await finished(res);
+
+    expect(res.body().toString()).toBe('month,revenue\r\n1,\r\n2,5\r\n');
+  });
+
+  it('streams JSONL with one document per line', async () => {
+    const res = createResponse();
+
+    await streamRows(res, { format: 'jsonl', filename: 'rows.jsonl', source: cursor([{ a: 1 }, { a: '"2"' }]) });
+    await finished(res);
+
+    expect(res.body().toString()).toBe('{"a":1}\n{"a":"\\"2\\""}\n');
+  });
+
+  it('streams a workbook with the rows under the column headers', async () => {
+    const res = createResponse();
+    const rows = Array.from({ length: 50 }, (item, index) => ({ name: `Row ${index}`, amount: index }));
+
+    const count = await streamRows(res, {
+      format: 'xlsx',
+      filename: 'rows.xlsx',
+      source: cursor(rows),
+      columns: [{ key: 'name', header: 'Name' }, { key: 'amount', header: 'Amount' }],
+      sheetName: 'Rows'
+    });
+    await finished(res);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body());
+    const worksheet = workbook.getWorksheet('Rows');
+
+    expect(count).toBe(50);
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['Name', 'Amount']);
+    expect(worksheet.getRow(51).values.slice(1)).toEqual(['Row 49', 49]);
+  });
+});
+
+describe('compileCustomReport columns', () => {
+  it('lists the group keys and aggregation outputs of a grouped report', () => {
+    const { columns } = compileCustomReport({
+      dataSource: 'applications',
+      timeRange: 'month',
+      groupBy: ['status'],
+      aggregations: [{ type: 'count', field: 'applications' }]
+    });
+
+    expect(columns).toEqual([
+      { key: 'status', header: 'Status' },
+      { key: 'applications', header: 'applications' }
+    ]);
+  });
+
+  it('lists the selected fields of a raw report', () => {
+    const { columns } = compileCustomReport({
+      dataSource: 'resources',
+      timeRange: 'month',
+      includeFields: ['status', 'availability.status']
+    });
+
+    expect(columns).toEqual([
+      { key: '_id', header: 'ID' },
+      { key: 'status', header: 'Status' },
+      { key: 'availability.status', header: 'Availability' }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  TemplateError,
+  renderTemplate,
+  assertRequiredVariables,
+  htmlToText,
+  textToHtml
+} = require('../utils/templateRenderer');
+
+describe('renderTemplate', () => {
+  it('substitutes variables and dotted paths', () => {
+    const output = renderTemplate('Hi {{user.firstName}}, welcome to {{siteName}}', {
+      user: { firstName: 'Ada' },
+      siteName: 'Marketplace'
+    });
+
+    expect(output).toBe('Hi Ada, welcome to Marketplace');
+  });
+
+  it('escapes variables in HTML output but not triple-braced ones', () => {
+    const data = { name: '<b>"Tom" & Jerry\'s</b>' };
+
+    expect(renderTemplate('{{name}}', data, { escape: true }))
+      .toBe('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;');
+    expect(renderTemplate('{{{name}}}', data, { escape: true })).toBe(data.name);
+    expect(renderTemplate('{{name}}', data)).toBe(data.name);
+  });
+
+  it('renders conditional blocks and their else branches', () => {
+    const source = '{{#if paid}}Paid{{else}}Due{{/if}} {{#unless paid}}now{{/unless}}';
+
+    expect(renderTemplate(source, { paid: true })).toBe('Paid ');
+    expect(renderTemplate(source, { paid: false })).toBe('Due now');
+  });
+
+  it('loops over lists with the item, its fields and its index', () => {
+    const source = '{{#each items}}{{@index}}:{{name}}/{{this.qty}} {{/each}}{{#each tags}}[{{this}}]{{else}}none{{/each}}';
+
+    expect(renderTemplate(source, { items: [{ name: 'a', qty: 1 }, { name: 'b', qty: 2 }], tags: [] }))
+      .toBe('0:a/1 1:b/2 none');
+  });
+
+  it('looks up outer variables from inside a loop', () => {
+    expect(renderTemplate('{{#each items}}{{this}}-{{suffix}} {{/each}}', { items: ['x', 'y'], suffix: 'z' }))
+      .toBe('x-z y-z ');
+  });
+
+  it('rejects a missing variable', () => {
+    expect.assertions(3);
+    expect(() => renderTemplate('Hello {{name}}', {})).toThrow(TemplateError);
+
+    try {
+      renderTemplate('Hello {{name}}', {});
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.missingVariables).toEqual(['name']);
+    }
+  });
+
+  it('rejects unbalanced and unknown blocks', () => {
+    expect(() => renderTemplate('{{#if a}}open', { a: true })).toThrow('Unclosed block "{{#if}}"');
+    expect(() => renderTemplate('{{#if a}}x{{/each}}', { a: true })).toThrow('Unexpected "{{/each}}", expected "{{/if}}"');
+    expect(() => renderTemplate('{{#with a}}x{{/with}}', { a: true })).toThrow('Invalid block tag "{{#with a}}"');
+    expect(() => renderTemplate('{{else}}', {})).toThrow('Unexpected "{{else}}"');
+  });
+
+  it('refuses to loop over a value that is not a list', () => {
+    expect(() => renderTemplate('{{#each items}}x{{/each}}', { items: 'abc' }))
+      .toThrow('Template variable "items" must be a list to use {{#each}}');
+  });
+});
+
+describe('assertRequiredVariables', () => {
+  it('lists every missing or empty required variable', () => {
+    expect(() => assertRequiredVariables(['user.firstName', 'link', 'siteName'], { user: {}, link: '', siteName: 'x' }))
+      .toThrow('Missing required template variables: user.firstName, link');
+  });
+
+  it('accepts data with every required variable', () => {
+    expect(() => assertRequiredVariables(['user.firstName'], { user: { firstName: 'Ada' } })).not.toThrow();
+  });
+});
+
+describe('htmlToText and textToHtml', () => {
+  it('turns HTML into readable text with link targets', () => {
+    expect(htmlToText('<p>Hello &amp; welcome</p><p><a href="https://example.com/verify">Verify</a></p>'))
+      .toBe('Hello & welcome\nVerify (https://example.com/verify)');
+  });
+
+  it('turns text into escaped paragraphs', () => {
+    expect(textToHtml('Line <1>\nLine 2\n\nNext')).toBe('<p>Line &lt;1&gt;<br>Line 2</p>\n<p>Next</p>');
+  });
+});
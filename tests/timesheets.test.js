@@ -0,0 +1,104 @@
+jest.mock('../models/Timesheet', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Invoice', () => {
+  const Invoice = jest.fn();
+  Invoice.findOne = jest.fn();
+  Invoice.findById = jest.fn();
+  return Invoice;
+});
+jest.mock('../models/Application', () => ({ find: jest.fn() }));
+jest.mock('../models/Resource', () => ({ find: jest.fn() }));
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../utils/auditTrail', () => ({ snapshotEntity: jest.fn(doc => (doc ? { ...doc } : null)) }));
+jest.mock('../controllers/notificationController', () => ({ createNotification: jest.fn() }));
+
+const Timesheet = require('../models/Timesheet');
+const Invoice = require('../models/Invoice');
+const { rollIntoDraftInvoice } = require('../utils/timesheets');
+
+const PO_ID = 'e00000000000000000000001';
+const RESOURCE_ID = 'b10000000000000000000001';
+const NEW_DRAFT_ID = 'f00000000000000000000001';
+const EXISTING_DRAFT_ID = 'f00000000000000000000002';
+
+const po = {
+  _id: PO_ID,
+  poNumber: 'PO-2026-0001',
+  totalAmount: { amount: 10000, currency: 'USD' },
+  startDate: new Date('2026-01-01'),
+  endDate: new Date('2026-06-30'),
+  lineItems: [{ unit: 'hour', resourceId: RESOURCE_ID, rate: 100, taxRate: 0 }]
+};
+
+const timesheet = {
+  _id: 'd00000000000000000000001',
+  resourceId: RESOURCE_ID,
+  totalHours: 8,
+  weekStart: new Date('2026-03-02'),
+  weekEnd: new Date('2026-03-08')
+};
+
+// In-memory stand-in for an Invoice document
+const draft = (fields) => ({
+  paymentStatus: 'draft',
+  invoiceAmount: { amount: 0, currency: 'USD' },
+  billedHours: [],
+  increment: jest.fn(),
+  save: jest.fn(async () => {}),
+  ...fields
+});
+
+describe('rollIntoDraftInvoice', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Timesheet.find.mockReturnValue({ sort: async () => [timesheet] });
+    Timesheet.findOneAndUpdate.mockResolvedValue(timesheet);
+    Timesheet.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    Invoice.findOne.mockResolvedValue(null);
+  });
+
+  it('starts a draft for the PO when it has none', async () => {
+    const created = draft({ _id: NEW_DRAFT_ID, isNew: true });
+    Invoice.mockImplementation(() => created);
+
+    const rolled = await rollIntoDraftInvoice(po, 'b00000000000000000000001');
+
+    expect(rolled.invoice).toBe(created);
+    expect(rolled.previousState).toBeNull();
+    expect(created.invoiceAmount.amount).toBe(800);
+    expect(Timesheet.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: timesheet._id, status: 'approved', invoiceId: null },
+      { $set: { invoiceId: NEW_DRAFT_ID } },
+      { new: true }
+    );
+  });
+
+  it('adds the hours to the draft another roll-up created first', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { poId: 1 } });
+    const created = draft({ _id: NEW_DRAFT_ID, isNew: true, save: jest.fn().mockRejectedValue(duplicate) });
+    const existing = draft({ _id: EXISTING_DRAFT_ID, isNew: false, invoiceAmount: { amount: 500, currency: 'USD' } });
+    Invoice.mockImplementation(() => created);
+    Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+    const rolled = await rollIntoDraftInvoice(po, 'b00000000000000000000001');
+
+    expect(rolled.invoice).toBe(existing);
+    expect(rolled.previousState).toMatchObject({ _id: EXISTING_DRAFT_ID });
+    expect(existing.invoiceAmount.amount).toBe(1300);
+    expect(existing.increment).toHaveBeenCalled();
+    expect(Timesheet.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [timesheet._id] }, invoiceId: NEW_DRAFT_ID },
+      { $set: { invoiceId: EXISTING_DRAFT_ID } }
+    );
+  });
+
+  it('releases its claims when any other save error occurs', async () => {
+    const duplicateNumber = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { invoiceNumber: 1 } });
+    Invoice.mockImplementation(() => draft({ _id: NEW_DRAFT_ID, isNew: true, save: jest.fn().mockRejectedValue(duplicateNumber) }));
+
+    await expect(rollIntoDraftInvoice(po, 'b00000000000000000000001')).rejects.toBe(duplicateNumber);
+    expect(Timesheet.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [timesheet._id] }, invoiceId: NEW_DRAFT_ID },
+      { $set: { invoiceId: null } }
+    );
+  });
+});
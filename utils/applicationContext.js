@@ -0,0 +1,88 @@
+/**
+ * Application Context Utility
+ *
+ * Shared by the controllers that act on one application (interviews, offers):
+ * loading the application with the records that decide who may act on it,
+ * checking the caller's role and recording events in the application's
+ * history timeline.
+ */
+
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const ErrorResponse = require('./errorResponse');
+const { getApplicationRole } = require('./applicationTransitions');
+
+/**
+ * Load an application with the requirement and resource that decide who may act on it
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Authenticated user
+ * @param {string} subject - What is being accessed, for the 403 message (e.g. "offers")
+ * @returns {Promise<Object>} - {application, requirement, resource, role}
+ * @throws {ErrorResponse} - 404 when a record is missing, 403 when the user has no role on the application
+ */
+const loadApplicationContext = async (applicationId, user, subject) => {
+  const application = await Application.findById(applicationId).select('+organizationId');
+  if (!application) {
+    throw new ErrorResponse('Application not found', 404);
+  }
+
+  const [requirement, resource] = await Promise.all([
+    Requirement.findById(application.requirement).select('title createdBy organizationId'),
+    Resource.findById(application.resource).select('name createdBy organizationId')
+  ]);
+  if (!requirement || !resource) {
+    throw new ErrorResponse('Associated requirement or resource not found', 404);
+  }
+
+  const role = getApplicationRole(user, { application, requirement, resource });
+  if (!role) {
+    throw new ErrorResponse(`Not authorized to access ${subject} for this application`, 403);
+  }
+
+  return { application, requirement, resource, role };
+};
+
+/**
+ * Require one of the given application roles
+ * @param {string} role - Role from loadApplicationContext
+ * @param {string[]} allowed - Roles allowed to act
+ * @param {string} action - What the user is trying to do, for the 403 message
+ * @throws {ErrorResponse} - 403 when the role is not allowed
+ */
+const requireRole = (role, allowed, action) => {
+  if (!allowed.includes(role)) {
+    throw new ErrorResponse(`Not authorized to ${action}`, 403);
+  }
+};
+
+/**
+ * Record an event in the application's history timeline without changing its status
+ * Never throws; the timeline entry is not worth failing the request over.
+ * @param {Object} application - Application document
+ * @param {Object} user - User the event is recorded for
+ * @param {string} notes - Timeline text
+ * @returns {Promise<void>}
+ */
+const recordHistory = async (application, user, notes) => {
+  try {
+    await ApplicationHistory.create({
+      application: application._id,
+      previousStatus: application.status,
+      status: application.status,
+      notes,
+      createdBy: user.id,
+      updatedBy: user.id,
+      organizationId: application.organizationId
+    });
+  } catch (error) {
+    console.error('Error recording application history:', error);
+  }
+};
+
+module.exports = {
+  loadApplicationContext,
+  requireRole,
+  recordHistory
+};
@@ -0,0 +1,358 @@
+/**
+ * Application Transitions Utility
+ *
+ * The hiring pipeline as data. Each transition lists the statuses it leaves
+ * from, the status it moves to, the roles that may perform it, the request
+ * fields it requires and the side effects it triggers. The status update
+ * endpoint and the "next actions" endpoint both read this table, so changing
+ * the pipeline means editing the table rather than controller code.
+ */
+
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Offer = require('../models/Offer');
+const ErrorResponse = require('./errorResponse');
+const { createNotification } = require('../controllers/notificationController');
+
+// Matches every status in a transition's "from" or "to"
+const ANY_STATUS = '*';
+
+// "system" is used by background jobs, e.g. offer expiry
+const APPLICATION_ROLES = ['admin', 'client', 'vendor', 'system'];
+
+// Stages an application can return to when an offer is declined or expires
+const PRE_OFFER_STATUSES = ['shortlisted', 'interview', 'accepted'];
+
+// Statuses an applicant can still withdraw from
+const WITHDRAWABLE_STATUSES = ['applied', 'pending', 'shortlisted', 'interview', 'accepted', 'offer_created', 'offer_accepted'];
+
+/*
+ * Transition fields:
+ *   from          - statuses the transition applies to, or ANY_STATUS
+ *   to            - requested status, or ANY_STATUS
+ *   roles         - roles allowed to perform it (see getApplicationRole)
+ *   label         - action name shown to users
+ *   resultStatus  - status actually stored when it differs from "to"
+ *   requiredFields - request fields that must be present (see REQUIRED_FIELDS)
+ *   effects       - side effects run after the update (see SIDE_EFFECTS)
+ *   via           - set when the change must go through another endpoint
+ *                   (e.g. "offer"); the status endpoint refuses it
+ *
+ * The first matching transition wins, so specific entries come before the
+ * admin override at the end.
+ */
+const APPLICATION_TRANSITIONS = [
+  {
+    from: ['applied', 'pending'],
+    to: 'shortlisted',
+    roles: ['admin'],
+    label: 'Approve and shortlist'
+  },
+  {
+    // Admin approval of a new application lands it on the client's shortlist
+    from: ['applied'],
+    to: 'accepted',
+    roles: ['admin'],
+    label: 'Approve',
+    resultStatus: 'shortlisted'
+  },
+  {
+    from: ['pending', 'interview', 'accepted'],
+    to: 'shortlisted',
+    roles: ['client'],
+    label: 'Move to shortlist'
+  },
+  {
+    from: ['shortlisted', 'accepted'],
+    to: 'interview',
+    roles: ['admin', 'client'],
+    label: 'Schedule interview'
+  },
+  {
+    from: ['shortlisted', 'interview'],
+    to: 'accepted',
+    roles: ['admin', 'client'],
+    label: 'Accept'
+  },
+  {
+    // Offer flows notify both sides themselves (see utils/offerEvents)
+    from: PRE_OFFER_STATUSES,
+    to: 'offer_created',
+    roles: ['admin', 'client'],
+    label: 'Create offer',
+    via: 'offer'
+  },
+  {
+    from: ['offer_created'],
+    to: 'withdrawn',
+    roles: ['admin', 'client'],
+    label: 'Withdraw offer',
+    requiredFields: ['notes'],
+    effects: ['closeOpenOffers', 'notifyResourceOwner']
+  },
+  {
+    from: ['offer_created'],
+    to: 'offer_accepted',
+    // Vendors accept offers; clients accept a vendor's counter-offer
+    roles: ['admin', 'client', 'vendor'],
+    label: 'Accept offer',
+    via: 'offer'
+  },
+  {
+    // Declined and expired offers return the application to where it was
+    from: ['offer_created'],
+    to: PRE_OFFER_STATUSES,
+    roles: ['vendor', 'system'],
+    label: 'Decline offer',
+    via: 'offer'
+  },
+  {
+    from: ['offer_accepted'],
+    to: 'onboarded',
+    roles: ['admin'],
+    label: 'Mark as onboarded',
+    effects: ['notifyRequirementOwner']
+  },
+  {
+    from: ['offer_accepted'],
+    to: 'did_not_join',
+    roles: ['admin'],
+    label: 'Mark as did not join',
+    requiredFields: ['decisionReason'],
+    effects: ['notifyRequirementOwner']
+  },
+  {
+    // Clients can only turn down new applications; shortlisting is an admin decision
+    from: ['applied', 'pending', 'shortlisted', 'interview', 'accepted'],
+    to: 'rejected',
+    roles: ['admin', 'client'],
+    label: 'Reject',
+    requiredFields: ['decisionReason']
+  },
+  {
+    from: WITHDRAWABLE_STATUSES,
+    to: 'withdrawn',
+    roles: ['vendor'],
+    label: 'Withdraw application',
+    effects: ['closeOpenOffers', 'notifyRequirementOwner']
+  },
+  {
+    from: ANY_STATUS,
+    to: ANY_STATUS,
+    roles: ['admin'],
+    label: 'Set status'
+  }
+];
+
+// Checks for requiredFields, keyed by field name
+const REQUIRED_FIELDS = {
+  decisionReason: {
+    message: 'A decision reason category is required',
+    isPresent: (body) => Boolean(body.decisionReason && body.decisionReason.category)
+  },
+  notes: {
+    message: 'Notes are required',
+    isPresent: (body) => typeof body.notes === 'string' && body.notes.trim().length > 0
+  },
+  followUpDate: {
+    message: 'A follow-up date is required',
+    isPresent: (body) => Boolean(body.followUpDate)
+  }
+};
+
+const notifyOwner = async (recipient, { application, requirement, status, user }) => {
+  if (!recipient || (user && recipient.toString() === user.id)) {
+    return;
+  }
+
+  await createNotification({
+    recipient,
+    type: 'application_status_change',
+    title: 'Application Status Updated',
+    message: `The application for ${requirement.title} is now ${status.replace(/_/g, ' ')}`,
+    relatedRequirement: requirement._id,
+    actionUrl: `/applications/${application._id}`
+  });
+};
+
+// Side effects run after a transition, keyed by name
+const SIDE_EFFECTS = {
+  notifyRequirementOwner: (context) => notifyOwner(context.requirement.createdBy, context),
+  notifyResourceOwner: (context) => notifyOwner(context.resource.createdBy, context),
+  closeOpenOffers: ({ application }) => Offer.updateMany(
+    { application: application._id, status: { $in: Offer.OPEN_STATUSES } },
+    { $set: { status: 'withdrawn' } }
+  )
+};
+
+const matchesStatus = (statuses, status) =>
+  statuses === ANY_STATUS || (Array.isArray(statuses) ? statuses.includes(status) : statuses === status);
+
+/**
+ * Work out the role a user acts in for an application
+ * Admins act as admin; clients only on their own requirements; vendors only on
+ * their own resources or applications.
+ * @param {Object} user - Authenticated user
+ * @param {Object} records - {application, requirement, resource}
+ * @returns {string|null} - 'admin', 'client', 'vendor' or null when the user has no role
+ */
+const getApplicationRole = (user, { application, requirement, resource }) => {
+  const orgRole = user.organizationRole || '';
+
+  if (user.userType === 'admin' || orgRole.includes('admin')) {
+    return 'admin';
+  }
+  if ((user.userType === 'client' || orgRole.includes('client')) &&
+      requirement.createdBy.toString() === user.id) {
+    return 'client';
+  }
+  if ((user.userType === 'vendor' || orgRole.includes('vendor')) &&
+      (resource.createdBy.toString() === user.id || application.createdBy.toString() === user.id)) {
+    return 'vendor';
+  }
+
+  return null;
+};
+
+/**
+ * Find the transition that allows a status change
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role from getApplicationRole
+ * @returns {Object|null} - Transition, or null when the change is not allowed
+ */
+const findTransition = (from, to, role) => {
+  if (!role || from === to) {
+    return null;
+  }
+
+  return APPLICATION_TRANSITIONS.find(transition =>
+    transition.roles.includes(role) &&
+    matchesStatus(transition.from, from) &&
+    matchesStatus(transition.to, to)
+  ) || null;
+};
+
+/**
+ * List the request fields a transition requires that are missing
+ * @param {Object} transition - Transition from findTransition
+ * @param {Object} body - Request body
+ * @returns {string[]} - Error messages, empty when nothing is missing
+ */
+const getMissingFields = (transition, body) => {
+  return (transition.requiredFields || [])
+    .filter(field => !REQUIRED_FIELDS[field].isPresent(body))
+    .map(field => REQUIRED_FIELDS[field].message);
+};
+
+/**
+ * List the actions a role can take on an application in a given status
+ * @param {string} from - Current status
+ * @param {string} role - Role from getApplicationRole
+ * @param {string[]} statuses - Every valid application status
+ * @returns {Array} - [{status, resultStatus, label, requiredFields, via}]
+ */
+const getAllowedTransitions = (from, role, statuses) => {
+  const actions = [];
+  const seen = new Set();
+
+  statuses.forEach(to => {
+    const transition = findTransition(from, to, role);
+    if (!transition || seen.has(to)) {
+      return;
+    }
+    seen.add(to);
+    actions.push({
+      status: to,
+      resultStatus: transition.resultStatus || to,
+      label: transition.to === ANY_STATUS ? `${transition.label}: ${to.replace(/_/g, ' ')}` : transition.label,
+      requiredFields: transition.requiredFields || [],
+      via: transition.via
+    });
+  });
+
+  return actions;
+};
+
+/**
+ * Run a transition's side effects
+ * Effects never fail the status change; errors are logged.
+ * @param {Object} transition - Transition from findTransition
+ * @param {Object} context - {application, requirement, resource, user, status}
+ * @returns {Promise<void>}
+ */
+const runTransitionEffects = async (transition, context) => {
+  for (const effect of transition.effects || []) {
+    try {
+      await SIDE_EFFECTS[effect](context);
+    } catch (error) {
+      console.error(`Error running application transition effect "${effect}":`, error);
+    }
+  }
+};
+
+/**
+ * Move an application to a new status through the transition table
+ * Used by flows other than the status endpoint (offers, background jobs); records
+ * the history entry and runs the transition's side effects.
+ * @param {Object} options - Options
+ * @param {Object} options.application - Application document
+ * @param {Object} options.requirement - Requirement (needs title and createdBy)
+ * @param {Object} options.resource - Resource (needs createdBy)
+ * @param {string} options.to - Requested status
+ * @param {string} options.role - Role performing the change
+ * @param {string} options.actorId - User recorded as making the change
+ * @param {string} options.notes - History notes
+ * @param {Object} options.decisionReason - Optional decision reason for the history entry
+ * @returns {Promise<{previousStatus: string, status: string}>}
+ * @throws {ErrorResponse} - 400 when the table does not allow the change
+ */
+const changeApplicationStatus = async ({ application, requirement, resource, to, role, actorId, notes, decisionReason }) => {
+  const previousStatus = application.status;
+  const transition = findTransition(previousStatus, to, role);
+
+  if (!transition) {
+    throw new ErrorResponse(`An application cannot move from ${previousStatus} to ${to}`, 400);
+  }
+
+  const status = transition.resultStatus || to;
+  application.status = status;
+  application.updatedBy = actorId;
+  await application.save();
+
+  await ApplicationHistory.create({
+    application: application._id,
+    previousStatus,
+    status,
+    notes: notes || `Status changed from ${previousStatus} to ${status}`,
+    decisionReason,
+    createdBy: actorId,
+    updatedBy: actorId,
+    organizationId: application.organizationId
+  });
+
+  await runTransitionEffects(transition, {
+    application,
+    requirement,
+    resource,
+    user: role === 'system' ? null : { id: actorId.toString() },
+    status
+  });
+
+  return { previousStatus, status };
+};
+
+module.exports = {
+  ANY_STATUS,
+  PRE_OFFER_STATUSES,
+  WITHDRAWABLE_STATUSES,
+  APPLICATION_ROLES,
+  APPLICATION_TRANSITIONS,
+  REQUIRED_FIELDS,
+  SIDE_EFFECTS,
+  getApplicationRole,
+  findTransition,
+  getMissingFields,
+  getAllowedTransitions,
+  runTransitionEffects,
+  changeApplicationStatus
+};
@@ -0,0 +1,149 @@
+/**
+ * Approval Matrix Utility
+ *
+ * Works out who must approve a SOW, SOW change order or PO. Each client
+ * organization can define an amount-based matrix of approval levels; without
+ * one, a single approval by the organization owner is required, as before.
+ * The chain is fixed on the document when it is submitted and approved one
+ * level at a time, by a listed approver or by someone they have delegated to
+ * while away. No one may approve more than one level of the same chain.
+ */
+
+const ApprovalMatrix = require('../models/ApprovalMatrix');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const User = require('../models/User');
+const ErrorResponse = require('./errorResponse');
+
+// Chains used when the organization has no matrix for the document type
+const DEFAULT_LEVELS = {
+  sow: [{ name: 'Client admin approval', approverRoles: ['client_owner'], approverIds: [] }],
+  po: [{ name: 'Finance approval', approverRoles: ['client_owner'], approverIds: [] }]
+};
+
+const toPlainLevel = (level) => ({
+  name: level.name,
+  approverRoles: [...(level.approverRoles || [])],
+  approverIds: [...(level.approverIds || [])]
+});
+
+/**
+ * Pick the approval levels for an amount
+ * @param {Object|null} matrix - ApprovalMatrix document, or null for the default chain
+ * @param {string} entityType - sow or po
+ * @param {number} amount - Amount to approve
+ * @returns {Array} - [{name, approverRoles, approverIds}]
+ */
+const selectLevels = (matrix, entityType, amount) => {
+  if (!matrix) {
+    return DEFAULT_LEVELS[entityType].map(toPlainLevel);
+  }
+
+  const tier = matrix.tiers.find(candidate => candidate.upTo === undefined || candidate.upTo === null || amount < candidate.upTo);
+  if (!tier) {
+    const highest = matrix.tiers[matrix.tiers.length - 1].upTo;
+    throw new ErrorResponse(`The approval matrix has no tier for amounts of ${highest} or more; ask an administrator to extend it`, 400);
+  }
+
+  return tier.levels.map(toPlainLevel);
+};
+
+/**
+ * Build the approval chain to fix on a document being submitted
+ * @param {Object} options - {organizationId, entityType, amount}
+ * @returns {Promise<Array>} - Chain levels, numbered from 1 and pending
+ */
+const buildApprovalChain = async ({ organizationId, entityType, amount }) => {
+  const matrix = await ApprovalMatrix.findOne({ organizationId, entityType });
+
+  return selectLevels(matrix, entityType, Number(amount) || 0).map((level, index) => ({
+    ...level,
+    level: index + 1,
+    status: 'pending'
+  }));
+};
+
+const canApproveDirectly = (user, level) => level.approverRoles.includes(user.organizationRole) ||
+  level.approverIds.some(id => id.toString() === user._id.toString());
+
+/**
+ * Check whether a user may approve a chain level, directly or as a delegate
+ * @param {Object} user - Acting user document
+ * @param {Object} level - Chain level
+ * @param {string} entityType - sow or po
+ * @returns {Promise<Object|null>} - {delegatedFrom} (null when acting for themselves), or null when not allowed
+ */
+const resolveApprover = async (user, level, entityType) => {
+  if (canApproveDirectly(user, level)) {
+    return { delegatedFrom: null };
+  }
+
+  const now = new Date();
+  const delegations = await ApprovalDelegation.find({
+    organizationId: user.organizationId,
+    delegateId: user._id,
+    entityTypes: entityType,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+    revokedAt: null
+  }).select('delegatorId');
+  if (delegations.length === 0) {
+    return null;
+  }
+
+  const delegators = await User.find({
+    _id: { $in: delegations.map(delegation => delegation.delegatorId) },
+    organizationId: user.organizationId,
+    isActive: { $ne: false }
+  }).select('organizationRole');
+
+  const delegator = delegators.find(candidate => canApproveDirectly(candidate, level));
+  return delegator ? { delegatedFrom: delegator._id } : null;
+};
+
+/**
+ * Record a user's decision on the next pending level of a chain
+ * Updates the chain in memory; the caller saves the document.
+ * @param {Object} options - {chain, user, entityType, status, comments}
+ * @returns {Promise<Object>} - {level, delegatedFrom, complete}: complete when every level has approved
+ */
+const decideApprovalLevel = async ({ chain, user, entityType, status = 'approved', comments }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw new ErrorResponse('status must be approved or rejected', 400);
+  }
+
+  const level = chain.find(candidate => candidate.status === 'pending');
+  if (!level) {
+    throw new ErrorResponse('Every approval level has already been decided', 400);
+  }
+
+  const approver = await resolveApprover(user, level, entityType);
+  if (!approver) {
+    throw new ErrorResponse(`Waiting on level ${level.level} (${level.name}); you are not an approver for this level`, 403);
+  }
+
+  const actedBefore = chain.some(candidate => candidate.status === 'approved' && candidate.userId &&
+    candidate.userId.toString() === user._id.toString());
+  if (actedBefore) {
+    throw new ErrorResponse(`You have already approved an earlier level; level ${level.level} (${level.name}) needs a different approver`, 400);
+  }
+
+  level.status = status;
+  level.userId = user._id;
+  level.delegatedFrom = approver.delegatedFrom;
+  level.date = new Date();
+  level.comments = comments;
+
+  return {
+    level,
+    delegatedFrom: approver.delegatedFrom,
+    complete: status === 'approved' && chain.every(candidate => candidate.status === 'approved')
+  };
+};
+
+module.exports = {
+  DEFAULT_LEVELS,
+  selectLevels,
+  buildApprovalChain,
+  resolveApprover,
+  decideApprovalLevel
+};
@@ -0,0 +1,129 @@
+/**
+ * Audit Trail Utility
+ *
+ * Records AuditLog entries for procurement entities (SOW, PO, invoice) from the
+ * controllers that mutate them, including a field-level diff between the
+ * state before and after the change.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every save and carry no business meaning
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'updatedBy', 'statusDisplay', 'paymentTermsDisplay', 'paymentMethodDisplay', 'daysOverdue'];
+
+/**
+ * Take a plain, serializable snapshot of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} - JSON-safe copy of the document with references depopulated
+ */
+const snapshotEntity = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Compute field-level changes between two snapshots
+ * Nested objects are flattened to dotted paths; arrays are compared as a whole.
+ * @param {Object|null} previousState - Snapshot before the change
+ * @param {Object|null} newState - Snapshot after the change
+ * @param {string} prefix - Path prefix used while recursing
+ * @returns {Array<{field: string, oldValue: *, newValue: *}>} - List of changed fields
+ */
+const diffStates = (previousState, newState, prefix = '') => {
+  const before = previousState || {};
+  const after = newState || {};
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) {
+      return;
+    }
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before[key];
+    const newValue = after[key];
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffStates(oldValue, newValue, field));
+      return;
+    }
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        oldValue: oldValue === undefined ? null : oldValue,
+        newValue: newValue === undefined ? null : newValue
+      });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an audit entry for a mutation performed in a request
+ * Failures are logged and swallowed so that auditing never fails the business operation.
+ * @param {Object} req - Express request (provides the acting user, IP and user agent)
+ * @param {Object} options - Audit details
+ * @param {string} options.entityType - One of the AuditLog entity types (sow, po, invoice, ...)
+ * @param {Object} options.entity - Document after the change (or before, for deletes)
+ * @param {Object|null} options.previousState - Snapshot taken with snapshotEntity before the change
+ * @param {string} options.action - Machine-readable action name, e.g. 'sow_approved'
+ * @param {string} options.actionType - One of the AuditLog action types
+ * @param {boolean} options.deleted - True when the entity no longer exists after the action
+ * @param {string} options.comments - Free-text comments supplied by the actor
+ * @param {Array} options.relatedEntities - Related entity references
+ * @param {Object} options.metadata - Additional context to store with the entry
+ * @returns {Promise<Object|null>} - The created audit log, or null if recording failed
+ */
+const recordAuditEvent = async (req, options) => {
+  const {
+    entityType,
+    entity,
+    previousState = null,
+    action,
+    actionType,
+    deleted = false,
+    comments,
+    relatedEntities = [],
+    metadata = {}
+  } = options;
+
+  try {
+    const newState = deleted ? null : snapshotEntity(entity);
+
+    return await AuditLog.createWithUser({
+      entityType,
+      entityId: entity._id,
+      action,
+      actionType,
+      previousState,
+      newState,
+      changes: diffStates(previousState, newState),
+      comments,
+      relatedEntities,
+      metadata
+    }, req.user, req);
+  } catch (error) {
+    console.error(`Error recording audit event ${action} for ${entityType} ${entity && entity._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshotEntity,
+  diffStates,
+  recordAuditEvent
+};
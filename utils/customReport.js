@@ -0,0 +1,455 @@
+/**
+ * Custom Report Utility
+ *
+ * Compiles a report definition (the createCustomReport request body, or a
+ * saved ReportTemplate) into an aggregation pipeline and runs it. Only fields
+ * and operators listed in the report catalog are accepted; anything else is
+ * rejected with a 400 listing every problem in the definition.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const Invoice = require('../models/Invoice');
+const AdminSkill = require('../models/AdminSkill');
+const Organization = require('../models/Organization');
+const PO = require('../models/PO');
+const ErrorResponse = require('./errorResponse');
+const {
+  OPERATORS_BY_TYPE,
+  AGGREGATION_TYPES,
+  getDataSourceCatalog
+} = require('./reportCatalog');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TIME_RANGES = ['week', 'month', 'quarter', 'year', 'custom'];
+const MAX_LIMIT = 10000;
+const OUTPUT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+// Model queried for each data source
+const DATA_SOURCE_MODELS = {
+  users: User,
+  resources: Resource,
+  requirements: Requirement,
+  applications: Application,
+  skills: AdminSkill,
+  financial: Invoice
+};
+
+// Models that catalog joins look up
+const JOIN_MODELS = {
+  User,
+  Resource,
+  Requirement,
+  Organization,
+  PO
+};
+
+/**
+ * Build the createdAt range for a report
+ * @param {string} timeRange - week, month, quarter, year or custom
+ * @param {string|Date} startDate - Start of a custom range
+ * @param {string|Date} endDate - End of a custom range
+ * @returns {Object} - Mongo range condition
+ */
+const buildDateRange = (timeRange, startDate, endDate) => {
+  if (timeRange === 'custom' && startDate && endDate) {
+    return {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  const now = new Date();
+  switch (timeRange) {
+    case 'week':
+      return { $gte: new Date(now.getTime() - 7 * DAY) };
+    case 'quarter':
+      return { $gte: new Date(now.getTime() - 90 * DAY) };
+    case 'year':
+      return { $gte: new Date(now.getTime() - 365 * DAY) };
+    case 'month':
+    default:
+      return { $gte: new Date(now.getTime() - 30 * DAY) };
+  }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isValidDate = (value) => value !== null && value !== undefined && value !== '' && !isNaN(new Date(value).getTime());
+
+// Convert a single filter value to the field's type, or return an error message
+const coerceValue = (field, key, value) => {
+  switch (field.type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' ? { value: String(value) } : { error: `Value for "${key}" must be text` };
+    case 'enum':
+      return field.values.includes(value) ? { value } : { error: `Value "${value}" is not valid for "${key}"; expected one of: ${field.values.join(', ')}` };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && isFinite(number) ? { value: number } : { error: `Value for "${key}" must be a number` };
+    }
+    case 'date':
+      return isValidDate(value) ? { value: new Date(value) } : { error: `Value for "${key}" must be a valid date` };
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { error: `Value for "${key}" must be true or false` };
+    case 'objectId':
+    case 'objectIdArray':
+      return mongoose.Types.ObjectId.isValid(value) ? { value: new mongoose.Types.ObjectId(value) } : { error: `Value for "${key}" must be a valid id` };
+    default:
+      return { error: `Field "${key}" cannot be filtered` };
+  }
+};
+
+/**
+ * Compile a report definition into aggregation pipelines
+ * @param {Object} definition - Report definition (dataSource, timeRange, filters, groupBy, aggregations, ...)
+ * @returns {{Model: Object, pipeline: Object[], countPipeline: Object[], columns: Object[]}} - Model to query, pipelines for rows and total count, and the { key, header } export columns of each row
+ * @throws {ErrorResponse} - 400 listing every invalid part of the definition
+ */
+const compileCustomReport = (definition = {}) => {
+  const {
+    dataSource,
+    timeRange,
+    startDate,
+    endDate,
+    filters,
+    groupBy,
+    aggregations,
+    sortBy,
+    limit,
+    includeFields,
+    excludeFields
+  } = definition;
+
+  const catalog = getDataSourceCatalog(dataSource);
+
+  if (!catalog) {
+    throw new ErrorResponse(`Invalid data source "${dataSource}"; expected one of: ${Object.keys(DATA_SOURCE_MODELS).join(', ')}`, 400);
+  }
+
+  const errors = [];
+  const requiredJoins = new Set();
+
+  const requireJoin = (joinName) => {
+    for (let name = joinName; name && !requiredJoins.has(name); name = catalog.joins[name].dependsOn) {
+      requiredJoins.add(name);
+    }
+  };
+
+  const resolveField = (key, context) => {
+    if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(catalog.fields, key)) {
+      errors.push(`Unknown field "${key}" in ${context} for data source "${dataSource}"`);
+      return null;
+    }
+
+    const field = catalog.fields[key];
+    if (field.join) {
+      requireJoin(field.join);
+    }
+    return field;
+  };
+
+  const asList = (value, name) => {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    if (!Array.isArray(value)) {
+      errors.push(`${name} must be an array`);
+      return [];
+    }
+    return value;
+  };
+
+  // Time range
+  if (timeRange !== undefined && !TIME_RANGES.includes(timeRange)) {
+    errors.push(`Invalid time range "${timeRange}"; expected one of: ${TIME_RANGES.join(', ')}`);
+  }
+  if (timeRange === 'custom' && (!isValidDate(startDate) || !isValidDate(endDate))) {
+    errors.push('Custom time range requires a valid startDate and endDate');
+  }
+
+  // Filters
+  const baseConditions = [];
+  const joinedConditions = [];
+
+  asList(filters, 'filters').forEach((filter, index) => {
+    const { field: key, operator, value } = filter || {};
+    const field = resolveField(key, `filters[${index}]`);
+
+    if (!field) {
+      return;
+    }
+
+    const operators = OPERATORS_BY_TYPE[field.type];
+    if (!operators.includes(operator)) {
+      errors.push(`Operator "${operator}" is not allowed for field "${key}" (${field.type}); expected one of: ${operators.join(', ')}`);
+      return;
+    }
+
+    const isList = operator === 'in' || operator === 'not_in';
+    const values = isList ? (Array.isArray(value) ? value : [value]) : [value];
+    const coerced = values.map(item => coerceValue(field, key, item));
+    const coercionError = coerced.find(result => result.error);
+
+    if (coercionError) {
+      errors.push(coercionError.error);
+      return;
+    }
+
+    const typed = coerced.map(result => result.value);
+    let condition;
+
+    switch (operator) {
+      case 'equals':
+        // A date matches anywhere within the same (UTC) day
+        condition = field.type === 'date'
+          ? { $gte: new Date(typed[0].getTime() - typed[0].getTime() % DAY), $lt: new Date(typed[0].getTime() - typed[0].getTime() % DAY + DAY) }
+          : typed[0];
+        break;
+      case 'not_equals':
+        condition = { $ne: typed[0] };
+        break;
+      case 'contains':
+        condition = { $regex: escapeRegex(typed[0]), $options: 'i' };
+        break;
+      case 'greater_than':
+        condition = { $gt: typed[0] };
+        break;
+      case 'less_than':
+        condition = { $lt: typed[0] };
+        break;
+      case 'in':
+        condition = { $in: typed };
+        break;
+      case 'not_in':
+        condition = { $nin: typed };
+        break;
+    }
+
+    (field.join ? joinedConditions : baseConditions).push({ [key]: condition });
+  });
+
+  // Grouping and aggregations
+  const groupFields = asList(groupBy, 'groupBy').filter(key => resolveField(key, 'groupBy'));
+  const isGrouped = groupFields.length > 0;
+  const outputNames = new Set();
+  const accumulators = {};
+
+  const aggregationList = asList(aggregations, 'aggregations');
+  if (aggregationList.length > 0 && !isGrouped) {
+    errors.push('aggregations require at least one groupBy field');
+  }
+
+  aggregationList.forEach((aggregation, index) => {
+    const { type, sourceField } = aggregation || {};
+    const name = (aggregation && aggregation.field) || (type === 'count' ? 'count' : undefined);
+
+    if (!AGGREGATION_TYPES.includes(type)) {
+      errors.push(`Invalid aggregation type "${type}" in aggregations[${index}]; expected one of: ${AGGREGATION_TYPES.join(', ')}`);
+      return;
+    }
+    if (!OUTPUT_NAME_PATTERN.test(name || '')) {
+      errors.push(`aggregations[${index}] needs an output name made of letters, digits and underscores`);
+      return;
+    }
+    if (outputNames.has(name)) {
+      errors.push(`Duplicate aggregation output name "${name}"`);
+      return;
+    }
+    outputNames.add(name);
+
+    if (type === 'count') {
+      accumulators[name] = { $sum: 1 };
+      return;
+    }
+
+    const source = resolveField(sourceField, `aggregations[${index}].sourceField`);
+    if (source && source.type !== 'number') {
+      errors.push(`Cannot ${type} field "${sourceField}" because it is not numeric`);
+      return;
+    }
+
+    const operatorName = { sum: '$sum', average: '$avg', min: '$min', max: '$max' }[type];
+    accumulators[name] = { [operatorName]: `$${sourceField}` };
+  });
+
+  if (isGrouped && aggregationList.length === 0) {
+    // Default count if no aggregations specified
+    accumulators.count = { $sum: 1 };
+    outputNames.add('count');
+  }
+
+  // Field selection (raw rows are always projected to catalog fields)
+  const includeList = asList(includeFields, 'includeFields');
+  const excludeList = asList(excludeFields, 'excludeFields');
+
+  if (isGrouped && (includeList.length > 0 || excludeList.length > 0)) {
+    errors.push('includeFields and excludeFields cannot be combined with groupBy');
+  }
+
+  includeList.forEach(key => resolveField(key, 'includeFields'));
+  excludeList.forEach(key => resolveField(key, 'excludeFields'));
+
+  // Sorting
+  let sortStage = null;
+  if (sortBy && sortBy.field) {
+    if (sortBy.order !== undefined && !['asc', 'desc'].includes(sortBy.order)) {
+      errors.push(`Invalid sort order "${sortBy.order}"; expected asc or desc`);
+    }
+    const order = sortBy.order === 'asc' ? 1 : -1;
+
+    if (isGrouped) {
+      if (outputNames.has(sortBy.field)) {
+        sortStage = { [sortBy.field]: order };
+      } else if (groupFields.includes(sortBy.field)) {
+        sortStage = { [`_id.${sortBy.field.replace(/\./g, '_')}`]: order };
+      } else {
+        errors.push(`Cannot sort grouped report by "${sortBy.field}"; sort by a groupBy field or an aggregation output`);
+      }
+    } else if (resolveField(sortBy.field, 'sortBy')) {
+      sortStage = { [sortBy.field]: order };
+    }
+  }
+
+  if (limit !== undefined && limit !== null && (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > MAX_LIMIT)) {
+    errors.push(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (errors.length > 0) {
+    throw new ErrorResponse(`Invalid report definition: ${errors.join('; ')}`, 400);
+  }
+
+  // A base reference field replaced by its joined document is read from the document's _id
+  const fieldExpression = (key) => {
+    return !catalog.fields[key].join && requiredJoins.has(key) ? `$${key}._id` : `$${key}`;
+  };
+
+  const pipeline = [{
+    $match: {
+      createdAt: buildDateRange(timeRange, startDate, endDate),
+      ...(baseConditions.length > 0 && { $and: baseConditions })
+    }
+  }];
+
+  // Joins in dependency order (a join is only added after the join it depends on)
+  Object.entries(catalog.joins)
+    .filter(([name]) => requiredJoins.has(name))
+    .forEach(([name, join]) => {
+      pipeline.push(
+        { $lookup: { from: JOIN_MODELS[join.model].collection.collectionName, localField: join.localField, foreignField: '_id', as: name } },
+        { $unwind: { path: `$${name}`, preserveNullAndEmptyArrays: true } }
+      );
+    });
+
+  if (joinedConditions.length > 0) {
+    pipeline.push({ $match: { $and: joinedConditions } });
+  }
+
+  const countPipeline = [...pipeline, { $count: 'total' }];
+  const columns = [];
+
+  if (isGrouped) {
+    const groupId = {};
+
+    groupFields.forEach(key => {
+      // Group array fields per element, e.g. skill demand counts each skill
+      if (catalog.fields[key].type === 'objectIdArray') {
+        pipeline.push({ $unwind: `$${key}` });
+      }
+      groupId[key.replace(/\./g, '_')] = fieldExpression(key);
+      columns.push({ key: key.replace(/\./g, '_'), header: catalog.fields[key].label });
+    });
+    Object.keys(accumulators).forEach(name => columns.push({ key: name, header: name }));
+
+    pipeline.push({ $group: { _id: groupId, ...accumulators } });
+  } else {
+    const baseKeys = Object.keys(catalog.fields).filter(key => !catalog.fields[key].join);
+    const selected = (includeList.length > 0 ? includeList : baseKeys)
+      .filter(key => !excludeList.includes(key));
+    const projectStage = {};
+    columns.push({ key: '_id', header: 'ID' });
+
+    selected
+      // A parent path cannot be projected together with its own sub-fields
+      .filter(key => !selected.some(other => other.startsWith(`${key}.`)))
+      .forEach(key => {
+        const expression = fieldExpression(key);
+        projectStage[key] = expression === `$${key}` ? 1 : expression;
+        columns.push({ key, header: catalog.fields[key].label });
+      });
+
+    pipeline.push({ $project: projectStage });
+  }
+
+  if (sortStage) {
+    pipeline.push({ $sort: sortStage });
+  }
+
+  if (limit) {
+    pipeline.push({ $limit: Number(limit) });
+  }
+
+  return {
+    Model: DATA_SOURCE_MODELS[dataSource],
+    pipeline,
+    countPipeline,
+    columns
+  };
+};
+
+/**
+ * Check that a report definition compiles
+ * @param {Object} definition - Report definition
+ * @throws {ErrorResponse} - 400 listing every invalid part of the definition
+ */
+const validateReportDefinition = (definition) => {
+  compileCustomReport(definition);
+};
+
+/**
+ * Run a custom report
+ * @param {Object} definition - Report definition (dataSource, timeRange, filters, groupBy, aggregations, ...)
+ * @returns {Promise<{report: Object[], metadata: Object}>} - Report rows and metadata
+ * @throws {ErrorResponse} - 400 when the definition is invalid
+ */
+const runCustomReport = async (definition) => {
+  const { dataSource, timeRange, filters, groupBy, aggregations, sortBy, limit } = definition;
+  const { Model, pipeline, countPipeline } = compileCustomReport(definition);
+
+  const [report, countResult] = await Promise.all([
+    Model.aggregate(pipeline),
+    Model.aggregate(countPipeline)
+  ]);
+
+  return {
+    report,
+    metadata: {
+      dataSource,
+      timeRange,
+      totalCount: countResult.length > 0 ? countResult[0].total : 0,
+      filteredCount: report.length,
+      filters: filters || [],
+      groupBy: groupBy || [],
+      aggregations: aggregations || [],
+      sortBy: sortBy || null,
+      limit: limit || null
+    }
+  };
+};
+
+module.exports = {
+  DATA_SOURCE_MODELS,
+  buildDateRange,
+  compileCustomReport,
+  validateReportDefinition,
+  runCustomReport
+};
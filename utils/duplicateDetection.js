@@ -0,0 +1,402 @@
+/**
+ * Duplicate Detection Utility
+ *
+ * Spots the same person submitted as separate resources, usually by two
+ * vendors. Each resource carries a fingerprint of normalized contact email,
+ * phone, name tokens and attachment file hashes; candidates sharing any of
+ * these are scored, and likely duplicates are queued as ResourceDuplicate
+ * records for an admin to merge or dismiss. Dismissed pairs are never raised
+ * again.
+ */
+
+const Resource = require('../models/Resource');
+const Application = require('../models/Application');
+const File = require('../models/File');
+const ResourceDuplicate = require('../models/ResourceDuplicate');
+const { getSettingsSection } = require('./systemSettings');
+const { getInactiveStatuses } = require('./applicationStatusMapping');
+
+// Points each signal adds to a duplicate score (capped at 100). A name match
+// scales its points by the similarity.
+const SIGNAL_POINTS = {
+  email: 60,
+  phone: 50,
+  file: 60,
+  name: 40
+};
+
+// Most candidates compared per resource; common first names can match many
+const MAX_CANDIDATES = 200;
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Normalize an email address: lowercase, no "+tag", no dots in Gmail addresses
+ * @param {string} email - Email address
+ * @returns {string|null}
+ */
+const normalizeEmail = (email) => {
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    return null;
+  }
+
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  let user = local.split('+')[0];
+  let host = domain;
+
+  if (GMAIL_DOMAINS.includes(host)) {
+    user = user.replace(/\./g, '');
+    host = 'gmail.com';
+  }
+
+  return user && host ? `${user}@${host}` : null;
+};
+
+/**
+ * Normalize a phone number to its last 10 digits, dropping country codes and formatting
+ * @param {string} phone - Phone number
+ * @returns {string|null} - Digits, or null when too short to be useful
+ */
+const normalizePhone = (phone) => {
+  if (!phone) {
+    return null;
+  }
+
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+/**
+ * Split a name into sorted lowercase tokens without accents or punctuation
+ * @param {string} name - Full name
+ * @returns {string[]}
+ */
+const tokenizeName = (name) => {
+  if (!name) {
+    return [];
+  }
+
+  const tokens = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 1);
+
+  return [...new Set(tokens)].sort();
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Compare two names independent of word order
+ * @param {string[]} tokensA - From tokenizeName
+ * @param {string[]} tokensB - From tokenizeName
+ * @returns {number} - 0 (different) to 1 (identical)
+ */
+const nameSimilarity = (tokensA, tokensB) => {
+  if (!tokensA || !tokensB || tokensA.length === 0 || tokensB.length === 0) {
+    return 0;
+  }
+
+  const a = tokensA.join(' ');
+  const b = tokensB.join(' ');
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Read the duplicate detection settings
+ * @returns {Promise<Object>} - {applicationAction, flagScore, blockScore, nameSimilarityThreshold}
+ */
+const getDuplicateConfig = () => getSettingsSection('duplicates');
+
+/**
+ * Compute a resource's fingerprint
+ * @param {Object} resource - Resource document
+ * @returns {Promise<Object>} - {email, phone, nameTokens, fileHashes, computedAt}
+ */
+const buildFingerprint = async (resource) => {
+  const fileQuery = [{ entityType: 'resource', entityId: resource._id }];
+  if (resource.attachment && resource.attachment.fileId) {
+    fileQuery.push({ _id: resource.attachment.fileId });
+  }
+
+  const files = await File.find({ $or: fileQuery, hash: { $ne: null } }).select('hash').lean();
+
+  return {
+    email: normalizeEmail(resource.contact && resource.contact.email),
+    phone: normalizePhone(resource.contact && resource.contact.phone),
+    nameTokens: tokenizeName(resource.name),
+    fileHashes: [...new Set(files.map(file => file.hash))],
+    computedAt: new Date()
+  };
+};
+
+/**
+ * Score how likely two fingerprints belong to the same person
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @param {Object} config - From getDuplicateConfig
+ * @returns {{score: number, reasons: Object[]}}
+ */
+const scoreDuplicate = (a, b, config) => {
+  const reasons = [];
+
+  if (a.email && a.email === b.email) {
+    reasons.push({ type: 'email', detail: `Same email (${a.email})`, points: SIGNAL_POINTS.email });
+  }
+  if (a.phone && a.phone === b.phone) {
+    reasons.push({ type: 'phone', detail: `Same phone number (${a.phone})`, points: SIGNAL_POINTS.phone });
+  }
+
+  const sharedFiles = (a.fileHashes || []).filter(hash => (b.fileHashes || []).includes(hash));
+  if (sharedFiles.length > 0) {
+    reasons.push({ type: 'file', detail: `${sharedFiles.length} identical attachment(s)`, points: SIGNAL_POINTS.file });
+  }
+
+  const similarity = nameSimilarity(a.nameTokens, b.nameTokens);
+  if (similarity >= config.nameSimilarityThreshold) {
+    reasons.push({
+      type: 'name',
+      detail: `Names ${Math.round(similarity * 100)}% similar`,
+      points: Math.round(SIGNAL_POINTS.name * similarity)
+    });
+  }
+
+  const score = Math.min(100, reasons.reduce((total, reason) => total + reason.points, 0));
+  return { score, reasons };
+};
+
+/**
+ * Recompute and store a resource's fingerprint
+ * @param {Object} resource - Resource document
+ * @returns {Promise<Object>} - The fingerprint
+ */
+const refreshFingerprint = async (resource) => {
+  const fingerprint = await buildFingerprint(resource);
+  await Resource.updateOne({ _id: resource._id }, { $set: { fingerprint } });
+  return fingerprint;
+};
+
+const pairKey = (idA, idB) => {
+  const [resourceA, resourceB] = [idA.toString(), idB.toString()].sort();
+  return { resourceA, resourceB };
+};
+
+/**
+ * Find resources that look like duplicates of a resource
+ * @param {Object} resource - Resource document
+ * @param {Object} fingerprint - The resource's current fingerprint
+ * @param {Object} config - From getDuplicateConfig
+ * @returns {Promise<Array>} - [{resource, score, reasons}] at or above the flag score, best first
+ */
+const findDuplicateResources = async (resource, fingerprint, config) => {
+  const signals = [];
+  if (fingerprint.email) {
+    signals.push({ 'fingerprint.email': fingerprint.email });
+  }
+  if (fingerprint.phone) {
+    signals.push({ 'fingerprint.phone': fingerprint.phone });
+  }
+  if (fingerprint.fileHashes.length > 0) {
+    signals.push({ 'fingerprint.fileHashes': { $in: fingerprint.fileHashes } });
+  }
+  if (fingerprint.nameTokens.length > 0) {
+    signals.push({ 'fingerprint.nameTokens': { $in: fingerprint.nameTokens } });
+  }
+  if (signals.length === 0) {
+    return [];
+  }
+
+  const candidates = await Resource.find({
+    _id: { $ne: resource._id },
+    status: { $ne: 'archived' },
+    $or: signals
+  })
+    .select('fingerprint name organizationId createdBy')
+    .limit(MAX_CANDIDATES);
+
+  const dismissed = await ResourceDuplicate.find({
+    status: 'dismissed',
+    $or: [{ resourceA: resource._id }, { resourceB: resource._id }]
+  }).select('resourceA resourceB').lean();
+  const dismissedIds = new Set(dismissed.map(pair =>
+    (pair.resourceA.toString() === resource._id.toString() ? pair.resourceB : pair.resourceA).toString()
+  ));
+
+  return candidates
+    .filter(candidate => !dismissedIds.has(candidate._id.toString()))
+    .map(candidate => ({ resource: candidate, ...scoreDuplicate(fingerprint, candidate.fingerprint, config) }))
+    .filter(match => match.score >= config.flagScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Queue duplicate pairs for review, updating pairs that are already open
+ * Pairs that were merged or dismissed are left alone.
+ * @param {Object} resource - Resource document
+ * @param {Array} matches - From findDuplicateResources
+ * @param {string} applicationId - Application flagged because of these pairs, if any
+ * @returns {Promise<void>}
+ */
+const recordDuplicates = async (resource, matches, applicationId) => {
+  for (const match of matches) {
+    const key = pairKey(resource._id, match.resource._id);
+    const update = {
+      $set: { score: match.score, reasons: match.reasons, lastDetectedAt: new Date() },
+      $setOnInsert: { status: 'open' }
+    };
+    if (applicationId) {
+      update.$addToSet = { applications: applicationId };
+    }
+
+    try {
+      await ResourceDuplicate.updateOne({ ...key, status: { $in: ['open', null] } }, update, { upsert: true });
+    } catch (error) {
+      // The pair exists but was already resolved
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Move a merged resource's open pairs onto the resource it was merged into
+ * A pair the kept resource already has with the same resource takes over the
+ * moved pair's applications instead; if that pair was dismissed, the moved
+ * pair is dropped. Scores still describe the archived resource until the kept
+ * resource is checked again (see checkResourceDuplicates).
+ * @param {string} removedId - Resource that was archived by the merge
+ * @param {string} keptId - Resource it was merged into
+ * @returns {Promise<number>} - Number of pairs moved or folded into existing pairs
+ */
+const repointDuplicates = async (removedId, keptId) => {
+  const pairs = await ResourceDuplicate.find({
+    status: 'open',
+    $or: [{ resourceA: removedId }, { resourceB: removedId }]
+  });
+
+  let moved = 0;
+  for (const pair of pairs) {
+    const otherId = pair.resourceA.toString() === removedId.toString() ? pair.resourceB : pair.resourceA;
+    if (otherId.toString() === keptId.toString()) {
+      continue;
+    }
+
+    const key = pairKey(keptId, otherId);
+    const existing = await ResourceDuplicate.findOne(key);
+    if (!existing) {
+      pair.set(key);
+      await pair.save();
+    } else {
+      if (existing.status === 'open') {
+        await ResourceDuplicate.updateOne({ _id: existing._id }, { $addToSet: { applications: { $each: pair.applications } } });
+      }
+      await pair.deleteOne();
+    }
+    moved += 1;
+  }
+
+  return moved;
+};
+
+/**
+ * Refresh a resource's fingerprint and queue any duplicates it has
+ * Called after resources or their attachments change. Never throws.
+ * @param {string} resourceId - Resource ID
+ * @returns {Promise<void>}
+ */
+const checkResourceDuplicates = async (resourceId) => {
+  try {
+    const resource = await Resource.findById(resourceId);
+    if (!resource || resource.status === 'archived') {
+      return;
+    }
+
+    const config = await getDuplicateConfig();
+    const fingerprint = await refreshFingerprint(resource);
+    const matches = await findDuplicateResources(resource, fingerprint, config);
+    await recordDuplicates(resource, matches);
+  } catch (error) {
+    console.error(`Error checking resource ${resourceId} for duplicates:`, error);
+  }
+};
+
+/**
+ * Screen a new application for duplicate candidates
+ * Likely duplicates that already applied to the same requirement are blocked
+ * when the settings say so; anything else at or above the flag score is
+ * flagged. Fails open: errors are logged and the application goes through.
+ * @param {Object} resource - Resource being submitted
+ * @param {Object} requirement - Requirement applied to
+ * @returns {Promise<Object>} - {blocked, flagged, score, duplicates, matches}
+ */
+const screenApplication = async (resource, requirement) => {
+  const result = { blocked: false, flagged: false, score: 0, duplicates: [], matches: [] };
+
+  try {
+    const config = await getDuplicateConfig();
+    const fingerprint = await refreshFingerprint(resource);
+    const matches = await findDuplicateResources(resource, fingerprint, config);
+    if (matches.length === 0) {
+      return result;
+    }
+
+    const sameRequirement = await Application.find({
+      requirement: requirement._id,
+      resource: { $in: matches.map(match => match.resource._id) },
+      status: { $nin: getInactiveStatuses() }
+    }).distinct('resource');
+    const appliedIds = new Set(sameRequirement.map(id => id.toString()));
+
+    result.matches = matches;
+    result.flagged = true;
+    result.score = matches[0].score;
+    result.duplicates = matches.map(match => ({
+      resource: match.resource._id,
+      score: match.score,
+      sameRequirement: appliedIds.has(match.resource._id.toString())
+    }));
+    result.blocked = config.applicationAction === 'block' &&
+      result.duplicates.some(duplicate => duplicate.sameRequirement && duplicate.score >= config.blockScore);
+  } catch (error) {
+    console.error(`Error screening resource ${resource._id} for duplicates:`, error);
+  }
+
+  return result;
+};
+
+module.exports = {
+  SIGNAL_POINTS,
+  normalizeEmail,
+  normalizePhone,
+  tokenizeName,
+  nameSimilarity,
+  getDuplicateConfig,
+  buildFingerprint,
+  scoreDuplicate,
+  refreshFingerprint,
+  findDuplicateResources,
+  recordDuplicates,
+  repointDuplicates,
+  checkResourceDuplicates,
+  screenApplication
+};
@@ -0,0 +1,232 @@
+/**
+ * Email Queue Utility
+ *
+ * Outbound emails are stored in the EmailMessage collection before delivery and
+ * sent in the background, so requests never wait on SMTP. Failed deliveries are
+ * retried with exponential backoff; after maxAttempts the message is moved to
+ * the dead-letter state, where an admin can inspect and resend it.
+ * Attachment content is written to disk once, named by its SHA-256 hash, so the
+ * same file sent to many recipients is stored a single time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EmailMessage = require('../models/EmailMessage');
+const { deliverMail, getTransportName } = require('./mailTransport');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A message stuck in "sending" for longer than this is assumed to be abandoned
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Directory where queued email attachments are stored
+ * @returns {string} - Absolute directory path
+ */
+const getAttachmentDir = () => {
+  return path.resolve(process.env.EMAIL_ATTACHMENT_DIR || path.join(process.env.UPLOAD_PATH || './uploads', 'email-attachments'));
+};
+
+/**
+ * Store an attachment's content on disk, unless identical content is already stored
+ * @param {Object} attachment - {filename, content, contentType}
+ * @returns {Promise<Object>} - Attachment reference ({filename, storageKey, contentType, size})
+ */
+const storeAttachment = async (attachment) => {
+  const content = Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(attachment.content);
+  const storageKey = crypto.createHash('sha256').update(content).digest('hex');
+  const directory = getAttachmentDir();
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  try {
+    await fs.promises.writeFile(path.join(directory, storageKey), content, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  return {
+    filename: attachment.filename,
+    storageKey,
+    contentType: attachment.contentType,
+    size: content.length
+  };
+};
+
+/**
+ * Get the delay before the next delivery attempt
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const baseDelay = (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) * 1000) || BASE_RETRY_DELAY_MS;
+  return Math.min(baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+};
+
+// Claim a message for delivery so that it is only sent once
+const claimMessage = (filter) => {
+  return EmailMessage.findOneAndUpdate(
+    filter,
+    { $set: { status: 'sending', lockedAt: new Date() } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const dueFilter = () => {
+  const now = new Date();
+  return {
+    $or: [
+      { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MS) } }
+    ]
+  };
+};
+
+/**
+ * Attempt delivery of a claimed message and record the outcome
+ * @param {Object} message - EmailMessage document in the "sending" state
+ * @returns {Promise<Object>} - The updated message
+ */
+const attemptDelivery = async (message) => {
+  message.attempts += 1;
+
+  try {
+    const result = await deliverMail({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments.map(attachment => ({
+        filename: attachment.filename,
+        path: path.join(getAttachmentDir(), attachment.storageKey),
+        contentType: attachment.contentType
+      }))
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.messageId = result.messageId;
+    message.transport = result.transport;
+    message.lastError = undefined;
+  } catch (error) {
+    message.lastError = error.message;
+    message.errorHistory.push({ attempt: message.attempts, message: error.message });
+    message.transport = getTransportName();
+
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'dead';
+      console.error(`Email ${message._id} to ${message.to} moved to dead letter after ${message.attempts} attempts:`, error.message);
+    } else {
+      message.status = 'failed';
+      message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attempts));
+      console.error(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}), retrying at ${message.nextAttemptAt.toISOString()}:`, error.message);
+    }
+  }
+
+  message.lockedAt = undefined;
+  return message.save();
+};
+
+/**
+ * Try to deliver a single message straight away, if it is still due
+ * @param {string} messageId - EmailMessage id
+ * @returns {Promise<Object|null>} - The updated message, or null if it was not due
+ */
+const processEmailMessage = async (messageId) => {
+  const message = await claimMessage({ _id: messageId, ...dueFilter() });
+  return message ? attemptDelivery(message) : null;
+};
+
+/**
+ * Deliver every due message in the outbox
+ * @returns {Promise<{sent: number, failed: number, dead: number}>} - Outcome counts
+ */
+const processEmailQueue = async () => {
+  const summary = { sent: 0, failed: 0, dead: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await claimMessage(dueFilter());
+    if (!message) {
+      break;
+    }
+
+    const result = await attemptDelivery(message);
+    summary[result.status] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Store an email in the outbox and start delivering it in the background
+ * @param {Object} options - Message details
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @param {string} options.html - HTML body
+ * @param {Array} options.attachments - Attachments ({filename, content, contentType})
+ * @param {string} options.template - Template key the message was rendered from
+ * @returns {Promise<Object>} - The queued EmailMessage
+ */
+const enqueueEmail = async ({ to, subject, text, html, attachments = [], template }) => {
+  const storedAttachments = [];
+  for (const attachment of attachments) {
+    storedAttachments.push(await storeAttachment(attachment));
+  }
+
+  const message = await EmailMessage.create({
+    to,
+    subject,
+    text,
+    html,
+    attachments: storedAttachments,
+    template,
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+  });
+
+  // First attempt happens outside the request; the queue job picks up anything that fails
+  setImmediate(() => {
+    processEmailMessage(message._id).catch(error => {
+      console.error(`Error delivering email ${message._id}:`, error);
+    });
+  });
+
+  return message;
+};
+
+/**
+ * Put a failed or dead message back in the queue for immediate delivery
+ * @param {Object} message - EmailMessage document
+ * @param {string} userId - Admin requesting the resend
+ * @returns {Promise<Object>} - The updated message
+ */
+const resendEmail = async (message, userId) => {
+  message.status = 'pending';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  message.lockedAt = undefined;
+  message.resentBy = userId;
+  message.resentAt = new Date();
+  await message.save();
+
+  setImmediate(() => {
+    processEmailMessage(message._id).catch(error => {
+      console.error(`Error delivering email ${message._id}:`, error);
+    });
+  });
+
+  return message;
+};
+
+module.exports = {
+  getAttachmentDir,
+  getRetryDelay,
+  enqueueEmail,
+  processEmailMessage,
+  processEmailQueue,
+  resendEmail
+};
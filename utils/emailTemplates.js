@@ -0,0 +1,282 @@
+/**
+ * Email Templates Utility
+ *
+ * Loads email templates from the database (seeding the built-in defaults on
+ * first use), renders them to subject/HTML/text and sends them.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const sendEmail = require('./sendEmail');
+const { getSettingsSection } = require('./systemSettings');
+const {
+  TemplateError,
+  parseTemplate,
+  renderTemplate,
+  assertRequiredVariables,
+  htmlToText,
+  textToHtml
+} = require('./templateRenderer');
+
+const SIGNATURE_HTML = '<p>Best regards,<br>The {{siteName}} Team</p>';
+const SIGNATURE_TEXT = 'Best regards,\nThe {{siteName}} Team';
+
+// Built-in templates, seeded into the database the first time they are used
+const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    key: 'welcome',
+    name: 'Welcome Email',
+    description: 'Sent to new users after registration',
+    subject: 'Welcome to {{siteName}}',
+    htmlBody: `<p>Hello {{name}},</p><p>Welcome to {{siteName}}! We're excited to have you join our community.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello {{name}},\n\nWelcome to {{siteName}}! We're excited to have you join our community.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['name'],
+    sampleData: { name: 'Jane Doe' }
+  },
+  {
+    key: 'order_confirmation',
+    name: 'Order Confirmation',
+    description: 'Sent to clients when an order is confirmed',
+    subject: 'Your Order Confirmation #{{orderNumber}}',
+    htmlBody: `<p>Hello {{name}},</p><p>Your order #{{orderNumber}} has been confirmed.</p><p>Order Details:</p><ul><li>Service: {{serviceName}}</li><li>Date: {{date}}</li><li>Amount: {{amount}}</li></ul><p>Thank you for your business!</p>${SIGNATURE_HTML}`,
+    textBody: `Hello {{name}},\n\nYour order #{{orderNumber}} has been confirmed.\n\nOrder Details:\nService: {{serviceName}}\nDate: {{date}}\nAmount: {{amount}}\n\nThank you for your business!\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['name', 'orderNumber', 'serviceName', 'date', 'amount'],
+    sampleData: { name: 'Jane Doe', orderNumber: 'ORD-1001', serviceName: 'Website Audit', date: '2024-01-15', amount: '$250.00' }
+  },
+  {
+    key: 'password_reset',
+    name: 'Password Reset',
+    description: 'Sent when a user requests a password reset',
+    subject: 'Password Reset Request',
+    htmlBody: `<p>Hello {{name}},</p><p>You recently requested to reset your password. Please click the link below to reset it:</p><p><a href="{{resetLink}}">{{resetLink}}</a></p><p>This link expires in {{expiresInMinutes}} minutes. If you did not request this, please ignore this email.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello {{name}},\n\nYou recently requested to reset your password. Please click the link below to reset it:\n\n{{resetLink}}\n\nThis link expires in {{expiresInMinutes}} minutes. If you did not request this, please ignore this email.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['name', 'resetLink', 'expiresInMinutes'],
+    sampleData: { name: 'Jane Doe', resetLink: 'https://example.com/reset-password/abc123', expiresInMinutes: 10 }
+  },
+  {
+    key: 'account_verification',
+    name: 'Account Verification',
+    description: 'Sent to verify a user\'s email address with a link',
+    subject: 'Verify your {{siteName}} account',
+    htmlBody: `<p>Hello {{name}},</p><p>Please verify your account by clicking the link below:</p><p><a href="{{verificationUrl}}">{{verificationUrl}}</a></p>${SIGNATURE_HTML}`,
+    textBody: `Hello {{name}},\n\nPlease verify your account by clicking the link below:\n\n{{verificationUrl}}\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['name', 'verificationUrl'],
+    sampleData: { name: 'Jane Doe', verificationUrl: 'https://example.com/api/auth/verify-email/abc123' }
+  },
+  {
+    key: 'email_otp',
+    name: 'Email Verification Code',
+    description: 'One-time password sent during registration and email verification',
+    subject: 'Your {{siteName}} verification code',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>Your verification code is:</p><h2>{{otp}}</h2><p>This code expires in {{expiresInMinutes}} minutes. Do not share it with anyone.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\nYour verification code is: {{otp}}\n\nThis code expires in {{expiresInMinutes}} minutes. Do not share it with anyone.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['otp', 'expiresInMinutes'],
+    sampleData: { name: 'Jane Doe', otp: '123456', expiresInMinutes: 10 }
+  },
+  {
+    key: 'employee_invite',
+    name: 'Employee Invitation',
+    description: 'Sent to employees added to a vendor or client organization',
+    subject: 'You have been added to {{organizationName}} on {{siteName}}',
+    htmlBody: `<p>Hello {{name}},</p><p>{{invitedBy}} has added you to <strong>{{organizationName}}</strong>{{#if role}} as {{role}}{{/if}}.</p><p>To activate your account, verify your email with this code:</p><h2>{{otp}}</h2><p>The code expires in {{expiresInMinutes}} minutes.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello {{name}},\n\n{{invitedBy}} has added you to {{organizationName}}{{#if role}} as {{role}}{{/if}}.\n\nTo activate your account, verify your email with this code: {{otp}}\n\nThe code expires in {{expiresInMinutes}} minutes.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['name', 'invitedBy', 'organizationName', 'otp', 'expiresInMinutes'],
+    sampleData: { name: 'John Smith', invitedBy: 'Jane Doe', organizationName: 'Acme Corp', role: 'vendor employee', otp: '123456', expiresInMinutes: 10 }
+  },
+  {
+    key: 'scheduled_report',
+    name: 'Scheduled Report',
+    description: 'Delivers the output of a scheduled admin report as an attachment',
+    subject: '{{reportName}} ({{frequency}} report, {{runDate}})',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>Your {{frequency}} report <strong>{{reportName}}</strong> is attached as {{filename}}.</p><p>It contains {{rowCount}} rows.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\nYour {{frequency}} report "{{reportName}}" is attached as {{filename}}.\n\nIt contains {{rowCount}} rows.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['reportName', 'frequency', 'runDate', 'filename', 'rowCount'],
+    sampleData: { name: 'Jane Doe', reportName: 'Application Conversion Rates', frequency: 'weekly', runDate: '2024-01-15', filename: 'application-conversion-rates-2024-01-15.csv', rowCount: 12 }
+  },
+  {
+    key: 'interview_update',
+    name: 'Interview Update',
+    description: 'Sent to the vendor, client and panel when an interview is proposed, scheduled, rescheduled or cancelled',
+    subject: '{{interviewTitle}} - {{requirementTitle}}',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>{{headline}}</p>{{#if when}}<p>When: {{when}}</p>{{/if}}{{#if slots}}<p>Proposed times: {{slots}}</p>{{/if}}{{#if location}}<p>Where: {{location}}</p>{{/if}}{{#if reason}}<p>Reason: {{reason}}</p>{{/if}}${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\n{{headline}}\n{{#if when}}\nWhen: {{when}}{{/if}}{{#if slots}}\nProposed times: {{slots}}{{/if}}{{#if location}}\nWhere: {{location}}{{/if}}{{#if reason}}\nReason: {{reason}}{{/if}}\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['interviewTitle', 'requirementTitle', 'headline'],
+    sampleData: { name: 'Jane Doe', interviewTitle: 'Technical interview (round 1)', requirementTitle: 'Senior React Developer', headline: 'Your round 1 interview for Senior React Developer has been scheduled.', when: '2024-01-15 14:00 UTC', location: 'https://meet.example.com/abc' }
+  },
+  {
+    key: 'offer_update',
+    name: 'Offer Update',
+    description: 'Sent to the vendor and client when an offer is made, countered, revised, accepted, declined or expires',
+    subject: '{{title}} - {{requirementTitle}}',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>{{headline}}</p>{{#if summary}}<p>{{summary}}</p>{{/if}}{{#if message}}<p>Message: {{message}}</p>{{/if}}{{#if reason}}<p>Reason: {{reason}}</p>{{/if}}{{#if expiresAt}}<p>Please respond by {{expiresAt}}. The offer letter is attached.</p>{{/if}}${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\n{{headline}}\n{{#if summary}}\n{{summary}}{{/if}}{{#if message}}\nMessage: {{message}}{{/if}}{{#if reason}}\nReason: {{reason}}{{/if}}{{#if expiresAt}}\nPlease respond by {{expiresAt}}. The offer letter is attached.{{/if}}\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['title', 'requirementTitle', 'headline'],
+    sampleData: { name: 'Jane Doe', title: 'New Offer', requirementTitle: 'Senior React Developer', headline: 'An offer has been made for John Smith for Senior React Developer.', summary: 'USD 85.00 per hour for 12 weeks, starting 2024-02-01', expiresAt: '2024-01-22' }
+  },
+  {
+    // Rendered into the offer PDF rather than sent as an email
+    key: 'offer_letter',
+    name: 'Offer Letter',
+    description: 'Content of the offer letter PDF. The subject is the letter title and the text body is the letter',
+    subject: 'Offer for {{requirementTitle}}',
+    textBody: `Dear {{resourceName}},\n\nWe are pleased to offer you the {{requirementTitle}} engagement on the following terms.\n\nRate: {{rate}}\nStart date: {{startDate}}\nDuration: {{durationWeeks}} weeks\n{{#if terms}}\nTerms:\n{{terms}}\n{{/if}}\nThis offer (revision {{revision}}) is valid until {{expiresAt}}.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['resourceName', 'requirementTitle', 'rate', 'startDate', 'durationWeeks', 'expiresAt', 'revision'],
+    sampleData: { resourceName: 'John Smith', requirementTitle: 'Senior React Developer', rate: 'USD 85.00 per hour', startDate: '2024-02-01', durationWeeks: 12, expiresAt: '2024-01-22', revision: 1, terms: 'Standard contractor terms apply.' }
+  },
+  {
+    key: 'follow_up_reminder',
+    name: 'Follow-up Reminder',
+    description: 'Sent to the user who set a follow-up on an application when it becomes due',
+    subject: 'Follow-up due: {{resourceName}} for {{requirementTitle}}',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>{{headline}}</p>{{#if dueDate}}<p>Due: {{dueDate}}</p>{{/if}}{{#if notes}}<p>Notes: {{notes}}</p>{{/if}}<p>Mark it as done or snooze it from your follow-ups list.</p>${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\n{{headline}}\n{{#if dueDate}}\nDue: {{dueDate}}{{/if}}{{#if notes}}\nNotes: {{notes}}{{/if}}\n\nMark it as done or snooze it from your follow-ups list.\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['requirementTitle', 'resourceName', 'headline'],
+    sampleData: { name: 'Jane Doe', requirementTitle: 'Senior React Developer', resourceName: 'John Smith', headline: 'Your follow-up on John Smith for Senior React Developer is due.', dueDate: '2024-01-15', notes: 'Check availability after the client call' }
+  },
+  {
+    key: 'workflow_step',
+    name: 'Workflow Step',
+    description: 'Default email for workflow step notifications, sent when a step becomes active',
+    subject: '{{workflowName}}: {{stepName}} - {{requirementTitle}}',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>{{headline}}</p><p>Application status: {{applicationStatus}}</p>${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\n{{headline}}\n\nApplication status: {{applicationStatus}}\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['workflowName', 'stepName', 'requirementTitle', 'headline'],
+    sampleData: { name: 'Jane Doe', workflowName: 'Standard Hiring', stepName: 'Client Review', requirementTitle: 'Senior React Developer', resourceName: 'John Smith', applicationStatus: 'applied', headline: 'Client Review is waiting on the client for John Smith on Senior React Developer.' }
+  },
+  {
+    key: 'workflow_escalation',
+    name: 'Workflow Escalation',
+    description: 'Sent when a workflow step is escalated for being overdue or a workflow runs past its maximum processing time',
+    subject: '{{title}}: {{resourceName}} for {{requirementTitle}}',
+    htmlBody: `<p>Hello{{#if name}} {{name}}{{/if}},</p><p>{{headline}}</p><p>Workflow: {{workflowName}}</p>${SIGNATURE_HTML}`,
+    textBody: `Hello{{#if name}} {{name}}{{/if}},\n\n{{headline}}\n\nWorkflow: {{workflowName}}\n\n${SIGNATURE_TEXT}`,
+    requiredVariables: ['title', 'workflowName', 'requirementTitle', 'resourceName', 'headline'],
+    sampleData: { name: 'Jane Doe', title: 'Workflow Step Escalated', workflowName: 'Standard Hiring', requirementTitle: 'Senior React Developer', resourceName: 'John Smith', headline: '"Client Review" for John Smith on Senior React Developer was waiting on the client for too long and has been escalated to the admin.' }
+  }
+];
+
+const toVersionEntry = (template, extra = {}) => ({
+  version: template.version || 1,
+  subject: template.subject,
+  htmlBody: template.htmlBody,
+  textBody: template.textBody,
+  requiredVariables: template.requiredVariables,
+  ...extra
+});
+
+/**
+ * Insert any built-in templates that are not yet in the database
+ * @returns {Promise<void>}
+ */
+const seedDefaultTemplates = async () => {
+  const existing = await EmailTemplate.find().select('key').lean();
+  const existingKeys = new Set(existing.map(template => template.key));
+
+  const missing = DEFAULT_EMAIL_TEMPLATES.filter(template => !existingKeys.has(template.key));
+
+  for (const template of missing) {
+    try {
+      await EmailTemplate.create({ ...template, versions: [toVersionEntry(template)] });
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Get an email template by key, seeding the built-in defaults if needed
+ * @param {string} key - Template key
+ * @returns {Promise<Object|null>} - Template document, or null if unknown
+ */
+const getEmailTemplate = async (key) => {
+  let template = await EmailTemplate.findOne({ key });
+
+  if (!template && DEFAULT_EMAIL_TEMPLATES.some(defaultTemplate => defaultTemplate.key === key)) {
+    await seedDefaultTemplates();
+    template = await EmailTemplate.findOne({ key });
+  }
+
+  return template;
+};
+
+/**
+ * Check a template's sources for syntax errors
+ * @param {Object} content - Subject, htmlBody and textBody
+ * @throws {TemplateError} - When a source cannot be parsed
+ */
+const validateTemplateContent = ({ subject, htmlBody, textBody }) => {
+  [['subject', subject], ['htmlBody', htmlBody], ['textBody', textBody]].forEach(([field, source]) => {
+    if (!source) {
+      return;
+    }
+    try {
+      parseTemplate(source);
+    } catch (error) {
+      throw new TemplateError(`Invalid ${field}: ${error.message}`);
+    }
+  });
+};
+
+/**
+ * Render a template to subject, HTML and text
+ * @param {Object} template - Template document or plain object
+ * @param {Object} variables - Template variables
+ * @returns {Promise<{subject: string, html: string, text: string}>} - Rendered email content
+ * @throws {TemplateError} - When a required variable is missing or the template is invalid
+ */
+const renderEmailTemplate = async (template, variables = {}) => {
+  const { siteName } = await getSettingsSection('general');
+  const data = { siteName, ...variables };
+
+  assertRequiredVariables(template.requiredVariables, data);
+
+  const subject = renderTemplate(template.subject, data).trim();
+  const html = template.htmlBody
+    ? renderTemplate(template.htmlBody, data, { escape: true })
+    : textToHtml(renderTemplate(template.textBody, data));
+  const text = template.textBody
+    ? renderTemplate(template.textBody, data)
+    : htmlToText(html);
+
+  return { subject, html, text };
+};
+
+/**
+ * Render a named template and send it
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.template - Template key
+ * @param {Object} options.variables - Template variables
+ * @param {Array} options.attachments - Attachments ({filename, content, contentType})
+ * @returns {Promise<Object>} - The queued EmailMessage
+ */
+const sendTemplatedEmail = async ({ to, template: key, variables = {}, attachments }) => {
+  const template = await getEmailTemplate(key);
+
+  if (!template || !template.isActive) {
+    throw new TemplateError(`Email template "${key}" not found or inactive`);
+  }
+
+  const { subject, html, text } = await renderEmailTemplate(template, variables);
+
+  return sendEmail({
+    email: to,
+    subject,
+    message: text,
+    html,
+    attachments,
+    template: key
+  });
+};
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES,
+  seedDefaultTemplates,
+  getEmailTemplate,
+  validateTemplateContent,
+  renderEmailTemplate,
+  sendTemplatedEmail,
+  toVersionEntry
+};
@@ -0,0 +1,122 @@
+/**
+ * Follow-ups Utility
+ *
+ * Follow-ups are set on application history entries (followUpRequired,
+ * followUpDate, followUpNotes) and belong to the user who created the entry.
+ * This module works out where a follow-up stands and sends its reminders.
+ */
+
+const { createNotification } = require('../controllers/notificationController');
+const { sendTemplatedEmail } = require('./emailTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the query for a user's follow-ups
+ * @param {string} userId - User who set the follow-ups
+ * @param {string} status - 'open', 'done' or 'all'
+ * @returns {Object} - ApplicationHistory query
+ */
+const buildFollowUpQuery = (userId, status = 'open') => {
+  const query = {
+    createdBy: userId,
+    $or: [{ followUpRequired: true }, { followUpDate: { $ne: null } }]
+  };
+
+  if (status === 'open') {
+    query.followUpCompletedAt = null;
+  } else if (status === 'done') {
+    query.followUpCompletedAt = { $ne: null };
+  }
+
+  return query;
+};
+
+/**
+ * Get the date a follow-up is currently due: its follow-up date, or the snooze date if later
+ * @param {Object} entry - ApplicationHistory entry
+ * @returns {Date|null}
+ */
+const getFollowUpDueAt = (entry) => {
+  if (entry.followUpSnoozedUntil && (!entry.followUpDate || entry.followUpSnoozedUntil > entry.followUpDate)) {
+    return entry.followUpSnoozedUntil;
+  }
+  return entry.followUpDate || null;
+};
+
+/**
+ * Work out where a follow-up stands
+ * @param {Object} entry - ApplicationHistory entry
+ * @param {Date} now - Current time
+ * @returns {string} - 'done', 'unscheduled', 'upcoming', 'snoozed', 'due' or 'overdue' (more than a day past due)
+ */
+const getFollowUpState = (entry, now = new Date()) => {
+  if (entry.followUpCompletedAt) {
+    return 'done';
+  }
+
+  const dueAt = getFollowUpDueAt(entry);
+  if (!dueAt) {
+    return 'unscheduled';
+  }
+  if (dueAt > now) {
+    return entry.followUpSnoozedUntil && dueAt.getTime() === entry.followUpSnoozedUntil.getTime() ? 'snoozed' : 'upcoming';
+  }
+  return now.getTime() - dueAt.getTime() > DAY_MS ? 'overdue' : 'due';
+};
+
+/**
+ * Remind the user who set a follow-up that it is due
+ * Never throws - a failed reminder is logged and not retried.
+ * @param {Object} entry - ApplicationHistory entry with application (requirement, resource) and createdBy populated
+ * @returns {Promise<void>}
+ */
+const sendFollowUpReminder = async (entry) => {
+  const user = entry.createdBy;
+  const application = entry.application;
+  if (!user || user.isActive === false || !application) {
+    return;
+  }
+
+  const requirementTitle = application.requirement ? application.requirement.title : 'a requirement';
+  const resourceName = application.resource ? application.resource.name : 'a resource';
+  const state = getFollowUpState(entry);
+  const dueAt = getFollowUpDueAt(entry);
+  const headline = `Your follow-up on ${resourceName} for ${requirementTitle} is ${state === 'overdue' ? 'overdue' : 'due'}.`;
+
+  try {
+    await createNotification({
+      recipient: user._id,
+      type: 'follow_up_reminder',
+      title: state === 'overdue' ? 'Follow-up Overdue' : 'Follow-up Due',
+      message: entry.followUpNotes ? `${headline} ${entry.followUpNotes}` : headline,
+      relatedRequirement: application.requirement ? application.requirement._id : undefined,
+      actionUrl: `/applications/${application._id}`,
+      priority: state === 'overdue' ? 'high' : 'medium'
+    });
+
+    if (user.email) {
+      await sendTemplatedEmail({
+        to: user.email,
+        template: 'follow_up_reminder',
+        variables: {
+          name: user.firstName,
+          requirementTitle,
+          resourceName,
+          headline,
+          dueDate: dueAt ? dueAt.toISOString().slice(0, 10) : undefined,
+          notes: entry.followUpNotes
+        }
+      });
+    }
+  } catch (error) {
+    console.error(`Error sending follow-up reminder for history entry ${entry._id}:`, error);
+  }
+};
+
+module.exports = {
+  buildFollowUpQuery,
+  getFollowUpDueAt,
+  getFollowUpState,
+  sendFollowUpReminder
+};
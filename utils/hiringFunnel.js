@@ -0,0 +1,370 @@
+/**
+ * Hiring Funnel Utility
+ *
+ * Funnel analytics computed from ApplicationHistory transitions rather than
+ * from applications' current status: how many applications reached each stage,
+ * the conversion between consecutive stages, how long applications spent in
+ * each stage (median and p90) and why applications were rejected. Results can
+ * be filtered and sliced by requirement, client organization, vendor
+ * organization, skill and month.
+ */
+
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Requirement = require('../models/Requirement');
+const Organization = require('../models/Organization');
+const AdminSkill = require('../models/AdminSkill');
+const ErrorResponse = require('./errorResponse');
+const { roundTo, rate } = require('./reportMath');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Funnel stages in order. "pending" is counted as "applied".
+const FUNNEL_STAGES = ['applied', 'shortlisted', 'interview', 'accepted', 'offer_created', 'offer_accepted', 'onboarded'];
+
+const STAGE_ALIASES = { pending: 'applied' };
+
+const STAGE_LABELS = {
+  applied: 'Applied',
+  shortlisted: 'Shortlisted',
+  interview: 'Interview',
+  accepted: 'Accepted',
+  offer_created: 'Offer Made',
+  offer_accepted: 'Offer Accepted',
+  onboarded: 'Onboarded'
+};
+
+// Dimensions results can be sliced by, and how to label their values
+const SLICE_DIMENSIONS = {
+  month: { field: 'month' },
+  requirement: { field: 'requirement', model: Requirement, labelField: 'title' },
+  clientOrganization: { field: 'clientOrganization', model: Organization, labelField: 'name' },
+  vendorOrganization: { field: 'vendorOrganization', model: Organization, labelField: 'name' },
+  skill: { field: 'skills', model: AdminSkill, labelField: 'name' }
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const toObjectId = (value, name) => {
+  if (!mongoose.isObjectIdOrHexString(value)) {
+    throw new ErrorResponse(`${name} must be a valid id`, 400);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const toStage = (status) => STAGE_ALIASES[status] || status;
+
+/**
+ * Read funnel filters and slicing from a request query
+ * @param {Object} query - Request query
+ * @returns {Object} - {requirementId, clientOrganizationId, vendorOrganizationId, skillId, month, startDate, endDate, groupBy}
+ * @throws {ErrorResponse} - 400 for invalid values
+ */
+const parseFunnelOptions = (query) => {
+  const options = {};
+
+  [['requirementId', 'requirementId'], ['clientOrganizationId', 'clientOrganizationId'],
+    ['vendorOrganizationId', 'vendorOrganizationId'], ['skillId', 'skillId']].forEach(([param, key]) => {
+    if (query[param]) {
+      options[key] = toObjectId(query[param], param);
+    }
+  });
+
+  if (query.month) {
+    if (!MONTH_PATTERN.test(query.month)) {
+      throw new ErrorResponse('month must be in YYYY-MM format', 400);
+    }
+    options.month = query.month;
+  }
+
+  ['startDate', 'endDate'].forEach(param => {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        throw new ErrorResponse(`${param} must be a valid date`, 400);
+      }
+      options[param] = date;
+    }
+  });
+
+  if (query.groupBy) {
+    if (!SLICE_DIMENSIONS[query.groupBy]) {
+      throw new ErrorResponse(`Invalid groupBy. Valid values are: ${Object.keys(SLICE_DIMENSIONS).join(', ')}`, 400);
+    }
+    options.groupBy = query.groupBy;
+  }
+
+  return options;
+};
+
+// Applications in scope, with the fields used for filtering and slicing
+const loadApplications = async (options) => {
+  const applicationMatch = {};
+  if (options.requirementId) {
+    applicationMatch.requirement = options.requirementId;
+  }
+  if (options.startDate || options.endDate) {
+    applicationMatch.createdAt = {};
+    if (options.startDate) {
+      applicationMatch.createdAt.$gte = options.startDate;
+    }
+    if (options.endDate) {
+      applicationMatch.createdAt.$lte = options.endDate;
+    }
+  }
+
+  const scopeMatch = {};
+  if (options.clientOrganizationId) {
+    scopeMatch.clientOrganization = options.clientOrganizationId;
+  }
+  // Clients without an organization see their own requirements
+  if (options.requirementOwnerId) {
+    scopeMatch.requirementOwner = options.requirementOwnerId;
+  }
+  if (options.vendorOrganizationId) {
+    scopeMatch.vendorOrganization = options.vendorOrganizationId;
+  }
+  if (options.skillId) {
+    scopeMatch.skills = options.skillId;
+  }
+  if (options.month) {
+    scopeMatch.month = options.month;
+  }
+
+  return Application.aggregate([
+    { $match: applicationMatch },
+    {
+      $lookup: {
+        from: 'requirements',
+        localField: 'requirement',
+        foreignField: '_id',
+        as: 'requirementInfo'
+      }
+    },
+    {
+      $lookup: {
+        from: 'resources',
+        localField: 'resource',
+        foreignField: '_id',
+        as: 'resourceInfo'
+      }
+    },
+    {
+      $project: {
+        status: 1,
+        createdAt: 1,
+        requirement: 1,
+        month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+        clientOrganization: { $arrayElemAt: ['$requirementInfo.organizationId', 0] },
+        requirementOwner: { $arrayElemAt: ['$requirementInfo.createdBy', 0] },
+        vendorOrganization: { $arrayElemAt: ['$resourceInfo.organizationId', 0] },
+        skills: { $ifNull: [{ $arrayElemAt: ['$requirementInfo.skills', 0] }, []] }
+      }
+    },
+    { $match: scopeMatch }
+  ]);
+};
+
+/**
+ * Walk one application's status changes
+ * @param {Object} application - Application with createdAt
+ * @param {Object[]} history - Its history entries, oldest first
+ * @returns {{reached: Set<string>, durations: Object}} - Stages reached, and hours spent in each completed stage visit
+ */
+const traceApplication = (application, history) => {
+  const reached = new Set();
+  const durations = {};
+
+  // Status changes only; interview and offer notes keep the status unchanged
+  const changes = history.filter(entry => entry.previousStatus !== entry.status);
+
+  let stage = toStage(changes.length > 0 && changes[0].previousStatus ? changes[0].previousStatus : 'applied');
+  let enteredAt = application.createdAt;
+
+  changes.forEach((entry, index) => {
+    // The entry recorded at creation sets the starting status
+    if (index === 0 && !entry.previousStatus) {
+      stage = toStage(entry.status);
+      return;
+    }
+
+    reached.add(stage);
+    const nextStage = toStage(entry.status);
+    if (nextStage !== stage) {
+      durations[stage] = durations[stage] || [];
+      durations[stage].push((new Date(entry.createdAt) - new Date(enteredAt)) / HOUR_MS);
+      stage = nextStage;
+      enteredAt = entry.createdAt;
+    }
+  });
+  reached.add(stage);
+
+  // Skipped stages (e.g. an admin moving straight to offer) still count as passed
+  const furthest = Math.max(...[...reached].map(value => FUNNEL_STAGES.indexOf(value)));
+  FUNNEL_STAGES.slice(0, furthest + 1).forEach(value => reached.add(value));
+
+  return { reached, durations };
+};
+
+/**
+ * Percentile of a list of numbers (nearest rank)
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+};
+
+// Funnel rows for a set of traced applications
+const summarizeFunnel = (traces) => {
+  const reachedCounts = {};
+  const durations = {};
+
+  FUNNEL_STAGES.forEach(stage => {
+    reachedCounts[stage] = 0;
+    durations[stage] = [];
+  });
+
+  traces.forEach(trace => {
+    trace.reached.forEach(stage => {
+      if (reachedCounts[stage] !== undefined) {
+        reachedCounts[stage] += 1;
+      }
+    });
+    Object.entries(trace.durations).forEach(([stage, hours]) => {
+      if (durations[stage]) {
+        durations[stage].push(...hours);
+      }
+    });
+  });
+
+  const applied = reachedCounts[FUNNEL_STAGES[0]];
+
+  return FUNNEL_STAGES.map((stage, index) => {
+    const sorted = durations[stage].sort((a, b) => a - b);
+    const previous = index > 0 ? reachedCounts[FUNNEL_STAGES[index - 1]] : null;
+
+    return {
+      stage,
+      label: STAGE_LABELS[stage],
+      reached: reachedCounts[stage],
+      conversionFromPrevious: previous === null ? null : rate(reachedCounts[stage], previous),
+      conversionFromApplied: rate(reachedCounts[stage], applied),
+      timeInStageSamples: sorted.length,
+      medianHoursInStage: roundTo(percentile(sorted, 50)),
+      p90HoursInStage: roundTo(percentile(sorted, 90))
+    };
+  });
+};
+
+// Rejections by decision reason category
+const summarizeRejections = (history) => {
+  const rejections = history.filter(entry => entry.status === 'rejected' && entry.previousStatus !== 'rejected');
+  const counts = {};
+
+  rejections.forEach(entry => {
+    const category = (entry.decisionReason && entry.decisionReason.category) || 'unspecified';
+    counts[category] = counts[category] || { category, count: 0, stages: {} };
+    counts[category].count += 1;
+    const stage = toStage(entry.previousStatus || 'applied');
+    counts[category].stages[stage] = (counts[category].stages[stage] || 0) + 1;
+  });
+
+  return Object.values(counts)
+    .sort((a, b) => b.count - a.count)
+    .map(({ category, count, stages }) => ({
+      category,
+      count,
+      percentage: rate(count, rejections.length),
+      // Stage the applications were rejected from
+      fromStages: Object.entries(stages).map(([stage, stageCount]) => `${stage}: ${stageCount}`).join(', ')
+    }));
+};
+
+// Labels for slice keys that are ids
+const loadSliceLabels = async (dimension, keys) => {
+  const { model, labelField } = SLICE_DIMENSIONS[dimension];
+  if (!model) {
+    return {};
+  }
+
+  const ids = keys.filter(key => mongoose.isObjectIdOrHexString(key));
+  const records = await model.find({ _id: { $in: ids } }).select(labelField).lean();
+
+  return records.reduce((labels, record) => ({ ...labels, [record._id.toString()]: record[labelField] }), {});
+};
+
+/**
+ * Build the hiring funnel report
+ * @param {Object} options - From parseFunnelOptions, plus requirementOwnerId to limit to one user's requirements
+ * @returns {Promise<Object>} - {totalApplications, stages, rejectionReasons, slices}
+ */
+const buildHiringFunnel = async (options = {}) => {
+  const applications = await loadApplications(options);
+  const applicationIds = applications.map(application => application._id);
+
+  const history = await ApplicationHistory.find({ application: { $in: applicationIds } })
+    .select('application previousStatus status createdAt decisionReason.category')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const historyByApplication = {};
+  history.forEach(entry => {
+    const key = entry.application.toString();
+    (historyByApplication[key] = historyByApplication[key] || []).push(entry);
+  });
+
+  const traces = applications.map(application => ({
+    application,
+    ...traceApplication(application, historyByApplication[application._id.toString()] || [])
+  }));
+
+  const report = {
+    totalApplications: applications.length,
+    stages: summarizeFunnel(traces),
+    rejectionReasons: summarizeRejections(history)
+  };
+
+  if (options.groupBy) {
+    const { field } = SLICE_DIMENSIONS[options.groupBy];
+    const groups = {};
+
+    traces.forEach(trace => {
+      const value = trace.application[field];
+      // Applications count towards every skill on their requirement
+      const keys = Array.isArray(value) ? value : [value];
+      keys.forEach(key => {
+        const sliceKey = key ? key.toString() : 'unknown';
+        (groups[sliceKey] = groups[sliceKey] || []).push(trace);
+      });
+    });
+
+    const labels = await loadSliceLabels(options.groupBy, Object.keys(groups));
+
+    report.slices = Object.keys(groups).sort().flatMap(key =>
+      summarizeFunnel(groups[key]).map(row => ({
+        [options.groupBy]: key,
+        sliceLabel: labels[key] || key,
+        applications: groups[key].length,
+        ...row
+      }))
+    );
+  }
+
+  return report;
+};
+
+module.exports = {
+  FUNNEL_STAGES,
+  SLICE_DIMENSIONS,
+  parseFunnelOptions,
+  traceApplication,
+  percentile,
+  buildHiringFunnel
+};
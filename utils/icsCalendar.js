@@ -0,0 +1,112 @@
+/**
+ * ICS Calendar Utility
+ *
+ * Builds iCalendar (RFC 5545) invitations for email attachments. Updates to an
+ * event reuse its UID with a higher SEQUENCE so calendar clients replace the
+ * earlier copy instead of adding a second one.
+ */
+
+const PRODUCT_ID = '-//Service Marketplace//Interviews//EN';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Long content lines are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatPerson = (property, { name, email }, params = []) => {
+  const allParams = name ? [`CN=${escapeText(name).replace(/"/g, '')}`, ...params] : params;
+  return `${property}${allParams.map(param => `;${param}`).join('')}:mailto:${email}`;
+};
+
+/**
+ * Build an iCalendar document holding one event
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique identifier of the event
+ * @param {number} event.sequence - Revision number, incremented on every change
+ * @param {string} event.method - REQUEST for new or changed events, CANCEL for cancellations
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Description
+ * @param {string} event.location - Location or meeting link
+ * @param {string} event.url - Link to the event in the app
+ * @param {Object} event.organizer - {name, email}
+ * @param {Array} event.attendees - [{name, email}]
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildIcsEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = []
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+  if (organizer && organizer.email) {
+    lines.push(formatPerson('ORGANIZER', organizer));
+  }
+  attendees.filter(attendee => attendee.email).forEach(attendee => {
+    lines.push(formatPerson('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE']));
+  });
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildIcsEvent,
+  escapeText
+};
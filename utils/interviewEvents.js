@@ -0,0 +1,162 @@
+/**
+ * Interview Events Utility
+ *
+ * Tells everyone involved in an interview that something changed: the
+ * resource's vendor, the requirement's client and the panel each get an
+ * in-app notification and an email. Emails for scheduled and cancelled
+ * interviews carry an ICS attachment so the change lands in their calendars.
+ */
+
+const User = require('../models/User');
+const { createNotification } = require('../controllers/notificationController');
+const { sendTemplatedEmail } = require('./emailTemplates');
+const { buildIcsEvent } = require('./icsCalendar');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a slot for people to read, in UTC
+ * @param {Object} slot - {start, end}
+ * @returns {string} - e.g. "2024-01-15 14:00-15:00 UTC"
+ */
+const formatSlot = (slot) => {
+  const start = new Date(slot.start);
+  const end = new Date(slot.end);
+  const date = `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}-${pad(start.getUTCDate())}`;
+  return `${date} ${pad(start.getUTCHours())}:${pad(start.getUTCMinutes())}-${pad(end.getUTCHours())}:${pad(end.getUTCMinutes())} UTC`;
+};
+
+// What each event tells recipients, and which calendar update it sends
+const INTERVIEW_EVENTS = {
+  proposed: {
+    title: 'Interview Times Proposed',
+    headline: ({ interview, requirement }) =>
+      `Times have been proposed for the round ${interview.round} interview for ${requirement.title}. Please accept one of them.`,
+    showSlots: true
+  },
+  scheduled: {
+    title: 'Interview Scheduled',
+    headline: ({ interview, requirement }) =>
+      `The round ${interview.round} interview for ${requirement.title} has been scheduled.`,
+    calendarMethod: 'REQUEST'
+  },
+  rescheduled: {
+    title: 'Interview Rescheduled',
+    headline: ({ interview, requirement }) =>
+      `The round ${interview.round} interview for ${requirement.title} is being rescheduled. Please accept one of the new times.`,
+    showSlots: true,
+    // The old time is withdrawn from calendars until a new slot is accepted
+    calendarMethod: 'CANCEL'
+  },
+  reschedule_requested: {
+    title: 'Interview Reschedule Requested',
+    headline: ({ interview, requirement }) =>
+      `A new time has been requested for the round ${interview.round} interview for ${requirement.title}.`
+  },
+  cancelled: {
+    title: 'Interview Cancelled',
+    headline: ({ interview, requirement }) =>
+      `The round ${interview.round} interview for ${requirement.title} has been cancelled.`,
+    calendarMethod: 'CANCEL'
+  }
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const displayName = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+const buildCalendarAttachment = ({ interview, requirement, method, slot, organizer, attendees }) => {
+  const ics = buildIcsEvent({
+    uid: interview.getCalendarUid(),
+    sequence: interview.calendarSequence,
+    method,
+    start: slot.start,
+    end: slot.end,
+    summary: `${interview.title} - ${requirement.title}`,
+    description: interview.notes,
+    location: interview.meetingUrl || interview.location,
+    organizer: organizer && { name: displayName(organizer), email: organizer.email },
+    attendees: attendees.map(user => ({ name: displayName(user), email: user.email }))
+  });
+
+  return {
+    filename: 'interview.ics',
+    content: Buffer.from(ics, 'utf8'),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
+
+/**
+ * Notify the vendor, client and panel about an interview event
+ * Never throws - a failed notification must not undo the change that caused it.
+ * @param {Object} interview - Interview document
+ * @param {string} event - One of the INTERVIEW_EVENTS keys
+ * @param {Object} context - {application, requirement, resource, actor, reason, previousSlot}
+ * @returns {Promise<void>}
+ */
+const notifyInterviewEvent = async (interview, event, { application, requirement, resource, actor, reason, previousSlot }) => {
+  const definition = INTERVIEW_EVENTS[event];
+
+  try {
+    const recipientIds = new Set([
+      toId(resource.createdBy),
+      toId(application.createdBy),
+      toId(requirement.createdBy),
+      ...interview.panel.map(toId)
+    ]);
+    recipientIds.delete(toId(actor));
+
+    const recipients = await User.find({ _id: { $in: [...recipientIds] }, isActive: { $ne: false } })
+      .select('firstName lastName email');
+    const organizer = await User.findById(requirement.createdBy).select('firstName lastName email');
+
+    const headline = definition.headline({ interview, requirement });
+    const slot = definition.calendarMethod === 'CANCEL' ? (previousSlot || interview.scheduledSlot) : interview.scheduledSlot;
+    const attachments = definition.calendarMethod && slot && slot.start
+      ? [buildCalendarAttachment({ interview, requirement, method: definition.calendarMethod, slot, organizer, attendees: recipients })]
+      : undefined;
+
+    for (const recipient of recipients) {
+      await createNotification({
+        recipient: recipient._id,
+        type: 'interview_update',
+        title: definition.title,
+        message: headline,
+        relatedRequirement: requirement._id,
+        actionUrl: `/applications/${application._id}`
+      });
+
+      if (!recipient.email) {
+        continue;
+      }
+
+      try {
+        await sendTemplatedEmail({
+          to: recipient.email,
+          template: 'interview_update',
+          variables: {
+            name: recipient.firstName,
+            interviewTitle: interview.title,
+            requirementTitle: requirement.title,
+            headline,
+            when: event === 'scheduled' ? formatSlot(interview.scheduledSlot) : undefined,
+            slots: definition.showSlots ? interview.proposedSlots.map(formatSlot).join(', ') : undefined,
+            location: interview.meetingUrl || interview.location,
+            reason
+          },
+          attachments
+        });
+      } catch (error) {
+        console.error(`Error emailing interview ${event} to ${recipient.email}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending interview ${event} notifications:`, error);
+  }
+};
+
+module.exports = {
+  INTERVIEW_EVENTS,
+  formatSlot,
+  notifyInterviewEvent
+};
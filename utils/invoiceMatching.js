@@ -0,0 +1,226 @@
+/**
+ * Invoice Matching Utility
+ *
+ * Three-way match of a vendor invoice against its PO and the approved
+ * timesheets of the PO's resources. An invoice may not take the PO past its
+ * total, should be dated within the PO's period, and should bill the hours
+ * the client approved. Each failed check either blocks the invoice or records
+ * an exception for client finance to review, as set in the invoiceMatching
+ * settings.
+ */
+
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const ErrorResponse = require('./errorResponse');
+const { getSettingsSection } = require('./systemSettings');
+const { createNotification } = require('../controllers/notificationController');
+const { roundMoney } = require('./sowPricing');
+
+const FINANCE_ROLES = ['client_owner', 'client_account'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(23, 59, 59, 999);
+  return day;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Clean the service period and billed hours sent with an invoice
+ * @param {Object} body - {servicePeriod, billedHours} from the request body
+ * @returns {Object} - {servicePeriod, billedHours}; either may be undefined when not sent
+ */
+const sanitizeBilling = ({ servicePeriod, billedHours }) => {
+  const billing = {};
+
+  if (servicePeriod !== undefined) {
+    const start = servicePeriod && new Date(servicePeriod.start);
+    const end = servicePeriod && new Date(servicePeriod.end);
+    if (!start || !end || isNaN(start) || isNaN(end)) {
+      throw new ErrorResponse('servicePeriod needs a valid start and end date', 400);
+    }
+    if (end < start) {
+      throw new ErrorResponse('servicePeriod cannot end before it starts', 400);
+    }
+    billing.servicePeriod = { start, end };
+  }
+
+  if (billedHours !== undefined) {
+    if (!Array.isArray(billedHours)) {
+      throw new ErrorResponse('billedHours must be a list of {resourceId, hours}', 400);
+    }
+    const seen = new Set();
+    billing.billedHours = billedHours.map(line => {
+      const resourceId = line && line.resourceId;
+      const hours = Number(line && line.hours);
+      if (!resourceId || isNaN(hours) || hours < 0) {
+        throw new ErrorResponse('Each billedHours line needs a resourceId and non-negative hours', 400);
+      }
+      if (seen.has(String(resourceId))) {
+        throw new ErrorResponse('Bill each resource on one billedHours line', 400);
+      }
+      seen.add(String(resourceId));
+      return { resourceId, hours };
+    });
+  }
+
+  return billing;
+};
+
+/**
+ * Total the approved timesheet hours per resource on a PO within a period
+ * Hours already billed on another invoice are left out.
+ * @param {string} poId - PO ID
+ * @param {Object} period - {start, end}
+ * @param {string} invoiceId - Invoice being matched, whose own timesheets count; omit for a new invoice
+ * @returns {Promise<Map>} - resourceId → hours
+ */
+const approvedHoursByResource = async (poId, period, invoiceId) => {
+  const start = startOfDay(period.start);
+  const end = endOfDay(period.end);
+
+  const timesheets = await Timesheet.find({
+    poId,
+    status: 'approved',
+    invoiceId: { $in: invoiceId ? [null, invoiceId] : [null] },
+    weekStart: { $lte: end },
+    weekEnd: { $gte: start }
+  }).select('resourceId entries');
+
+  const hours = new Map();
+  timesheets.forEach(timesheet => {
+    const key = timesheet.resourceId.toString();
+    timesheet.entries
+      .filter(entry => entry.date >= start && entry.date <= end)
+      .forEach(entry => hours.set(key, roundMoney((hours.get(key) || 0) + entry.hours)));
+  });
+
+  return hours;
+};
+
+/**
+ * Match an invoice against its PO and the approved timesheets
+ * @param {Object} options - {po, invoiceId, invoiceDate, amount, servicePeriod, billedHours, previousAmount}
+ *   invoiceId is the invoice being re-matched (omitted for a new one); previousAmount is what it
+ *   already counts towards the PO's total invoiced
+ * @returns {Promise<Object>} - {blocking, exceptions}: failed checks that stop the invoice and ones to review
+ */
+const matchInvoice = async ({ po, invoiceId, invoiceDate, amount, servicePeriod, billedHours = [], previousAmount = 0 }) => {
+  const config = await getSettingsSection('invoiceMatching');
+  const results = [];
+  const fail = (action, exception) => results.push({ action, exception });
+
+  // The PO's remaining amount
+  const remaining = roundMoney(po.totalAmount.amount - po.paymentTracking.totalInvoiced + previousAmount);
+  if (amount > remaining) {
+    fail(config.overAmountAction, {
+      type: 'over_po_remaining',
+      message: `Invoice amount ${amount} exceeds the ${remaining} remaining on PO ${po.poNumber}`,
+      expected: remaining,
+      actual: amount
+    });
+  }
+
+  // The PO's period
+  const periodStart = startOfDay(po.startDate);
+  const periodEnd = endOfDay(po.endDate);
+  const outside = [
+    ['Invoice date', invoiceDate],
+    ['Service period start', servicePeriod && servicePeriod.start],
+    ['Service period end', servicePeriod && servicePeriod.end]
+  ].filter(([, date]) => date && (new Date(date) < periodStart || new Date(date) > periodEnd));
+  if (outside.length > 0) {
+    fail(config.outsidePeriodAction, {
+      type: 'outside_po_period',
+      message: `Outside the PO period ${formatDate(po.startDate)} to ${formatDate(po.endDate)}: ${outside.map(([label, date]) => `${label.toLowerCase()} ${formatDate(date)}`).join(', ')}`
+    });
+  }
+
+  // Approved timesheets
+  if (billedHours.length > 0) {
+    if (!servicePeriod || !servicePeriod.start || !servicePeriod.end) {
+      throw new ErrorResponse('servicePeriod is required when billing hours', 400);
+    }
+
+    const approved = await approvedHoursByResource(po._id, servicePeriod, invoiceId);
+    billedHours.forEach(line => {
+      const expected = approved.get(line.resourceId.toString()) || 0;
+      if (Math.abs(line.hours - expected) > config.hoursTolerance) {
+        fail(config.hoursMismatchAction, {
+          type: 'hours_mismatch',
+          message: `${line.hours} hours billed for a resource with ${expected} approved timesheet hours in the service period`,
+          resourceId: line.resourceId,
+          expected,
+          actual: line.hours
+        });
+      }
+    });
+  } else if ((po.lineItems || []).some(line => line.unit === 'hour')) {
+    fail(config.hoursMismatchAction, {
+      type: 'hours_not_billed',
+      message: `PO ${po.poNumber} is billed by the hour but the invoice lists no hours per resource`
+    });
+  }
+
+  return {
+    blocking: results.filter(result => result.action === 'block').map(result => result.exception),
+    exceptions: results.filter(result => result.action !== 'block').map(result => result.exception)
+  };
+};
+
+/**
+ * Turn a match result into the invoice's match field, or stop the invoice
+ * @param {Object} result - From matchInvoice
+ * @returns {Object} - {status, checkedAt, exceptions}
+ */
+const buildMatch = (result) => {
+  if (result.blocking.length > 0) {
+    throw new ErrorResponse(result.blocking.map(exception => exception.message).join('; '), 400);
+  }
+
+  return {
+    status: result.exceptions.length > 0 ? 'exception' : 'matched',
+    checkedAt: new Date(),
+    exceptions: result.exceptions
+  };
+};
+
+/**
+ * Tell the client's finance users an invoice is waiting in the exception queue
+ * @param {Object} invoice - Invoice document with match exceptions
+ * @param {Object} po - The invoice's PO
+ * @returns {Promise<void>}
+ */
+const notifyMatchExceptions = async (invoice, po) => {
+  const users = await User.find({
+    organizationId: invoice.clientOrganizationId,
+    organizationRole: { $in: FINANCE_ROLES },
+    isActive: { $ne: false }
+  }).select('_id');
+
+  const count = invoice.match.exceptions.length;
+  for (const user of users) {
+    await createNotification({
+      recipient: user._id,
+      type: 'invoice_exception',
+      title: `Invoice ${invoice.invoiceNumber} needs review`,
+      message: `Invoice ${invoice.invoiceNumber} against PO ${po.poNumber} has ${count} matching exception${count === 1 ? '' : 's'}: ${invoice.match.exceptions.map(exception => exception.message).join('; ')}`,
+      actionUrl: `/invoices/${invoice._id}`
+    });
+  }
+};
+
+module.exports = {
+  sanitizeBilling,
+  approvedHoursByResource,
+  matchInvoice,
+  buildMatch,
+  notifyMatchExceptions
+};
@@ -0,0 +1,127 @@
+/**
+ * Mail Transport Utility
+ *
+ * Builds a single reusable nodemailer transport and delivers messages with it.
+ * The transport is chosen with EMAIL_TRANSPORT:
+ *   smtp    - real delivery through SMTP_HOST (default when SMTP_HOST is set)
+ *   file    - write each message as a .eml file to EMAIL_CAPTURE_DIR
+ *   memory  - keep messages in memory (default when NODE_ENV is test)
+ *   console - log messages to the console (default otherwise)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const capturedEmails = [];
+let transporter = null;
+let transportName = null;
+
+/**
+ * Get the name of the configured transport
+ * @returns {string} - smtp, file, memory or console
+ */
+const getTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT;
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'console';
+};
+
+const getTransporter = () => {
+  const name = getTransportName();
+
+  if (transporter && transportName === name) {
+    return transporter;
+  }
+
+  switch (name) {
+    case 'smtp':
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: false,
+        pool: true,
+        auth: {
+          user: process.env.SMTP_EMAIL,
+          pass: process.env.SMTP_PASSWORD
+        }
+      });
+      break;
+    case 'file':
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      break;
+    case 'memory':
+    case 'console':
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+
+  transportName = name;
+  return transporter;
+};
+
+/**
+ * Deliver a message immediately with the configured transport
+ * @param {Object} message - Message with to, subject, text, html and attachments (with content or a file path)
+ * @returns {Promise<{messageId: string, transport: string}>} - Delivery result
+ */
+const deliverMail = async (message) => {
+  const name = getTransportName();
+  const mail = {
+    from: `${process.env.FROM_NAME || 'Service Marketplace'} <${process.env.SMTP_EMAIL || 'no-reply@localhost'}>`,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    attachments: (message.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      path: attachment.path,
+      contentType: attachment.contentType
+    }))
+  };
+
+  const info = await getTransporter().sendMail(mail);
+
+  if (name === 'file') {
+    const directory = process.env.EMAIL_CAPTURE_DIR || path.join(process.cwd(), 'logs', 'emails');
+    await fs.promises.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(directory, filename), info.message);
+  } else if (name === 'memory') {
+    capturedEmails.push({ ...mail, messageId: info.messageId, sentAt: new Date() });
+  } else if (name === 'console') {
+    console.log('📧 Email (console transport):');
+    console.log('  To:', mail.to);
+    console.log('  Subject:', mail.subject);
+    console.log('  Message:', mail.text);
+  }
+
+  return { messageId: info.messageId, transport: name };
+};
+
+/**
+ * Get messages delivered with the memory transport
+ * @returns {Object[]} - Captured messages, oldest first
+ */
+const getCapturedEmails = () => [...capturedEmails];
+
+/**
+ * Forget all messages delivered with the memory transport
+ */
+const clearCapturedEmails = () => {
+  capturedEmails.length = 0;
+};
+
+module.exports = {
+  getTransportName,
+  deliverMail,
+  getCapturedEmails,
+  clearCapturedEmails
+};
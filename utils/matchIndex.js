@@ -0,0 +1,178 @@
+/**
+ * Match Index Utility
+ *
+ * Keeps the RequirementMatch table in step with requirements, resources and
+ * skills. Writes refresh only the rows of the record that changed; a full
+ * rebuild regenerates every row and is needed after the matching settings
+ * change.
+ */
+
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const RequirementMatch = require('../models/RequirementMatch');
+const {
+  getMatchingConfig,
+  findMatchingResources,
+  findMatchingRequirements,
+  isMatchableRequirement,
+  isMatchableResource
+} = require('./matchScoring');
+
+let rebuildInProgress = null;
+
+const upsertMatches = async (matches, toFilter, computedAt) => {
+  if (matches.length === 0) {
+    return;
+  }
+
+  await RequirementMatch.bulkWrite(matches.map(({ candidate, score, breakdown }) => ({
+    updateOne: {
+      filter: toFilter(candidate),
+      update: { $set: { score, breakdown, computedAt } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Recompute the stored matches of one requirement
+ * @param {string} requirementId - Requirement ID
+ * @param {Object} config - Matching configuration (loaded from settings when omitted)
+ * @returns {Promise<number>} - Number of matches stored for the requirement
+ */
+const refreshRequirementMatches = async (requirementId, config) => {
+  const requirement = await Requirement.findById(requirementId).lean();
+
+  if (!requirement || !isMatchableRequirement(requirement)) {
+    await RequirementMatch.deleteMany({ requirement: requirementId });
+    return 0;
+  }
+
+  const matches = await findMatchingResources(requirement, { config: config || await getMatchingConfig() });
+
+  await upsertMatches(matches, resource => ({ requirement: requirement._id, resource: resource._id }), new Date());
+  await RequirementMatch.deleteMany({
+    requirement: requirement._id,
+    resource: { $nin: matches.map(match => match.candidate._id) }
+  });
+
+  return matches.length;
+};
+
+/**
+ * Recompute the stored matches of one resource
+ * @param {string} resourceId - Resource ID
+ * @param {Object} config - Matching configuration (loaded from settings when omitted)
+ * @returns {Promise<number>} - Number of matches stored for the resource
+ */
+const refreshResourceMatches = async (resourceId, config) => {
+  const resource = await Resource.findById(resourceId).lean();
+
+  if (!resource || !isMatchableResource(resource)) {
+    await RequirementMatch.deleteMany({ resource: resourceId });
+    return 0;
+  }
+
+  const matches = await findMatchingRequirements(resource, { config: config || await getMatchingConfig() });
+
+  await upsertMatches(matches, requirement => ({ requirement: requirement._id, resource: resource._id }), new Date());
+  await RequirementMatch.deleteMany({
+    resource: resource._id,
+    requirement: { $nin: matches.map(match => match.candidate._id) }
+  });
+
+  return matches.length;
+};
+
+/**
+ * Recompute the stored matches of every requirement that uses a skill
+ * @param {string} skillId - AdminSkill ID
+ * @returns {Promise<number>} - Number of requirements refreshed
+ */
+const refreshSkillMatches = async (skillId) => {
+  const config = await getMatchingConfig();
+  const requirementIds = await Requirement.distinct('_id', { skills: skillId });
+
+  for (const requirementId of requirementIds) {
+    await refreshRequirementMatches(requirementId, config);
+  }
+
+  return requirementIds.length;
+};
+
+/**
+ * Refresh matches after a write without failing the request that made it
+ * The table can always be repaired with a rebuild, so errors are only logged.
+ * @param {Object} changed - {requirementId}, {resourceId} or {skillId}
+ * @returns {Promise<void>}
+ */
+const syncMatches = async ({ requirementId, resourceId, skillId }) => {
+  try {
+    if (requirementId) {
+      await refreshRequirementMatches(requirementId);
+    }
+    if (resourceId) {
+      await refreshResourceMatches(resourceId);
+    }
+    if (skillId) {
+      await refreshSkillMatches(skillId);
+    }
+  } catch (error) {
+    console.error('Error refreshing requirement matches:', error);
+  }
+};
+
+/**
+ * Regenerate the whole match table from scratch
+ * Rows are rewritten in place and stale ones removed at the end, so reads keep
+ * working while the rebuild runs. Concurrent calls share one rebuild.
+ * @returns {Promise<{requirements: number, matches: number}>} - Rebuild totals
+ */
+const rebuildMatchIndex = () => {
+  if (rebuildInProgress) {
+    return rebuildInProgress;
+  }
+
+  rebuildInProgress = (async () => {
+    const startedAt = new Date();
+    const config = await getMatchingConfig();
+    let requirements = 0;
+    let matches = 0;
+
+    const cursor = Requirement.find().select('_id').lean().cursor();
+    for await (const requirement of cursor) {
+      matches += await refreshRequirementMatches(requirement._id, config);
+      requirements++;
+    }
+
+    await RequirementMatch.deleteMany({ computedAt: { $lt: startedAt } });
+
+    return { requirements, matches };
+  })().finally(() => {
+    rebuildInProgress = null;
+  });
+
+  return rebuildInProgress;
+};
+
+/**
+ * Start a rebuild in the background, logging the outcome
+ */
+const scheduleMatchIndexRebuild = () => {
+  setImmediate(() => {
+    rebuildMatchIndex()
+      .then(({ requirements, matches }) => {
+        console.log(`Match index rebuilt: ${matches} matches for ${requirements} requirements`);
+      })
+      .catch(error => console.error('Error rebuilding match index:', error));
+  });
+};
+
+module.exports = {
+  refreshRequirementMatches,
+  refreshResourceMatches,
+  refreshSkillMatches,
+  syncMatches,
+  rebuildMatchIndex,
+  scheduleMatchIndexRebuild
+};
@@ -0,0 +1,361 @@
+/**
+ * Match Scoring Utility
+ *
+ * Scores how well a resource fits a requirement on a 0-100 scale. Each factor
+ * (skills, experience, rate, availability, location) is scored 0-100 on its
+ * own and combined using the weights from the "matching" settings section.
+ * Both directions - resources for a requirement and requirements for a
+ * resource - go through the same scoring and ranking code.
+ */
+
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const AdminSkill = require('../models/AdminSkill');
+const { getSettingsSection } = require('./systemSettings');
+
+const MATCH_FACTORS = ['skills', 'experience', 'rate', 'availability', 'location'];
+const EXPERIENCE_LEVELS = ['junior', 'mid', 'senior', 'expert'];
+
+// Statuses a resource or requirement must have to be considered at all
+const MATCHABLE_RESOURCE_STATUSES = ['active'];
+const MATCHABLE_AVAILABILITY_STATUSES = ['available', 'partially_available'];
+const MATCHABLE_REQUIREMENT_STATUSES = ['open'];
+
+// A cost this far over budget (as a fraction of the budget) scores 0 for rate
+const RATE_OVER_BUDGET_TOLERANCE = 0.5;
+// A start this many days after the requirement's start date scores 0 for start date
+const LATE_START_TOLERANCE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score given to a factor that cannot be assessed because data is missing
+const UNKNOWN_SCORE = 0.5;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const sameText = (a, b) =>
+  Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Get the matching configuration currently in effect
+ * @returns {Promise<Object>} - {weights, minimumScore, fullTimeHoursPerWeek, inactiveSkillIds}
+ */
+const getMatchingConfig = async () => {
+  const [matching, inactiveSkillIds] = await Promise.all([
+    getSettingsSection('matching'),
+    AdminSkill.distinct('_id', { isActive: false })
+  ]);
+
+  return {
+    weights: MATCH_FACTORS.reduce((weights, factor) => {
+      weights[factor] = matching[`${factor}Weight`];
+      return weights;
+    }, {}),
+    minimumScore: matching.minimumScore,
+    fullTimeHoursPerWeek: matching.fullTimeHoursPerWeek,
+    inactiveSkillIds: new Set(inactiveSkillIds.map(id => id.toString()))
+  };
+};
+
+const scoreSkills = (requirement, resource, config) => {
+  // Deactivated skills can no longer be assigned, so they are not required either
+  const inactive = config.inactiveSkillIds || new Set();
+  const requiredIds = (requirement.skills || []).map(idOf).filter(id => !inactive.has(id));
+  const resourceIds = new Set((resource.skills || []).map(idOf));
+  const matched = requiredIds.filter(id => resourceIds.has(id));
+
+  return {
+    value: requiredIds.length ? matched.length / requiredIds.length : 1,
+    detail: {
+      matched: matched.length,
+      required: requiredIds.length,
+      missingSkills: requiredIds.filter(id => !resourceIds.has(id))
+    }
+  };
+};
+
+const scoreExperience = (requirement, resource) => {
+  const minYears = requirement.experience?.minYears || 0;
+  const years = resource.experience?.years || 0;
+  const parts = [minYears > 0 ? clamp(years / minYears) : 1];
+
+  const requiredLevel = EXPERIENCE_LEVELS.indexOf(requirement.experience?.level);
+  const level = EXPERIENCE_LEVELS.indexOf(resource.experience?.level);
+  if (requiredLevel !== -1 && level !== -1) {
+    // Meeting the level scores 1, one level short 0.5, anything further 0
+    parts.push(clamp(1 - (requiredLevel - level) * 0.5));
+  }
+
+  return {
+    value: parts.reduce((sum, part) => sum + part, 0) / parts.length,
+    detail: {
+      years,
+      minYears,
+      level: resource.experience?.level,
+      requiredLevel: requirement.experience?.level
+    }
+  };
+};
+
+const scoreRate = (requirement, resource, config) => {
+  const budget = requirement.budget?.charge;
+  const budgetType = requirement.budget?.type || 'hourly';
+  const hourly = resource.rate?.hourly;
+  const detail = { budget, budgetType, hourlyRate: hourly };
+
+  if (!budget) {
+    return { value: 1, detail };
+  }
+  if (hourly === undefined || hourly === null) {
+    return { value: UNKNOWN_SCORE, detail: { ...detail, reason: 'Resource has no hourly rate' } };
+  }
+  if (requirement.budget.currency && resource.rate.currency &&
+      requirement.budget.currency !== resource.rate.currency) {
+    return { value: UNKNOWN_SCORE, detail: { ...detail, reason: 'Budget and rate use different currencies' } };
+  }
+
+  // A fixed budget covers the whole engagement, so compare it with the estimated total cost
+  let cost = hourly;
+  if (budgetType === 'fixed') {
+    if (!requirement.duration) {
+      return { value: UNKNOWN_SCORE, detail: { ...detail, reason: 'Requirement has no duration' } };
+    }
+    const hoursPerWeek = Math.min(
+      resource.availability?.hours_per_week || config.fullTimeHoursPerWeek,
+      config.fullTimeHoursPerWeek
+    );
+    cost = hourly * hoursPerWeek * requirement.duration;
+    detail.estimatedCost = round(cost, 2);
+  }
+
+  const overBudget = Math.max(0, cost / budget - 1);
+
+  return {
+    value: clamp(1 - overBudget / RATE_OVER_BUDGET_TOLERANCE),
+    detail: { ...detail, overBudgetPercent: round(overBudget * 100, 1) }
+  };
+};
+
+const scoreAvailability = (requirement, resource, config) => {
+  const status = resource.availability?.status;
+  const hours = resource.availability?.hours_per_week;
+
+  if (status === 'unavailable') {
+    return { value: 0, detail: { status, hoursPerWeek: hours } };
+  }
+
+  let hoursScore;
+  if (hours !== undefined && hours !== null) {
+    hoursScore = clamp(hours / config.fullTimeHoursPerWeek);
+  } else {
+    hoursScore = status === 'partially_available' ? UNKNOWN_SCORE : 1;
+  }
+
+  let daysLate = 0;
+  const availableFrom = resource.availability?.start_date;
+  if (requirement.startDate && availableFrom) {
+    daysLate = Math.max(0, Math.ceil((new Date(availableFrom) - new Date(requirement.startDate)) / DAY_MS));
+  }
+  const startScore = clamp(1 - daysLate / LATE_START_TOLERANCE_DAYS);
+
+  return {
+    value: (hoursScore + startScore) / 2,
+    detail: {
+      status,
+      hoursPerWeek: hours,
+      fullTimeHoursPerWeek: config.fullTimeHoursPerWeek,
+      availableFrom,
+      requiredStartDate: requirement.startDate,
+      daysLate
+    }
+  };
+};
+
+const scoreLocation = (requirement, resource) => {
+  const wanted = requirement.location || {};
+  const offered = resource.location || {};
+  const detail = {
+    requirementRemote: wanted.remote !== false,
+    requirementOnsite: Boolean(wanted.onsite),
+    resourceRemote: offered.remote !== false
+  };
+
+  if (detail.requirementRemote && detail.resourceRemote) {
+    return { value: 1, detail: { ...detail, match: 'remote' } };
+  }
+
+  // Proximity only matters once the work cannot be done remotely
+  let proximity;
+  if (!wanted.city && !wanted.state && !wanted.country) {
+    proximity = { value: UNKNOWN_SCORE, match: 'unknown' };
+  } else if (sameText(wanted.city, offered.city) && (!wanted.country || sameText(wanted.country, offered.country))) {
+    proximity = { value: 1, match: 'city' };
+  } else if (sameText(wanted.state, offered.state)) {
+    proximity = { value: 0.7, match: 'state' };
+  } else if (sameText(wanted.country, offered.country)) {
+    proximity = { value: 0.4, match: 'country' };
+  } else {
+    proximity = { value: 0, match: 'none' };
+  }
+
+  // A remote-friendly requirement still works for a resource that prefers onsite work
+  const value = detail.requirementRemote ? Math.max(proximity.value, UNKNOWN_SCORE) : proximity.value;
+
+  return { value, detail: { ...detail, match: proximity.match } };
+};
+
+const FACTOR_SCORERS = {
+  skills: scoreSkills,
+  experience: scoreExperience,
+  rate: scoreRate,
+  availability: scoreAvailability,
+  location: scoreLocation
+};
+
+/**
+ * Score how well a resource fits a requirement
+ * @param {Object} requirement - Requirement document or plain object
+ * @param {Object} resource - Resource document or plain object
+ * @param {Object} config - Matching configuration from getMatchingConfig()
+ * @returns {{score: number, breakdown: Object}} - Overall 0-100 score and per-factor breakdown
+ */
+const scoreMatch = (requirement, resource, config) => {
+  const totalWeight = MATCH_FACTORS.reduce((sum, factor) => sum + (config.weights[factor] || 0), 0);
+  const breakdown = {};
+  let score = 0;
+
+  MATCH_FACTORS.forEach(factor => {
+    const { value, detail } = FACTOR_SCORERS[factor](requirement, resource, config);
+    const weight = config.weights[factor] || 0;
+    const points = totalWeight ? (value * 100 * weight) / totalWeight : 0;
+
+    score += points;
+    breakdown[factor] = {
+      score: round(value * 100),
+      weight,
+      points: round(points, 1),
+      ...detail
+    };
+  });
+
+  return { score: round(score), breakdown };
+};
+
+/**
+ * Build the query for resources that can be matched against a requirement
+ * @param {Object} requirement - Requirement document or plain object
+ * @returns {Object} - Mongo filter for Resource
+ */
+const buildResourceCandidateQuery = (requirement) => {
+  const query = {
+    status: { $in: MATCHABLE_RESOURCE_STATUSES },
+    'availability.status': { $in: MATCHABLE_AVAILABILITY_STATUSES }
+  };
+
+  const skillIds = (requirement.skills || []).map(idOf);
+  if (skillIds.length > 0) {
+    query.skills = { $in: skillIds };
+  }
+
+  return query;
+};
+
+/**
+ * Build the query for requirements that can be matched against a resource
+ * @param {Object} resource - Resource document or plain object
+ * @returns {Object} - Mongo filter for Requirement
+ */
+const buildRequirementCandidateQuery = (resource) => {
+  const skillIds = (resource.skills || []).map(idOf);
+
+  return {
+    status: { $in: MATCHABLE_REQUIREMENT_STATUSES },
+    $or: [
+      { skills: { $in: skillIds } },
+      { skills: { $size: 0 } }
+    ]
+  };
+};
+
+/**
+ * Check whether a resource can be matched at all, regardless of score
+ * @param {Object} resource - Resource document or plain object
+ * @returns {boolean}
+ */
+const isMatchableResource = (resource) =>
+  MATCHABLE_RESOURCE_STATUSES.includes(resource.status) &&
+  MATCHABLE_AVAILABILITY_STATUSES.includes(resource.availability?.status || 'available');
+
+/**
+ * Check whether a requirement can be matched at all, regardless of score
+ * @param {Object} requirement - Requirement document or plain object
+ * @returns {boolean}
+ */
+const isMatchableRequirement = (requirement) =>
+  MATCHABLE_REQUIREMENT_STATUSES.includes(requirement.status);
+
+const rankCandidates = (candidates, score, config) => {
+  return candidates
+    .map(candidate => ({ candidate, ...score(candidate) }))
+    .filter(match => match.score >= config.minimumScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find and rank the resources that match a requirement
+ * @param {Object} requirement - Requirement document or plain object
+ * @param {Object} options - Options
+ * @param {Object} options.config - Matching configuration (loaded from settings when omitted)
+ * @returns {Promise<Array>} - [{candidate, score, breakdown}] sorted by score, highest first
+ */
+const findMatchingResources = async (requirement, { config } = {}) => {
+  const matchingConfig = config || await getMatchingConfig();
+  const resources = await Resource.find(buildResourceCandidateQuery(requirement)).lean();
+
+  return rankCandidates(resources, resource => scoreMatch(requirement, resource, matchingConfig), matchingConfig);
+};
+
+/**
+ * Find and rank the requirements that match a resource
+ * @param {Object} resource - Resource document or plain object
+ * @param {Object} options - Options
+ * @param {Object} options.config - Matching configuration (loaded from settings when omitted)
+ * @returns {Promise<Array>} - [{candidate, score, breakdown}] sorted by score, highest first
+ */
+const findMatchingRequirements = async (resource, { config } = {}) => {
+  const matchingConfig = config || await getMatchingConfig();
+  const requirements = await Requirement.find(buildRequirementCandidateQuery(resource)).lean();
+
+  return rankCandidates(requirements, requirement => scoreMatch(requirement, resource, matchingConfig), matchingConfig);
+};
+
+/**
+ * Describe the matching rules in effect, for API responses
+ * @param {Object} config - Matching configuration
+ * @returns {Object} - Weights and thresholds
+ */
+const describeMatchingCriteria = (config) => ({
+  weights: config.weights,
+  minimumScore: config.minimumScore,
+  fullTimeHoursPerWeek: config.fullTimeHoursPerWeek
+});
+
+module.exports = {
+  MATCH_FACTORS,
+  EXPERIENCE_LEVELS,
+  getMatchingConfig,
+  scoreMatch,
+  buildResourceCandidateQuery,
+  buildRequirementCandidateQuery,
+  isMatchableResource,
+  isMatchableRequirement,
+  findMatchingResources,
+  findMatchingRequirements,
+  describeMatchingCriteria
+};
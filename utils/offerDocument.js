@@ -0,0 +1,97 @@
+/**
+ * Offer Document Utility
+ *
+ * Produces the offer letter for an offer. The wording comes from the
+ * "offer_letter" template so admins can edit it like any email template; the
+ * rendered title and text are laid out as a PDF with pdfkit.
+ */
+
+const PDFDocument = require('pdfkit');
+const ErrorResponse = require('./errorResponse');
+const { getEmailTemplate, renderEmailTemplate } = require('./emailTemplates');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date for an offer letter
+ * @param {Date|string} value - Date
+ * @returns {string} - e.g. "2024-02-01"
+ */
+const formatOfferDate = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Format an offer rate
+ * @param {Object} rate - {amount, currency, type}
+ * @returns {string} - e.g. "USD 85.00 per hour" or "USD 12000.00 fixed"
+ */
+const formatOfferRate = (rate) =>
+  `${rate.currency} ${Number(rate.amount).toFixed(2)} ${rate.type === 'fixed' ? 'fixed' : 'per hour'}`;
+
+/**
+ * One-line summary of an offer's terms
+ * @param {Object} offer - Offer document
+ * @returns {string} - e.g. "USD 85.00 per hour for 12 weeks, starting 2024-02-01"
+ */
+const summarizeOffer = (offer) =>
+  `${formatOfferRate(offer.rate)} for ${offer.durationWeeks} weeks, starting ${formatOfferDate(offer.startDate)}`;
+
+/**
+ * Render the offer letter template for an offer
+ * @param {Object} offer - Offer document
+ * @param {Object} context - {requirement, resource}
+ * @returns {Promise<{title: string, body: string}>}
+ */
+const renderOfferLetter = async (offer, { requirement, resource }) => {
+  const template = await getEmailTemplate('offer_letter');
+  if (!template || !template.isActive) {
+    throw new ErrorResponse('The offer letter template is not available', 500);
+  }
+
+  const { subject, text } = await renderEmailTemplate(template, {
+    resourceName: resource.name,
+    requirementTitle: requirement.title,
+    rate: formatOfferRate(offer.rate),
+    startDate: formatOfferDate(offer.startDate),
+    durationWeeks: offer.durationWeeks,
+    expiresAt: formatOfferDate(offer.expiresAt),
+    revision: offer.revisions.length,
+    terms: offer.terms
+  });
+
+  return { title: subject, body: text };
+};
+
+/**
+ * Generate the offer letter PDF
+ * @param {Object} offer - Offer document
+ * @param {Object} context - {requirement, resource}
+ * @returns {Promise<Buffer>} - PDF content
+ */
+const generateOfferPdf = async (offer, context) => {
+  const { title, body } = await renderOfferLetter(offer, context);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title);
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(11).text(body, { lineGap: 2 });
+    doc.end();
+  });
+};
+
+module.exports = {
+  formatOfferDate,
+  formatOfferRate,
+  summarizeOffer,
+  renderOfferLetter,
+  generateOfferPdf
+};
@@ -0,0 +1,123 @@
+/**
+ * Offer Events Utility
+ *
+ * Tells both sides of an offer that something changed: the resource's vendor
+ * and the requirement's client each get an in-app notification and an email.
+ * Emails for new terms carry the offer letter PDF.
+ */
+
+const User = require('../models/User');
+const { createNotification } = require('../controllers/notificationController');
+const { sendTemplatedEmail } = require('./emailTemplates');
+const { formatOfferDate, summarizeOffer, generateOfferPdf } = require('./offerDocument');
+
+// What each event tells recipients, and whether it carries the offer letter
+const OFFER_EVENTS = {
+  proposed: {
+    title: 'New Offer',
+    headline: ({ requirement, resource }) => `An offer has been made to ${resource.name} for ${requirement.title}.`,
+    attachLetter: true
+  },
+  countered: {
+    title: 'Offer Countered',
+    headline: ({ requirement, resource }) => `A counter-offer has been made for ${resource.name} on ${requirement.title}.`,
+    attachLetter: true
+  },
+  revised: {
+    title: 'Offer Revised',
+    headline: ({ requirement, resource }) => `The offer to ${resource.name} for ${requirement.title} has been revised.`,
+    attachLetter: true
+  },
+  accepted: {
+    title: 'Offer Accepted',
+    headline: ({ requirement, resource }) => `The offer to ${resource.name} for ${requirement.title} has been accepted.`
+  },
+  declined: {
+    title: 'Offer Declined',
+    headline: ({ requirement, resource }) => `The offer to ${resource.name} for ${requirement.title} has been declined.`
+  },
+  expired: {
+    title: 'Offer Expired',
+    headline: ({ requirement, resource }) =>
+      `The offer to ${resource.name} for ${requirement.title} expired without a response. The application has moved back to its previous stage.`
+  }
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Notify the vendor and client about an offer event
+ * Never throws - a failed notification must not undo the change that caused it.
+ * @param {Object} offer - Offer document
+ * @param {string} event - One of the OFFER_EVENTS keys
+ * @param {Object} context - {application, requirement, resource, actor, message, reason}; actor is omitted for system events
+ * @returns {Promise<void>}
+ */
+const notifyOfferEvent = async (offer, event, { application, requirement, resource, actor, message, reason }) => {
+  const definition = OFFER_EVENTS[event];
+
+  try {
+    const recipientIds = new Set([
+      toId(resource.createdBy),
+      toId(application.createdBy),
+      toId(requirement.createdBy)
+    ]);
+    if (actor) {
+      recipientIds.delete(toId(actor));
+    }
+
+    const recipients = await User.find({ _id: { $in: [...recipientIds] }, isActive: { $ne: false } })
+      .select('firstName email');
+
+    const headline = definition.headline({ requirement, resource });
+    const attachments = definition.attachLetter
+      ? [{
+        filename: `offer-${offer._id}-r${offer.revisions.length}.pdf`,
+        content: await generateOfferPdf(offer, { requirement, resource }),
+        contentType: 'application/pdf'
+      }]
+      : undefined;
+
+    for (const recipient of recipients) {
+      await createNotification({
+        recipient: recipient._id,
+        type: 'offer_update',
+        title: definition.title,
+        message: headline,
+        relatedRequirement: requirement._id,
+        actionUrl: `/applications/${application._id}`
+      });
+
+      if (!recipient.email) {
+        continue;
+      }
+
+      try {
+        await sendTemplatedEmail({
+          to: recipient.email,
+          template: 'offer_update',
+          variables: {
+            name: recipient.firstName,
+            title: definition.title,
+            requirementTitle: requirement.title,
+            headline,
+            summary: summarizeOffer(offer),
+            message,
+            reason,
+            expiresAt: definition.attachLetter ? formatOfferDate(offer.expiresAt) : undefined
+          },
+          attachments
+        });
+      } catch (error) {
+        console.error(`Error emailing offer ${event} to ${recipient.email}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending offer ${event} notifications:`, error);
+  }
+};
+
+module.exports = {
+  OFFER_EVENTS,
+  notifyOfferEvent
+};
@@ -0,0 +1,260 @@
+/**
+ * Report Catalog Utility
+ *
+ * Allow-listed fields for each custom report data source. Every field a custom
+ * report filters, groups, sorts, aggregates or projects on must be listed
+ * here. Fields on related documents (e.g. application -> requirement ->
+ * organization) name the join that brings them into the pipeline.
+ */
+
+// Operators permitted for each field type
+const OPERATORS_BY_TYPE = {
+  string: ['equals', 'not_equals', 'contains', 'in', 'not_in'],
+  enum: ['equals', 'not_equals', 'in', 'not_in'],
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'in', 'not_in'],
+  date: ['equals', 'greater_than', 'less_than'],
+  boolean: ['equals', 'not_equals'],
+  objectId: ['equals', 'not_equals', 'in', 'not_in'],
+  // Arrays of references match when any element matches
+  objectIdArray: ['equals', 'in', 'not_in']
+};
+
+const OPERATOR_LABELS = {
+  equals: 'Equals',
+  not_equals: 'Does not equal',
+  contains: 'Contains',
+  greater_than: 'Greater than',
+  less_than: 'Less than',
+  in: 'Is one of',
+  not_in: 'Is not one of'
+};
+
+const AGGREGATION_TYPES = ['count', 'sum', 'average', 'min', 'max'];
+
+const ORGANIZATION_STATUSES = ['active', 'inactive'];
+const ORGANIZATION_TYPES = ['vendor', 'client'];
+
+const organizationFields = (prefix, labelPrefix) => ({
+  [`${prefix}.name`]: { label: `${labelPrefix} Name`, type: 'string', join: prefix },
+  [`${prefix}.organizationType`]: { label: `${labelPrefix} Type`, type: 'enum', values: ORGANIZATION_TYPES, join: prefix },
+  [`${prefix}.status`]: { label: `${labelPrefix} Status`, type: 'enum', values: ORGANIZATION_STATUSES, join: prefix }
+});
+
+const userFields = (prefix, labelPrefix) => ({
+  [`${prefix}.email`]: { label: `${labelPrefix} Email`, type: 'string', join: prefix },
+  [`${prefix}.companyName`]: { label: `${labelPrefix} Company`, type: 'string', join: prefix },
+  [`${prefix}.firstName`]: { label: `${labelPrefix} First Name`, type: 'string', join: prefix },
+  [`${prefix}.lastName`]: { label: `${labelPrefix} Last Name`, type: 'string', join: prefix }
+});
+
+const REPORT_CATALOG = {
+  users: {
+    label: 'Users',
+    joins: {
+      organization: { model: 'Organization', localField: 'organizationId' }
+    },
+    fields: {
+      email: { label: 'Email', type: 'string' },
+      firstName: { label: 'First Name', type: 'string' },
+      lastName: { label: 'Last Name', type: 'string' },
+      companyName: { label: 'Company Name', type: 'string' },
+      userType: { label: 'User Type', type: 'enum', values: ['vendor', 'client', 'admin'] },
+      organizationRole: { label: 'Organization Role', type: 'enum', values: ['admin_owner', 'admin_employee', 'admin_account', 'vendor_owner', 'vendor_employee', 'vendor_account', 'client_owner', 'client_employee', 'client_account'] },
+      approvalStatus: { label: 'Approval Status', type: 'enum', values: ['pending', 'approved', 'rejected'] },
+      paymentTerms: { label: 'Payment Terms', type: 'enum', values: ['net_15', 'net_30', 'net_45', 'net_60', 'net_90'] },
+      isActive: { label: 'Active', type: 'boolean' },
+      isEmailVerified: { label: 'Email Verified', type: 'boolean' },
+      isPhoneVerified: { label: 'Phone Verified', type: 'boolean' },
+      isRegistrationComplete: { label: 'Registration Complete', type: 'boolean' },
+      organizationId: { label: 'Organization', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' },
+      ...organizationFields('organization', 'Organization')
+    }
+  },
+
+  resources: {
+    label: 'Resources',
+    joins: {
+      organization: { model: 'Organization', localField: 'organizationId' }
+    },
+    fields: {
+      name: { label: 'Name', type: 'string' },
+      category: { label: 'Category', type: 'objectId' },
+      skills: { label: 'Skills', type: 'objectIdArray' },
+      'experience.years': { label: 'Years of Experience', type: 'number' },
+      'experience.level': { label: 'Experience Level', type: 'enum', values: ['junior', 'mid', 'senior', 'expert'] },
+      'availability.status': { label: 'Availability', type: 'enum', values: ['available', 'partially_available', 'unavailable'] },
+      'availability.hours_per_week': { label: 'Hours per Week', type: 'number' },
+      'rate.hourly': { label: 'Hourly Rate', type: 'number' },
+      'rate.currency': { label: 'Rate Currency', type: 'string' },
+      'location.city': { label: 'City', type: 'string' },
+      'location.country': { label: 'Country', type: 'string' },
+      'location.remote': { label: 'Remote', type: 'boolean' },
+      status: { label: 'Status', type: 'enum', values: ['active', 'inactive', 'archived'] },
+      organizationId: { label: 'Vendor Organization', type: 'objectId' },
+      createdBy: { label: 'Created By', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' },
+      ...organizationFields('organization', 'Vendor Organization')
+    }
+  },
+
+  requirements: {
+    label: 'Requirements',
+    joins: {
+      organization: { model: 'Organization', localField: 'organizationId' }
+    },
+    fields: {
+      title: { label: 'Title', type: 'string' },
+      category: { label: 'Category', type: 'objectId' },
+      skills: { label: 'Skills', type: 'objectIdArray' },
+      'experience.minYears': { label: 'Minimum Years of Experience', type: 'number' },
+      'experience.level': { label: 'Experience Level', type: 'enum', values: ['junior', 'mid', 'senior', 'expert'] },
+      duration: { label: 'Duration (weeks)', type: 'number' },
+      'budget.charge': { label: 'Budget', type: 'number' },
+      'budget.currency': { label: 'Budget Currency', type: 'string' },
+      'budget.type': { label: 'Budget Type', type: 'enum', values: ['hourly', 'fixed'] },
+      'location.remote': { label: 'Remote', type: 'boolean' },
+      'location.onsite': { label: 'Onsite', type: 'boolean' },
+      'location.city': { label: 'City', type: 'string' },
+      'location.country': { label: 'Country', type: 'string' },
+      startDate: { label: 'Start Date', type: 'date' },
+      endDate: { label: 'End Date', type: 'date' },
+      status: { label: 'Status', type: 'enum', values: ['draft', 'open', 'in_progress', 'on_hold', 'completed', 'cancelled', 'active', 'inactive'] },
+      priority: { label: 'Priority', type: 'enum', values: ['low', 'medium', 'high', 'urgent'] },
+      organizationId: { label: 'Client Organization', type: 'objectId' },
+      createdBy: { label: 'Created By', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' },
+      ...organizationFields('organization', 'Client Organization')
+    }
+  },
+
+  applications: {
+    label: 'Applications',
+    joins: {
+      requirement: { model: 'Requirement', localField: 'requirement' },
+      'requirement.organization': { model: 'Organization', localField: 'requirement.organizationId', dependsOn: 'requirement' },
+      resource: { model: 'Resource', localField: 'resource' },
+      'resource.organization': { model: 'Organization', localField: 'resource.organizationId', dependsOn: 'resource' },
+      organization: { model: 'Organization', localField: 'organizationId' }
+    },
+    fields: {
+      status: { label: 'Status', type: 'enum', values: ['applied', 'pending', 'shortlisted', 'interview', 'accepted', 'rejected', 'offer_created', 'offer_accepted', 'onboarded', 'did_not_join', 'withdrawn'] },
+      'proposedRate.amount': { label: 'Proposed Rate', type: 'number' },
+      'proposedRate.currency': { label: 'Proposed Rate Currency', type: 'string' },
+      'proposedRate.type': { label: 'Proposed Rate Type', type: 'enum', values: ['hourly', 'fixed'] },
+      'availability.startDate': { label: 'Available From', type: 'date' },
+      'availability.hoursPerWeek': { label: 'Hours per Week', type: 'number' },
+      workflowStatus: { label: 'Workflow Status', type: 'enum', values: ['not_started', 'in_progress', 'completed', 'cancelled'] },
+      requirement: { label: 'Requirement', type: 'objectId' },
+      resource: { label: 'Resource', type: 'objectId' },
+      organizationId: { label: 'Organization', type: 'objectId' },
+      createdBy: { label: 'Created By', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' },
+      'requirement.title': { label: 'Requirement Title', type: 'string', join: 'requirement' },
+      'requirement.status': { label: 'Requirement Status', type: 'enum', values: ['draft', 'open', 'in_progress', 'on_hold', 'completed', 'cancelled', 'active', 'inactive'], join: 'requirement' },
+      'requirement.priority': { label: 'Requirement Priority', type: 'enum', values: ['low', 'medium', 'high', 'urgent'], join: 'requirement' },
+      'requirement.budget.charge': { label: 'Requirement Budget', type: 'number', join: 'requirement' },
+      'requirement.organizationId': { label: 'Client Organization', type: 'objectId', join: 'requirement' },
+      ...organizationFields('requirement.organization', 'Client Organization'),
+      'resource.name': { label: 'Resource Name', type: 'string', join: 'resource' },
+      'resource.experience.level': { label: 'Resource Experience Level', type: 'enum', values: ['junior', 'mid', 'senior', 'expert'], join: 'resource' },
+      'resource.rate.hourly': { label: 'Resource Hourly Rate', type: 'number', join: 'resource' },
+      'resource.organizationId': { label: 'Vendor Organization', type: 'objectId', join: 'resource' },
+      ...organizationFields('resource.organization', 'Vendor Organization'),
+      ...organizationFields('organization', 'Applicant Organization')
+    }
+  },
+
+  skills: {
+    label: 'Skills',
+    joins: {},
+    fields: {
+      name: { label: 'Name', type: 'string' },
+      description: { label: 'Description', type: 'string' },
+      isActive: { label: 'Active', type: 'boolean' },
+      createdBy: { label: 'Created By', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' }
+    }
+  },
+
+  financial: {
+    label: 'Invoices',
+    joins: {
+      po: { model: 'PO', localField: 'poId' },
+      vendor: { model: 'User', localField: 'vendorId' },
+      client: { model: 'User', localField: 'clientId' },
+      clientOrganization: { model: 'Organization', localField: 'clientOrganizationId' },
+      vendorOrganization: { model: 'Organization', localField: 'vendorOrganizationId' }
+    },
+    fields: {
+      invoiceNumber: { label: 'Invoice Number', type: 'string' },
+      invoiceDate: { label: 'Invoice Date', type: 'date' },
+      dueDate: { label: 'Due Date', type: 'date' },
+      'invoiceAmount.amount': { label: 'Invoice Amount', type: 'number' },
+      'invoiceAmount.currency': { label: 'Currency', type: 'enum', values: ['USD', 'EUR', 'GBP', 'INR'] },
+      paymentStatus: { label: 'Payment Status', type: 'enum', values: ['pending', 'approved', 'rejected', 'paid', 'overdue', 'cancelled'] },
+      'paymentDetails.paidAmount': { label: 'Paid Amount', type: 'number' },
+      'paymentDetails.paidDate': { label: 'Paid Date', type: 'date' },
+      'paymentDetails.paymentMethod': { label: 'Payment Method', type: 'enum', values: ['bank_transfer', 'check', 'credit_card', 'other'] },
+      'creditNote.amount': { label: 'Credit Note Amount', type: 'number' },
+      poId: { label: 'PO', type: 'objectId' },
+      vendorId: { label: 'Vendor', type: 'objectId' },
+      clientId: { label: 'Client', type: 'objectId' },
+      clientOrganizationId: { label: 'Client Organization', type: 'objectId' },
+      vendorOrganizationId: { label: 'Vendor Organization', type: 'objectId' },
+      createdAt: { label: 'Created At', type: 'date' },
+      'po.poNumber': { label: 'PO Number', type: 'string', join: 'po' },
+      'po.status': { label: 'PO Status', type: 'enum', values: ['draft', 'submitted', 'finance_approved', 'sent_to_vendor', 'vendor_accepted', 'vendor_rejected', 'cancelled', 'active', 'completed'], join: 'po' },
+      'po.totalAmount.amount': { label: 'PO Amount', type: 'number', join: 'po' },
+      ...userFields('vendor', 'Vendor'),
+      ...userFields('client', 'Client'),
+      ...organizationFields('clientOrganization', 'Client Organization'),
+      ...organizationFields('vendorOrganization', 'Vendor Organization')
+    }
+  }
+};
+
+/**
+ * Get the catalog entry for a data source
+ * @param {string} dataSource - Data source name
+ * @returns {Object|undefined} - Catalog entry with fields and joins
+ */
+const getDataSourceCatalog = (dataSource) => {
+  return Object.prototype.hasOwnProperty.call(REPORT_CATALOG, dataSource) ? REPORT_CATALOG[dataSource] : undefined;
+};
+
+/**
+ * Describe the catalog for clients building reports
+ * @returns {Object} - Data sources with their fields, operators and aggregation types
+ */
+const describeCatalog = () => {
+  const dataSources = Object.entries(REPORT_CATALOG).map(([key, source]) => ({
+    key,
+    label: source.label,
+    joins: Object.keys(source.joins),
+    fields: Object.entries(source.fields).map(([fieldKey, field]) => ({
+      key: fieldKey,
+      label: field.label,
+      type: field.type,
+      values: field.values,
+      join: field.join,
+      operators: OPERATORS_BY_TYPE[field.type],
+      aggregatable: field.type === 'number'
+    }))
+  }));
+
+  return {
+    dataSources,
+    operators: Object.entries(OPERATOR_LABELS).map(([key, label]) => ({ key, label })),
+    aggregationTypes: AGGREGATION_TYPES,
+    timeRanges: ['week', 'month', 'quarter', 'year', 'custom']
+  };
+};
+
+module.exports = {
+  OPERATORS_BY_TYPE,
+  AGGREGATION_TYPES,
+  REPORT_CATALOG,
+  getDataSourceCatalog,
+  describeCatalog
+};
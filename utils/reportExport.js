@@ -0,0 +1,465 @@
+/**
+ * Report Export Utility
+ *
+ * Shared export layer for admin reports and list endpoints. Rows can come from
+ * an array or straight from a Mongo cursor (anything async-iterable) and are
+ * written to the response as they are read, so large exports never sit in
+ * memory. Supported formats:
+ *   csv   - RFC 4180 (CRLF line endings, fields quoted only when needed)
+ *   xlsx  - streamed workbook, one worksheet per section
+ *   jsonl - one JSON document per line
+ *   json  - a single JSON array (kept for existing download endpoints)
+ */
+
+const ExcelJS = require('exceljs');
+const ErrorResponse = require('./errorResponse');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl'];
+
+// Rows written to a worksheet between checks of the response's backpressure
+const XLSX_DRAIN_ROWS = 100;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !Buffer.isBuffer(value) && value._bsontype === undefined;
+};
+
+const toPlain = (doc) => {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join('; ');
+  }
+  if (typeof value === 'object') {
+    return value._bsontype !== undefined ? value.toString() : JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * Flatten a report row into dotted column names
+ * Group keys (_id of a $group stage) become top-level columns.
+ * @param {Object} row - Report row
+ * @param {string} prefix - Column prefix used while recursing
+ * @returns {Object} - Flat row of column name to cell value
+ */
+const flattenRow = (row, prefix = '') => {
+  return Object.entries(row || {}).reduce((flat, [key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (!prefix && key === '_id' && isPlainObject(value)) {
+      return { ...flat, ...flattenRow(value) };
+    }
+    if (isPlainObject(value)) {
+      return { ...flat, ...flattenRow(value, column) };
+    }
+
+    flat[column] = formatValue(value);
+    return flat;
+  }, {});
+};
+
+/**
+ * Escape a value as an RFC 4180 CSV field
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+const escapeCsvField = (value) => {
+  const text = String(value === null || value === undefined ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columns in first-seen order across all rows
+const collectColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return [...columns];
+};
+
+// Normalize column definitions to [{ key, header }]
+const normalizeColumns = (columns) => {
+  return columns.map(column => (typeof column === 'string' ? { key: column, header: column } : column));
+};
+
+/**
+ * Get the export format requested with ?format=
+ * @param {Object} req - Express request
+ * @returns {string|null} - csv, xlsx or jsonl, or null for a normal JSON response
+ * @throws {ErrorResponse} - 400 for an unknown format
+ */
+const getExportFormat = (req) => {
+  const { format } = req.query;
+
+  if (!format || format === 'json') {
+    return null;
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ErrorResponse(`Unsupported export format "${format}"; expected one of: json, ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+  return format;
+};
+
+/**
+ * Build a download filename stamped with today's date
+ * @param {string} name - Base name, e.g. 'user-growth'
+ * @param {string} format - csv, xlsx or jsonl
+ * @returns {string} - Filename
+ */
+const exportFilename = (name, format) => `${name}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+// Tracks client disconnects and applies backpressure when writing to the response
+const createWriter = (res) => {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const waitForDrain = () => new Promise(resolve => {
+    const resume = () => {
+      res.off('drain', resume);
+      res.off('close', resume);
+      resolve();
+    };
+    res.on('drain', resume);
+    res.on('close', resume);
+  });
+
+  return {
+    isClosed: () => closed || res.destroyed,
+    write: async (chunk) => {
+      if (!res.write(chunk)) {
+        await waitForDrain();
+      }
+    },
+    // For output written to the response by another stream (the XLSX zip): let that
+    // stream catch up, then wait while the response is backed up
+    drain: async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (res.writableNeedDrain && !closed && !res.destroyed) {
+        await waitForDrain();
+      }
+    }
+  };
+};
+
+const closeSource = async (source) => {
+  if (source && typeof source.close === 'function') {
+    await source.close().catch(() => {});
+  }
+};
+
+const startDownload = (res, format, filename) => {
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+const handleStreamError = (res, error) => {
+  // Once the download has started the only option is to cut it short
+  console.error('Error streaming export:', error);
+  res.destroy(error);
+};
+
+// Columns of an in-memory source across all of its rows; cursors are only read once,
+// so their columns must be given or default to those of the first row
+const sourceColumns = (source, transform) => {
+  if (!Array.isArray(source)) {
+    return null;
+  }
+  return collectColumns(source.map(doc => flattenRow(transform ? transform(doc) : toPlain(doc))));
+};
+
+/**
+ * Stream rows to the response as CSV, XLSX, JSONL or a JSON array
+ * Columns default to those of every row for arrays and to those of the first row for
+ * cursors; pass the columns when the row shape is known up front.
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, xlsx, jsonl or json
+ * @param {string} options.filename - Download filename
+ * @param {Array|AsyncIterable} options.source - Rows, or a Mongo cursor
+ * @param {Function} options.transform - Maps each document to the exported row
+ * @param {Array} options.columns - Column keys, or { key, header } objects
+ * @param {string} options.sheetName - Worksheet name (xlsx only)
+ * @returns {Promise<number>} - Number of rows written
+ */
+const streamRows = async (res, { format, filename, source, transform, columns, sheetName = 'Report' }) => {
+  if (format === 'xlsx') {
+    return streamWorkbook(res, { filename, sheets: [{ name: sheetName, source, transform, columns }] });
+  }
+
+  const writer = createWriter(res);
+  let columnList = normalizeColumns(columns || (format === 'csv' && sourceColumns(source, transform)) || []);
+  let started = false;
+  let count = 0;
+
+  const start = async (firstRow) => {
+    startDownload(res, format, filename);
+    started = true;
+
+    if (format === 'csv') {
+      columnList = columnList.length > 0 ? columnList : normalizeColumns(Object.keys(firstRow || {}));
+      await writer.write(columnList.map(column => escapeCsvField(column.header)).join(',') + '\r\n');
+    }
+  };
+
+  try {
+    for await (const doc of source) {
+      if (writer.isClosed()) {
+        break;
+      }
+
+      const row = transform ? transform(doc) : toPlain(doc);
+
+      if (format === 'jsonl' || format === 'json') {
+        if (!started) {
+          await start();
+          if (format === 'json') {
+            await writer.write('[');
+          }
+        }
+        const separator = format === 'json' && count > 0 ? ',' : '';
+        await writer.write(separator + JSON.stringify(row) + (format === 'jsonl' ? '\n' : ''));
+      } else {
+        const flat = flattenRow(row);
+        if (!started) {
+          await start(flat);
+        }
+        await writer.write(columnList.map(column => escapeCsvField(flat[column.key])).join(',') + '\r\n');
+      }
+
+      count += 1;
+    }
+
+    if (!started) {
+      await start();
+      if (format === 'json') {
+        await writer.write('[');
+      }
+    }
+    if (format === 'json') {
+      await writer.write(']');
+    }
+    res.end();
+  } catch (error) {
+    if (!started) {
+      throw error;
+    }
+    handleStreamError(res, error);
+  } finally {
+    await closeSource(source);
+  }
+
+  return count;
+};
+
+/**
+ * Stream an XLSX workbook with one worksheet per sheet definition
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {string} options.filename - Download filename
+ * @param {Array<{name: string, source: Array|AsyncIterable, transform: Function, columns: Array}>} options.sheets - Worksheets
+ * @returns {Promise<number>} - Number of rows written across all sheets
+ */
+const streamWorkbook = async (res, { filename, sheets }) => {
+  startDownload(res, 'xlsx', filename);
+
+  const writer = createWriter(res);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  let count = 0;
+
+  try {
+    for (const sheet of sheets) {
+      // Excel limits sheet names to 31 characters and forbids some punctuation
+      const worksheet = workbook.addWorksheet(String(sheet.name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+      let columnList = normalizeColumns(sheet.columns || sourceColumns(sheet.source, sheet.transform) || []);
+
+      const writeHeader = (flat) => {
+        columnList = columnList.length > 0 ? columnList : normalizeColumns(Object.keys(flat || {}));
+        worksheet.columns = columnList.map(column => ({ header: column.header, key: column.key, width: Math.max(String(column.header).length + 2, 12) }));
+        worksheet.getRow(1).font = { bold: true };
+      };
+
+      let headerWritten = false;
+
+      for await (const doc of sheet.source) {
+        if (writer.isClosed()) {
+          break;
+        }
+
+        const flat = flattenRow(sheet.transform ? sheet.transform(doc) : toPlain(doc));
+        if (!headerWritten) {
+          writeHeader(flat);
+          headerWritten = true;
+        }
+
+        worksheet.addRow(columnList.reduce((values, column) => ({ ...values, [column.key]: flat[column.key] }), {})).commit();
+        count += 1;
+
+        // Committed rows are zipped into the response; stop reading while it is backed up
+        if (count % XLSX_DRAIN_ROWS === 0) {
+          await writer.drain();
+        }
+      }
+
+      if (!headerWritten) {
+        writeHeader();
+      }
+
+      await closeSource(sheet.source);
+      worksheet.commit();
+    }
+
+    await workbook.commit();
+  } catch (error) {
+    handleStreamError(res, error);
+  }
+
+  return count;
+};
+
+// Split report data into tabular sections: arrays are sections, objects are one-row
+// sections and the remaining scalar values are collected in "summary"
+const reportSections = (data) => {
+  const sections = {};
+  const summary = {};
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      sections[key] = value;
+    } else if (isPlainObject(value)) {
+      sections[key] = [value];
+    } else {
+      summary[key] = value;
+    }
+  });
+
+  if (Object.keys(summary).length > 0) {
+    sections.summary = [summary];
+  }
+
+  return sections;
+};
+
+/**
+ * Send report data as JSON, or export it when ?format= is given
+ * XLSX exports contain every section as a worksheet; CSV and JSONL export one
+ * section, chosen with ?section= (defaults to the first one).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} name - Report name used in the download filename
+ * @param {Object} data - Report data
+ * @returns {Promise<void>}
+ */
+const sendReport = async (req, res, name, data) => {
+  const format = getExportFormat(req);
+
+  if (!format) {
+    res.status(200).json({
+      success: true,
+      data
+    });
+    return;
+  }
+
+  const sections = reportSections(data);
+  const sectionNames = Object.keys(sections);
+
+  if (format === 'xlsx') {
+    await streamWorkbook(res, {
+      filename: exportFilename(name, format),
+      sheets: sectionNames.map(section => ({ name: section, source: sections[section] }))
+    });
+    return;
+  }
+
+  const section = req.query.section || sectionNames[0];
+
+  if (!sections[section]) {
+    throw new ErrorResponse(`Unknown report section "${section}"; expected one of: ${sectionNames.join(', ')}`, 400);
+  }
+
+  await streamRows(res, {
+    format,
+    filename: exportFilename(section === sectionNames[0] ? name : `${name}-${section}`, format),
+    source: sections[section]
+  });
+};
+
+/**
+ * Render report rows as a CSV file in memory (for attachments)
+ * @param {Object[]} rows - Report rows
+ * @returns {Buffer} - CSV content
+ */
+const rowsToCsv = (rows) => {
+  const flatRows = rows.map(row => flattenRow(row));
+  const columns = collectColumns(flatRows);
+  const lines = [columns.map(escapeCsvField).join(',')];
+
+  flatRows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvField(row[column])).join(','));
+  });
+
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'utf8');
+};
+
+/**
+ * Render report rows as an XLSX workbook in memory (for attachments)
+ * @param {Object[]} rows - Report rows
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} - XLSX content
+ */
+const rowsToXlsx = async (rows, sheetName = 'Report') => {
+  const flatRows = rows.map(row => flattenRow(row));
+  const columns = collectColumns(flatRows);
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  worksheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(column.length + 2, 12) }));
+  worksheet.getRow(1).font = { bold: true };
+  flatRows.forEach(row => worksheet.addRow(row));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Render report rows in the requested format in memory (for attachments)
+ * @param {Object[]} rows - Report rows
+ * @param {string} format - csv or xlsx
+ * @param {string} sheetName - Worksheet name (xlsx only)
+ * @returns {Promise<{content: Buffer, contentType: string}>} - File content and MIME type
+ */
+const exportRows = async (rows, format, sheetName) => {
+  const content = format === 'xlsx' ? await rowsToXlsx(rows, sheetName) : rowsToCsv(rows);
+  return { content, contentType: CONTENT_TYPES[format] || CONTENT_TYPES.csv };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  flattenRow,
+  escapeCsvField,
+  getExportFormat,
+  exportFilename,
+  streamRows,
+  streamWorkbook,
+  sendReport,
+  rowsToCsv,
+  rowsToXlsx,
+  exportRows
+};
@@ -0,0 +1,26 @@
+/**
+ * Report Math Utility
+ *
+ * Number formatting shared by the analytics reports (hiring funnel, workflow SLA).
+ */
+
+/**
+ * Round a number to a fixed number of decimal places
+ * @param {number|null} value - Value to round
+ * @param {number} places - Decimal places (default 1)
+ * @returns {number|null} - Rounded value, or null when the value is null
+ */
+const roundTo = (value, places = 1) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+/**
+ * Express a count as a percentage of a total
+ * @param {number} numerator - Count
+ * @param {number} denominator - Total
+ * @returns {number|null} - Percentage to one decimal place, or null when the total is zero
+ */
+const rate = (numerator, denominator) => (denominator > 0 ? roundTo((numerator / denominator) * 100) : null);
+
+module.exports = {
+  roundTo,
+  rate
+};
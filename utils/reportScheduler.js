@@ -0,0 +1,204 @@
+/**
+ * Report Scheduler Utility
+ *
+ * Computes when report schedules are due and executes them: runs the saved
+ * report template, stores the CSV/XLSX output, delivers it by email and/or to
+ * the recipients' notification inbox and records the run in ReportRun.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ReportTemplate = require('../models/ReportTemplate');
+const ReportRun = require('../models/ReportRun');
+const User = require('../models/User');
+const { runCustomReport } = require('./customReport');
+const { exportRows } = require('./reportExport');
+const { sendTemplatedEmail } = require('./emailTemplates');
+const { createNotification } = require('../controllers/notificationController');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Directory where report run output files are stored
+ * @returns {string} - Absolute directory path
+ */
+const getReportOutputDir = () => {
+  return path.resolve(process.env.REPORT_OUTPUT_DIR || path.join(process.env.UPLOAD_PATH || './uploads', 'reports'));
+};
+
+const atTimeOfDay = (date, schedule) => {
+  const result = new Date(date);
+  result.setUTCHours(schedule.hour || 0, schedule.minute || 0, 0, 0);
+  return result;
+};
+
+/**
+ * Compute the next time a schedule should run, strictly after a given time
+ * All schedule times are in UTC.
+ * @param {Object} schedule - ReportSchedule (frequency, dayOfWeek, dayOfMonth, hour, minute)
+ * @param {Date} from - Reference time (defaults to now)
+ * @returns {Date} - Next run time
+ */
+const computeNextRunAt = (schedule, from = new Date()) => {
+  switch (schedule.frequency) {
+    case 'daily': {
+      const candidate = atTimeOfDay(from, schedule);
+      return candidate > from ? candidate : new Date(candidate.getTime() + DAY);
+    }
+
+    case 'weekly': {
+      const candidate = atTimeOfDay(from, schedule);
+      const daysAhead = (schedule.dayOfWeek - candidate.getUTCDay() + 7) % 7;
+      candidate.setUTCDate(candidate.getUTCDate() + daysAhead);
+      return candidate > from ? candidate : new Date(candidate.getTime() + 7 * DAY);
+    }
+
+    case 'monthly': {
+      for (let monthOffset = 0; ; monthOffset++) {
+        const year = from.getUTCFullYear();
+        const month = from.getUTCMonth() + monthOffset;
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const candidate = atTimeOfDay(new Date(Date.UTC(year, month, Math.min(schedule.dayOfMonth, daysInMonth))), schedule);
+        if (candidate > from) {
+          return candidate;
+        }
+      }
+    }
+
+    default:
+      throw new Error(`Unknown schedule frequency "${schedule.frequency}"`);
+  }
+};
+
+const slugify = (value) => {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+};
+
+const deliverByEmail = async (run, schedule, template, users, output) => {
+  const recipients = [
+    ...users.map(user => ({ email: user.email, name: user.firstName })),
+    ...(schedule.additionalEmails || []).map(email => ({ email }))
+  ];
+
+  for (const recipient of recipients) {
+    try {
+      await sendTemplatedEmail({
+        to: recipient.email,
+        template: 'scheduled_report',
+        variables: {
+          name: recipient.name,
+          reportName: template.name,
+          frequency: schedule.frequency,
+          runDate: run.startedAt.toISOString().slice(0, 10),
+          filename: output.filename,
+          rowCount: run.rowCount
+        },
+        attachments: [{
+          filename: output.filename,
+          content: output.content,
+          contentType: output.contentType
+        }]
+      });
+      run.deliveries.push({ channel: 'email', recipient: recipient.email, status: 'queued' });
+    } catch (error) {
+      console.error(`Error emailing report run ${run._id} to ${recipient.email}:`, error);
+      run.deliveries.push({ channel: 'email', recipient: recipient.email, status: 'failed', error: error.message });
+    }
+  }
+};
+
+const deliverToInbox = async (run, template, users) => {
+  for (const user of users) {
+    const notification = await createNotification({
+      recipient: user._id,
+      type: 'report_ready',
+      title: `Report ready: ${template.name}`,
+      message: `${template.name} finished with ${run.rowCount} rows. Download it from the report run history.`,
+      actionUrl: `/admin/reports/runs/${run._id}`
+    });
+
+    run.deliveries.push({
+      channel: 'notification',
+      recipient: user._id.toString(),
+      status: notification ? 'delivered' : 'failed'
+    });
+  }
+};
+
+/**
+ * Run a report schedule once and deliver its output
+ * Never throws for report or delivery failures; they are recorded on the run.
+ * @param {Object} schedule - ReportSchedule document
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {string} options.triggeredBy - User who started a manual run
+ * @returns {Promise<Object>} - The ReportRun document
+ */
+const executeReportSchedule = async (schedule, { trigger = 'schedule', triggeredBy } = {}) => {
+  const templateId = schedule.template && schedule.template._id ? schedule.template._id : schedule.template;
+  const run = await ReportRun.create({
+    schedule: schedule._id,
+    template: templateId,
+    trigger,
+    triggeredBy,
+    format: schedule.format
+  });
+
+  try {
+    const template = await ReportTemplate.findById(templateId);
+
+    if (!template) {
+      throw new Error('Report template no longer exists');
+    }
+
+    const { report } = await runCustomReport(template.toDefinition());
+    const { content, contentType } = await exportRows(report, schedule.format, template.name);
+
+    const directory = getReportOutputDir();
+    const storedName = `${run._id}.${schedule.format}`;
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, storedName), content);
+
+    run.rowCount = report.length;
+    run.output = {
+      filename: `${slugify(template.name)}-${run.startedAt.toISOString().slice(0, 10)}.${schedule.format}`,
+      path: storedName,
+      contentType,
+      size: content.length
+    };
+
+    const users = await User.find({
+      _id: { $in: schedule.recipients },
+      isActive: true
+    }).select('email firstName');
+
+    if (schedule.deliveryChannels.includes('email')) {
+      await deliverByEmail(run, schedule, template, users, { ...run.output, content });
+    }
+
+    if (schedule.deliveryChannels.includes('notification')) {
+      await deliverToInbox(run, template, users);
+    }
+
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Report schedule ${schedule._id} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.completedAt = new Date();
+  await run.save();
+
+  schedule.lastRunAt = run.startedAt;
+  schedule.lastRunStatus = run.status;
+  await schedule.save();
+
+  return run;
+};
+
+module.exports = {
+  getReportOutputDir,
+  computeNextRunAt,
+  executeReportSchedule
+};
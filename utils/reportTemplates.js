@@ -0,0 +1,151 @@
+/**
+ * Report Templates Utility
+ *
+ * Built-in report templates and helpers for saved ReportTemplate definitions.
+ */
+
+const mongoose = require('mongoose');
+const ReportTemplate = require('../models/ReportTemplate');
+
+// Definition fields a client may set on a template
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'dataSource',
+  'timeRange',
+  'startDate',
+  'endDate',
+  'filters',
+  'groupBy',
+  'aggregations',
+  'sortBy',
+  'limit',
+  'includeFields',
+  'excludeFields',
+  'isPublic'
+];
+
+// Built-in templates, seeded as shared templates the first time templates are listed
+const DEFAULT_REPORT_TEMPLATES = [
+  {
+    systemKey: 'user-growth-by-type',
+    name: 'User Growth by Type',
+    description: 'Track user registration growth by user type over time',
+    dataSource: 'users',
+    timeRange: 'month',
+    groupBy: ['userType'],
+    aggregations: [{ field: 'count', type: 'count' }],
+    sortBy: { field: 'count', order: 'desc' }
+  },
+  {
+    systemKey: 'resource-availability',
+    name: 'Resource Availability Analysis',
+    description: 'Analyze resource availability and status distribution',
+    dataSource: 'resources',
+    timeRange: 'month',
+    groupBy: ['status', 'availability.status'],
+    aggregations: [{ field: 'count', type: 'count' }],
+    sortBy: { field: 'count', order: 'desc' }
+  },
+  {
+    systemKey: 'requirement-status-trends',
+    name: 'Requirement Status Trends',
+    description: 'Monitor requirement status changes over time',
+    dataSource: 'requirements',
+    timeRange: 'month',
+    groupBy: ['status', 'priority'],
+    aggregations: [{ field: 'count', type: 'count' }],
+    sortBy: { field: 'count', order: 'desc' }
+  },
+  {
+    systemKey: 'application-conversion-rates',
+    name: 'Application Conversion Rates',
+    description: 'Track application status progression and conversion rates',
+    dataSource: 'applications',
+    timeRange: 'month',
+    groupBy: ['status'],
+    aggregations: [{ field: 'count', type: 'count' }],
+    sortBy: { field: 'count', order: 'desc' }
+  },
+  {
+    systemKey: 'skill-demand-analysis',
+    name: 'Skill Demand Analysis',
+    description: 'Analyze most requested skills and their demand',
+    dataSource: 'requirements',
+    timeRange: 'month',
+    groupBy: ['skills'],
+    aggregations: [{ field: 'count', type: 'count' }],
+    sortBy: { field: 'count', order: 'desc' }
+  },
+  {
+    systemKey: 'financial-summary',
+    name: 'Financial Summary Report',
+    description: 'Comprehensive financial overview with revenue and payment tracking',
+    dataSource: 'financial',
+    timeRange: 'month',
+    groupBy: ['paymentStatus'],
+    aggregations: [
+      { field: 'count', type: 'count' },
+      { field: 'totalAmount', type: 'sum', sourceField: 'invoiceAmount.amount' }
+    ],
+    sortBy: { field: 'totalAmount', order: 'desc' }
+  }
+];
+
+/**
+ * Insert any built-in report templates that are not yet in the database
+ * @returns {Promise<void>}
+ */
+const seedDefaultReportTemplates = async () => {
+  const existing = await ReportTemplate.find({ systemKey: { $exists: true } }).select('systemKey').lean();
+  const existingKeys = new Set(existing.map(template => template.systemKey));
+
+  const missing = DEFAULT_REPORT_TEMPLATES.filter(template => !existingKeys.has(template.systemKey));
+
+  for (const template of missing) {
+    try {
+      await ReportTemplate.create({ ...template, isPublic: true });
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Pick the template definition fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Fields to set on a ReportTemplate
+ */
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Find a template the user is allowed to see
+ * @param {string} id - Template id
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object|null>} - Template, or null when missing or private to someone else
+ */
+const findAccessibleTemplate = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const template = await ReportTemplate.findById(id);
+  return template && template.isAccessibleBy(user) ? template : null;
+};
+
+module.exports = {
+  DEFAULT_REPORT_TEMPLATES,
+  seedDefaultReportTemplates,
+  pickTemplateFields,
+  findAccessibleTemplate
+};
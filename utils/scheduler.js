@@ -0,0 +1,87 @@
+/**
+ * Scheduler Utility
+ *
+ * Minimal in-process scheduler for periodic background jobs. Each job runs on
+ * a fixed interval and never overlaps with a previous run of itself.
+ */
+
+const jobs = new Map();
+
+/**
+ * Run a task periodically
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ * @returns {Object} - The registered job
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    return jobs.get(name);
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    running: false,
+    lastRunAt: null,
+    lastError: null,
+    timer: null
+  };
+
+  const run = async () => {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    job.lastRunAt = new Date();
+
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Scheduled job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  // Do not keep the process alive just for background jobs
+  job.timer.unref();
+  job.run = run;
+
+  jobs.set(name, job);
+  console.log(`Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+
+  return job;
+};
+
+/**
+ * Stop every scheduled job
+ */
+const stopAllJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+/**
+ * Get the status of every scheduled job
+ * @returns {Object[]} - Job name, interval, last run time and last error
+ */
+const getJobStatuses = () => {
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    intervalMs: job.intervalMs,
+    running: job.running,
+    lastRunAt: job.lastRunAt,
+    lastError: job.lastError
+  }));
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs,
+  getJobStatuses
+};
@@ -1,26 +1,15 @@
-const nodemailer = require('nodemailer');
+const { enqueueEmail } = require('./emailQueue');
 
+// Queue an email for delivery; see utils/emailQueue for retries and dead-lettering
 const sendEmail = async (options) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_EMAIL,
-      pass: process.env.SMTP_PASSWORD
-    }
-  });
-
-  const message = {
-    from: `${process.env.FROM_NAME || 'Service Marketplace'} <${process.env.SMTP_EMAIL}>`,
+  return enqueueEmail({
     to: options.email,
     subject: options.subject,
-    text: options.message
-  };
-
-  const info = await transporter.sendMail(message);
-
-  console.log('Message sent: %s', info.messageId);
+    text: options.message,
+    html: options.html,
+    attachments: options.attachments,
+    template: options.template
+  });
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+module.exports = sendEmail;
@@ -0,0 +1,165 @@
+/**
+ * SOW Pricing Utility
+ *
+ * Prices SOW line items (quantity x rate, plus optional tax) and fills them in
+ * from the client organization's rate cards. A SOW with line items derives its
+ * estimated cost from them, and a PO created from the SOW inherits the lines
+ * so invoices can later be checked against what was agreed.
+ */
+
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+// Units a line item's quantity can be measured in
+const LINE_ITEM_UNITS = ['hour', 'day', 'week', 'month', 'unit', 'fixed'];
+
+// Fields a caller may set on a line item; prices are always computed
+const LINE_ITEM_FIELDS = ['description', 'role', 'resourceId', 'rateCardId', 'rateCardRateId', 'quantity', 'unit', 'rate', 'taxRate'];
+
+// Fields a caller may set on a milestone; amounts from percentages are computed
+const MILESTONE_FIELDS = ['name', 'description', 'dueDate', 'percentage', 'amount', 'acceptanceCriteria'];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Price a line item
+ * @param {Object} item - {quantity, rate, taxRate}
+ * @returns {{subtotal: number, taxAmount: number, total: number}}
+ */
+const priceLineItem = (item) => {
+  const subtotal = roundMoney((Number(item.quantity) || 0) * (Number(item.rate) || 0));
+  const taxAmount = roundMoney(subtotal * (Number(item.taxRate) || 0) / 100);
+  return { subtotal, taxAmount, total: roundMoney(subtotal + taxAmount) };
+};
+
+/**
+ * Total a set of line items
+ * @param {Array} lineItems - Line items
+ * @returns {{subtotal: number, taxAmount: number, total: number}}
+ */
+const summarizeLineItems = (lineItems = []) => lineItems.reduce((totals, item) => {
+  const price = priceLineItem(item);
+  return {
+    subtotal: roundMoney(totals.subtotal + price.subtotal),
+    taxAmount: roundMoney(totals.taxAmount + price.taxAmount),
+    total: roundMoney(totals.total + price.total)
+  };
+}, { subtotal: 0, taxAmount: 0, total: 0 });
+
+/**
+ * Clean line items from a request and fill in rates from the organization's rate cards
+ * A line naming a rateCardId and rateCardRateId takes its role, unit, rate and
+ * tax rate from the card unless it sets them itself.
+ * @param {Array} lineItems - Line items from the request body
+ * @param {Object} options - {organizationId, currency}
+ * @returns {Promise<Array>} - Line items ready to store on a SOW
+ */
+const resolveLineItems = async (lineItems, { organizationId, currency }) => {
+  if (!Array.isArray(lineItems)) {
+    throw new ErrorResponse('lineItems must be an array', 400);
+  }
+
+  // Required here: the RateCard model reads LINE_ITEM_UNITS from this module
+  const RateCard = require('../models/RateCard');
+  const cardIds = [...new Set(lineItems.filter(item => item && item.rateCardId).map(item => String(item.rateCardId)))];
+  if (cardIds.some(id => !mongoose.isObjectIdOrHexString(id))) {
+    throw new ErrorResponse('rateCardId must be a valid id', 400);
+  }
+
+  const cards = await RateCard.find({ _id: { $in: cardIds }, organizationId, isActive: true });
+  const cardById = new Map(cards.map(card => [card._id.toString(), card]));
+
+  return lineItems.map((raw, index) => {
+    const item = pick(raw || {}, LINE_ITEM_FIELDS);
+    if (!item.rateCardId) {
+      return item;
+    }
+
+    const card = cardById.get(String(item.rateCardId));
+    if (!card) {
+      throw new ErrorResponse(`Line item ${index + 1} uses a rate card that does not exist or is inactive`, 400);
+    }
+    if (currency && card.currency !== currency) {
+      throw new ErrorResponse(`Line item ${index + 1} uses a ${card.currency} rate card on a ${currency} SOW`, 400);
+    }
+
+    const rate = item.rateCardRateId ? card.rates.id(item.rateCardRateId) : null;
+    if (!rate) {
+      throw new ErrorResponse(`Line item ${index + 1} must name a rate from rate card "${card.name}"`, 400);
+    }
+
+    return {
+      role: rate.role,
+      description: rate.description,
+      unit: rate.unit,
+      rate: rate.rate,
+      taxRate: rate.taxRate,
+      ...item
+    };
+  });
+};
+
+/**
+ * Clean milestones from a request
+ * @param {Array} milestones - Milestones from the request body
+ * @returns {Array}
+ */
+const sanitizeMilestones = (milestones) => {
+  if (!Array.isArray(milestones)) {
+    throw new ErrorResponse('milestones must be an array', 400);
+  }
+  return milestones.map(milestone => pick(milestone || {}, MILESTONE_FIELDS));
+};
+
+/**
+ * Copy a SOW's line items and milestones for a PO
+ * Each line keeps a reference to the SOW line it came from.
+ * @param {Object} sow - SOW document
+ * @returns {{lineItems: Array, milestones: Array}}
+ */
+const inheritSOWLines = (sow) => ({
+  lineItems: (sow.lineItems || []).map(item => ({
+    sowLineItemId: item._id,
+    description: item.description,
+    role: item.role,
+    resourceId: item.resourceId,
+    quantity: item.quantity,
+    unit: item.unit,
+    rate: item.rate,
+    taxRate: item.taxRate,
+    subtotal: item.subtotal,
+    taxAmount: item.taxAmount,
+    total: item.total
+  })),
+  milestones: (sow.milestones || []).map(milestone => ({
+    sowMilestoneId: milestone._id,
+    name: milestone.name,
+    description: milestone.description,
+    dueDate: milestone.dueDate,
+    percentage: milestone.percentage,
+    amount: milestone.amount,
+    acceptanceCriteria: milestone.acceptanceCriteria
+  }))
+});
+
+module.exports = {
+  LINE_ITEM_UNITS,
+  roundMoney,
+  priceLineItem,
+  summarizeLineItems,
+  resolveLineItems,
+  sanitizeMilestones,
+  inheritSOWLines
+};
@@ -0,0 +1,275 @@
+/**
+ * SOW Revisions Utility
+ *
+ * An accepted SOW is amended through change orders. This module prices and
+ * validates what a change order would do to the SOW's terms, applies an
+ * accepted one as the SOW's next revision, and builds the amendment timeline
+ * and side-by-side comparisons of any two revisions.
+ */
+
+const SOW = require('../models/SOW');
+const ErrorResponse = require('./errorResponse');
+const { resolveLineItems, sanitizeMilestones } = require('./sowPricing');
+
+// Terms a change order can change
+const CHANGE_FIELDS = ['startDate', 'endDate', 'description', 'estimatedCost', 'lineItems', 'milestones'];
+
+// Terms compared field by field between revisions
+const COMPARED_FIELDS = ['title', 'description', 'startDate', 'endDate', 'estimatedCost.amount', 'estimatedCost.currency'];
+
+const LINE_FIELDS = ['description', 'role', 'resourceId', 'quantity', 'unit', 'rate', 'taxRate', 'subtotal', 'taxAmount', 'total'];
+
+const MILESTONE_FIELDS = ['name', 'description', 'dueDate', 'percentage', 'amount', 'acceptanceCriteria'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// JSON-comparable copy of the listed fields
+const comparable = (object, fields) => JSON.stringify(fields.map(field => (object[field] === undefined ? null : object[field])));
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Clean and price the changes requested for a change order
+ * Line items are priced from the client's rate cards in the SOW's currency,
+ * which a change order cannot change.
+ * @param {Object} sow - SOW document
+ * @param {Object} requested - Requested changes from the request body
+ * @returns {Promise<Object>} - Changes ready for previewChangeOrder
+ */
+const prepareChanges = async (sow, requested) => {
+  if (!requested || typeof requested !== 'object') {
+    throw new ErrorResponse('changes are required', 400);
+  }
+
+  const changes = {};
+  ['startDate', 'endDate', 'description'].forEach(field => {
+    if (requested[field] !== undefined) {
+      changes[field] = requested[field];
+    }
+  });
+  if (requested.estimatedCost !== undefined) {
+    changes.estimatedCost = {
+      amount: requested.estimatedCost && requested.estimatedCost.amount,
+      currency: sow.estimatedCost.currency
+    };
+  }
+  if (requested.lineItems !== undefined) {
+    changes.lineItems = await resolveLineItems(requested.lineItems, {
+      organizationId: sow.clientOrganizationId,
+      currency: sow.estimatedCost.currency
+    });
+  }
+  if (requested.milestones !== undefined) {
+    changes.milestones = sanitizeMilestones(requested.milestones);
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new ErrorResponse(`A change order must change at least one of: ${CHANGE_FIELDS.join(', ')}`, 400);
+  }
+
+  return changes;
+};
+
+/**
+ * Work out the SOW's terms after a change order, validated as the SOW would be
+ * @param {Object} sow - SOW document at its current revision
+ * @param {Object} changes - From prepareChanges
+ * @returns {Promise<Object>} - {changes, delta}: the priced changes to store and a summary against the current terms
+ */
+const previewChangeOrder = async (sow, changes) => {
+  const proposed = SOW.hydrate(sow.toObject({ depopulate: true, virtuals: false }));
+  proposed.set(changes);
+
+  if (changes.estimatedCost && proposed.lineItems.length > 0) {
+    throw new ErrorResponse('This SOW is priced by line items; change its cost through lineItems', 400);
+  }
+
+  await proposed.validate();
+
+  const before = sow.currentTerms();
+  const after = proposed.currentTerms();
+
+  // Store the priced values; a line item change also changes the cost
+  const stored = {};
+  Object.keys(changes).forEach(field => {
+    stored[field] = after[field];
+  });
+  if (changes.lineItems || changes.estimatedCost) {
+    stored.estimatedCost = after.estimatedCost;
+  }
+
+  const delta = {
+    scopeChanged: ['description', 'lineItems', 'milestones'].some(field => field in changes && !sameValue(before[field], after[field]))
+  };
+  ['startDate', 'endDate'].forEach(field => {
+    if (field in changes && !sameValue(before[field], after[field])) {
+      delta[field] = { from: before[field], to: after[field] };
+    }
+  });
+  if (before.estimatedCost.amount !== after.estimatedCost.amount) {
+    delta.cost = {
+      from: before.estimatedCost.amount,
+      to: after.estimatedCost.amount,
+      difference: Math.round((after.estimatedCost.amount - before.estimatedCost.amount) * 100) / 100
+    };
+  }
+
+  return { changes: stored, delta };
+};
+
+/**
+ * Apply an accepted change order to the SOW as its next revision
+ * Updates both documents in memory; the caller saves them.
+ * @param {Object} sow - SOW document
+ * @param {Object} changeOrder - SOWChangeOrder document
+ * @param {string} userId - User accepting the change order
+ * @returns {void}
+ */
+const applyChangeOrder = (sow, changeOrder, userId) => {
+  if (changeOrder.baseRevision !== sow.revision) {
+    throw new ErrorResponse(`The SOW has moved on to revision ${sow.revision} since ${changeOrder.reference} was raised; raise a new change order`, 409);
+  }
+
+  // SOWs accepted before revisions were kept get their starting terms recorded first
+  if (sow.revisions.length === 0) {
+    sow.recordRevision({ summary: 'Terms before the first change order' });
+  }
+
+  const changes = changeOrder.toObject({ depopulate: true, virtuals: false }).changes || {};
+  CHANGE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      sow.set(field, changes[field]);
+    }
+  });
+
+  sow.revision += 1;
+  sow.recordRevision({
+    changeOrderId: changeOrder._id,
+    summary: `${changeOrder.reference}: ${changeOrder.title}`,
+    createdBy: userId
+  });
+
+  changeOrder.resultingRevision = sow.revision;
+};
+
+/**
+ * List a SOW's revisions, oldest first
+ * A SOW accepted before revisions were kept reports its current terms as its only revision.
+ * @param {Object} sow - SOW document
+ * @returns {Array}
+ */
+const listRevisions = (sow) => {
+  if (sow.revisions.length > 0) {
+    return sow.revisions.map(revision => revision.toObject({ depopulate: true }));
+  }
+  return [{ ...sow.currentTerms(), revision: sow.revision, summary: 'Current terms', createdAt: sow.updatedAt }];
+};
+
+// Pair up rows from two revisions by key, in order, and mark what changed
+const diffRows = (fromRows = [], toRows = [], keyOf, fields) => {
+  const remaining = new Map();
+  toRows.forEach(row => {
+    const key = keyOf(row);
+    remaining.set(key, [...(remaining.get(key) || []), row]);
+  });
+
+  const rows = fromRows.map(fromRow => {
+    const key = keyOf(fromRow);
+    const candidates = remaining.get(key) || [];
+    const toRow = candidates.shift() || null;
+    if (!toRow) {
+      return { key, change: 'removed', from: fromRow, to: null };
+    }
+    return {
+      key,
+      change: comparable(fromRow, fields) === comparable(toRow, fields) ? 'unchanged' : 'changed',
+      from: fromRow,
+      to: toRow
+    };
+  });
+
+  remaining.forEach((candidates, key) => {
+    candidates.forEach(toRow => rows.push({ key, change: 'added', from: null, to: toRow }));
+  });
+
+  return rows;
+};
+
+const lineKey = (line) => [line.resourceId ? `resource:${line.resourceId}` : `role:${line.role}`, line.unit, line.description || ''].join('|');
+
+/**
+ * Compare two revisions side by side
+ * Line items are paired by resource or role, unit and description; milestones by name.
+ * @param {Object} from - Earlier revision (from listRevisions)
+ * @param {Object} to - Later revision
+ * @returns {Object} - {from, to, fields, lineItems, milestones}
+ */
+const diffRevisions = (from, to) => {
+  const header = (revision) => ({
+    revision: revision.revision,
+    summary: revision.summary,
+    changeOrderId: revision.changeOrderId,
+    createdAt: revision.createdAt
+  });
+
+  return {
+    from: header(from),
+    to: header(to),
+    fields: COMPARED_FIELDS.map(field => {
+      const fromValue = getPath(from, field);
+      const toValue = getPath(to, field);
+      return { field, from: fromValue === undefined ? null : fromValue, to: toValue === undefined ? null : toValue, changed: !sameValue(fromValue, toValue) };
+    }),
+    lineItems: diffRows(from.lineItems, to.lineItems, lineKey, LINE_FIELDS),
+    milestones: diffRows(from.milestones, to.milestones, milestone => milestone.name, MILESTONE_FIELDS)
+  };
+};
+
+/**
+ * Build the amendment timeline of a SOW: its revisions and every step of its change orders
+ * @param {Object} sow - SOW document
+ * @param {Array} changeOrders - The SOW's change orders
+ * @returns {Array} - Events, oldest first
+ */
+const buildAmendmentTimeline = (sow, changeOrders) => {
+  const events = listRevisions(sow).map(revision => ({
+    type: 'revision',
+    date: revision.createdAt,
+    revision: revision.revision,
+    summary: revision.summary,
+    changeOrderId: revision.changeOrderId,
+    userId: revision.createdBy
+  }));
+
+  changeOrders.forEach(changeOrder => {
+    const base = { changeOrderId: changeOrder._id, reference: changeOrder.reference, title: changeOrder.title };
+
+    events.push({ ...base, type: 'change_order_created', date: changeOrder.createdAt, userId: changeOrder.createdBy, summary: changeOrder.reason });
+    changeOrder.approvals.forEach(approval => {
+      events.push({
+        ...base,
+        type: 'change_order_approval',
+        date: approval.date,
+        status: approval.status,
+        role: approval.role,
+        userId: approval.userId,
+        summary: approval.comments
+      });
+    });
+    if (changeOrder.cancelledAt) {
+      events.push({ ...base, type: 'change_order_cancelled', date: changeOrder.cancelledAt, userId: changeOrder.cancelledBy, summary: changeOrder.cancellationReason });
+    }
+  });
+
+  return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+module.exports = {
+  CHANGE_FIELDS,
+  prepareChanges,
+  previewChangeOrder,
+  applyChangeOrder,
+  listRevisions,
+  diffRevisions,
+  buildAmendmentTimeline
+};
@@ -0,0 +1,238 @@
+/**
+ * System Settings Utility
+ *
+ * Reads and writes the versioned platform settings. Settings are cached in
+ * memory for a short time so that hot paths (auth middleware, login) do not
+ * query the database on every request.
+ */
+
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('./errorResponse');
+const { systemSettingsSchema } = require('../validation/settingsValidation');
+
+const SETTINGS_SECTIONS = ['general', 'fees', 'approvals', 'email', 'security', 'matching', 'duplicates', 'invoiceMatching'];
+const CACHE_TTL_MS = 30 * 1000;
+
+// Settings in effect before any version has been saved
+const DEFAULT_SETTINGS = {
+  general: {
+    siteName: 'Service Marketplace',
+    siteDescription: 'Find and book services from trusted professionals',
+    contactEmail: 'support@servicemarketplace.com',
+    supportPhone: '+1-800-123-4567'
+  },
+  fees: {
+    platformFeePercentage: 10,
+    transactionFeeFixed: 0.30,
+    minimumPayout: 50
+  },
+  approvals: {
+    requireVendorApproval: true,
+    requireServiceApproval: true,
+    autoApproveClients: true
+  },
+  email: {
+    sendWelcomeEmail: true,
+    sendOrderConfirmations: true,
+    sendReviewNotifications: true
+  },
+  security: {
+    passwordExpiryDays: 90,
+    maxLoginAttempts: 5,
+    lockoutDurationMinutes: 15,
+    requireEmailVerification: true,
+    requirePhoneVerification: false
+  },
+  // Relative weights of the requirement/resource match score factors
+  matching: {
+    skillsWeight: 40,
+    experienceWeight: 20,
+    rateWeight: 20,
+    availabilityWeight: 10,
+    locationWeight: 10,
+    minimumScore: 50,
+    fullTimeHoursPerWeek: 40
+  },
+  duplicates: {
+    // "flag" lets likely duplicate submissions through for review; "block" rejects them
+    applicationAction: 'flag',
+    flagScore: 50,
+    blockScore: 80,
+    nameSimilarityThreshold: 0.85
+  },
+  // Three-way match of invoices against the PO and approved timesheets. Each
+  // check either blocks the invoice or flags it for client finance to review.
+  invoiceMatching: {
+    overAmountAction: 'block',
+    outsidePeriodAction: 'flag',
+    hoursMismatchAction: 'flag',
+    // Hours per resource an invoice may differ from approved timesheets by
+    hoursTolerance: 0.5
+  }
+};
+
+let cache = null;
+
+const cloneSettings = (settings) => JSON.parse(JSON.stringify(settings));
+
+/**
+ * Get the latest settings version document
+ * @returns {Promise<Object|null>} - Latest version, or null when none has been saved
+ */
+const getCurrentVersion = () => {
+  return SystemSettings.findOne().sort({ version: -1 }).lean();
+};
+
+/**
+ * Get the settings currently in effect
+ * Falls back to the defaults when nothing has been saved or the store is unreachable.
+ * @returns {Promise<Object>} - Settings object with one key per section
+ */
+// Settings stored in a version, with keys added to the defaults after it was saved filled in
+const settingsFromVersion = (version) => {
+  const settings = cloneSettings(DEFAULT_SETTINGS);
+  if (version) {
+    SETTINGS_SECTIONS.forEach(section => {
+      settings[section] = { ...settings[section], ...version.settings[section] };
+    });
+  }
+  return settings;
+};
+
+const getSettings = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.settings;
+  }
+
+  let settings;
+  try {
+    settings = settingsFromVersion(await getCurrentVersion());
+  } catch (error) {
+    console.error('Error loading system settings, using defaults:', error);
+    return cloneSettings(DEFAULT_SETTINGS);
+  }
+
+  cache = { settings, expiresAt: Date.now() + CACHE_TTL_MS };
+  return settings;
+};
+
+/**
+ * Get a single section of the settings in effect
+ * @param {string} section - One of general, fees, approvals, email, security, matching, duplicates, invoiceMatching
+ * @returns {Promise<Object>} - The section's settings
+ */
+const getSettingsSection = async (section) => {
+  const settings = await getSettings();
+  return settings[section];
+};
+
+/**
+ * Drop the in-memory cache so the next read hits the database
+ */
+const clearSettingsCache = () => {
+  cache = null;
+};
+
+// Save settings built from `base` as the version after it
+const saveVersion = async ({ base, settings, changedSections, changeNote, rolledBackFrom, userId }) => {
+  const { error, value } = systemSettingsSchema.validate(settings, { abortEarly: false });
+  if (error) {
+    throw new ErrorResponse(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  // The unique version index rejects a concurrent save of the same version
+  let version;
+  try {
+    version = await SystemSettings.create({
+      version: base ? base.version + 1 : 1,
+      settings: value,
+      changedSections,
+      changeNote,
+      rolledBackFrom,
+      changedBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      clearSettingsCache();
+      throw new ErrorResponse('The settings were changed by someone else at the same time; reload and try again', 409);
+    }
+    throw error;
+  }
+
+  clearSettingsCache();
+  return version;
+};
+
+/**
+ * Apply a partial update and store the result as a new version
+ * The changes are merged onto the latest stored version, not the cached settings,
+ * so a save never drops a change made elsewhere within the cache lifetime.
+ * @param {Object} changes - Partial settings, keyed by section
+ * @param {string} userId - User making the change
+ * @param {string} changeNote - Optional description of the change
+ * @returns {Promise<Object>} - The new version document
+ */
+const updateSettings = async (changes, userId, changeNote) => {
+  const base = await getCurrentVersion();
+  const settings = settingsFromVersion(base);
+  const changedSections = [];
+
+  SETTINGS_SECTIONS.forEach(section => {
+    if (!changes[section]) {
+      return;
+    }
+
+    const merged = { ...settings[section], ...changes[section] };
+    if (JSON.stringify(merged) !== JSON.stringify(settings[section])) {
+      changedSections.push(section);
+    }
+    settings[section] = merged;
+  });
+
+  return saveVersion({ base, settings, changedSections, changeNote, userId });
+};
+
+/**
+ * Restore an earlier version by saving a copy of it as a new version
+ * @param {number} versionNumber - Version to restore
+ * @param {string} userId - User performing the rollback
+ * @param {string} changeNote - Optional reason for the rollback
+ * @returns {Promise<Object|null>} - The new version document, or null if the version does not exist
+ */
+const rollbackSettings = async (versionNumber, userId, changeNote) => {
+  const target = await SystemSettings.findOne({ version: versionNumber }).lean();
+  if (!target) {
+    return null;
+  }
+
+  const base = await getCurrentVersion();
+  const current = settingsFromVersion(base);
+  const changedSections = SETTINGS_SECTIONS.filter(section =>
+    JSON.stringify(current[section]) !== JSON.stringify({ ...DEFAULT_SETTINGS[section], ...target.settings[section] })
+  );
+
+  const settings = {};
+  SETTINGS_SECTIONS.forEach(section => {
+    settings[section] = { ...DEFAULT_SETTINGS[section], ...target.settings[section] };
+  });
+
+  return saveVersion({
+    base,
+    settings,
+    changedSections,
+    changeNote: changeNote || `Rolled back to version ${versionNumber}`,
+    rolledBackFrom: versionNumber,
+    userId
+  });
+};
+
+module.exports = {
+  SETTINGS_SECTIONS,
+  DEFAULT_SETTINGS,
+  getCurrentVersion,
+  getSettings,
+  getSettingsSection,
+  clearSettingsCache,
+  updateSettings,
+  rollbackSettings
+};
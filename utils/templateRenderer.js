@@ -0,0 +1,256 @@
+/**
+ * Template Renderer Utility
+ *
+ * Small logic-light template engine used for email templates.
+ *
+ * Supported syntax:
+ *   {{name}}                       - variable (HTML-escaped when rendering HTML)
+ *   {{{name}}}                     - raw variable, never escaped
+ *   {{user.firstName}}             - dotted paths
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#unless name}}...{{/unless}}
+ *   {{#each items}}{{this}} {{@index}} {{field}}{{/each}}
+ *
+ * Referencing a variable that is not defined is an error, so optional values
+ * must be wrapped in {{#if}}.
+ */
+
+class TemplateError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.statusCode = 400;
+    Object.assign(this, details);
+  }
+}
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {string} source - Template source
+ * @returns {Object[]} - Parsed nodes
+ */
+const parseTemplate = (source) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(source || '')) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.push({ type: 'variable', path: match[1], raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+
+    if (tag.startsWith('#')) {
+      const [helper, path] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper) || !path) {
+        throw new TemplateError(`Invalid block tag "{{${tag}}}"`);
+      }
+
+      const block = { type: helper, path, children: [], inverse: [] };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+    } else if (tag.startsWith('/')) {
+      const helper = tag.slice(1).trim();
+      const block = stack[stack.length - 1];
+
+      if (block.type !== helper) {
+        throw new TemplateError(`Unexpected "{{/${helper}}}"${block.type === 'root' ? '' : `, expected "{{/${block.type}}}"`}`);
+      }
+
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'root' ? parent.children : (parent.inElse ? parent.inverse : parent.children);
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+
+      if (block.type === 'root' || block.inElse) {
+        throw new TemplateError('Unexpected "{{else}}"');
+      }
+
+      block.inElse = true;
+      current = block.inverse;
+    } else {
+      current.push({ type: 'variable', path: tag, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed block "{{#${stack[stack.length - 1].type}}}"`);
+  }
+
+  if (lastIndex < (source || '').length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+// Resolve a path against the scope chain, innermost scope first
+const lookup = (scopes, path) => {
+  if (path === 'this' || path === '.') {
+    return scopes[scopes.length - 1].value;
+  }
+
+  if (path === '@index') {
+    return scopes[scopes.length - 1].index;
+  }
+
+  const segments = path.replace(/^this\./, '').split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const { value } = scopes[i];
+    if (value !== null && typeof value === 'object' && segments[0] in value) {
+      return segments.reduce((acc, segment) => (acc === null || acc === undefined ? undefined : acc[segment]), value);
+    }
+  }
+
+  return undefined;
+};
+
+const isTruthy = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+};
+
+const renderNodes = (nodes, scopes, options) => {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const value = lookup(scopes, node.path);
+        if (value === undefined || value === null) {
+          throw new TemplateError(`Missing template variable "${node.path}"`, { missingVariables: [node.path] });
+        }
+        return options.escape && !node.raw ? escapeHtml(value) : String(value);
+      }
+
+      case 'if':
+        return isTruthy(lookup(scopes, node.path))
+          ? renderNodes(node.children, scopes, options)
+          : renderNodes(node.inverse, scopes, options);
+
+      case 'unless':
+        return isTruthy(lookup(scopes, node.path))
+          ? renderNodes(node.inverse, scopes, options)
+          : renderNodes(node.children, scopes, options);
+
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        if (!isTruthy(items)) {
+          return renderNodes(node.inverse, scopes, options);
+        }
+        if (!Array.isArray(items)) {
+          throw new TemplateError(`Template variable "${node.path}" must be a list to use {{#each}}`);
+        }
+        return items
+          .map((item, index) => renderNodes(node.children, [...scopes, { value: item, index }], options))
+          .join('');
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+};
+
+/**
+ * Render a template with the given data
+ * @param {string} source - Template source
+ * @param {Object} data - Template variables
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.escape - HTML-escape {{variables}} (true for HTML output)
+ * @returns {string} - Rendered output
+ */
+const renderTemplate = (source, data = {}, options = {}) => {
+  const nodes = parseTemplate(source);
+  return renderNodes(nodes, [{ value: data, index: undefined }], { escape: Boolean(options.escape) });
+};
+
+/**
+ * Check that every required variable is present in the data
+ * @param {string[]} requiredVariables - Variable paths that must be defined
+ * @param {Object} data - Template variables
+ * @throws {TemplateError} - Listing every missing variable
+ */
+const assertRequiredVariables = (requiredVariables = [], data = {}) => {
+  const missing = requiredVariables.filter(path => {
+    const value = lookup([{ value: data }], path);
+    return value === undefined || value === null || value === '';
+  });
+
+  if (missing.length > 0) {
+    throw new TemplateError(`Missing required template variables: ${missing.join(', ')}`, { missingVariables: missing });
+  }
+};
+
+/**
+ * Convert rendered HTML into a readable plain-text version
+ * @param {string} html - Rendered HTML
+ * @returns {string} - Plain text
+ */
+const htmlToText = (html) => {
+  return html
+    .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr)\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<a[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Convert plain text into simple HTML
+ * @param {string} text - Plain text
+ * @returns {string} - HTML with paragraphs and line breaks
+ */
+const textToHtml = (text) => {
+  return text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+module.exports = {
+  TemplateError,
+  parseTemplate,
+  renderTemplate,
+  assertRequiredVariables,
+  escapeHtml,
+  htmlToText,
+  textToHtml
+};
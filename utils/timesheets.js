@@ -0,0 +1,339 @@
+/**
+ * Timesheets Utility
+ *
+ * Weekly timesheets record the hours an onboarded resource works against a
+ * PO. The vendor submits them and the client approves or rejects them.
+ * Approved hours are billed at the resource's hourly rate on the PO by
+ * rolling them into a draft invoice, which the vendor reviews and submits.
+ * Both sides can report approved hours against the PO's budget.
+ */
+
+const Timesheet = require('../models/Timesheet');
+const Application = require('../models/Application');
+const Invoice = require('../models/Invoice');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { createNotification } = require('../controllers/notificationController');
+const { snapshotEntity } = require('./auditTrail');
+const { roundMoney, priceLineItem } = require('./sowPricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the Monday (UTC midnight) of the week a date falls in
+ * @param {Date|string} date - Any date in the week
+ * @returns {Date}
+ */
+const weekStartOf = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Find the resource's onboarded application with the PO's client
+ * @param {string} resourceId - Resource ID
+ * @param {Object} po - PO document
+ * @returns {Promise<Object|null>} - Application document, or null when the resource is not onboarded
+ */
+const findOnboardedApplication = async (resourceId, po) => {
+  const applications = await Application.find({ resource: resourceId, status: 'onboarded' })
+    .populate('requirement', 'organizationId');
+
+  return applications.find(application => application.requirement &&
+    application.requirement.organizationId.toString() === po.clientOrganizationId.toString()) || null;
+};
+
+/**
+ * Find the PO line a resource's hours are billed at
+ * @param {Object} po - PO document
+ * @param {string} resourceId - Resource ID
+ * @returns {Object|undefined} - Hourly line item naming the resource
+ */
+const hourlyLineFor = (po, resourceId) => (po.lineItems || []).find(line => line.unit === 'hour' &&
+  line.resourceId && line.resourceId.toString() === resourceId.toString());
+
+// Times a roll-up re-reads a draft invoice that another request changed while it was pricing
+const MAX_ROLL_ATTEMPTS = 3;
+
+// Add timesheets' hours, amount and weeks to an invoice in memory
+const addTimesheetsToInvoice = (invoice, po, timesheets) => {
+  timesheets.forEach(timesheet => {
+    const line = hourlyLineFor(po, timesheet.resourceId);
+    const price = priceLineItem({ quantity: timesheet.totalHours, rate: line.rate, taxRate: line.taxRate });
+
+    const billed = invoice.billedHours.find(candidate => candidate.resourceId.toString() === timesheet.resourceId.toString());
+    if (billed) {
+      billed.hours = roundMoney(billed.hours + timesheet.totalHours);
+    } else {
+      invoice.billedHours.push({ resourceId: timesheet.resourceId, hours: timesheet.totalHours });
+    }
+    invoice.invoiceAmount.amount = roundMoney(invoice.invoiceAmount.amount + price.total);
+
+    // The service period covers every week billed, within the PO's dates
+    const start = new Date(Math.max(timesheet.weekStart, po.startDate));
+    const end = new Date(Math.min(timesheet.weekEnd, po.endDate));
+    const period = invoice.servicePeriod || {};
+    invoice.servicePeriod = {
+      start: period.start && period.start < start ? period.start : start,
+      end: period.end && period.end > end ? period.end : end
+    };
+  });
+};
+
+/**
+ * Roll the PO's approved, unbilled timesheets into its draft timesheet invoice
+ * Each timesheet is claimed for the invoice before it is priced, so concurrent
+ * roll-ups never bill the same week twice. Timesheets of resources without an
+ * hourly rate on the PO are left unbilled, as are claimed ones whose draft was
+ * submitted while they were being added; the next roll-up bills them. A PO has
+ * one draft at a time, so a roll-up that loses the race to create it adds its
+ * hours to the draft the other one created.
+ * @param {Object} po - PO document
+ * @param {string} userId - Vendor user the invoice is raised for when a new draft is needed
+ * @returns {Promise<Object>} - {invoice, previousState, timesheets}: the draft invoice (null when nothing was billed),
+ *   its state before the hours were added (null when it was created) and the timesheets added to it
+ */
+const rollIntoDraftInvoice = async (po, userId) => {
+  const candidates = (await Timesheet.find({ poId: po._id, status: 'approved', invoiceId: null }).sort({ weekStart: 1 }))
+    .filter(timesheet => hourlyLineFor(po, timesheet.resourceId));
+  const nothingBilled = { invoice: null, previousState: null, timesheets: [] };
+  if (candidates.length === 0) {
+    return nothingBilled;
+  }
+
+  let invoice = await Invoice.findOne({ poId: po._id, paymentStatus: 'draft', source: 'timesheets' });
+  if (!invoice) {
+    invoice = new Invoice({
+      poId: po._id,
+      vendorId: po.vendorId,
+      clientId: po.clientId,
+      invoiceDate: new Date(),
+      invoiceAmount: { amount: 0, currency: po.totalAmount.currency },
+      workSummary: `Approved timesheet hours on ${po.poNumber}`,
+      paymentStatus: 'draft',
+      source: 'timesheets',
+      billedHours: [],
+      clientOrganizationId: po.clientOrganizationId,
+      vendorOrganizationId: po.vendorOrganizationId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+  }
+
+  let invoiceId = invoice._id;
+  const timesheets = [];
+  for (const candidate of candidates) {
+    const claimed = await Timesheet.findOneAndUpdate(
+      { _id: candidate._id, status: 'approved', invoiceId: null },
+      { $set: { invoiceId } },
+      { new: true }
+    );
+    if (claimed) {
+      timesheets.push(claimed);
+    }
+  }
+  if (timesheets.length === 0) {
+    return nothingBilled;
+  }
+
+  const releaseClaims = () => Timesheet.updateMany(
+    { _id: { $in: timesheets.map(timesheet => timesheet._id) }, invoiceId },
+    { $set: { invoiceId: null } }
+  );
+
+  for (let attempt = 1; ; attempt++) {
+    const creating = invoice.isNew;
+    const previousState = snapshotEntity(creating ? null : invoice);
+    addTimesheetsToInvoice(invoice, po, timesheets);
+
+    // Saving an existing draft checks its version, so a concurrent change is re-read rather than overwritten
+    if (!creating) {
+      invoice.increment();
+    }
+
+    try {
+      await invoice.save();
+      return { invoice, previousState, timesheets };
+    } catch (error) {
+      // A new draft collides with the PO's draft when another roll-up created one first
+      const draftExists = creating && error.code === 11000 && error.keyPattern && error.keyPattern.poId;
+      if (!draftExists && error.name !== 'VersionError') {
+        await releaseClaims();
+        throw error;
+      }
+    }
+
+    const current = creating
+      ? await Invoice.findOne({ poId: po._id, paymentStatus: 'draft', source: 'timesheets' })
+      : await Invoice.findById(invoiceId);
+    if (!current || current.paymentStatus !== 'draft' || attempt >= MAX_ROLL_ATTEMPTS) {
+      await releaseClaims();
+      return nothingBilled;
+    }
+
+    // Claims made for a draft that was never saved move to the one that was
+    if (creating) {
+      await Timesheet.updateMany(
+        { _id: { $in: timesheets.map(timesheet => timesheet._id) }, invoiceId },
+        { $set: { invoiceId: current._id } }
+      );
+      invoiceId = current._id;
+    }
+    invoice = current;
+  }
+};
+
+/**
+ * Unlink timesheets from an invoice that was deleted or rejected
+ * Their hours are billed again the next time the PO's timesheets are rolled up.
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<number>} - Number of timesheets released
+ */
+const releaseTimesheets = async (invoiceId) => {
+  const result = await Timesheet.updateMany({ invoiceId }, { $set: { invoiceId: null } });
+  return result.modifiedCount;
+};
+
+const emptyRow = () => ({
+  budgetedHours: 0,
+  budgetedAmount: 0,
+  submittedHours: 0,
+  approvedHours: 0,
+  approvedAmount: 0,
+  invoicedHours: 0
+});
+
+/**
+ * Report a PO's timesheet hours against its budget
+ * Budgeted hours come from the PO's hourly line items; hours waiting for
+ * approval are reported as submitted.
+ * @param {Object} po - PO document
+ * @returns {Promise<Object>} - {po, resources, weeks, totals}
+ */
+const buildHoursReport = async (po) => {
+  const timesheets = await Timesheet.find({ poId: po._id, status: { $in: ['submitted', 'approved'] } })
+    .select('resourceId weekStart status totalHours invoiceId');
+
+  const rows = new Map();
+  const rowFor = (key) => {
+    if (!rows.has(key)) {
+      rows.set(key, emptyRow());
+    }
+    return rows.get(key);
+  };
+
+  // Hourly lines not tied to a resource are budgeted by role
+  (po.lineItems || []).filter(line => line.unit === 'hour').forEach(line => {
+    const row = rowFor(line.resourceId ? line.resourceId.toString() : `role:${line.role}`);
+    row.role = line.role;
+    row.rate = line.rate;
+    row.taxRate = line.taxRate;
+    row.budgetedHours = roundMoney(row.budgetedHours + line.quantity);
+    row.budgetedAmount = roundMoney(row.budgetedAmount + line.total);
+  });
+
+  const weeks = new Map();
+  timesheets.forEach(timesheet => {
+    const row = rowFor(timesheet.resourceId.toString());
+    const weekKey = timesheet.weekStart.toISOString();
+    if (!weeks.has(weekKey)) {
+      weeks.set(weekKey, { weekStart: timesheet.weekStart, submittedHours: 0, approvedHours: 0 });
+    }
+    const week = weeks.get(weekKey);
+
+    if (timesheet.status === 'submitted') {
+      row.submittedHours = roundMoney(row.submittedHours + timesheet.totalHours);
+      week.submittedHours = roundMoney(week.submittedHours + timesheet.totalHours);
+      return;
+    }
+
+    row.approvedHours = roundMoney(row.approvedHours + timesheet.totalHours);
+    week.approvedHours = roundMoney(week.approvedHours + timesheet.totalHours);
+    if (row.rate !== undefined) {
+      row.approvedAmount = roundMoney(row.approvedAmount + priceLineItem({ quantity: timesheet.totalHours, rate: row.rate, taxRate: row.taxRate }).total);
+    }
+    if (timesheet.invoiceId) {
+      row.invoicedHours = roundMoney(row.invoicedHours + timesheet.totalHours);
+    }
+  });
+
+  const resourceIds = [...rows.keys()].filter(key => !key.startsWith('role:'));
+  const resources = await Resource.find({ _id: { $in: resourceIds } }).select('name');
+  const names = new Map(resources.map(resource => [resource._id.toString(), resource.name]));
+
+  const resourceRows = [...rows.entries()].map(([key, row]) => ({
+    resourceId: key.startsWith('role:') ? null : key,
+    name: key.startsWith('role:') ? null : names.get(key) || null,
+    role: row.role || null,
+    rate: row.rate === undefined ? null : row.rate,
+    budgetedHours: row.budgetedHours,
+    budgetedAmount: row.budgetedAmount,
+    submittedHours: row.submittedHours,
+    approvedHours: row.approvedHours,
+    approvedAmount: row.approvedAmount,
+    invoicedHours: row.invoicedHours,
+    remainingHours: roundMoney(row.budgetedHours - row.approvedHours),
+    percentUsed: row.budgetedHours > 0 ? roundMoney(row.approvedHours / row.budgetedHours * 100) : null
+  }));
+
+  const sum = (field) => roundMoney(resourceRows.reduce((total, row) => total + row[field], 0));
+  const budget = po.totalAmount.amount;
+
+  return {
+    po: {
+      _id: po._id,
+      poNumber: po.poNumber,
+      status: po.status,
+      startDate: po.startDate,
+      endDate: po.endDate,
+      totalAmount: po.totalAmount,
+      totalInvoiced: po.paymentTracking.totalInvoiced,
+      remainingAmount: roundMoney(budget - po.paymentTracking.totalInvoiced)
+    },
+    resources: resourceRows,
+    weeks: [...weeks.values()].sort((a, b) => a.weekStart - b.weekStart),
+    totals: {
+      budgetedHours: sum('budgetedHours'),
+      submittedHours: sum('submittedHours'),
+      approvedHours: sum('approvedHours'),
+      approvedAmount: sum('approvedAmount'),
+      invoicedHours: sum('invoicedHours'),
+      remainingHours: roundMoney(sum('budgetedHours') - sum('approvedHours')),
+      percentOfBudget: budget > 0 ? roundMoney(sum('approvedAmount') / budget * 100) : null
+    }
+  };
+};
+
+/**
+ * Notify users about a timesheet
+ * @param {Object} options - {recipients (user IDs) or organizationId and roles, timesheet, title, message}
+ * @returns {Promise<void>}
+ */
+const notifyTimesheetUsers = async ({ recipients, organizationId, roles, timesheet, title, message }) => {
+  let userIds = recipients;
+  if (!userIds) {
+    const users = await User.find({ organizationId, organizationRole: { $in: roles }, isActive: { $ne: false } }).select('_id');
+    userIds = users.map(user => user._id);
+  }
+
+  for (const userId of userIds.filter(Boolean)) {
+    await createNotification({
+      recipient: userId,
+      type: 'timesheet_update',
+      title,
+      message,
+      actionUrl: `/timesheets/${timesheet._id}`
+    });
+  }
+};
+
+module.exports = {
+  weekStartOf,
+  findOnboardedApplication,
+  hourlyLineFor,
+  rollIntoDraftInvoice,
+  releaseTimesheets,
+  buildHoursReport,
+  notifyTimesheetUsers
+};
@@ -0,0 +1,818 @@
+/**
+ * Workflow Engine Utility
+ *
+ * Drives an application through the steps of its WorkflowConfiguration.
+ * Reaching a step evaluates its conditions (steps whose conditions fail are
+ * skipped), activates it together with any parallel steps in the same group,
+ * and sends the step's notifications. Completing a step applies its outcome:
+ * an optional application status and an optional jump forward ("goTo") to a
+ * later step or to the end of the workflow. Auto-advance and notify steps
+ * complete as soon as they are reached.
+ *
+ * Step conditions are rules evaluated against {application, requirement, resource}:
+ *   { field: 'requirement.priority', operator: 'in', value: ['high', 'urgent'] }
+ * combined with { all: [...] }, { any: [...] } or { not: {...} }.
+ *
+ * Step outcomes are keyed by the action taken:
+ *   { approved: { status: 'shortlisted' }, rejected: { status: 'rejected', goTo: 'end' } }
+ *
+ * Work on an instance (processing a step, syncing a status change, migrating,
+ * escalating) holds the instance's lock, so concurrent requests and jobs take
+ * turns and each one loads the instance as the previous one saved it.
+ */
+
+const Application = require('../models/Application');
+const Requirement = require('../models/Requirement');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const WorkflowConfiguration = require('../models/WorkflowConfiguration');
+const WorkflowInstance = require('../models/WorkflowInstance');
+const ErrorResponse = require('./errorResponse');
+const { createNotification } = require('../controllers/notificationController');
+const { sendTemplatedEmail } = require('./emailTemplates');
+const { getActiveStatuses, getInactiveStatuses } = require('./applicationStatusMapping');
+const { changeApplicationStatus, getApplicationRole } = require('./applicationTransitions');
+
+// Actions a user can take on each kind of step
+const ACTION_OUTCOMES = {
+  review: ['reviewed', 'approved', 'rejected'],
+  approve: ['approved', 'rejected'],
+  reject: ['rejected', 'approved'],
+  notify: ['notified'],
+  escalate: ['escalated', 'approved', 'rejected'],
+  interact: ['reviewed', 'approved', 'rejected']
+};
+
+// Action recorded when a step completes on its own (auto-advance or notify).
+// An auto-advancing reject step rejects every application that reaches it,
+// so it is normally guarded by conditions.
+const AUTO_OUTCOME = {
+  review: 'reviewed',
+  approve: 'approved',
+  reject: 'rejected',
+  notify: 'notified',
+  escalate: 'escalated',
+  interact: 'reviewed'
+};
+
+// Action recorded when a status change moves the application past a step
+const PASSING_OUTCOME = {
+  review: 'reviewed',
+  approve: 'approved',
+  reject: 'approved',
+  notify: 'notified',
+  escalate: 'approved',
+  interact: 'reviewed'
+};
+
+// Outcomes applied unless the step configures its own
+const DEFAULT_OUTCOMES = {
+  rejected: { status: 'rejected', goTo: 'end' }
+};
+
+const END = 'end';
+
+// Step statuses that are waiting for someone to act; escalated steps stay actionable
+const OPEN_STEP_STATUSES = ['in_progress', 'escalated'];
+
+// Instance statuses the engine still moves forward
+const RUNNING_STATUSES = ['active', 'escalated'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An instance locked for longer than this is assumed to belong to a crashed request
+const LOCK_TIMEOUT_MS = 60 * 1000;
+// How long to wait for another request to release an instance, and how often to check
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_POLL_MS = 100;
+
+// Deadline a number of hours after a date; none when the setting is off
+const addHours = (date, hours) => (hours > 0 ? new Date(date.getTime() + hours * HOUR_MS) : undefined);
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const CONDITION_OPERATORS = {
+  equals: (actual, value) => actual !== undefined && actual !== null && sameValue(actual, value),
+  not_equals: (actual, value) => actual === undefined || actual === null || !sameValue(actual, value),
+  in: (actual, value) => Array.isArray(value) && value.some(item => sameValue(actual, item)),
+  not_in: (actual, value) => Array.isArray(value) && !value.some(item => sameValue(actual, item)),
+  gt: (actual, value) => Number(actual) > Number(value),
+  gte: (actual, value) => Number(actual) >= Number(value),
+  lt: (actual, value) => Number(actual) < Number(value),
+  lte: (actual, value) => Number(actual) <= Number(value),
+  contains: (actual, value) => (Array.isArray(actual)
+    ? actual.some(item => sameValue(item, value))
+    : String(actual || '').toLowerCase().includes(String(value).toLowerCase())),
+  exists: (actual, value) => (actual !== undefined && actual !== null && actual !== '') === (value !== false)
+};
+
+const CONDITION_ROOTS = ['application', 'requirement', 'resource'];
+
+const getPath = (facts, field) => field.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  facts
+);
+
+/**
+ * Check step conditions against an application
+ * @param {Object} conditions - Rule or group; empty means always
+ * @param {Object} facts - {application, requirement, resource} as plain objects
+ * @returns {boolean}
+ */
+const evaluateConditions = (conditions, facts) => {
+  if (!conditions || Object.keys(conditions).length === 0) {
+    return true;
+  }
+  if (Array.isArray(conditions)) {
+    return conditions.every(condition => evaluateConditions(condition, facts));
+  }
+  if (conditions.all || conditions.any || conditions.not) {
+    return (!conditions.all || conditions.all.every(condition => evaluateConditions(condition, facts))) &&
+      (!conditions.any || conditions.any.some(condition => evaluateConditions(condition, facts))) &&
+      (!conditions.not || !evaluateConditions(conditions.not, facts));
+  }
+
+  const { field, operator = 'equals', value } = conditions;
+  if (typeof field !== 'string' || !CONDITION_OPERATORS[operator]) {
+    return false;
+  }
+  return CONDITION_OPERATORS[operator](getPath(facts, field), value);
+};
+
+// Returns an error message for the first malformed rule, or null
+const validateConditions = (conditions, label) => {
+  if (!conditions || Object.keys(conditions).length === 0) {
+    return null;
+  }
+  if (Array.isArray(conditions)) {
+    return conditions.map(condition => validateConditions(condition, label)).find(Boolean) || null;
+  }
+  if (conditions.all || conditions.any || conditions.not) {
+    for (const key of ['all', 'any']) {
+      if (conditions[key] && !Array.isArray(conditions[key])) {
+        return `${label}: "${key}" must be a list of conditions`;
+      }
+    }
+    return validateConditions(conditions.all, label) ||
+      validateConditions(conditions.any, label) ||
+      validateConditions(conditions.not, label);
+  }
+
+  const { field, operator = 'equals' } = conditions;
+  if (typeof field !== 'string' || !CONDITION_ROOTS.includes(field.split('.')[0])) {
+    return `${label}: condition fields must start with ${CONDITION_ROOTS.join(', ')}`;
+  }
+  if (!CONDITION_OPERATORS[operator]) {
+    return `${label}: unknown operator "${operator}". Valid operators are: ${Object.keys(CONDITION_OPERATORS).join(', ')}`;
+  }
+  if (['in', 'not_in'].includes(operator) && !Array.isArray(conditions.value)) {
+    return `${label}: "${operator}" needs a list of values`;
+  }
+  return null;
+};
+
+/**
+ * Check the conditions, outcomes and parallel groups of a workflow definition
+ * @param {Object} definition - {steps, settings}
+ * @returns {string|null} - Error message, or null when the definition is valid
+ */
+const validateWorkflowDefinition = ({ steps = [], settings = {} }) => {
+  const statuses = [...getActiveStatuses(), ...getInactiveStatuses()];
+  const orders = steps.map(step => Number(step.order));
+
+  if (new Set(orders).size !== orders.length) {
+    return 'Step orders must be unique';
+  }
+
+  for (const step of steps) {
+    const label = `Step "${step.name}"`;
+    const conditionError = validateConditions(step.conditions, label);
+    if (conditionError) {
+      return conditionError;
+    }
+
+    for (const [action, outcome] of Object.entries(step.outcomes || {})) {
+      if (!(ACTION_OUTCOMES[step.action] || []).includes(action)) {
+        return `${label}: a ${step.action} step cannot have a "${action}" outcome`;
+      }
+      if (outcome.status && !statuses.includes(outcome.status)) {
+        return `${label}: "${outcome.status}" is not an application status`;
+      }
+      if (outcome.goTo !== undefined && outcome.goTo !== END &&
+          !(orders.includes(Number(outcome.goTo)) && Number(outcome.goTo) > Number(step.order))) {
+        return `${label}: goTo must be "${END}" or the order of a later step`;
+      }
+    }
+  }
+
+  if (settings.allowParallelProcessing) {
+    // Steps in a parallel group must be next to each other
+    const sorted = [...steps].sort((a, b) => a.order - b.order);
+    const closed = new Set();
+    let previous = null;
+    for (const step of sorted) {
+      if (step.parallelGroup && step.parallelGroup !== previous && closed.has(step.parallelGroup)) {
+        return `Steps in parallel group "${step.parallelGroup}" must be consecutive`;
+      }
+      if (previous && step.parallelGroup !== previous) {
+        closed.add(previous);
+      }
+      previous = step.parallelGroup || null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a user holds the role a step is assigned to
+ * @param {Object} user - Authenticated user
+ * @param {Object} step - Workflow step (configuration or instance)
+ * @returns {boolean}
+ */
+const canPerformStep = (user, step) => {
+  // Use organizationRole if available, otherwise fall back to role/userType
+  const userRole = user.organizationRole || user.role || user.userType;
+
+  switch (step.role) {
+    case 'super_admin':
+      return userRole === 'admin_owner' || userRole === 'superadmin';
+    case 'admin':
+      return ['admin_owner', 'admin_employee', 'superadmin', 'admin'].includes(userRole);
+    case 'hr_admin':
+      return ['admin_owner', 'admin_employee', 'superadmin', 'admin', 'hr_admin'].includes(userRole);
+    case 'client':
+      return ['client_owner', 'client_employee', 'client'].includes(userRole);
+    case 'vendor':
+      return ['vendor_owner', 'vendor_employee', 'vendor'].includes(userRole);
+    default:
+      return false;
+  }
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const findConfigStep = (configuration, step) => {
+  if (!configuration) {
+    return null;
+  }
+  return configuration.steps.find(configStep => configStep._id.toString() === step.stepId) ||
+    configuration.steps.find(configStep => configStep.order === step.order) ||
+    null;
+};
+
+const resolveOutcome = (configStep, actionTaken) => ({
+  ...(DEFAULT_OUTCOMES[actionTaken] || {}),
+  ...((configStep && configStep.outcomes && configStep.outcomes[actionTaken]) || {})
+});
+
+const getFacts = ({ application, requirement, resource }) => ({
+  application: application.toObject(),
+  requirement: requirement ? requirement.toObject() : {},
+  resource: resource ? resource.toObject() : {}
+});
+
+/**
+ * Find the users behind notification recipient types
+ * @param {Object} run - Loaded workflow run
+ * @param {string[]} recipientTypes - applicant, client, vendor, admin or hr_admin
+ * @returns {Promise<Object[]>} - Active users with firstName and email
+ */
+const findRecipients = async (run, recipientTypes = []) => {
+  const { application, requirement, resource } = run;
+  const ids = new Set();
+
+  for (const type of recipientTypes) {
+    if (type === 'applicant') {
+      ids.add(toId(application.createdBy));
+    } else if (type === 'vendor' && resource) {
+      ids.add(toId(resource.createdBy));
+    } else if (type === 'client' && requirement) {
+      ids.add(toId(requirement.createdBy));
+    }
+  }
+
+  const match = [{ _id: { $in: [...ids] } }];
+  if (recipientTypes.some(type => ['admin', 'hr_admin'].includes(type))) {
+    match.push({ userType: 'admin' });
+  }
+
+  return User.find({ $or: match, isActive: { $ne: false } }).select('firstName email');
+};
+
+/**
+ * Send the notifications configured on a step that has just become active
+ * Results are recorded on the step; failures never stop the workflow.
+ * @param {Object} run - Loaded workflow run
+ * @param {Object} step - Instance step
+ * @returns {Promise<void>}
+ */
+const sendStepNotifications = async (run, step) => {
+  const configStep = findConfigStep(run.configuration, step);
+  if (!configStep || !configStep.notifications || configStep.notifications.length === 0) {
+    return;
+  }
+
+  const { application, requirement, resource } = run;
+  const requirementTitle = requirement ? requirement.title : 'the requirement';
+  const resourceName = resource ? resource.name : 'the candidate';
+  const headline = `${step.stepName} is waiting on the ${step.role} for ${resourceName} on ${requirementTitle}.`;
+
+  for (const notification of configStep.notifications) {
+    let recipients = [];
+    try {
+      recipients = await findRecipients(run, notification.recipients);
+    } catch (error) {
+      console.error(`Error resolving recipients for workflow step ${step.stepName}:`, error);
+    }
+
+    for (const recipient of recipients) {
+      let status = 'sent';
+
+      if (notification.type === 'in_app') {
+        const created = await createNotification({
+          recipient: recipient._id,
+          type: 'workflow_update',
+          title: `Workflow step: ${step.stepName}`,
+          message: headline,
+          relatedRequirement: requirement ? requirement._id : undefined,
+          actionUrl: `/applications/${application._id}`
+        });
+        status = created ? 'sent' : 'failed';
+      } else if (notification.type === 'email' && recipient.email) {
+        try {
+          await sendTemplatedEmail({
+            to: recipient.email,
+            template: notification.template || 'workflow_step',
+            variables: {
+              name: recipient.firstName,
+              workflowName: run.configuration ? run.configuration.name : 'Workflow',
+              stepName: step.stepName,
+              stepAction: step.action,
+              role: step.role,
+              requirementTitle,
+              resourceName,
+              applicationStatus: application.status,
+              headline
+            }
+          });
+        } catch (error) {
+          console.error(`Error emailing workflow step ${step.stepName} to ${recipient.email}:`, error);
+          status = 'failed';
+        }
+      } else {
+        // No SMS provider is configured, and users without an email cannot be emailed
+        status = 'failed';
+      }
+
+      step.notifications.push({
+        type: notification.type,
+        sentAt: new Date(),
+        recipient: recipient.email || recipient._id.toString(),
+        status
+      });
+    }
+  }
+};
+
+const finishWorkflow = (run, status) => {
+  const { instance } = run;
+  const now = new Date();
+
+  instance.steps
+    .filter(step => step.status === 'pending' || OPEN_STEP_STATUSES.includes(step.status))
+    .forEach(step => {
+      step.status = 'skipped';
+      step.completedAt = now;
+    });
+
+  instance.status = status;
+  instance.completedAt = now;
+};
+
+const applyOutcomeStatus = async (run, status, step) => {
+  const { application, requirement, resource, actorId } = run;
+  if (!run.applyStatus || application.status === status) {
+    return;
+  }
+
+  // Workflows are configured by admins, so their outcomes use the admin transitions
+  await changeApplicationStatus({
+    application,
+    requirement,
+    resource,
+    to: status,
+    role: 'admin',
+    actorId,
+    notes: `Workflow step "${step.stepName}" ${step.actionTaken}`
+  });
+};
+
+/**
+ * Activate the next steps after a step order
+ * Steps whose conditions fail are skipped; parallel groups activate together;
+ * auto-advance steps complete straight away. Finishes the workflow when no
+ * steps are left.
+ * @param {Object} run - Loaded workflow run
+ * @param {number} afterOrder - Order of the last step handled
+ * @returns {Promise<void>}
+ */
+const activateSteps = async (run, afterOrder) => {
+  const { instance } = run;
+
+  while (RUNNING_STATUSES.includes(instance.status)) {
+    const pending = instance.steps
+      .filter(step => step.status === 'pending' && step.order > afterOrder)
+      .sort((a, b) => a.order - b.order);
+
+    if (pending.length === 0) {
+      if (!instance.steps.some(step => OPEN_STEP_STATUSES.includes(step.status))) {
+        finishWorkflow(run, 'completed');
+      }
+      return;
+    }
+
+    // A parallel group is the run of consecutive steps sharing the first step's group
+    const [next] = pending;
+    const group = [next];
+    if (next.parallelGroup) {
+      for (const step of pending.slice(1)) {
+        if (step.parallelGroup !== next.parallelGroup) {
+          break;
+        }
+        group.push(step);
+      }
+    }
+    afterOrder = group[group.length - 1].order;
+
+    const facts = getFacts(run);
+    const now = new Date();
+    const activated = [];
+    for (const step of group) {
+      const configStep = findConfigStep(run.configuration, step);
+      if (!evaluateConditions(configStep && configStep.conditions, facts)) {
+        step.status = 'skipped';
+        step.completedAt = now;
+        step.comments = 'Skipped: conditions not met';
+        continue;
+      }
+      step.status = 'in_progress';
+      step.startedAt = now;
+      step.dueAt = addHours(now, run.configuration && run.configuration.settings.autoEscalateAfter);
+      activated.push(step);
+    }
+
+    if (activated.length === 0) {
+      continue;
+    }
+
+    for (const step of activated) {
+      await sendStepNotifications(run, step);
+    }
+
+    for (const step of activated.filter(step => step.autoAdvance || step.action === 'notify')) {
+      if (step.status === 'in_progress') {
+        await completeStep(run, step, AUTO_OUTCOME[step.action], { comments: 'Completed automatically' });
+      }
+    }
+    return;
+  }
+};
+
+/**
+ * Complete an active step and move the workflow on
+ * @param {Object} run - Loaded workflow run
+ * @param {Object} step - Instance step in progress
+ * @param {string} actionTaken - One of ACTION_OUTCOMES for the step's action
+ * @param {Object} details - {performedBy, comments, metadata}
+ * @returns {Promise<void>}
+ */
+const completeStep = async (run, step, actionTaken, { performedBy, comments, metadata } = {}) => {
+  const { instance } = run;
+
+  step.status = 'completed';
+  step.completedAt = new Date();
+  step.performedBy = performedBy;
+  step.actionTaken = actionTaken;
+  step.comments = comments;
+  step.metadata = { ...step.metadata, ...metadata };
+
+  const outcome = resolveOutcome(findConfigStep(run.configuration, step), actionTaken);
+
+  if (outcome.status) {
+    await applyOutcomeStatus(run, outcome.status, step);
+  }
+
+  if (outcome.goTo === END) {
+    finishWorkflow(run, 'completed');
+    return;
+  }
+
+  // Wait for required steps still open in the same parallel group
+  const siblings = step.parallelGroup
+    ? instance.steps.filter(other => other.parallelGroup === step.parallelGroup && other !== step)
+    : [];
+  const open = siblings.filter(other => OPEN_STEP_STATUSES.includes(other.status));
+  if (open.some(other => other.required !== false)) {
+    return;
+  }
+  open.forEach(other => {
+    other.status = 'skipped';
+    other.completedAt = new Date();
+    other.comments = 'Skipped: optional step not needed once the group completed';
+  });
+
+  let afterOrder = Math.max(step.order, ...siblings.map(other => other.order));
+  if (outcome.goTo !== undefined) {
+    const target = Number(outcome.goTo);
+    instance.steps
+      .filter(other => other.status === 'pending' && other.order > afterOrder && other.order < target)
+      .forEach(other => {
+        other.status = 'skipped';
+        other.completedAt = new Date();
+        other.comments = `Skipped: "${step.stepName}" went to step ${target}`;
+      });
+    afterOrder = Math.max(afterOrder, target - 1);
+  }
+
+  await activateSteps(run, afterOrder);
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run engine work on an instance while holding its lock
+ * The work should load the instance itself (see loadRun) once the lock is held.
+ * @param {string} instanceId - WorkflowInstance ID
+ * @param {Function} work - Async function doing the work
+ * @returns {Promise<*>} - Whatever the work returns
+ * @throws {ErrorResponse} - 409 when the instance stays locked or was saved from a stale copy
+ */
+const withInstanceLock = async (instanceId, work) => {
+  const waitUntil = Date.now() + LOCK_WAIT_MS;
+  let lockedAt;
+
+  for (;;) {
+    const now = new Date();
+    const locked = await WorkflowInstance.findOneAndUpdate(
+      {
+        _id: instanceId,
+        $or: [
+          { lockedAt: { $exists: false } },
+          { lockedAt: null },
+          { lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { lockedAt: now } }
+    );
+
+    if (locked) {
+      lockedAt = now;
+      break;
+    }
+    // Let the work report a missing instance
+    if (!(await WorkflowInstance.exists({ _id: instanceId }))) {
+      return work();
+    }
+    if (Date.now() >= waitUntil) {
+      throw new ErrorResponse('This workflow is being updated by someone else; try again shortly', 409);
+    }
+    await wait(LOCK_POLL_MS);
+  }
+
+  try {
+    return await work();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw new ErrorResponse('This workflow was changed by someone else at the same time; reload and try again', 409);
+    }
+    throw error;
+  } finally {
+    // Only release our own lock; an expired one may have been taken over
+    await WorkflowInstance.updateOne({ _id: instanceId, lockedAt }, { $unset: { lockedAt: 1 } });
+  }
+};
+
+/**
+ * Load an instance with everything the engine needs
+ * @param {string|Object} instanceOrId - WorkflowInstance document or ID
+ * @param {Object} options - {actorId, applyStatus}
+ * @returns {Promise<Object|null>} - Run, or null when the instance or application is gone
+ */
+const loadRun = async (instanceOrId, { actorId, applyStatus = true } = {}) => {
+  const instance = instanceOrId instanceof WorkflowInstance
+    ? instanceOrId
+    : await WorkflowInstance.findById(instanceOrId);
+  if (!instance) {
+    return null;
+  }
+
+  const application = await Application.findById(instance.applicationId).select('+organizationId');
+  if (!application) {
+    return null;
+  }
+
+  const [configuration, requirement, resource] = await Promise.all([
+    WorkflowConfiguration.findById(instance.workflowConfigurationId),
+    Requirement.findById(application.requirement),
+    Resource.findById(application.resource)
+  ]);
+
+  return { instance, configuration, application, requirement, resource, actorId, applyStatus };
+};
+
+/**
+ * Persist an instance and mirror its progress onto the application
+ * A running instance is escalated while any of its open steps are.
+ * @param {Object} run - Loaded workflow run
+ * @returns {Promise<void>}
+ */
+const saveRun = async (run) => {
+  const { instance } = run;
+  const open = instance.steps.filter(step => OPEN_STEP_STATUSES.includes(step.status));
+
+  if (RUNNING_STATUSES.includes(instance.status)) {
+    instance.status = open.some(step => step.status === 'escalated') ? 'escalated' : 'active';
+  }
+  instance.currentStep = open.length > 0
+    ? Math.min(...open.map(step => step.order))
+    : instance.steps.length + 1;
+  await instance.save();
+
+  const workflowStatus = {
+    active: 'in_progress',
+    escalated: 'in_progress',
+    completed: 'completed',
+    cancelled: 'cancelled'
+  }[instance.status];
+
+  await Application.updateOne(
+    { _id: run.application._id },
+    { $set: { workflowInstanceId: instance._id, workflowStatus, currentWorkflowStep: instance.currentStep } }
+  );
+};
+
+/**
+ * Start the default workflow for a new application, if one is configured
+ * @param {string} applicationId - Application ID
+ * @param {Object} options - {applicationType: 'client_applied'|'vendor_applied', actorId}
+ * @returns {Promise<Object|null>} - WorkflowInstance, or null when no workflow applies
+ */
+const startWorkflow = async (applicationId, { applicationType, actorId }) => {
+  const configuration = await WorkflowConfiguration.findOne({
+    applicationTypes: { $in: [applicationType, 'both'] },
+    isActive: true,
+    isDefault: true,
+    isLatest: { $ne: false }
+  });
+
+  if (!configuration) {
+    console.log(`No default workflow found for application type: ${applicationType}`);
+    return null;
+  }
+
+  const parallel = Boolean(configuration.settings && configuration.settings.allowParallelProcessing);
+  const startedAt = new Date();
+  const instance = await WorkflowInstance.create({
+    applicationId,
+    workflowConfigurationId: configuration._id,
+    currentStep: 1,
+    status: 'active',
+    startedAt,
+    slaDueAt: addHours(startedAt, configuration.settings && configuration.settings.maxProcessingTime),
+    steps: configuration.steps.map(step => ({
+      stepId: step._id.toString(),
+      stepName: step.name,
+      order: step.order,
+      role: step.role,
+      action: step.action,
+      status: 'pending',
+      required: step.required,
+      autoAdvance: step.autoAdvance,
+      parallelGroup: parallel ? step.parallelGroup : undefined
+    }))
+  });
+
+  const run = await loadRun(instance, { actorId });
+  await activateSteps(run, 0);
+  await saveRun(run);
+
+  console.log(`Workflow started for application ${applicationId}: ${configuration.name}`);
+  return instance;
+};
+
+/**
+ * Take an action on an active workflow step
+ * Throws an ErrorResponse when the step cannot be processed by this user.
+ * @param {string} instanceId - WorkflowInstance ID
+ * @param {Object} input - {stepOrder, action, comments, metadata, user}
+ * @returns {Promise<Object>} - Updated WorkflowInstance
+ */
+const processStep = (instanceId, { stepOrder, action, comments, metadata, user }) => withInstanceLock(instanceId, async () => {
+  const run = await loadRun(instanceId, { actorId: user.id });
+  if (!run) {
+    throw new ErrorResponse('Workflow instance not found', 404);
+  }
+
+  const { instance, configuration } = run;
+  if (!RUNNING_STATUSES.includes(instance.status)) {
+    throw new ErrorResponse(`This workflow is ${instance.status}`, 400);
+  }
+  // Who may act depends on the requirement and resource, so neither may be missing
+  if (!run.requirement || !run.resource) {
+    throw new ErrorResponse('Associated requirement or resource not found', 404);
+  }
+
+  const step = instance.steps.find(candidate => candidate.order === parseInt(stepOrder));
+  if (!step) {
+    throw new ErrorResponse('Workflow step not found', 404);
+  }
+  if (!OPEN_STEP_STATUSES.includes(step.status)) {
+    throw new ErrorResponse(`Workflow step "${step.stepName}" is ${step.status}, not waiting for action`, 400);
+  }
+
+  // Check if user has permission for this step
+  if (!canPerformStep(user, step) || !getApplicationRole(user, run)) {
+    throw new ErrorResponse('Insufficient permissions for this workflow step', 403);
+  }
+
+  const allowed = ACTION_OUTCOMES[step.action] || [];
+  if (!allowed.includes(action)) {
+    throw new ErrorResponse(`Invalid action for a ${step.action} step. Valid actions are: ${allowed.join(', ')}`, 400);
+  }
+  if (configuration && configuration.settings.requireComments && !comments) {
+    throw new ErrorResponse('Comments are required for this workflow', 400);
+  }
+
+  await completeStep(run, step, action, { performedBy: user.id, comments, metadata });
+  await saveRun(run);
+
+  return instance;
+});
+
+/**
+ * Move an application's workflow along after its status was changed directly
+ * The first active step the user can perform is completed: rejecting records
+ * a rejection, any other active status records the step's passing action.
+ * Withdrawing or otherwise closing the application cancels the workflow.
+ * The status the user chose is kept; step outcome statuses are not applied.
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - User who changed the status
+ * @param {string} status - New application status
+ * @param {string} notes - Notes given with the change
+ * @returns {Promise<void>}
+ */
+const syncWorkflowWithStatus = async (applicationId, user, status, notes) => {
+  const application = await Application.findById(applicationId).select('workflowInstanceId');
+  if (!application || !application.workflowInstanceId) {
+    return;
+  }
+
+  await withInstanceLock(application.workflowInstanceId, async () => {
+    const run = await loadRun(application.workflowInstanceId, { actorId: user.id, applyStatus: false });
+    if (!run || !RUNNING_STATUSES.includes(run.instance.status)) {
+      return;
+    }
+
+    const closing = getInactiveStatuses().includes(status) && status !== 'rejected';
+    const step = run.instance.steps
+      .filter(candidate => OPEN_STEP_STATUSES.includes(candidate.status))
+      .sort((a, b) => a.order - b.order)
+      .find(candidate => canPerformStep(user, candidate));
+
+    if (closing || (status === 'rejected' && (!step || !ACTION_OUTCOMES[step.action].includes('rejected')))) {
+      finishWorkflow(run, 'cancelled');
+    } else if (step) {
+      const action = status === 'rejected' ? 'rejected' : PASSING_OUTCOME[step.action];
+      await completeStep(run, step, action, {
+        performedBy: user.id,
+        comments: notes || `Application moved to ${status}`
+      });
+    } else {
+      console.log(`User ${user.id} has no active step to complete in workflow ${run.instance._id}`);
+      return;
+    }
+
+    await saveRun(run);
+  });
+};
+
+module.exports = {
+  ACTION_OUTCOMES,
+  OPEN_STEP_STATUSES,
+  RUNNING_STATUSES,
+  CONDITION_OPERATORS,
+  evaluateConditions,
+  validateWorkflowDefinition,
+  canPerformStep,
+  findRecipients,
+  withInstanceLock,
+  loadRun,
+  saveRun,
+  activateSteps,
+  completeStep,
+  sendStepNotifications,
+  startWorkflow,
+  processStep,
+  syncWorkflowWithStatus
+};
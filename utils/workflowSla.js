@@ -0,0 +1,350 @@
+/**
+ * Workflow SLA Utility
+ *
+ * Service levels for workflow steps and whole workflows. A step that stays
+ * open longer than the configuration's autoEscalateAfter hours is escalated:
+ * reassigned to the configured escalation role (and user, when set) with
+ * everyone involved notified. A workflow still running after maxProcessingTime
+ * hours is recorded as breaching its SLA. The report summarizes both per
+ * workflow configuration.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WorkflowConfiguration = require('../models/WorkflowConfiguration');
+const WorkflowInstance = require('../models/WorkflowInstance');
+const ErrorResponse = require('./errorResponse');
+const { roundTo, rate } = require('./reportMath');
+const { createNotification } = require('../controllers/notificationController');
+const { sendTemplatedEmail } = require('./emailTemplates');
+const { OPEN_STEP_STATUSES, findRecipients } = require('./workflowEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Recipient type for the people holding each step role
+const ROLE_RECIPIENTS = {
+  client: 'client',
+  vendor: 'vendor',
+  admin: 'admin',
+  hr_admin: 'admin',
+  super_admin: 'admin'
+};
+
+const hoursBetween = (from, to) => (to.getTime() - from.getTime()) / HOUR_MS;
+
+/**
+ * Reassign an overdue step to the escalation role
+ * Updates the loaded run in memory; the caller saves it.
+ * @param {Object} run - Loaded workflow run (see workflowEngine.loadRun)
+ * @param {Object} step - Open instance step past its due date
+ * @param {Date} now - Escalation time
+ * @returns {void}
+ */
+const escalateStep = (run, step, now) => {
+  const { instance, configuration } = run;
+  const settings = configuration ? configuration.settings : {};
+
+  step.escalatedFrom = step.role;
+  step.role = settings.escalationRole || 'admin';
+  step.status = 'escalated';
+  step.escalatedAt = now;
+  if (settings.escalateTo) {
+    step.assignedTo = settings.escalateTo;
+    instance.escalatedTo = settings.escalateTo;
+  }
+
+  instance.status = 'escalated';
+  instance.escalatedAt = now;
+  instance.escalationReason = `"${step.stepName}" was not completed within ${settings.autoEscalateAfter} hours`;
+};
+
+// In-app notification and email to each user; never throws
+const notifyUsers = async (run, users, { title, headline }) => {
+  const { application, requirement, resource, configuration } = run;
+
+  for (const user of users) {
+    await createNotification({
+      recipient: user._id,
+      type: 'workflow_update',
+      title,
+      message: headline,
+      relatedRequirement: requirement ? requirement._id : undefined,
+      actionUrl: `/applications/${application._id}`
+    });
+
+    if (!user.email) {
+      continue;
+    }
+
+    try {
+      await sendTemplatedEmail({
+        to: user.email,
+        template: 'workflow_escalation',
+        variables: {
+          name: user.firstName,
+          title,
+          workflowName: configuration ? configuration.name : 'Workflow',
+          requirementTitle: requirement ? requirement.title : 'the requirement',
+          resourceName: resource ? resource.name : 'the candidate',
+          headline
+        }
+      });
+    } catch (error) {
+      console.error(`Error emailing workflow escalation to ${user.email}:`, error);
+    }
+  }
+};
+
+const withEscalationUser = async (users, settings) => {
+  if (!settings || !settings.escalateTo || users.some(user => user._id.toString() === settings.escalateTo.toString())) {
+    return users;
+  }
+  const escalationUser = await User.findOne({ _id: settings.escalateTo, isActive: { $ne: false } }).select('firstName email');
+  return escalationUser ? [...users, escalationUser] : users;
+};
+
+/**
+ * Tell the original assignees and the escalation role that a step escalated
+ * Never throws - a failed notification must not undo the escalation.
+ * @param {Object} run - Loaded workflow run
+ * @param {Object} step - Step just escalated
+ * @returns {Promise<void>}
+ */
+const notifyStepEscalated = async (run, step) => {
+  try {
+    const settings = run.configuration ? run.configuration.settings : null;
+    const types = [ROLE_RECIPIENTS[step.escalatedFrom], ROLE_RECIPIENTS[step.role]].filter(Boolean);
+    const users = await withEscalationUser(await findRecipients(run, types), settings);
+
+    const resourceName = run.resource ? run.resource.name : 'the candidate';
+    const requirementTitle = run.requirement ? run.requirement.title : 'the requirement';
+
+    await notifyUsers(run, users, {
+      title: 'Workflow Step Escalated',
+      headline: `"${step.stepName}" for ${resourceName} on ${requirementTitle} was waiting on the ${step.escalatedFrom} for too long and has been escalated to the ${step.role}.`
+    });
+  } catch (error) {
+    console.error(`Error sending escalation notifications for workflow ${run.instance._id}:`, error);
+  }
+};
+
+/**
+ * Tell admins that a workflow has run past its maximum processing time
+ * Never throws.
+ * @param {Object} run - Loaded workflow run
+ * @returns {Promise<void>}
+ */
+const notifySlaBreached = async (run) => {
+  try {
+    const settings = run.configuration ? run.configuration.settings : null;
+    const users = await withEscalationUser(await findRecipients(run, ['admin']), settings);
+
+    const resourceName = run.resource ? run.resource.name : 'the candidate';
+    const requirementTitle = run.requirement ? run.requirement.title : 'the requirement';
+    const hours = settings ? settings.maxProcessingTime : null;
+
+    await notifyUsers(run, users, {
+      title: 'Workflow SLA Breached',
+      headline: `The workflow for ${resourceName} on ${requirementTitle} is still running after ${hours} hours, past its maximum processing time.`
+    });
+  } catch (error) {
+    console.error(`Error sending SLA breach notifications for workflow ${run.instance._id}:`, error);
+  }
+};
+
+/**
+ * Parse SLA report filters from a query string
+ * @param {Object} query - {workflowId, startDate, endDate}
+ * @returns {Object} - Options for buildWorkflowSlaReport
+ */
+const parseSlaOptions = (query) => {
+  const options = {};
+
+  if (query.workflowId) {
+    if (!mongoose.isObjectIdOrHexString(query.workflowId)) {
+      throw new ErrorResponse('workflowId must be a valid id', 400);
+    }
+    options.workflowId = new mongoose.Types.ObjectId(query.workflowId);
+  }
+
+  ['startDate', 'endDate'].forEach(param => {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        throw new ErrorResponse(`${param} must be a valid date`, 400);
+      }
+      options[param] = date;
+    }
+  });
+
+  return options;
+};
+
+// Whether a step missed its due date, and by how long it was open
+const stepSla = (step, now) => {
+  const open = OPEN_STEP_STATUSES.includes(step.status);
+  const endedAt = open ? now : step.completedAt;
+  return {
+    open,
+    breached: Boolean(step.escalatedAt) || Boolean(step.dueAt && endedAt && endedAt > step.dueAt),
+    hours: step.startedAt && endedAt ? hoursBetween(step.startedAt, endedAt) : null
+  };
+};
+
+const workflowBreached = (instance, now) => Boolean(instance.slaBreachedAt) ||
+  Boolean(instance.slaDueAt && (instance.completedAt || now) > instance.slaDueAt);
+
+/**
+ * SLA breaches per workflow configuration and step, plus the steps overdue right now
+ * Instances are included by the date they started.
+ * @param {Object} options - From parseSlaOptions
+ * @returns {Promise<Object>} - {workflows, steps, overdue}
+ */
+const buildWorkflowSlaReport = async (options = {}) => {
+  const match = {};
+  if (options.workflowId) {
+    match.workflowConfigurationId = options.workflowId;
+  }
+  if (options.startDate || options.endDate) {
+    match.startedAt = {};
+    if (options.startDate) {
+      match.startedAt.$gte = options.startDate;
+    }
+    if (options.endDate) {
+      match.startedAt.$lte = options.endDate;
+    }
+  }
+
+  const now = new Date();
+  const workflows = new Map();
+  const steps = new Map();
+  const overdue = [];
+
+  const cursor = WorkflowInstance.find(match)
+    .select('applicationId workflowConfigurationId status steps startedAt completedAt slaDueAt slaBreachedAt')
+    .lean()
+    .cursor();
+
+  for await (const instance of cursor) {
+    const workflowKey = instance.workflowConfigurationId.toString();
+    if (!workflows.has(workflowKey)) {
+      workflows.set(workflowKey, {
+        workflowId: workflowKey,
+        instances: 0,
+        running: 0,
+        completed: 0,
+        cancelled: 0,
+        workflowsBreached: 0,
+        steps: 0,
+        stepsBreached: 0,
+        stepsEscalated: 0,
+        stepHours: []
+      });
+    }
+    const workflow = workflows.get(workflowKey);
+
+    workflow.instances += 1;
+    if (instance.status === 'completed') {
+      workflow.completed += 1;
+    } else if (instance.status === 'cancelled') {
+      workflow.cancelled += 1;
+    } else {
+      workflow.running += 1;
+    }
+    if (workflowBreached(instance, now)) {
+      workflow.workflowsBreached += 1;
+    }
+
+    for (const step of instance.steps.filter(candidate => candidate.startedAt)) {
+      const sla = stepSla(step, now);
+      const stepKey = `${workflowKey}:${step.order}`;
+      if (!steps.has(stepKey)) {
+        steps.set(stepKey, {
+          workflowId: workflowKey,
+          order: step.order,
+          stepName: step.stepName,
+          started: 0,
+          open: 0,
+          breached: 0,
+          escalated: 0,
+          hours: []
+        });
+      }
+      const stepRow = steps.get(stepKey);
+
+      workflow.steps += 1;
+      stepRow.started += 1;
+      if (sla.open) {
+        stepRow.open += 1;
+      }
+      if (sla.breached) {
+        workflow.stepsBreached += 1;
+        stepRow.breached += 1;
+      }
+      if (step.escalatedAt) {
+        workflow.stepsEscalated += 1;
+        stepRow.escalated += 1;
+      }
+      if (!sla.open && sla.hours !== null) {
+        workflow.stepHours.push(sla.hours);
+        stepRow.hours.push(sla.hours);
+      }
+
+      if (sla.open && step.dueAt && step.dueAt < now) {
+        overdue.push({
+          instanceId: instance._id.toString(),
+          applicationId: instance.applicationId.toString(),
+          workflowId: workflowKey,
+          stepName: step.stepName,
+          role: step.role,
+          status: step.status,
+          startedAt: step.startedAt,
+          dueAt: step.dueAt,
+          hoursOverdue: roundTo(hoursBetween(step.dueAt, now))
+        });
+      }
+    }
+  }
+
+  const configurations = await WorkflowConfiguration.find({ _id: { $in: [...workflows.keys()] } })
+    .select('name settings.autoEscalateAfter settings.maxProcessingTime')
+    .lean();
+  const configById = new Map(configurations.map(config => [config._id.toString(), config]));
+  const nameOf = (id) => (configById.get(id) ? configById.get(id).name : 'Deleted workflow');
+  const average = (values) => (values.length > 0 ? roundTo(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+  return {
+    workflows: [...workflows.values()].map(({ stepHours, ...workflow }) => {
+      const config = configById.get(workflow.workflowId);
+      return {
+        workflowId: workflow.workflowId,
+        workflowName: nameOf(workflow.workflowId),
+        autoEscalateAfterHours: config ? config.settings.autoEscalateAfter : null,
+        maxProcessingTimeHours: config ? config.settings.maxProcessingTime : null,
+        ...workflow,
+        workflowBreachRate: rate(workflow.workflowsBreached, workflow.instances),
+        stepBreachRate: rate(workflow.stepsBreached, workflow.steps),
+        averageStepHours: average(stepHours)
+      };
+    }),
+    steps: [...steps.values()]
+      .sort((a, b) => a.workflowId.localeCompare(b.workflowId) || a.order - b.order)
+      .map(({ hours, ...step }) => ({
+        workflowName: nameOf(step.workflowId),
+        ...step,
+        breachRate: rate(step.breached, step.started),
+        averageHours: average(hours)
+      })),
+    overdue: overdue
+      .sort((a, b) => b.hoursOverdue - a.hoursOverdue)
+      .map(row => ({ workflowName: nameOf(row.workflowId), ...row }))
+  };
+};
+
+module.exports = {
+  escalateStep,
+  notifyStepEscalated,
+  notifySlaBreached,
+  parseSlaOptions,
+  buildWorkflowSlaReport
+};
@@ -0,0 +1,359 @@
+/**
+ * Workflow Versions Utility
+ *
+ * Workflow configurations are immutable versions. Versions of the same
+ * workflow share a workflowKey (the id of version 1); publishing changes
+ * creates the next version and running instances stay on the version they
+ * started with until an admin migrates them. Steps keep their ids across
+ * versions when they are sent back unchanged, which is how an instance's
+ * steps are mapped onto a newer version.
+ */
+
+const WorkflowConfiguration = require('../models/WorkflowConfiguration');
+const ErrorResponse = require('./errorResponse');
+const { OPEN_STEP_STATUSES, RUNNING_STATUSES } = require('./workflowEngine');
+
+// Step fields compared by the diff, in display order
+const STEP_FIELDS = ['name', 'order', 'role', 'action', 'required', 'autoAdvance', 'description', 'parallelGroup', 'conditions', 'outcomes', 'notifications'];
+
+// Instance step fields carried over when a step maps onto a newer version
+const CARRIED_STEP_FIELDS = ['status', 'assignedTo', 'startedAt', 'dueAt', 'escalatedAt', 'escalatedFrom', 'completedAt', 'performedBy', 'actionTaken', 'comments', 'metadata', 'notifications'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Key shared by every version of a workflow
+ * Configurations created before versioning are their own key.
+ * @param {Object} configuration - WorkflowConfiguration
+ * @returns {Object} - ObjectId
+ */
+const getWorkflowKey = (configuration) => configuration.workflowKey || configuration._id;
+
+/**
+ * Query matching every version of a workflow
+ * @param {Object} configuration - Any version of the workflow
+ * @returns {Object} - Mongo filter
+ */
+const versionsQuery = (configuration) => {
+  const key = getWorkflowKey(configuration);
+  return { $or: [{ workflowKey: key }, { _id: key }] };
+};
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Comparable form of a value: ids as strings, no subdocument ids, stable key order
+const normalize = (value) => {
+  value = plain(value);
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') {
+    return value.toString();
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: normalize(value[key]) }), {});
+  }
+  return value;
+};
+
+const isSame = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const stepKey = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Publish changes to the latest version of a workflow as a new version
+ * The previous version keeps its steps and settings for the instances that use it.
+ * @param {Object} current - Latest WorkflowConfiguration version
+ * @param {Object} changes - {name, description, applicationTypes, steps, settings, isActive, isDefault, changeNotes}
+ * @param {string} userId - Publishing user
+ * @returns {Promise<Object>} - The new WorkflowConfiguration version
+ */
+const publishWorkflowVersion = async (current, changes, userId) => {
+  if (current.isLatest === false) {
+    throw new ErrorResponse(`Version ${current.version} has been superseded; publish changes from the latest version`, 400);
+  }
+
+  // Steps sent back with their ids keep them, so instances can be mapped to the new version
+  const knownStepIds = new Set(current.steps.map(step => step._id.toString()));
+  const steps = (changes.steps || current.steps.map(step => step.toObject())).map(step => {
+    const { _id, ...rest } = plain(step);
+    return _id && knownStepIds.has(_id.toString()) ? { _id, ...rest } : rest;
+  });
+
+  const pick = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+
+  let version;
+  try {
+    version = await WorkflowConfiguration.create({
+      workflowKey: getWorkflowKey(current),
+      version: (current.version || 1) + 1,
+      previousVersion: current._id,
+      changeNotes: changes.changeNotes,
+      name: pick('name'),
+      description: pick('description'),
+      applicationTypes: pick('applicationTypes'),
+      isActive: pick('isActive'),
+      isDefault: pick('isDefault'),
+      steps,
+      settings: { ...plain(current.settings), ...(changes.settings || {}) },
+      createdBy: current.createdBy,
+      updatedBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ErrorResponse('Another version of this workflow was published at the same time; reload and try again', 409);
+    }
+    throw error;
+  }
+
+  await WorkflowConfiguration.updateOne(
+    { _id: current._id },
+    { $set: { isLatest: false, isDefault: false, updatedBy: userId } }
+  );
+
+  return version;
+};
+
+/**
+ * Compare two versions of a workflow
+ * Steps are matched by id, then by name.
+ * @param {Object} from - WorkflowConfiguration
+ * @param {Object} to - WorkflowConfiguration
+ * @returns {Object} - {from, to, identical, fields, steps: {added, removed, changed}}
+ */
+const diffWorkflowVersions = (from, to) => {
+  const fields = [];
+
+  ['name', 'description', 'isActive', 'isDefault'].forEach(field => {
+    if (!isSame(from[field], to[field])) {
+      fields.push({ field, from: normalize(from[field]), to: normalize(to[field]) });
+    }
+  });
+
+  const fromTypes = [...(from.applicationTypes || [])].sort();
+  const toTypes = [...(to.applicationTypes || [])].sort();
+  if (!isSame(fromTypes, toTypes)) {
+    fields.push({ field: 'applicationTypes', from: fromTypes, to: toTypes });
+  }
+
+  const fromSettings = plain(from.settings) || {};
+  const toSettings = plain(to.settings) || {};
+  [...new Set([...Object.keys(fromSettings), ...Object.keys(toSettings)])].forEach(setting => {
+    if (!isSame(fromSettings[setting], toSettings[setting])) {
+      fields.push({ field: `settings.${setting}`, from: normalize(fromSettings[setting]), to: normalize(toSettings[setting]) });
+    }
+  });
+
+  const remaining = [...to.steps];
+  const takeMatch = (step) => {
+    const index = [
+      remaining.findIndex(candidate => candidate._id.toString() === step._id.toString()),
+      remaining.findIndex(candidate => stepKey(candidate.name) === stepKey(step.name))
+    ].find(position => position !== -1);
+    return index === undefined ? null : remaining.splice(index, 1)[0];
+  };
+
+  const removed = [];
+  const changed = [];
+  for (const step of [...from.steps].sort((a, b) => a.order - b.order)) {
+    const match = takeMatch(step);
+    if (!match) {
+      removed.push({ stepId: step._id.toString(), name: step.name, order: step.order });
+      continue;
+    }
+
+    const changes = STEP_FIELDS
+      .filter(field => !isSame(step[field], match[field]))
+      .map(field => ({ field, from: normalize(step[field]), to: normalize(match[field]) }));
+    if (changes.length > 0) {
+      changed.push({ stepId: match._id.toString(), name: match.name, changes });
+    }
+  }
+
+  const added = remaining
+    .sort((a, b) => a.order - b.order)
+    .map(step => ({ stepId: step._id.toString(), name: step.name, order: step.order }));
+
+  return {
+    from: { id: from._id, version: from.version || 1, publishedAt: from.publishedAt || from.createdAt },
+    to: { id: to._id, version: to.version || 1, publishedAt: to.publishedAt || to.createdAt },
+    identical: fields.length === 0 && added.length === 0 && removed.length === 0 && changed.length === 0,
+    fields,
+    steps: { added, removed, changed }
+  };
+};
+
+/**
+ * Work out how a running instance's steps map onto another version
+ * Steps match by id, then by name, then by order when role and action agree.
+ * The instance resumes at its open steps' matches; target steps before that
+ * point that were not done in the old version are skipped.
+ * @param {Object} instance - WorkflowInstance
+ * @param {Object} target - WorkflowConfiguration version to move to
+ * @returns {Object} - {canMigrate, reason, warnings, mapping, current, resumeAt, steps}
+ */
+const planInstanceMigration = (instance, target) => {
+  if (!RUNNING_STATUSES.includes(instance.status)) {
+    return { canMigrate: false, reason: `Only running workflows can be migrated; this one is ${instance.status}` };
+  }
+  if (!target.steps || target.steps.length === 0) {
+    return { canMigrate: false, reason: 'The target version has no steps' };
+  }
+
+  const targetSteps = [...target.steps].sort((a, b) => a.order - b.order);
+  const used = new Set();
+  const available = (step) => !used.has(step._id.toString());
+  const matchers = [
+    ['id', (step, candidate) => candidate._id.toString() === step.stepId],
+    ['name', (step, candidate) => stepKey(candidate.name) === stepKey(step.stepName)],
+    ['order', (step, candidate) => candidate.order === step.order && candidate.role === (step.escalatedFrom || step.role) && candidate.action === step.action]
+  ];
+
+  const mapping = [...instance.steps].sort((a, b) => a.order - b.order).map(step => {
+    for (const [matchedBy, matches] of matchers) {
+      const candidate = targetSteps.find(option => available(option) && matches(step, option));
+      if (candidate) {
+        used.add(candidate._id.toString());
+        return { step, target: candidate, matchedBy };
+      }
+    }
+    return { step, target: null, matchedBy: null };
+  });
+
+  const warnings = [];
+  const open = mapping.filter(entry => OPEN_STEP_STATUSES.includes(entry.step.status));
+  const mappedOpen = open.filter(entry => entry.target);
+
+  open.filter(entry => !entry.target).forEach(entry => {
+    warnings.push(`Open step "${entry.step.stepName}" has no match in version ${target.version || 1}`);
+  });
+  mapping
+    .filter(entry => !entry.target && ['completed', 'skipped'].includes(entry.step.status))
+    .forEach(entry => warnings.push(`History for "${entry.step.stepName}" is not kept: the step was removed`));
+
+  // Resume at the open steps' matches, or where the unmatched open steps were
+  let resumeOrder = null;
+  if (mappedOpen.length > 0) {
+    resumeOrder = Math.min(...mappedOpen.map(entry => entry.target.order));
+  } else if (open.length > 0) {
+    const openOrder = Math.min(...open.map(entry => entry.step.order));
+    const fallback = targetSteps.find(step => step.order >= openOrder) || null;
+    resumeOrder = fallback ? fallback.order : targetSteps[targetSteps.length - 1].order + 1;
+    warnings.push(fallback
+      ? `The workflow will restart at "${fallback.name}"`
+      : 'No step in the target version comes after the open step; the workflow will complete');
+  }
+
+  const sources = new Map(mapping.filter(entry => entry.target).map(entry => [entry.target._id.toString(), entry.step]));
+  const parallel = Boolean(target.settings && target.settings.allowParallelProcessing);
+  const now = new Date();
+
+  const steps = targetSteps.map(targetStep => {
+    const step = {
+      stepId: targetStep._id.toString(),
+      stepName: targetStep.name,
+      order: targetStep.order,
+      role: targetStep.role,
+      action: targetStep.action,
+      required: targetStep.required,
+      autoAdvance: targetStep.autoAdvance,
+      parallelGroup: parallel ? targetStep.parallelGroup : undefined,
+      status: 'pending'
+    };
+
+    const source = sources.get(step.stepId);
+    if (source && source.status !== 'pending') {
+      CARRIED_STEP_FIELDS.forEach(field => {
+        if (source[field] !== undefined) {
+          step[field] = plain(source[field]);
+        }
+      });
+      // An escalated step stays with the role it was escalated to
+      if (source.status === 'escalated') {
+        step.role = source.role;
+      }
+      return step;
+    }
+
+    if (resumeOrder !== null && targetStep.order < resumeOrder) {
+      step.status = 'skipped';
+      step.completedAt = now;
+      step.comments = 'Skipped: not reached in the previous version';
+    }
+    return step;
+  });
+
+  // Instance steps carry their configuration step id in stepId
+  const describe = (step) => (step ? { stepId: step.stepId || step._id.toString(), name: step.name || step.stepName, order: step.order } : null);
+
+  return {
+    canMigrate: true,
+    warnings,
+    mapping: mapping.map(entry => ({
+      from: { ...describe(entry.step), status: entry.step.status },
+      to: describe(entry.target),
+      matchedBy: entry.matchedBy
+    })),
+    current: open.map(entry => ({
+      from: entry.step.stepName,
+      to: entry.target ? entry.target.name : null,
+      matchedBy: entry.matchedBy
+    })),
+    resumeAt: (targetSteps.find(step => step.order === resumeOrder) || {}).name || null,
+    steps
+  };
+};
+
+/**
+ * Move an instance onto another version using a migration plan
+ * Updates the instance in memory; the caller activates any next steps and saves it.
+ * @param {Object} instance - WorkflowInstance
+ * @param {Object} target - WorkflowConfiguration version
+ * @param {Object} plan - From planInstanceMigration
+ * @param {Object} details - {fromVersion, userId}
+ * @returns {void}
+ */
+const applyInstanceMigration = (instance, target, plan, { fromVersion, userId }) => {
+  const fromConfigurationId = instance.workflowConfigurationId;
+
+  instance.workflowConfigurationId = target._id;
+  instance.steps = plan.steps;
+  if (target.settings && target.settings.maxProcessingTime > 0 && !instance.slaBreachedAt) {
+    instance.slaDueAt = new Date(instance.startedAt.getTime() + target.settings.maxProcessingTime * HOUR_MS);
+  }
+
+  instance.metadata = {
+    ...instance.metadata,
+    migrations: [
+      ...((instance.metadata && instance.metadata.migrations) || []),
+      {
+        fromConfigurationId,
+        fromVersion,
+        toConfigurationId: target._id,
+        toVersion: target.version || 1,
+        warnings: plan.warnings,
+        migratedBy: userId,
+        migratedAt: new Date()
+      }
+    ]
+  };
+  instance.markModified('metadata');
+};
+
+module.exports = {
+  getWorkflowKey,
+  versionsQuery,
+  publishWorkflowVersion,
+  diffWorkflowVersions,
+  planInstanceMigration,
+  applyInstanceMigration
+};
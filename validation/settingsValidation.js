@@ -0,0 +1,107 @@
+const Joi = require('joi');
+
+const generalSchema = Joi.object({
+  siteName: Joi.string().trim().max(100).required(),
+  siteDescription: Joi.string().trim().max(500).allow(''),
+  contactEmail: Joi.string().email().required(),
+  supportPhone: Joi.string().pattern(/^\+?[\d\s-()]+$/).allow('')
+    .messages({ 'string.pattern.base': 'Support phone must be a valid phone number' })
+});
+
+const feesSchema = Joi.object({
+  platformFeePercentage: Joi.number().min(0).max(100).required()
+    .messages({
+      'number.min': 'Platform fee percentage must be between 0 and 100',
+      'number.max': 'Platform fee percentage must be between 0 and 100'
+    }),
+  transactionFeeFixed: Joi.number().min(0).required(),
+  minimumPayout: Joi.number().min(0).required()
+});
+
+const approvalsSchema = Joi.object({
+  requireVendorApproval: Joi.boolean().required(),
+  requireServiceApproval: Joi.boolean().required(),
+  autoApproveClients: Joi.boolean().required()
+});
+
+const emailSchema = Joi.object({
+  sendWelcomeEmail: Joi.boolean().required(),
+  sendOrderConfirmations: Joi.boolean().required(),
+  sendReviewNotifications: Joi.boolean().required()
+});
+
+const securitySchema = Joi.object({
+  passwordExpiryDays: Joi.number().integer().min(0).max(365).required(),
+  maxLoginAttempts: Joi.number().integer().min(1).max(100).required(),
+  lockoutDurationMinutes: Joi.number().integer().min(1).max(1440).required(),
+  requireEmailVerification: Joi.boolean().required(),
+  requirePhoneVerification: Joi.boolean().required()
+});
+
+const weight = () => Joi.number().min(0).max(100).required();
+
+const matchingSchema = Joi.object({
+  skillsWeight: weight(),
+  experienceWeight: weight(),
+  rateWeight: weight(),
+  availabilityWeight: weight(),
+  locationWeight: weight(),
+  minimumScore: Joi.number().min(0).max(100).required(),
+  fullTimeHoursPerWeek: Joi.number().min(1).max(168).required()
+});
+
+// Checked on the complete document only, since an update may carry a single weight
+const completeMatchingSchema = matchingSchema.custom((value, helpers) => {
+  const total = value.skillsWeight + value.experienceWeight + value.rateWeight +
+    value.availabilityWeight + value.locationWeight;
+  return total > 0 ? value : helpers.error('any.invalid');
+}).messages({ 'any.invalid': 'At least one matching weight must be greater than 0' });
+
+const duplicatesSchema = Joi.object({
+  applicationAction: Joi.string().valid('flag', 'block').required(),
+  flagScore: Joi.number().min(0).max(100).required(),
+  blockScore: Joi.number().min(0).max(100).required(),
+  nameSimilarityThreshold: Joi.number().min(0.5).max(1).required()
+});
+
+// Checked on the complete document only, since an update may carry a single score
+const completeDuplicatesSchema = duplicatesSchema.custom((value, helpers) => {
+  return value.blockScore >= value.flagScore ? value : helpers.error('any.invalid');
+}).messages({ 'any.invalid': 'The duplicate block score cannot be lower than the flag score' });
+
+const invoiceMatchingSchema = Joi.object({
+  overAmountAction: Joi.string().valid('flag', 'block').required(),
+  outsidePeriodAction: Joi.string().valid('flag', 'block').required(),
+  hoursMismatchAction: Joi.string().valid('flag', 'block').required(),
+  hoursTolerance: Joi.number().min(0).max(40).required()
+});
+
+// Complete settings document - every section must be present and valid
+const systemSettingsSchema = Joi.object({
+  general: generalSchema.required(),
+  fees: feesSchema.required(),
+  approvals: approvalsSchema.required(),
+  email: emailSchema.required(),
+  security: securitySchema.required(),
+  matching: completeMatchingSchema.required(),
+  duplicates: completeDuplicatesSchema.required(),
+  invoiceMatching: invoiceMatchingSchema.required()
+});
+
+// Update payload - any subset of sections, each with any subset of keys
+const systemSettingsUpdateSchema = Joi.object({
+  general: generalSchema.fork(Object.keys(generalSchema.describe().keys), field => field.optional()),
+  fees: feesSchema.fork(Object.keys(feesSchema.describe().keys), field => field.optional()),
+  approvals: approvalsSchema.fork(Object.keys(approvalsSchema.describe().keys), field => field.optional()),
+  email: emailSchema.fork(Object.keys(emailSchema.describe().keys), field => field.optional()),
+  security: securitySchema.fork(Object.keys(securitySchema.describe().keys), field => field.optional()),
+  matching: matchingSchema.fork(Object.keys(matchingSchema.describe().keys), field => field.optional()),
+  duplicates: duplicatesSchema.fork(Object.keys(duplicatesSchema.describe().keys), field => field.optional()),
+  invoiceMatching: invoiceMatchingSchema.fork(Object.keys(invoiceMatchingSchema.describe().keys), field => field.optional()),
+  changeNote: Joi.string().trim().max(500).allow('')
+}).min(1);
+
+module.exports = {
+  systemSettingsSchema,
+  systemSettingsUpdateSchema
+};